@@ -6,20 +6,51 @@
 (function($) {
     'use strict';
 
+    // Track if actions are in progress to prevent duplicate submissions
+    let actionInProgress = false;
+
+    // Sync progress updates, shared by the manual sync controls and the dashboard
+    const progressListeners = [];
+    let progressSource = null;
+    let progressPollTimer = null;
+    let progressCursor = '';
+    let progressStreamFailed = false;
+
     // Initialize when document is ready
     $(document).ready(function() {
-        // Track if actions are in progress to prevent duplicate submissions
-        let actionInProgress = false;
-        
         // Dropbox connection
         initDropboxConnection();
         
+        // Team space and shared folder sync root
+        initNamespaceBrowser();
+        
         // Manual sync
         initManualSync();
         
         // Logs
         initLogsHandling();
         
+        // Conflict resolution center
+        initConflictCenter();
+        
+        // Recently deleted items
+        initTrash();
+        
+        // FileBird and Dropbox folder tree comparison
+        initFolderTree();
+        
+        // Sync health checks
+        initHealthChecks();
+        
+        // Initialize mapping reconciliation
+        initReconciliation();
+        
+        // Duplicate files report
+        initDuplicates();
+        
+        // Sync run history and charts
+        initSyncHistory();
+        
         // Initialize sync dashboard
         initSyncDashboard();
         
@@ -28,6 +59,18 @@
         
         // Initialize webhook buttons
         initWebhookButtons();
+        
+        // Sync rule builder
+        initSyncRules();
+        
+        // Folder to Dropbox path mappings
+        initRootMappings();
+        
+        // Failure alert settings
+        initNotifications();
+        
+        // Re-download of offloaded files
+        initOffload();
     });
 
     /**
@@ -43,12 +86,11 @@
                 // Prevent multiple clicks
                 if (actionInProgress) return;
                 
-                // Check if app key and secret are entered
+                // Only the app key is needed, the connection uses PKCE
                 const appKey = $('#fds_dropbox_app_key').val();
-                const appSecret = $('#fds_dropbox_app_secret').val();
                 
-                if (!appKey || !appSecret) {
-                    alert('Please enter your Dropbox App Key and App Secret before connecting.');
+                if (!appKey) {
+                    alert('Please enter your Dropbox App Key before connecting.');
                     $('#fds_dropbox_app_key').focus();
                     return;
                 }
@@ -73,65 +115,123 @@
                     },
                     success: function(response) {
                         if (response.success && response.data.auth_url) {
-                            // Show information message to the user
-                            $statusContainer.removeClass('info error')
-                                .addClass('success')
-                                .html('<span class="dashicons dashicons-yes-alt"></span> ' + 
-                                      'Dropbox authorization window opened. Please complete the authorization process in the new tab.')
-                                .show();
-                                
-                            // Open Dropbox authorization page in a new window/tab
-                            const authWindow = window.open(response.data.auth_url, '_blank');
+                            // Open Dropbox authorization page in a popup
+                            const authWindow = window.open(response.data.auth_url, 'fds-dropbox-auth', 'width=720,height=760');
                             
                             // Check if popup was blocked
                             if (!authWindow || authWindow.closed || typeof authWindow.closed === 'undefined') {
-                                $statusContainer.removeClass('info success')
-                                    .addClass('error')
-                                    .html('<span class="dashicons dashicons-warning"></span> ' + 
-                                          'Pop-up blocked! Please allow pop-ups for this site and try again.')
-                                    .show();
-                            } else {
-                                // Inform user to complete authorization
-                                const checkAuthInterval = setInterval(function() {
-                                    if (authWindow.closed) {
-                                        clearInterval(checkAuthInterval);
-                                        
-                                        // Refresh the page after a brief delay to check connection status
-                                        setTimeout(function() {
-                                            window.location.reload();
-                                        }, 2000);
-                                    }
-                                }, 500);
+                                showConnectError('Pop-up blocked! Please allow pop-ups for this site and try again.');
+                                return;
                             }
-                        } else {
-                            $statusContainer.removeClass('info success')
-                                .addClass('error')
-                                .html('<span class="dashicons dashicons-warning"></span> ' + 
-                                      fds_admin_vars.strings.error + ' ' + (response.data ? response.data.message : 'Unknown error'))
+                            
+                            $statusContainer.removeClass('error success')
+                                .addClass('info')
+                                .html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear;"></span> ' + 
+                                      'Waiting for you to allow access in the Dropbox window...')
                                 .show();
+                            
+                            waitForAuthorization(authWindow, response.data.timeout);
+                        } else {
+                            showConnectError(fds_admin_vars.strings.error + ' ' + (response.data ? response.data.message : 'Unknown error'));
                         }
-                        
-                        // Re-enable button
-                        $connectButton.prop('disabled', false);
-                        $connectButton.text('Connect to Dropbox');
-                        actionInProgress = false;
                     },
                     error: function(xhr, status, error) {
-                        $statusContainer.removeClass('info success')
-                            .addClass('error')
-                            .html('<span class="dashicons dashicons-warning"></span> ' + 
-                                  fds_admin_vars.strings.error + ' ' + error)
-                            .show();
-                        
-                        // Re-enable button
-                        $connectButton.prop('disabled', false);
-                        $connectButton.text('Connect to Dropbox');
-                        actionInProgress = false;
+                        showConnectError(fds_admin_vars.strings.error + ' ' + error);
                     }
                 });
             });
         }
         
+        // The authorization window posts the result back to this page when Dropbox redirects to it
+        function waitForAuthorization(authWindow, timeout) {
+            const timeoutTimer = setTimeout(function() {
+                stopWaiting();
+                
+                if (!authWindow.closed) {
+                    authWindow.close();
+                }
+                
+                showConnectError('The Dropbox authorization timed out. Please try connecting again.');
+            }, (timeout || 600) * 1000);
+            
+            // The callback posts its message before the window closes, so a
+            // window that closed without one was closed by the user
+            let closedTimer = null;
+            const closedCheck = setInterval(function() {
+                if (!authWindow.closed || closedTimer) {
+                    return;
+                }
+                
+                // Give a message that is still on its way a moment to arrive
+                closedTimer = setTimeout(function() {
+                    stopWaiting();
+                    
+                    $statusContainer.removeClass('error success')
+                        .addClass('info')
+                        .html('<span class="dashicons dashicons-info"></span> The Dropbox authorization was cancelled. Connect again whenever you are ready.')
+                        .show();
+                    
+                    $connectButton.prop('disabled', false);
+                    $connectButton.text('Connect to Dropbox');
+                    actionInProgress = false;
+                }, 1000);
+            }, 500);
+            
+            function stopWaiting() {
+                clearTimeout(timeoutTimer);
+                clearInterval(closedCheck);
+                clearTimeout(closedTimer);
+                $(window).off('message.fdsOauth');
+            }
+            
+            $(window).off('message.fdsOauth').on('message.fdsOauth', function(e) {
+                const result = e.originalEvent.data;
+                
+                if (e.originalEvent.origin !== window.location.origin || !result || result.source !== 'fds-oauth') {
+                    return;
+                }
+                
+                stopWaiting();
+                
+                if (!result.success) {
+                    showConnectError(result.message);
+                    return;
+                }
+                
+                const account = result.account && result.account.email
+                    ? ' as ' + escapeHtml(result.account.name) + ' (' + escapeHtml(result.account.email) + ')'
+                    : '';
+                
+                // Team accounts can pick the team space or a shared folder once the page reloads
+                const team = result.account && result.account.team_name
+                    ? ' This is a Dropbox Business account, you can choose the team space or a shared folder as sync root.'
+                    : '';
+                
+                $statusContainer.removeClass('info error')
+                    .addClass('success')
+                    .html('<span class="dashicons dashicons-yes-alt"></span> ' + 
+                          'Connected to Dropbox' + account + '.' + team + ' Loading the connection details...')
+                    .show();
+                
+                // Reload to show the connected state and token status
+                setTimeout(function() {
+                    window.location.reload();
+                }, 2000);
+            });
+        }
+        
+        function showConnectError(message) {
+            $statusContainer.removeClass('info success')
+                .addClass('error')
+                .html('<span class="dashicons dashicons-warning"></span> ' + escapeHtml(message))
+                .show();
+            
+            // Re-enable button
+            $connectButton.prop('disabled', false);
+            $connectButton.text('Connect to Dropbox');
+            actionInProgress = false;
+        }
+        
         if ($disconnectButton.length) {
             $disconnectButton.on('click', function() {
                 if (actionInProgress) return;
@@ -277,229 +377,1208 @@ function initClipboard() {
         const $progressBar = $('.fds-progress-bar');
         const $progressStatus = $('.fds-progress-status');
         const $progressCounts = $('.fds-progress-counts');
+        const $progressActivity = $('.fds-progress-activity');
+        const $pauseButton = $('#fds-pause-sync');
+        const $resumeButton = $('#fds-resume-sync');
+        const $cancelButton = $('#fds-cancel-sync');
         
         if ($syncButton.length) {
             $syncButton.on('click', function() {
                 if (actionInProgress) return;
                 
                 if (confirm(fds_admin_vars.strings.confirm_sync)) {
-                    actionInProgress = true;
-                    $syncButton.prop('disabled', true);
-                    $syncButton.text('Syncing...');
-                    $syncStatus.text(fds_admin_vars.strings.sync_started);
-                    
-                    // Show and reset progress bar
-                    $syncProgress.show();
-                    $progressBar.css('width', '0%');
-                    $progressStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Preparing synchronization...');
-                    $progressCounts.text('');
-                    
-                    // Start the sync
-                    $.ajax({
+                    startSync({
                         url: fds_admin_vars.ajax_url,
                         type: 'POST',
                         data: {
                             action: 'fds_manual_sync',
                             nonce: fds_admin_vars.nonce
-                        },
-                        success: function(response) {
-                            if (response.success) {
-                                // Update status
-                                $progressStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Synchronization started');
-                                
-                                // Start polling for updates
-                                checkSyncStatus();
-                            } else {
-                                actionInProgress = false;
-                                $syncButton.prop('disabled', false);
-                                $syncButton.text('Start Full Sync');
-                                $syncStatus.text('Error: ' + (response.data ? response.data.message : 'Unknown error'));
-                                $syncProgress.hide();
-                            }
-                        },
-                        error: function(xhr, status, error) {
-                            actionInProgress = false;
-                            $syncButton.prop('disabled', false);
-                            $syncButton.text('Start Full Sync');
-                            $syncStatus.text('Error: ' + error);
-                            $syncProgress.hide();
                         }
                     });
                 }
             });
             
-            // Function to check sync status with exponential backoff
-            let checkInterval = 2000; // Start with 2 seconds
-            const maxInterval = 10000; // Max 10 seconds
+            // Function to start a sync request and follow its progress
+            function startSync(request) {
+                actionInProgress = true;
+                $syncButton.prop('disabled', true);
+                $syncButton.text('Syncing...');
+                $syncStatus.text(fds_admin_vars.strings.sync_started);
+                
+                // Show and reset progress bar
+                $syncProgress.show();
+                $progressBar.css('width', '0%');
+                $progressStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Preparing synchronization...');
+                $progressCounts.text('');
+                
+                $.ajax($.extend({}, request, {
+                    success: function(response) {
+                        // AJAX handlers report failure in the body, REST routes through the status code
+                        if (response.success !== false) {
+                            // Update status
+                            $progressStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Synchronization started');
+                            
+                            // Start following progress updates
+                            followSync();
+                        } else {
+                            syncFailed(response.data ? response.data.message : 'Unknown error');
+                        }
+                    },
+                    error: function(xhr, status, error) {
+                        syncFailed(xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error);
+                    }
+                }));
+            }
+            
+            function syncFailed(message) {
+                actionInProgress = false;
+                $syncButton.prop('disabled', false);
+                $syncButton.text('Start Full Sync');
+                $syncStatus.text('Error: ' + message);
+                $syncProgress.hide();
+            }
+            
+            $pauseButton.on('click', function() {
+                controlSync('pause');
+            });
+            
+            $resumeButton.on('click', function() {
+                controlSync('resume');
+            });
+            
+            $cancelButton.on('click', function() {
+                if (confirm(fds_admin_vars.strings.confirm_cancel_sync)) {
+                    controlSync('cancel');
+                }
+            });
             
-            function checkSyncStatus() {
+            // Pause, resume or cancel the full sync
+            function controlSync(command) {
+                $pauseButton.add($resumeButton).add($cancelButton).prop('disabled', true);
+                
                 $.ajax({
-                    url: fds_admin_vars.ajax_url,
+                    url: fds_admin_vars.rest_url + '/sync/' + command,
                     type: 'POST',
-                    data: {
-                        action: 'fds_check_sync_status',
-                        nonce: fds_admin_vars.nonce
-                    },
+                    headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
                     success: function(response) {
-                        if (response.success) {
-                            const data = response.data;
-                            const total = parseInt(data.total) || 0;
-                            const pending = parseInt(data.pending) || 0;
-                            const processing = parseInt(data.processing) || 0;
-                            const completed = parseInt(data.completed) || 0;
-                            const failed = parseInt(data.failed) || 0;
-                            
-                            // Reset interval if there's activity
-                            if (pending > 0 || processing > 0) {
-                                checkInterval = 2000;
-                            } else {
-                                // Gradually increase interval if no changes
-                                checkInterval = Math.min(checkInterval * 1.5, maxInterval);
-                            }
-                            
-                            // Calculate progress percentage
-                            let progress = 0;
-                            if (total > 0) {
-                                progress = Math.round((completed / total) * 100);
-                            }
-                            
-                            // Update progress bar
-                            $progressBar.css('width', progress + '%');
-                            
-                            // Update status text
-                            if (pending > 0 || processing > 0) {
-                                $progressStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Synchronizing...');
-                                $progressCounts.html('<strong>' + completed + '</strong> completed, <strong>' + (pending + processing) + '</strong> pending, <strong>' + failed + '</strong> failed');
-                                
-                                // Continue polling
-                                setTimeout(checkSyncStatus, checkInterval);
-                            } else {
-                                actionInProgress = false;
-                                $syncButton.prop('disabled', false);
-                                $syncButton.text('Start Full Sync');
-                                
-                                if (failed > 0) {
-                                    $progressStatus.html('<span class="dashicons dashicons-warning" style="margin-right: 5px; color: #dba617;"></span> Synchronization completed with errors');
-                                } else {
-                                    $progressStatus.html('<span class="dashicons dashicons-yes-alt" style="margin-right: 5px; color: #4ab866;"></span> Synchronization completed successfully');
-                                }
-                                
-                                $progressCounts.html('<strong>' + completed + '</strong> completed, <strong>' + failed + '</strong> failed');
-                                $syncStatus.text('Sync completed at ' + new Date().toLocaleTimeString());
-                                
-                                // Hide progress after a delay
-                                setTimeout(function() {
-                                    $syncProgress.fadeOut('slow');
-                                }, 8000);
-                                
-                                // Refresh stats
-                                refreshStats();
-                            }
-                        } else {
+                        $pauseButton.add($resumeButton).add($cancelButton).prop('disabled', false);
+                        $syncStatus.text(response.message);
+                        
+                        if (command === 'cancel') {
+                            followingSync = false;
                             actionInProgress = false;
                             $syncButton.prop('disabled', false);
                             $syncButton.text('Start Full Sync');
-                            $syncStatus.text('Error checking sync status');
                             $syncProgress.hide();
+                            updateSyncControls(null);
+                        } else {
+                            followSync();
                         }
                     },
                     error: function(xhr, status, error) {
-                        // On error, increase check interval but continue polling
-                        checkInterval = Math.min(checkInterval * 2, maxInterval);
-                        
-                        $progressStatus.html('<span class="dashicons dashicons-warning" style="margin-right: 5px;"></span> Checking status...');
-                        $progressCounts.text('Connection issue, retrying...');
-                        
-                        // Continue polling even on error, but with longer interval
-                        setTimeout(checkSyncStatus, checkInterval);
+                        $pauseButton.add($resumeButton).add($cancelButton).prop('disabled', false);
+                        $syncStatus.text('Error: ' + (xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error));
                     }
                 });
             }
-        }
-    }
-
-    /**
-     * Initialize logs handling with improved UX
-     */
-    function initLogsHandling() {
-        const $logLevelFilter = $('#fds-log-level-filter');
-        const $refreshLogsBtn = $('#fds-refresh-logs');
-        const $clearLogsBtn = $('#fds-clear-logs');
-        const $logsTable = $('.fds-logs-table');
-        const $logsBody = $('#fds-logs-tbody');
-        const $prevBtn = $('#fds-logs-prev');
-        const $nextBtn = $('#fds-logs-next');
-        const $pageInfo = $('#fds-logs-page-info');
-        
-        // Current page and logs state
-        let currentPage = 1;
-        let totalPages = 1;
-        let logsPerPage = 20;
-        let isLoadingLogs = false;
-        
-        // Load logs if we're on the logs tab
-        if ($logsTable.length) {
-            loadLogs();
             
-            // Event handlers
-            $logLevelFilter.on('change', function() {
-                currentPage = 1;
-                loadLogs();
+            // Show the buttons that apply to the full sync in progress
+            function updateSyncControls(fullSync) {
+                $pauseButton.toggle(!!fullSync && fullSync.status === 'running');
+                $resumeButton.toggle(!!fullSync && fullSync.status === 'paused');
+                $cancelButton.toggle(!!fullSync);
+            }
+            
+            // Follow progress of the sync this page started
+            let followingSync = false;
+            
+            // Show when the last full sync finished, it is kept in the sync history
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/history',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    trigger: 'manual',
+                    per_page: 1
+                },
+                success: function(response) {
+                    const run = response.runs && response.runs[0];
+                    
+                    if (run && run.finished_at && !followingSync && !$syncStatus.text()) {
+                        $syncStatus.text('Last sync ' + (run.status === 'cancelled' ? 'cancelled' : 'completed') + ' at ' + run.finished_at + ' (' + run.processed + ' items, ' + run.failed + ' failed)');
+                    }
+                }
             });
             
-            $refreshLogsBtn.on('click', function() {
-                if (isLoadingLogs) return;
-                loadLogs();
+            onSyncProgress(function(type, data) {
+                if (type === 'progress') {
+                    updateSyncControls(data.full_sync);
+                    
+                    // Pick up a full sync that is already in progress, e.g. after a reload
+                    if (data.full_sync && !followingSync) {
+                        followingSync = true;
+                        actionInProgress = true;
+                        $syncButton.prop('disabled', true);
+                        $syncButton.text('Syncing...');
+                        $syncProgress.show();
+                    }
+                }
+                
+                if (!followingSync) return;
+                
+                if (type === 'finished') {
+                    renderFinishedTasks(data);
+                } else {
+                    renderSyncProgress(data);
+                }
             });
             
-            $clearLogsBtn.on('click', function() {
-                if (isLoadingLogs) return;
+            function followSync() {
+                followingSync = true;
+                $progressActivity.empty();
                 
-                if (confirm('Are you sure you want to clear all logs? This cannot be undone.')) {
-                    isLoadingLogs = true;
-                    $clearLogsBtn.prop('disabled', true);
-                    $clearLogsBtn.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Clearing...');
+                // Reconnect right away, an idle stream only reconnects every 30 seconds
+                startProgressUpdates();
+            }
+            
+            function renderSyncProgress(progress) {
+                const total = parseInt(progress.total) || 0;
+                const pending = parseInt(progress.pending) || 0;
+                const processing = parseInt(progress.processing) || 0;
+                const completed = parseInt(progress.completed) || 0;
+                const failed = parseInt(progress.failed) || 0;
+                
+                // Calculate progress percentage
+                let percent = 0;
+                if (total > 0) {
+                    percent = Math.round((completed / total) * 100);
+                }
+                
+                // Update progress bar
+                $progressBar.css('width', percent + '%');
+                
+                const fullSync = progress.full_sync;
+                
+                if (fullSync && fullSync.status === 'paused') {
+                    $progressStatus.html('<span class="dashicons dashicons-controls-pause" style="margin-right: 5px;"></span> Full sync paused while ' + escapeHtml(fullSync.phase_label.toLowerCase()));
+                    $progressCounts.html(describeFullSync(fullSync) + ' &middot; paused since ' + escapeHtml(fullSync.updated_at));
+                } else if (fullSync && fullSync.phase !== 'processing') {
+                    // Still working out what to sync, the queue counts don't mean much yet
+                    $progressStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> ' + escapeHtml(fullSync.phase_label) + '...');
+                    $progressCounts.html(describeFullSync(fullSync));
+                } else if (progress.is_running) {
+                    let status = 'Synchronizing...';
+                    
+                    if (progress.current && progress.current.length > 0) {
+                        status = 'Synchronizing <strong>' + escapeHtml(progress.current[0].label) + '</strong>';
+                    }
+                    
+                    let counts = '<strong>' + completed + '</strong> completed, <strong>' + (pending + processing) + '</strong> pending, <strong>' + failed + '</strong> failed';
+                    
+                    if (progress.throughput > 0) {
+                        counts += ' &middot; ' + progress.throughput + '/min';
+                    }
+                    
+                    if (progress.eta_seconds) {
+                        counts += ' &middot; about ' + formatDuration(progress.eta_seconds) + ' left';
+                    }
+                    
+                    $progressStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> ' + status);
+                    $progressCounts.html(counts);
+                } else {
+                    followingSync = false;
+                    actionInProgress = false;
+                    $syncButton.prop('disabled', false);
+                    $syncButton.text('Start Full Sync');
+                    
+                    if (failed > 0) {
+                        $progressStatus.html('<span class="dashicons dashicons-warning" style="margin-right: 5px; color: #dba617;"></span> Synchronization completed with errors');
+                    } else {
+                        $progressStatus.html('<span class="dashicons dashicons-yes-alt" style="margin-right: 5px; color: #4ab866;"></span> Synchronization completed successfully');
+                    }
+                    
+                    $progressCounts.html('<strong>' + completed + '</strong> completed, <strong>' + failed + '</strong> failed');
+                    $syncStatus.text('Sync completed at ' + new Date().toLocaleTimeString());
+                    
+                    // Hide progress after a delay
+                    setTimeout(function() {
+                        $syncProgress.fadeOut('slow');
+                    }, 8000);
+                }
+            }
+            
+            // Describe how far the full sync has come
+            function describeFullSync(fullSync) {
+                if (fullSync.phase === 'listing' || fullSync.phase === 'planning') {
+                    return '<strong>' + fullSync.listed + '</strong> Dropbox items listed';
+                }
+                
+                return '<strong>' + fullSync.queued + '</strong> of <strong>' + fullSync.total + '</strong> changes queued';
+            }
+            
+            // Show the most recent completions, newest first
+            function renderFinishedTasks(tasks) {
+                tasks.forEach(function(task) {
+                    const icon = task.status === 'failed'
+                        ? '<span class="dashicons dashicons-warning" style="color: #d63638;"></span>'
+                        : '<span class="dashicons dashicons-yes" style="color: #4ab866;"></span>';
+                    
+                    $progressActivity.prepend('<li title="' + escapeHtml(task.error || '') + '">' + icon + ' ' + escapeHtml(task.label) + '</li>');
+                });
+                
+                $progressActivity.children().slice(5).remove();
+            }
+            
+            initSyncPreview();
+            
+            /**
+             * Dry-run preview of a full sync that can be approved to run
+             */
+            function initSyncPreview() {
+                const $previewButton = $('#fds-preview-sync');
+                const $preview = $('#fds-sync-preview');
+                const $previewSummary = $('#fds-preview-summary');
+                const $previewBody = $('#fds-preview-tbody');
+                const $previewPrev = $('#fds-preview-prev');
+                const $previewNext = $('#fds-preview-next');
+                const $previewPageInfo = $('#fds-preview-page-info');
+                const $runButton = $('#fds-preview-run');
+                
+                let planId = null;
+                let previewPage = 1;
+                let previewPages = 1;
+                let isLoadingPreview = false;
+                let previewSearchTimer = null;
+                let previewTimer = null;
+                
+                const directionLabels = {
+                    wordpress_to_dropbox: 'WordPress \u2192 Dropbox',
+                    dropbox_to_wordpress: 'Dropbox \u2192 WordPress'
+                };
+                
+                const typeLabels = {
+                    folder: 'Folders',
+                    file: 'Files'
+                };
+                
+                const actionLabels = {
+                    create: 'Create',
+                    move: 'Move',
+                    update: 'Update',
+                    delete: 'Delete'
+                };
+                
+                if (!$previewButton.length) return;
+                
+                $previewButton.on('click', function() {
+                    if (actionInProgress) return;
+                    
+                    startPreviewProgress('Comparing WordPress and Dropbox, nothing will be changed...');
                     
                     $.ajax({
-                        url: fds_admin_vars.ajax_url,
+                        url: fds_admin_vars.rest_url + '/sync/preview',
                         type: 'POST',
-                        data: {
-                            action: 'fds_clear_logs',
-                            nonce: fds_admin_vars.nonce
-                        },
+                        headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
                         success: function(response) {
-                            isLoadingLogs = false;
-                            $clearLogsBtn.prop('disabled', false);
-                            $clearLogsBtn.html('<span class="dashicons dashicons-trash" style="margin: 4px 5px 0 -5px;"></span> Clear Logs');
-                            
-                            if (response.success) {
-                                currentPage = 1;
-                                loadLogs();
-                            } else {
-                                alert('Error clearing logs: ' + (response.data ? response.data.message : 'Unknown error'));
-                            }
+                            showPreviewProgress(response.preview && response.preview.message ? response.preview.message : response.message);
+                            watchPreview();
                         },
                         error: function(xhr, status, error) {
-                            isLoadingLogs = false;
-                            $clearLogsBtn.prop('disabled', false);
-                            $clearLogsBtn.html('<span class="dashicons dashicons-trash" style="margin: 4px 5px 0 -5px;"></span> Clear Logs');
-                            alert('Error clearing logs: ' + error);
+                            stopPreviewProgress();
+                            $syncStatus.text('Error: ' + (xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error));
                         }
                     });
-                }
-            });
-            
-            $prevBtn.on('click', function() {
-                if (isLoadingLogs) return;
-                
-                if (currentPage > 1) {
-                    currentPage--;
-                    loadLogs();
-                }
-            });
-            
-            $nextBtn.on('click', function() {
-                if (isLoadingLogs) return;
+                });
+                
+                // A preview started earlier may still be running in the queue
+                $.ajax({
+                    url: fds_admin_vars.rest_url + '/sync/preview',
+                    type: 'GET',
+                    headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                    success: function(preview) {
+                        if (preview.running && !actionInProgress && !previewTimer) {
+                            startPreviewProgress(preview.message);
+                            watchPreview();
+                        }
+                    }
+                });
+                
+                // Clicking a group in the summary filters the table to it
+                $previewSummary.on('click', '.fds-preview-group', function(e) {
+                    e.preventDefault();
+                    
+                    $('#fds-preview-direction-filter').val($(this).data('direction'));
+                    $('#fds-preview-type-filter').val($(this).data('type'));
+                    $('#fds-preview-action-filter').val($(this).data('action'));
+                    previewPage = 1;
+                    loadPreviewItems();
+                });
+                
+                $('#fds-preview-direction-filter, #fds-preview-type-filter, #fds-preview-action-filter').on('change', function() {
+                    previewPage = 1;
+                    loadPreviewItems();
+                });
+                
+                $('#fds-preview-search').on('input', function() {
+                    clearTimeout(previewSearchTimer);
+                    previewSearchTimer = setTimeout(function() {
+                        previewPage = 1;
+                        loadPreviewItems();
+                    }, 400);
+                });
+                
+                $previewPrev.on('click', function() {
+                    if (isLoadingPreview || previewPage <= 1) return;
+                    previewPage--;
+                    loadPreviewItems();
+                });
+                
+                $previewNext.on('click', function() {
+                    if (isLoadingPreview || previewPage >= previewPages) return;
+                    previewPage++;
+                    loadPreviewItems();
+                });
+                
+                $runButton.on('click', function() {
+                    if (actionInProgress || !planId) return;
+                    
+                    if (confirm(fds_admin_vars.strings.confirm_run_plan)) {
+                        const runUrl = fds_admin_vars.rest_url + '/sync/preview/' + planId + '/run';
+                        
+                        planId = null;
+                        $preview.hide();
+                        
+                        startSync({
+                            url: runUrl,
+                            type: 'POST',
+                            headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce }
+                        });
+                    }
+                });
+                
+                $('#fds-preview-discard').on('click', function() {
+                    if (planId) {
+                        $.ajax({
+                            url: fds_admin_vars.rest_url + '/sync/preview/' + planId,
+                            type: 'DELETE',
+                            headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce }
+                        });
+                    }
+                    
+                    planId = null;
+                    $preview.hide();
+                });
+                
+                // Function to lock the sync buttons while a preview is built
+                function startPreviewProgress(message) {
+                    actionInProgress = true;
+                    $previewButton.prop('disabled', true);
+                    $syncButton.prop('disabled', true);
+                    showPreviewProgress(message);
+                }
+                
+                // Function to unlock the sync buttons once the preview is done
+                function stopPreviewProgress() {
+                    actionInProgress = false;
+                    $previewButton.prop('disabled', false);
+                    $syncButton.prop('disabled', false);
+                    $syncStatus.text('');
+                }
+                
+                // Function to show what the preview is doing
+                function showPreviewProgress(message) {
+                    $syncStatus.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> ' + escapeHtml(message));
+                }
+                
+                // Function to poll the preview progress until its plan is ready
+                function watchPreview() {
+                    previewTimer = setTimeout(function() {
+                        $.ajax({
+                            url: fds_admin_vars.rest_url + '/sync/preview',
+                            type: 'GET',
+                            headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                            success: function(preview) {
+                                if (preview.running) {
+                                    showPreviewProgress(preview.message);
+                                    watchPreview();
+                                    return;
+                                }
+                                
+                                previewTimer = null;
+                                stopPreviewProgress();
+                                
+                                if (preview.failed) {
+                                    $syncStatus.text(preview.message);
+                                } else if (!preview.plan_id) {
+                                    $syncStatus.text('This preview has expired. Please generate a new one.');
+                                } else {
+                                    showPreview(preview);
+                                }
+                            },
+                            error: function() {
+                                // Try again, the preview carries on in the queue
+                                watchPreview();
+                            }
+                        });
+                    }, 3000);
+                }
+                
+                // Function to show a finished preview
+                function showPreview(preview) {
+                    planId = preview.plan_id;
+                    previewPage = 1;
+                    $('#fds-preview-direction-filter, #fds-preview-type-filter, #fds-preview-action-filter, #fds-preview-search').val('');
+                    
+                    renderPreviewSummary(preview.summary, preview.total);
+                    $('#fds-preview-generated').text('Generated ' + preview.generated_at);
+                    $runButton.prop('disabled', preview.total === 0);
+                    $preview.show();
+                    
+                    loadPreviewItems();
+                }
+                
+                // Function to load one page of plan items
+                function loadPreviewItems() {
+                    if (isLoadingPreview || !planId) return;
+                    
+                    isLoadingPreview = true;
+                    $previewBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading changes...</td></tr>');
+                    $previewPrev.prop('disabled', true);
+                    $previewNext.prop('disabled', true);
+                    
+                    $.ajax({
+                        url: fds_admin_vars.rest_url + '/sync/preview/' + planId,
+                        type: 'GET',
+                        headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                        data: {
+                            page: previewPage,
+                            per_page: 50,
+                            direction: $('#fds-preview-direction-filter').val(),
+                            item_type: $('#fds-preview-type-filter').val(),
+                            sync_action: $('#fds-preview-action-filter').val(),
+                            search: $('#fds-preview-search').val()
+                        },
+                        success: function(response) {
+                            isLoadingPreview = false;
+                            previewPages = parseInt(response.total_pages) || 1;
+                            
+                            $previewPageInfo.text('Page ' + previewPage + ' of ' + previewPages + ' (' + response.total + ' changes)');
+                            $previewPrev.prop('disabled', previewPage <= 1);
+                            $previewNext.prop('disabled', previewPage >= previewPages);
+                            
+                            if (response.items && response.items.length > 0) {
+                                renderPreviewItems(response.items);
+                            } else {
+                                $previewBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-yes-alt"></span> No changes found.</td></tr>');
+                            }
+                        },
+                        error: function(xhr, status, error) {
+                            isLoadingPreview = false;
+                            
+                            // The plan expired, it can no longer be approved
+                            if (xhr.status === 404) {
+                                planId = null;
+                                $runButton.prop('disabled', true);
+                            }
+                            
+                            $previewBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> ' + escapeHtml(xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : 'Error loading changes: ' + error) + '</td></tr>');
+                        }
+                    });
+                }
+                
+                // Function to render the summary of changes per group
+                function renderPreviewSummary(summary, total) {
+                    if (!summary || summary.length === 0) {
+                        $previewSummary.html('<div class="notice notice-success inline"><p>Everything is already in sync. There is nothing to do.</p></div>');
+                        return;
+                    }
+                    
+                    let html = '<p><strong>' + total + '</strong> changes planned:</p>';
+                    let direction = null;
+                    
+                    summary.forEach(function(group) {
+                        if (group.direction !== direction) {
+                            html += (direction === null ? '' : '</div>') + '<div class="fds-preview-summary-row"><span class="fds-preview-summary-direction">' + escapeHtml(directionLabels[group.direction] || group.direction) + '</span>';
+                            direction = group.direction;
+                        }
+                        
+                        html += '<a href="#" class="fds-preview-group" data-direction="' + escapeHtml(group.direction) + '" data-type="' + escapeHtml(group.item_type) + '" data-action="' + escapeHtml(group.action) + '">' +
+                            '<span class="fds-preview-action fds-preview-action-' + escapeHtml(group.action) + '">' + escapeHtml(actionLabels[group.action] || group.action) + '</span> ' +
+                            group.count + ' ' + escapeHtml((typeLabels[group.item_type] || group.item_type).toLowerCase()) +
+                            '</a>';
+                    });
+                    
+                    $previewSummary.html(html + '</div>');
+                }
+                
+                // Function to render plan items with a header row per group
+                function renderPreviewItems(items) {
+                    let html = '';
+                    let group = null;
+                    
+                    items.forEach(function(item) {
+                        const itemGroup = item.direction + ':' + item.item_type + ':' + item.action;
+                        
+                        if (itemGroup !== group) {
+                            html += '<tr class="fds-preview-group-row"><th colspan="4">' +
+                                escapeHtml(directionLabels[item.direction] || item.direction) + ' &middot; ' +
+                                escapeHtml(typeLabels[item.item_type] || item.item_type) + ' &middot; ' +
+                                escapeHtml(actionLabels[item.action] || item.action) +
+                                '</th></tr>';
+                            group = itemGroup;
+                        }
+                        
+                        let path = '<code>' + escapeHtml(item.path) + '</code>';
+                        
+                        if (item.from) {
+                            path = '<code>' + escapeHtml(item.from) + '</code><br>&rarr; ' + path;
+                        }
+                        
+                        html += '<tr>' +
+                            '<td><span class="fds-preview-action fds-preview-action-' + escapeHtml(item.action) + '">' + escapeHtml(actionLabels[item.action] || item.action) + '</span></td>' +
+                            '<td>' + escapeHtml(item.label) + '</td>' +
+                            '<td class="fds-preview-path">' + path + '</td>' +
+                            '<td>' + escapeHtml(item.reason) + '</td>' +
+                            '</tr>';
+                    });
+                    
+                    $previewBody.html(html);
+                }
+            }
+        }
+    }
+
+    /**
+     * Subscribe to sync progress updates
+     *
+     * Updates are streamed with server-sent events. When the stream is not
+     * available (old browsers, buffering proxies) the progress endpoint is
+     * polled instead. Listeners get ('progress', snapshot) and ('finished', tasks).
+     */
+    function onSyncProgress(listener) {
+        progressListeners.push(listener);
+        
+        if (progressListeners.length === 1) {
+            startProgressUpdates();
+            
+            // Background tabs don't need updates
+            $(document).on('visibilitychange', function() {
+                if (document.hidden) {
+                    stopProgressUpdates();
+                } else {
+                    startProgressUpdates();
+                }
+            });
+        }
+    }
+    
+    function emitSyncProgress(type, data) {
+        progressListeners.forEach(function(listener) {
+            listener(type, data);
+        });
+    }
+    
+    function startProgressUpdates() {
+        stopProgressUpdates();
+        
+        if (progressListeners.length === 0) return;
+        
+        if (typeof EventSource === 'undefined' || progressStreamFailed) {
+            pollSyncProgress();
+            return;
+        }
+        
+        const streamUrl = fds_admin_vars.rest_url + '/sync/progress/stream';
+        let received = false;
+        
+        progressSource = new EventSource(streamUrl + (streamUrl.indexOf('?') === -1 ? '?' : '&') + '_wpnonce=' + fds_admin_vars.rest_nonce);
+        
+        progressSource.addEventListener('progress', function(e) {
+            received = true;
+            emitSyncProgress('progress', JSON.parse(e.data));
+        });
+        
+        progressSource.addEventListener('finished', function(e) {
+            received = true;
+            emitSyncProgress('finished', JSON.parse(e.data));
+        });
+        
+        progressSource.onerror = function() {
+            // The server closes the stream regularly and the browser reconnects,
+            // only fall back when nothing ever arrived or it gave up reconnecting
+            if (!received || progressSource.readyState === EventSource.CLOSED) {
+                progressStreamFailed = true;
+                startProgressUpdates();
+            }
+        };
+    }
+    
+    function stopProgressUpdates() {
+        if (progressSource) {
+            progressSource.close();
+            progressSource = null;
+        }
+        
+        clearTimeout(progressPollTimer);
+    }
+    
+    function pollSyncProgress() {
+        $.ajax({
+            url: fds_admin_vars.rest_url + '/sync/progress',
+            type: 'GET',
+            headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+            data: { since: progressCursor },
+            success: function(progress) {
+                if (progressCursor && progress.finished.length > 0) {
+                    emitSyncProgress('finished', progress.finished);
+                }
+                
+                progressCursor = progress.cursor;
+                emitSyncProgress('progress', progress);
+                
+                progressPollTimer = setTimeout(pollSyncProgress, progress.is_running ? 2000 : 30000);
+            },
+            error: function() {
+                // Keep trying, but back off
+                progressPollTimer = setTimeout(pollSyncProgress, 10000);
+            }
+        });
+    }
+
+    /**
+     * Initialize the sync rule builder
+     */
+    function initSyncRules() {
+        const $rulesBody = $('#fds-rules-tbody');
+        const template = $('#fds-rule-template').html();
+        
+        const placeholders = {
+            mime: 'image/*, video/mp4',
+            extension: 'psd, zip',
+            size: '50'
+        };
+        
+        if (!$rulesBody.length) return;
+        
+        // Rows keep their order when the form is saved
+        if ($.fn.sortable) {
+            $rulesBody.sortable({
+                handle: '.fds-rule-order',
+                axis: 'y'
+            });
+        }
+        
+        $rulesBody.find('.fds-rule-type').each(function() {
+            updateRuleRow($(this).closest('.fds-rule-row'));
+        });
+        
+        $('#fds-add-rule').on('click', function() {
+            // Unique index so new rows never overwrite existing ones
+            const $row = $(template.replace(/__index__/g, 'new' + Date.now()));
+            
+            $rulesBody.append($row);
+            updateRuleRow($row);
+            $row.find('.fds-rule-value').focus();
+        });
+        
+        $rulesBody.on('change', '.fds-rule-type', function() {
+            updateRuleRow($(this).closest('.fds-rule-row'));
+        });
+        
+        $rulesBody.on('click', '.fds-remove-rule', function() {
+            $(this).closest('.fds-rule-row').remove();
+        });
+        
+        // Show the folder picker or the text input depending on the condition
+        function updateRuleRow($row) {
+            const type = $row.find('.fds-rule-type').val();
+            
+            $row.find('.fds-rule-folder').toggle(type === 'folder');
+            $row.find('.fds-rule-value')
+                .toggle(type !== 'folder')
+                .attr('type', type === 'size' ? 'number' : 'text')
+                .attr('min', type === 'size' ? '0' : null)
+                .attr('step', type === 'size' ? 'any' : null)
+                .attr('placeholder', placeholders[type] || '');
+        }
+    }
+
+    /**
+     * Initialize the alert settings
+     */
+    function initNotifications() {
+        const $testButton = $('#fds-send-test-alert');
+        const $testStatus = $('#fds-test-alert-status');
+        
+        if (!$testButton.length) return;
+        
+        $testButton.on('click', function() {
+            if ($testButton.prop('disabled')) return;
+            
+            $testButton.prop('disabled', true);
+            $testStatus.removeClass('fds-status-success fds-status-error')
+                .addClass('fds-status-info')
+                .html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear;"></span> Sending test alert...');
+            
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/notifications/test',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    $testButton.prop('disabled', false);
+                    $testStatus.removeClass('fds-status-info fds-status-error')
+                        .addClass('fds-status-success')
+                        .html('<span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message));
+                },
+                error: function(xhr, status, error) {
+                    $testButton.prop('disabled', false);
+                    
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    
+                    $testStatus.removeClass('fds-status-info fds-status-success')
+                        .addClass('fds-status-error')
+                        .html('<span class="dashicons dashicons-warning"></span> ' + escapeHtml(message));
+                }
+            });
+        });
+    }
+
+    /**
+     * Initialize the offloaded files re-download
+     */
+    function initOffload() {
+        const $restoreButton = $('#fds-restore-offloaded');
+        const $restoreStatus = $('#fds-restore-offloaded-status');
+        
+        if (!$restoreButton.length) return;
+        
+        $restoreButton.on('click', function() {
+            if ($restoreButton.prop('disabled')) return;
+            
+            if (!confirm('Download every offloaded file back to the server? Make sure there is enough disk space.')) return;
+            
+            $restoreButton.prop('disabled', true);
+            $restoreStatus.removeClass('fds-status-success fds-status-error')
+                .addClass('fds-status-info')
+                .html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear;"></span> Queueing files...');
+            
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/offload/restore',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    $restoreStatus.removeClass('fds-status-info fds-status-error')
+                        .addClass('fds-status-success')
+                        .html('<span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message));
+                },
+                error: function(xhr, status, error) {
+                    $restoreButton.prop('disabled', false);
+                    
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    
+                    $restoreStatus.removeClass('fds-status-info fds-status-success')
+                        .addClass('fds-status-error')
+                        .html('<span class="dashicons dashicons-warning"></span> ' + escapeHtml(message));
+                }
+            });
+        });
+    }
+
+    /**
+     * Initialize the sync root browser for team spaces and shared folders
+     */
+    function initNamespaceBrowser() {
+        const $namespaceBody = $('#fds-namespace-tbody');
+        const $status = $('#fds-namespace-status');
+        const typeLabels = {
+            home: 'Personal',
+            team: 'Team space',
+            shared: 'Shared folder',
+            team_folder: 'Team folder'
+        };
+        
+        if (!$namespaceBody.length) return;
+        
+        loadNamespaces();
+        
+        $namespaceBody.on('click', '.fds-use-namespace', function() {
+            if (actionInProgress) return;
+            
+            const $button = $(this);
+            
+            if (!confirm('Sync with ' + $button.data('name') + ' from now on? Change tracking restarts, run a full sync afterwards.')) {
+                return;
+            }
+            
+            useNamespace($button, false);
+        });
+        
+        function useNamespace($button, clearMappings) {
+            actionInProgress = true;
+            $namespaceBody.find('.fds-use-namespace').prop('disabled', true);
+            showStatus('info', '<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Changing the sync root...');
+            
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/namespaces',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    type: $button.data('type'),
+                    namespace_id: $button.attr('data-id'),
+                    clear_mappings: clearMappings ? 1 : 0
+                },
+                success: function(response) {
+                    actionInProgress = false;
+                    $('#fds-namespace-current').text(response.current.name);
+                    showStatus('success', '<span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message));
+                    loadNamespaces();
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+                    $namespaceBody.find('.fds-use-namespace').prop('disabled', false);
+                    
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    
+                    // Existing mappings point to the old sync root, ask before forgetting them
+                    if (xhr.status === 409 && xhr.responseJSON && xhr.responseJSON.requires_confirmation) {
+                        $status.hide();
+                        
+                        if (confirm(message + '\n\nChange the sync root anyway?')) {
+                            useNamespace($button, true);
+                        }
+                        return;
+                    }
+                    
+                    showStatus('error', '<span class="dashicons dashicons-warning"></span> ' + escapeHtml(message));
+                }
+            });
+        }
+        
+        function loadNamespaces() {
+            $namespaceBody.html('<tr><td colspan="4"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading team spaces and shared folders...</td></tr>');
+            
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/namespaces',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    renderNamespaces(response.namespaces, response.current);
+                },
+                error: function(xhr, status, error) {
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    $namespaceBody.html('<tr><td colspan="4">' + escapeHtml(message) + '</td></tr>');
+                }
+            });
+        }
+        
+        function renderNamespaces(namespaces, current) {
+            let html = '';
+            
+            namespaces.forEach(function(namespace) {
+                const isCurrent = namespace.type === current.type && namespace.namespace_id === current.namespace_id;
+                const type = namespace.team_folder ? 'team_folder' : namespace.type;
+                
+                html += '<tr>';
+                html += '<td>' + escapeHtml(namespace.name) + '</td>';
+                html += '<td>' + typeLabels[type] + '</td>';
+                html += '<td>' + (namespace.path ? '<code>' + escapeHtml(namespace.path) + '</code>' : '&mdash;') + '</td>';
+                html += '<td>';
+                
+                if (isCurrent) {
+                    html += '<span class="fds-namespace-current-badge">Current</span>';
+                } else {
+                    html += '<button type="button" class="button button-small fds-use-namespace" data-type="' + escapeHtml(namespace.type) + '" data-id="' + escapeHtml(namespace.namespace_id) + '" data-name="' + escapeHtml(namespace.name) + '">Use as sync root</button>';
+                }
+                
+                html += '</td>';
+                html += '</tr>';
+            });
+            
+            $namespaceBody.html(html);
+        }
+        
+        function showStatus(type, html) {
+            $status.removeClass('notice-info notice-success notice-error')
+                .addClass('notice notice-' + type)
+                .html('<p>' + html + '</p>')
+                .show();
+        }
+    }
+
+    /**
+     * Initialize the folder mapping table
+     */
+    function initRootMappings() {
+        const $mappingsBody = $('#fds-mappings-tbody');
+        const $saveButton = $('#fds-save-mappings');
+        const $message = $('#fds-mappings-message');
+        
+        let folders = [];
+        let directions = {};
+        
+        if (!$mappingsBody.length) return;
+        
+        $.ajax({
+            url: fds_admin_vars.rest_url + '/root-mappings',
+            type: 'GET',
+            headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+            success: function(response) {
+                folders = response.folders || [];
+                directions = response.directions || {};
+                
+                $mappingsBody.empty();
+                
+                (response.mappings || []).forEach(function(mapping) {
+                    addMappingRow(mapping);
+                });
+                
+                updateEmptyRow();
+            },
+            error: function(xhr, status, error) {
+                $mappingsBody.html('<tr class="fds-mappings-empty"><td colspan="4"><span class="dashicons dashicons-warning"></span> ' + escapeHtml('Error loading folder mappings: ' + error) + '</td></tr>');
+                $saveButton.prop('disabled', true);
+            }
+        });
+        
+        $('#fds-add-mapping').on('click', function() {
+            const $row = addMappingRow({ folder_id: '', dropbox_path: '', direction: 'two_way' });
+            
+            updateEmptyRow();
+            $row.find('.fds-mapping-folder').focus();
+        });
+        
+        $mappingsBody.on('click', '.fds-remove-mapping', function() {
+            $(this).closest('.fds-mapping-row').remove();
+            updateEmptyRow();
+        });
+        
+        $saveButton.on('click', function() {
+            if (actionInProgress) return;
+            
+            const mappings = $mappingsBody.find('.fds-mapping-row').map(function() {
+                const $row = $(this);
+                
+                return {
+                    folder_id: $row.find('.fds-mapping-folder').val(),
+                    dropbox_path: $row.find('.fds-mapping-path').val(),
+                    direction: $row.find('.fds-mapping-direction').val()
+                };
+            }).get();
+            
+            actionInProgress = true;
+            $saveButton.prop('disabled', true);
+            $message.removeClass('notice-success notice-error')
+                .addClass('notice notice-info')
+                .html('<p><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Saving folder mappings...</p>')
+                .show();
+            
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/root-mappings',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                contentType: 'application/json',
+                data: JSON.stringify({ mappings: mappings }),
+                success: function(response) {
+                    $message.removeClass('notice-info notice-error')
+                        .addClass('notice-success')
+                        .html('<p><span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message) + '</p>');
+                },
+                error: function(xhr, status, error) {
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    
+                    $message.removeClass('notice-info notice-success')
+                        .addClass('notice-error')
+                        .html('<p><span class="dashicons dashicons-warning"></span> Error: ' + escapeHtml(message) + '</p>');
+                },
+                complete: function() {
+                    actionInProgress = false;
+                    $saveButton.prop('disabled', false);
+                }
+            });
+        });
+        
+        // Function to add one mapping row
+        function addMappingRow(mapping) {
+            let folderOptions = '<option value="">' + escapeHtml(fds_admin_vars.strings.choose_folder) + '</option>';
+            let directionOptions = '';
+            
+            folders.forEach(function(folder) {
+                folderOptions += '<option value="' + parseInt(folder.id, 10) + '"' + (parseInt(folder.id, 10) === parseInt(mapping.folder_id, 10) ? ' selected' : '') + '>' +
+                    escapeHtml(folder.name) + '</option>';
+            });
+            
+            $.each(directions, function(direction, label) {
+                directionOptions += '<option value="' + escapeHtml(direction) + '"' + (direction === mapping.direction ? ' selected' : '') + '>' +
+                    escapeHtml(label) + '</option>';
+            });
+            
+            const $row = $('<tr class="fds-mapping-row">' +
+                '<td><select class="fds-mapping-folder">' + folderOptions + '</select></td>' +
+                '<td><input type="text" class="fds-mapping-path" placeholder="/Shared Folder/Media" value="' + escapeHtml(mapping.dropbox_path || '') + '"></td>' +
+                '<td><select class="fds-mapping-direction">' + directionOptions + '</select></td>' +
+                '<td><button type="button" class="button-link fds-remove-mapping" title="Remove mapping"><span class="dashicons dashicons-no-alt"></span></button></td>' +
+                '</tr>');
+            
+            $mappingsBody.append($row);
+            
+            return $row;
+        }
+        
+        // Function to show a hint when there are no mappings
+        function updateEmptyRow() {
+            $mappingsBody.find('.fds-mappings-empty').remove();
+            
+            if (!$mappingsBody.find('.fds-mapping-row').length) {
+                $mappingsBody.append('<tr class="fds-mappings-empty"><td colspan="4">' + escapeHtml(fds_admin_vars.strings.no_mappings) + '</td></tr>');
+            }
+        }
+    }
+
+    /**
+     * Initialize logs handling with improved UX
+     */
+    function initLogsHandling() {
+        const $logLevelFilter = $('#fds-log-level-filter');
+        const $refreshLogsBtn = $('#fds-refresh-logs');
+        const $clearLogsBtn = $('#fds-clear-logs');
+        const $logsTable = $('.fds-logs-table');
+        const $logsBody = $('#fds-logs-tbody');
+        const $prevBtn = $('#fds-logs-prev');
+        const $nextBtn = $('#fds-logs-next');
+        const $pageInfo = $('#fds-logs-page-info');
+        const $componentFilter = $('#fds-log-component-filter');
+        const $logSearch = $('#fds-log-search');
+        const $dateFrom = $('#fds-log-date-from');
+        const $dateTo = $('#fds-log-date-to');
+        const $correlationKey = $('#fds-log-correlation-key');
+        const $correlationValue = $('#fds-log-correlation-value');
+        const $liveBtn = $('#fds-live-logs');
+        const $liveStatus = $('#fds-live-logs-status');
+        const $logsWrapper = $logsTable.closest('.fds-logs-table-wrapper');
+        
+        // Current page and logs state
+        let currentPage = 1;
+        let totalPages = 1;
+        let logsPerPage = 20;
+        let isLoadingLogs = false;
+        let searchTimer = null;
+        
+        // Live tail state
+        let isLive = false;
+        let liveTimer = null;
+        let liveRequest = 0;
+        let lastLogId = 0;
+        let liveBuffer = [];
+        let isHovering = false;
+        const maxLiveRows = 500;
+        
+        // Load logs if we're on the logs tab
+        if ($logsTable.length) {
+            loadLogs();
+            
+            // Event handlers
+            $logLevelFilter.add($componentFilter).add($dateFrom).add($dateTo).add($correlationKey).on('change', function() {
+                if ($(this).is($correlationKey) && !$correlationValue.val()) return;
+                
+                reloadLogs();
+            });
+            
+            $logSearch.add($correlationValue).on('input', function() {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(reloadLogs, 400);
+            });
+            
+            $liveBtn.on('click', function() {
+                if (isLive) {
+                    stopLiveTail();
+                } else {
+                    startLiveTail();
+                }
+            });
+            
+            // Hold new entries back while the user is reading
+            $logsWrapper.on('mouseenter', function() {
+                isHovering = true;
+            }).on('mouseleave', function() {
+                isHovering = false;
+                
+                if (isLive && liveBuffer.length) {
+                    appendLiveLogs(liveBuffer);
+                    liveBuffer = [];
+                    updateLiveStatus();
+                }
+            });
+            
+            $logsBody.on('click', '.fds-log-details-button', function(e) {
+                e.preventDefault();
+                
+                const context = $(this).data('context');
+                showLogDetailsPopup(context);
+            });
+            
+            // Download the filtered logs, the browser handles the streamed file
+            $('.fds-export-logs').on('click', function() {
+                const params = $.extend(getLogFilters(), {
+                    format: $(this).data('format'),
+                    _wpnonce: fds_admin_vars.rest_nonce
+                });
+                const exportUrl = fds_admin_vars.rest_url + '/logs/export';
+                
+                window.location.href = exportUrl + (exportUrl.indexOf('?') === -1 ? '?' : '&') + $.param(params);
+            });
+            
+            $refreshLogsBtn.on('click', function() {
+                if (isLoadingLogs || isLive) return;
+                loadLogs();
+            });
+            
+            $clearLogsBtn.on('click', function() {
+                if (isLoadingLogs) return;
+                
+                if (confirm('Are you sure you want to clear all logs? This cannot be undone.')) {
+                    isLoadingLogs = true;
+                    $clearLogsBtn.prop('disabled', true);
+                    $clearLogsBtn.html('<span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Clearing...');
+                    
+                    $.ajax({
+                        url: fds_admin_vars.ajax_url,
+                        type: 'POST',
+                        data: {
+                            action: 'fds_clear_logs',
+                            nonce: fds_admin_vars.nonce
+                        },
+                        success: function(response) {
+                            isLoadingLogs = false;
+                            $clearLogsBtn.prop('disabled', false);
+                            $clearLogsBtn.html('<span class="dashicons dashicons-trash" style="margin: 4px 5px 0 -5px;"></span> Clear Logs');
+                            
+                            if (response.success) {
+                                reloadLogs();
+                            } else {
+                                alert('Error clearing logs: ' + (response.data ? response.data.message : 'Unknown error'));
+                            }
+                        },
+                        error: function(xhr, status, error) {
+                            isLoadingLogs = false;
+                            $clearLogsBtn.prop('disabled', false);
+                            $clearLogsBtn.html('<span class="dashicons dashicons-trash" style="margin: 4px 5px 0 -5px;"></span> Clear Logs');
+                            alert('Error clearing logs: ' + error);
+                        }
+                    });
+                }
+            });
+            
+            $prevBtn.on('click', function() {
+                if (isLoadingLogs || isLive) return;
+                
+                if (currentPage > 1) {
+                    currentPage--;
+                    loadLogs();
+                }
+            });
+            
+            $nextBtn.on('click', function() {
+                if (isLoadingLogs || isLive) return;
                 
                 if (currentPage < totalPages) {
                     currentPage++;
@@ -508,151 +1587,1800 @@ function initClipboard() {
             });
         }
         
-        // Function to load logs with better feedback
-        function loadLogs() {
-            if (isLoadingLogs) return;
+        // Function to get the current log filters
+        function getLogFilters() {
+            return {
+                level: $logLevelFilter.val(),
+                component: $componentFilter.val(),
+                search: $logSearch.val(),
+                date_from: $dateFrom.val(),
+                date_to: $dateTo.val(),
+                correlation_key: $correlationKey.val(),
+                correlation_value: $.trim($correlationValue.val())
+            };
+        }
+        
+        // Function to reload the logs after the filters changed
+        function reloadLogs() {
+            if (isLive) {
+                restartLiveTail();
+            } else {
+                currentPage = 1;
+                loadLogs();
+            }
+        }
+        
+        // Function to start tailing new log entries
+        function startLiveTail() {
+            isLive = true;
+            $liveBtn.addClass('button-primary fds-live-active').attr('aria-pressed', 'true')
+                .html('<span class="dashicons dashicons-controls-pause" style="margin: 4px 5px 0 -5px;"></span> Stop Live');
+            $refreshLogsBtn.prop('disabled', true);
+            $prevBtn.prop('disabled', true);
+            $nextBtn.prop('disabled', true);
+            $pageInfo.text('Live');
+            $liveStatus.show();
+            
+            restartLiveTail();
+        }
+        
+        // Function to stop tailing and go back to the paged view
+        function stopLiveTail() {
+            isLive = false;
+            liveRequest++;
+            clearTimeout(liveTimer);
+            liveBuffer = [];
+            
+            $liveBtn.removeClass('button-primary fds-live-active').attr('aria-pressed', 'false')
+                .html('<span class="dashicons dashicons-controls-play" style="margin: 4px 5px 0 -5px;"></span> Live');
+            $liveStatus.hide().empty();
+            
+            currentPage = 1;
+            loadLogs();
+        }
+        
+        // Function to start the tail over, e.g. after a filter changed
+        function restartLiveTail() {
+            liveRequest++;
+            clearTimeout(liveTimer);
+            lastLogId = 0;
+            liveBuffer = [];
+            
+            $logsBody.html('<tr><td colspan="5" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Waiting for log entries...</td></tr>');
+            updateLiveStatus();
+            fetchLiveLogs();
+        }
+        
+        // Function to fetch the entries written since the last one shown
+        function fetchLiveLogs() {
+            const request = ++liveRequest;
+            
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/logs/tail',
+                type: 'GET',
+                data: $.extend(getLogFilters(), {
+                    after_id: lastLogId,
+                    limit: 50
+                }),
+                beforeSend: function(xhr) {
+                    xhr.setRequestHeader('X-WP-Nonce', fds_admin_vars.rest_nonce);
+                },
+                success: function(response) {
+                    // Stopped or restarted while the request was running
+                    if (!isLive || request !== liveRequest) return;
+                    
+                    lastLogId = parseInt(response.last_id) || lastLogId;
+                    
+                    if (response.logs && response.logs.length) {
+                        if (isHovering) {
+                            liveBuffer = liveBuffer.concat(response.logs);
+                        } else {
+                            appendLiveLogs(response.logs);
+                        }
+                    }
+                    
+                    updateLiveStatus();
+                    liveTimer = setTimeout(fetchLiveLogs, response.has_more ? 250 : 2000);
+                },
+                error: function(xhr, status, error) {
+                    if (!isLive || request !== liveRequest) return;
+                    
+                    updateLiveStatus('Error loading logs: ' + (xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error) + '. Retrying...');
+                    liveTimer = setTimeout(fetchLiveLogs, 5000);
+                }
+            });
+        }
+        
+        // Function to add tailed entries below the ones already shown
+        function appendLiveLogs(logs) {
+            const wrapper = $logsWrapper.get(0);
+            
+            $logsBody.find('.fds-loading-logs').closest('tr').remove();
+            $logsBody.append($(renderLogRows(logs)).addClass('fds-log-row-new'));
+            
+            // Keep the table from growing forever
+            const $rows = $logsBody.children('tr');
+            if ($rows.length > maxLiveRows) {
+                $rows.slice(0, $rows.length - maxLiveRows).remove();
+            }
+            
+            if (wrapper) {
+                wrapper.scrollTop = wrapper.scrollHeight;
+            }
+        }
+        
+        // Function to show what the tail is doing
+        function updateLiveStatus(error) {
+            if (!isLive) return;
+            
+            if (error) {
+                $liveStatus.attr('class', 'fds-live-logs-status notice notice-error').html('<p><span class="dashicons dashicons-warning"></span> ' + escapeHtml(error) + '</p>');
+                return;
+            }
+            
+            let message = '<span class="fds-live-indicator"></span> Live: showing new entries as they are written.';
+            
+            if (liveBuffer.length) {
+                message = '<span class="dashicons dashicons-controls-pause"></span> Paused while hovering, ' + liveBuffer.length + ' new ' + (liveBuffer.length === 1 ? 'entry' : 'entries') + ' waiting.';
+            }
+            
+            $liveStatus.attr('class', 'fds-live-logs-status notice notice-info').html('<p>' + message + '</p>');
+        }
+        
+        // Function to list the components that have logged something
+        function renderComponents(components) {
+            const selected = $componentFilter.val();
+            
+            $componentFilter.find('option:not(:first)').remove();
+            
+            (components || []).forEach(function(component) {
+                $componentFilter.append($('<option></option>').val(component).text(component.replace(/_/g, ' ')));
+            });
+            
+            $componentFilter.val(selected);
+        }
+        
+        // Function to load logs with better feedback
+        function loadLogs() {
+            if (isLoadingLogs) return;
+            
+            isLoadingLogs = true;
+            $logsBody.html('<tr><td colspan="5" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading logs...</td></tr>');
+            $refreshLogsBtn.prop('disabled', true);
+            $prevBtn.prop('disabled', true);
+            $nextBtn.prop('disabled', true);
+            
+            $.ajax({
+                url: fds_admin_vars.ajax_url,
+                type: 'POST',
+                data: $.extend(getLogFilters(), {
+                    action: 'fds_get_logs',
+                    nonce: fds_admin_vars.nonce,
+                    page: currentPage,
+                    per_page: logsPerPage
+                }),
+                success: function(response) {
+                    isLoadingLogs = false;
+                    $refreshLogsBtn.prop('disabled', false);
+                    
+                    if (response.success) {
+                        const logs = response.data.logs;
+                        const total = parseInt(response.data.total) || 0;
+                        
+                        renderComponents(response.data.components);
+                        
+                        // Calculate total pages
+                        totalPages = Math.ceil(total / logsPerPage);
+                        if (totalPages === 0) totalPages = 1;
+                        
+                        // Update page info
+                        $pageInfo.text('Page ' + currentPage + ' of ' + totalPages + ' (' + total + ' logs)');
+                        
+                        // Update pagination buttons
+                        $prevBtn.prop('disabled', currentPage <= 1);
+                        $nextBtn.prop('disabled', currentPage >= totalPages);
+                        
+                        if (logs && logs.length > 0) {
+                            renderLogs(logs);
+                        } else {
+                            $logsBody.html('<tr><td colspan="5" class="fds-loading-logs"><span class="dashicons dashicons-info"></span> No logs found matching your criteria.</td></tr>');
+                        }
+                    } else {
+                        $logsBody.html('<tr><td colspan="5" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading logs: ' + 
+                            (response.data ? response.data.message : 'Unknown error') + '</td></tr>');
+                    }
+                },
+                error: function(xhr, status, error) {
+                    isLoadingLogs = false;
+                    $refreshLogsBtn.prop('disabled', false);
+                    $logsBody.html('<tr><td colspan="5" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading logs: ' + error + '</td></tr>');
+                }
+            });
+        }
+        
+        // Function to render logs in the table
+        function renderLogs(logs) {
+            $logsBody.html(renderLogRows(logs));
+        }
+        
+        // Function to build the table rows for logs
+        function renderLogRows(logs) {
+            const errorLevels = ['error', 'critical', 'alert', 'emergency'];
+            let html = '';
+            
+            logs.forEach(function(log) {
+                let context = '';
+                try {
+                    if (log.context) {
+                        // First try to parse as JSON (if it's stored as a JSON string)
+                        let contextObj;
+                        
+                        if (typeof log.context === 'string') {
+                            // Try to parse the string as JSON
+                            try {
+                                contextObj = JSON.parse(log.context);
+                            } catch (jsonError) {
+                                // If JSON parsing fails, try to unserialize if it looks like serialized PHP
+                                if (log.context.indexOf('a:') === 0 || log.context.indexOf('s:') === 0 || 
+                                    log.context.indexOf('i:') === 0 || log.context.indexOf('b:') === 0) {
+                                    // This looks like serialized PHP data - we'll just show it as is
+                                    contextObj = {
+                                        note: 'Serialized PHP data',
+                                        raw: log.context.substring(0, 200) + (log.context.length > 200 ? '...' : '')
+                                    };
+                                } else {
+                                    // Not JSON or serialized PHP, just use as plain text
+                                    contextObj = { text: log.context };
+                                }
+                            }
+                        } else {
+                            contextObj = log.context;
+                        }
+                        
+                        // Now format the context for display with proper escaping
+                        context = '<a href="#" class="fds-log-details-button" data-context=\'' + 
+                            escapeHtml(JSON.stringify(contextObj, null, 2)) + '\'>View Details</a>';
+                    } else {
+                        context = 'N/A';
+                    }
+                } catch (e) {
+                    // Provide more useful debug info
+                    context = 'Invalid data: ' + e.message;
+                    console.error('Error processing log context:', e, log);
+                }
+                
+                html += '<tr class="' + (errorLevels.indexOf(log.level) !== -1 ? 'fds-log-row-error' : '') + '">' +
+                    '<td>' + log.created_at + '</td>' +
+                    '<td><span class="log-level log-level-' + log.level + '">' + log.level + '</span></td>' +
+                    '<td>' + escapeHtml((log.component || '').replace(/_/g, ' ')) + '</td>' +
+                    '<td>' + escapeHtml(log.message) + '</td>' +
+                    '<td>' + context + '</td>' +
+                    '</tr>';
+            });
+            
+            return html;
+        }
+        
+        // Function to show log details popup
+        function showLogDetailsPopup(context) {
+            // Create popup
+            const $backdrop = $('<div class="fds-log-details-backdrop"></div>');
+            const $popup = $('<div class="fds-log-details-popup">' +
+                '<div class="fds-log-details-close">&times;</div>' +
+                '<h3>Log Details</h3>' +
+                '<div class="fds-log-details-content"></div>' +
+                '</div>');
+            
+            // Add content
+            $popup.find('.fds-log-details-content').text(typeof context === 'string' ? context : JSON.stringify(context, null, 2));
+            
+            // Add to body
+            $('body').append($backdrop).append($popup);
+            
+            // Close handlers
+            $backdrop.on('click', closePopup);
+            $popup.find('.fds-log-details-close').on('click', closePopup);
+            
+            function closePopup() {
+                $backdrop.remove();
+                $popup.remove();
+            }
+        }
+    }
+
+    /**
+     * Initialize the conflict resolution center
+     */
+    function initConflictCenter() {
+        const $conflictsBody = $('#fds-conflicts-tbody');
+        const $conflictStatus = $('#fds-conflict-status');
+        const $prevBtn = $('#fds-conflicts-prev');
+        const $nextBtn = $('#fds-conflicts-next');
+        const $pageInfo = $('#fds-conflicts-page-info');
+        const $selectAll = $('#fds-conflict-select-all');
+
+        let currentPage = 1;
+        let totalPages = 1;
+        let isLoadingConflicts = false;
+        let searchTimer = null;
+
+        const resolutionLabels = {
+            keep_wordpress: 'Keep WordPress',
+            keep_dropbox: 'Keep Dropbox',
+            keep_both: 'Keep both'
+        };
+
+        if (!$conflictsBody.length) return;
+
+        loadConflicts();
+
+        $('#fds-conflict-status-filter').on('change', function() {
+            currentPage = 1;
+            loadConflicts();
+        });
+
+        $('#fds-conflict-search').on('input', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                currentPage = 1;
+                loadConflicts();
+            }, 400);
+        });
+
+        $prevBtn.on('click', function() {
+            if (isLoadingConflicts || currentPage <= 1) return;
+            currentPage--;
+            loadConflicts();
+        });
+
+        $nextBtn.on('click', function() {
+            if (isLoadingConflicts || currentPage >= totalPages) return;
+            currentPage++;
+            loadConflicts();
+        });
+
+        $selectAll.on('change', function() {
+            $('.fds-conflict-select').prop('checked', $(this).is(':checked'));
+        });
+
+        // Per-row actions
+        $conflictsBody.on('click', '.fds-conflict-resolve', function(e) {
+            e.preventDefault();
+            resolveConflicts($(this).data('resolution'), [$(this).data('id')]);
+        });
+
+        $conflictsBody.on('click', '.fds-conflict-preview', function(e) {
+            e.preventDefault();
+            showConflictPreview($(this).data('id'));
+        });
+
+        // Bulk actions
+        $('#fds-conflict-bulk-apply').on('click', function() {
+            const resolution = $('#fds-conflict-bulk-action').val();
+            const ids = $('.fds-conflict-select:checked').map(function() {
+                return $(this).val();
+            }).get();
+
+            if (!resolution) return;
+
+            if (ids.length === 0) {
+                alert('Please select at least one conflict.');
+                return;
+            }
+
+            resolveConflicts(resolution, ids);
+        });
+
+        // Function to load conflicts
+        function loadConflicts() {
+            if (isLoadingConflicts) return;
+
+            isLoadingConflicts = true;
+            $conflictsBody.html('<tr><td colspan="6" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading conflicts...</td></tr>');
+            $prevBtn.prop('disabled', true);
+            $nextBtn.prop('disabled', true);
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/conflicts',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    page: currentPage,
+                    per_page: 20,
+                    status: $('#fds-conflict-status-filter').val(),
+                    search: $('#fds-conflict-search').val()
+                },
+                success: function(response) {
+                    isLoadingConflicts = false;
+                    totalPages = parseInt(response.total_pages) || 1;
+
+                    $pageInfo.text('Page ' + currentPage + ' of ' + totalPages + ' (' + response.total + ' conflicts)');
+                    $prevBtn.prop('disabled', currentPage <= 1);
+                    $nextBtn.prop('disabled', currentPage >= totalPages);
+                    $selectAll.prop('checked', false);
+
+                    if (response.conflicts && response.conflicts.length > 0) {
+                        renderConflicts(response.conflicts);
+                    } else {
+                        $conflictsBody.html('<tr><td colspan="6" class="fds-loading-logs"><span class="dashicons dashicons-yes-alt"></span> No conflicts found.</td></tr>');
+                    }
+                },
+                error: function(xhr, status, error) {
+                    isLoadingConflicts = false;
+                    $conflictsBody.html('<tr><td colspan="6" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading conflicts: ' + escapeHtml(error) + '</td></tr>');
+                }
+            });
+        }
+
+        // Function to render conflicts in the table
+        function renderConflicts(conflicts) {
+            let html = '';
+
+            conflicts.forEach(function(conflict) {
+                let actions = '<a href="#" class="fds-conflict-preview" data-id="' + conflict.id + '">Preview</a>';
+
+                if (conflict.status === 'open') {
+                    Object.keys(resolutionLabels).forEach(function(resolution) {
+                        actions += '<br><a href="#" class="fds-conflict-resolve" data-resolution="' + resolution + '" data-id="' + conflict.id + '">' + resolutionLabels[resolution] + '</a>';
+                    });
+                } else {
+                    actions += '<br><em>' + escapeHtml(resolutionLabels[conflict.resolution] || conflict.resolution || '') + '</em>';
+                }
+
+                const thumbnail = conflict.thumbnail ? '<img src="' + escapeHtml(conflict.thumbnail) + '" alt="" class="fds-conflict-thumb">' : '';
+                const title = conflict.edit_link
+                    ? '<a href="' + escapeHtml(conflict.edit_link) + '" target="_blank">' + escapeHtml(conflict.title) + '</a>'
+                    : escapeHtml(conflict.title);
+
+                html += '<tr>' +
+                    '<td class="check-column">' + (conflict.status === 'open' ? '<input type="checkbox" class="fds-conflict-select" value="' + conflict.id + '">' : '') + '</td>' +
+                    '<td class="fds-conflict-file">' + thumbnail + '<strong>' + title + '</strong><br><code>' + escapeHtml(conflict.dropbox_path) + '</code></td>' +
+                    '<td>' + renderVersion(conflict.wordpress) + '</td>' +
+                    '<td>' + renderVersion(conflict.dropbox) + '</td>' +
+                    '<td>' + escapeHtml(conflict.created_at) + '</td>' +
+                    '<td class="fds-queue-actions">' + actions + '</td>' +
+                    '</tr>';
+            });
+
+            $conflictsBody.html(html);
+        }
+
+        // Function to render one side of a conflict
+        function renderVersion(version) {
+            return '<div class="fds-conflict-version">' +
+                '<span>Size: ' + escapeHtml(formatBytes(version.size)) + '</span>' +
+                '<span>Modified: ' + escapeHtml(version.modified || '-') + ' UTC</span>' +
+                '<span title="' + escapeHtml(version.hash || '') + '">Hash: <code>' + escapeHtml((version.hash || '').substring(0, 12)) + '</code></span>' +
+                '</div>';
+        }
+
+        // Function to resolve one or more conflicts
+        function resolveConflicts(resolution, ids) {
+            if (!confirm('Apply "' + resolutionLabels[resolution] + '" to ' + ids.length + ' conflict(s)? The other version will be overwritten.')) {
+                return;
+            }
+
+            $conflictStatus.removeClass('notice-success notice-error')
+                .addClass('notice notice-info')
+                .html('<p><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Resolving conflicts...</p>')
+                .show();
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/conflicts/resolve',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: { resolution: resolution, ids: ids },
+                success: function(response) {
+                    $conflictStatus.removeClass('notice-info notice-error')
+                        .addClass('notice-success')
+                        .html('<p><span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message) + '</p>');
+
+                    loadConflicts();
+                },
+                error: function(xhr, status, error) {
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $conflictStatus.removeClass('notice-info notice-success')
+                        .addClass('notice-error')
+                        .html('<p><span class="dashicons dashicons-warning"></span> Error: ' + escapeHtml(message) + '</p>');
+                }
+            });
+        }
+
+        // Function to show both versions side by side
+        function showConflictPreview(id) {
+            const $backdrop = $('<div class="fds-log-details-backdrop"></div>');
+            const $popup = $('<div class="fds-log-details-popup">' +
+                '<div class="fds-log-details-close">&times;</div>' +
+                '<h3>Compare Versions</h3>' +
+                '<div class="fds-conflict-preview-grid"><p class="fds-loading-logs">Loading preview...</p></div>' +
+                '</div>');
+
+            $('body').append($backdrop).append($popup);
+
+            $backdrop.on('click', closePopup);
+            $popup.find('.fds-log-details-close').on('click', closePopup);
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/conflicts/' + parseInt(id, 10) + '/preview',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    $popup.find('.fds-conflict-preview-grid').html(
+                        renderPreviewSide('WordPress', response.wordpress_url, response.is_image) +
+                        renderPreviewSide('Dropbox', response.dropbox_url, response.is_image)
+                    );
+                },
+                error: function(xhr, status, error) {
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    $popup.find('.fds-conflict-preview-grid').html('<p class="fds-loading-logs">Error loading preview: ' + escapeHtml(message) + '</p>');
+                }
+            });
+
+            function closePopup() {
+                $backdrop.remove();
+                $popup.remove();
+            }
+        }
+
+        // Function to render one side of the preview
+        function renderPreviewSide(label, url, isImage) {
+            let content = '<em>Preview not available.</em>';
+
+            if (url && isImage) {
+                content = '<a href="' + escapeHtml(url) + '" target="_blank"><img src="' + escapeHtml(url) + '" alt=""></a>';
+            } else if (url) {
+                content = '<a href="' + escapeHtml(url) + '" target="_blank" class="button button-secondary">Open ' + label + ' version</a>';
+            }
+
+            return '<div class="fds-conflict-preview-side"><h4>' + label + '</h4>' + content + '</div>';
+        }
+    }
+
+    /**
+     * Initialize the recently deleted view
+     */
+    function initTrash() {
+        const $trashBody = $('#fds-trash-tbody');
+        const $trashStatus = $('#fds-trash-status');
+        const $prevBtn = $('#fds-trash-prev');
+        const $nextBtn = $('#fds-trash-next');
+        const $pageInfo = $('#fds-trash-page-info');
+
+        let currentPage = 1;
+        let totalPages = 1;
+        let isLoadingItems = false;
+        let searchTimer = null;
+
+        if (!$trashBody.length) return;
+
+        loadDeletedItems();
+
+        $('#fds-trash-search').on('input', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                currentPage = 1;
+                loadDeletedItems();
+            }, 400);
+        });
+
+        $prevBtn.on('click', function() {
+            if (isLoadingItems || currentPage <= 1) return;
+            currentPage--;
+            loadDeletedItems();
+        });
+
+        $nextBtn.on('click', function() {
+            if (isLoadingItems || currentPage >= totalPages) return;
+            currentPage++;
+            loadDeletedItems();
+        });
+
+        $trashBody.on('click', '.fds-trash-restore', function(e) {
+            e.preventDefault();
+            restoreItem($(this));
+        });
+
+        // Function to load deleted items
+        function loadDeletedItems() {
+            if (isLoadingItems) return;
+
+            isLoadingItems = true;
+            $trashBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading deleted items...</td></tr>');
+            $prevBtn.prop('disabled', true);
+            $nextBtn.prop('disabled', true);
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/trash',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    page: currentPage,
+                    per_page: 20,
+                    search: $('#fds-trash-search').val()
+                },
+                success: function(response) {
+                    isLoadingItems = false;
+                    totalPages = parseInt(response.total_pages) || 1;
+
+                    $pageInfo.text('Page ' + currentPage + ' of ' + totalPages + ' (' + response.total + ' items)');
+                    $prevBtn.prop('disabled', currentPage <= 1);
+                    $nextBtn.prop('disabled', currentPage >= totalPages);
+
+                    if (response.items && response.items.length > 0) {
+                        renderDeletedItems(response.items);
+                    } else {
+                        $trashBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-yes-alt"></span> No deleted items found.</td></tr>');
+                    }
+                },
+                error: function(xhr, status, error) {
+                    isLoadingItems = false;
+                    $trashBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading deleted items: ' + escapeHtml(error) + '</td></tr>');
+                }
+            });
+        }
+
+        // Function to render deleted items in the table
+        function renderDeletedItems(items) {
+            let html = '';
+
+            items.forEach(function(item) {
+                const icon = item.item_type === 'folder' ? 'dashicons-category' : 'dashicons-media-default';
+                let details = item.item_type === 'folder' ? 'Folder' : 'File';
+
+                if (item.item_type === 'folder' && item.files !== null) {
+                    details += ', ' + item.files + ' file(s)';
+                }
+
+                const action = item.restored_at
+                    ? '<em>Restored ' + escapeHtml(item.restored_at) + '</em>'
+                    : '<a href="#" class="fds-trash-restore" data-id="' + item.id + '" data-name="' + escapeHtml(item.name) + '">Restore</a>';
+
+                html += '<tr>' +
+                    '<td class="fds-trash-item"><span class="dashicons ' + icon + '"></span> <strong>' + escapeHtml(item.name) + '</strong><br><small>' + details + '</small></td>' +
+                    '<td><code>' + escapeHtml(item.dropbox_path) + '</code></td>' +
+                    '<td>' + escapeHtml(item.deleted_at) + '</td>' +
+                    '<td class="fds-queue-actions">' + action + '</td>' +
+                    '</tr>';
+            });
+
+            $trashBody.html(html);
+        }
+
+        // Function to restore a deleted item
+        function restoreItem($link) {
+            if (actionInProgress) return;
+
+            if (!confirm('Restore "' + $link.data('name') + '" to its previous Dropbox path?')) {
+                return;
+            }
+
+            actionInProgress = true;
+
+            $trashStatus.removeClass('notice-success notice-error')
+                .addClass('notice notice-info')
+                .html('<p><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Restoring from Dropbox...</p>')
+                .show();
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/trash/' + parseInt($link.data('id'), 10) + '/restore',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    actionInProgress = false;
+
+                    $trashStatus.removeClass('notice-info notice-error')
+                        .addClass('notice-success')
+                        .html('<p><span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message) + '</p>');
+
+                    loadDeletedItems();
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $trashStatus.removeClass('notice-info notice-success')
+                        .addClass('notice-error')
+                        .html('<p><span class="dashicons dashicons-warning"></span> Error: ' + escapeHtml(message) + '</p>');
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize the side-by-side FileBird and Dropbox folder tree
+     */
+    function initFolderTree() {
+        const $treeBody = $('#fds-tree-tbody');
+        const $treeStatus = $('#fds-tree-status');
+        const $summary = $('#fds-tree-summary');
+        const $differencesOnly = $('#fds-tree-differences');
+        const $refreshBtn = $('#fds-refresh-tree');
+
+        let nodes = [];
+        let statuses = {};
+        let collapsed = {};
+        let isLoadingTree = false;
+        let $menu = null;
+
+        if (!$treeBody.length) return;
+
+        loadTree();
+
+        $refreshBtn.on('click', function() {
+            loadTree(true);
+        });
+        $differencesOnly.on('change', renderTree);
+
+        $treeBody.on('click', '.fds-tree-toggle', function(e) {
+            e.preventDefault();
+
+            const key = $(this).closest('tr').data('key');
+            collapsed[key] = !collapsed[key];
+            renderTree();
+        });
+
+        $treeBody.on('contextmenu', 'tr[data-key]', function(e) {
+            e.preventDefault();
+            showMenu($(this), e.pageX, e.pageY);
+        });
+
+        $treeBody.on('click', '.fds-tree-menu-button', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const offset = $(this).offset();
+            showMenu($(this).closest('tr'), offset.left, offset.top + $(this).outerHeight());
+        });
+
+        $(document).on('click keydown', function(e) {
+            if (e.type === 'keydown' && e.key !== 'Escape') return;
+            hideMenu();
+        });
+
+        // Function to compare both trees, Dropbox is listed again when refreshing
+        function loadTree(refresh) {
+            if (isLoadingTree) return;
+
+            isLoadingTree = true;
+            hideMenu();
+            $refreshBtn.prop('disabled', true);
+            $treeBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Comparing folder trees, this can take a moment for large Dropbox folders...</td></tr>');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/tree',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: refresh ? { refresh: 1 } : {},
+                success: function(response) {
+                    isLoadingTree = false;
+                    $refreshBtn.prop('disabled', false);
+
+                    nodes = response.nodes || [];
+                    statuses = response.statuses || {};
+
+                    renderSummary(response.summary || {}, response.listed_at);
+                    renderTree();
+                },
+                error: function(xhr, status, error) {
+                    isLoadingTree = false;
+                    $refreshBtn.prop('disabled', false);
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $summary.empty();
+                    $treeBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error comparing folder trees: ' + escapeHtml(message) + '</td></tr>');
+                }
+            });
+        }
+
+        // Function to show how many folders have each status
+        function renderSummary(summary, listedAt) {
+            const parts = [];
+
+            $.each(statuses, function(status, label) {
+                parts.push('<span class="fds-tree-status fds-tree-status-' + status + '">' + escapeHtml(label) + ': ' + (parseInt(summary[status]) || 0) + '</span>');
+            });
+
+            if (listedAt) {
+                parts.push('<small>Dropbox listed ' + escapeHtml(listedAt) + '</small>');
+            }
+
+            $summary.html(parts.join(' '));
+        }
+
+        // Function to render both trees row by row
+        function renderTree() {
+            const differences = {};
+            const hidden = {};
+            let html = '';
+
+            // Keep the parents of differing folders visible when filtering
+            for (let i = nodes.length - 1; i >= 0; i--) {
+                if (nodes[i].status !== 'matched' || differences[nodes[i].key]) {
+                    differences[nodes[i].key] = true;
+                    differences[nodes[i].parent] = true;
+                }
+            }
+
+            nodes.forEach(function(node) {
+                if (hidden[node.parent] || collapsed[node.parent]) {
+                    hidden[node.key] = true;
+                    return;
+                }
+
+                if ($differencesOnly.is(':checked') && !differences[node.key]) {
+                    hidden[node.key] = true;
+                    return;
+                }
+
+                const indent = 'padding-left: ' + (10 + node.depth * 20) + 'px;';
+                const toggle = node.has_children
+                    ? '<a href="#" class="fds-tree-toggle dashicons ' + (collapsed[node.key] ? 'dashicons-arrow-right' : 'dashicons-arrow-down') + '"></a>'
+                    : '<span class="fds-tree-toggle"></span>';
+                const wordpress = node.wordpress
+                    ? '<span class="dashicons dashicons-category"></span> ' + escapeHtml(node.wordpress.name)
+                    : '<span class="fds-tree-missing">&mdash;</span>';
+                const dropbox = node.dropbox
+                    ? '<span class="dashicons dashicons-open-folder"></span> <span title="' + escapeHtml(node.dropbox.path) + '">' + escapeHtml(node.dropbox.name) + '</span>'
+                    : '<span class="fds-tree-missing">&mdash;</span>';
+                const reason = node.reason ? '<br><small>' + escapeHtml(node.reason) + '</small>' : '';
+
+                html += '<tr class="fds-tree-row-' + node.status + '" data-key="' + escapeHtml(node.key) + '">' +
+                    '<td style="' + indent + '">' + toggle + wordpress + '</td>' +
+                    '<td style="' + indent + '">' + dropbox + '</td>' +
+                    '<td><span class="fds-tree-status fds-tree-status-' + node.status + '">' + escapeHtml(statuses[node.status] || node.status) + '</span>' + reason + '</td>' +
+                    '<td class="fds-queue-actions"><a href="#" class="fds-tree-menu-button dashicons dashicons-ellipsis" title="Sync this folder"></a></td>' +
+                    '</tr>';
+            });
+
+            $treeBody.html(html || '<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-yes-alt"></span> Both folder trees match.</td></tr>');
+        }
+
+        // Function to find a node by its key
+        function findNode(key) {
+            for (let i = 0; i < nodes.length; i++) {
+                if (nodes[i].key === key) return nodes[i];
+            }
+
+            return null;
+        }
+
+        // Function to show the sync menu of a folder
+        function showMenu($row, x, y) {
+            const node = findNode(String($row.data('key')));
+
+            if (!node) return;
+
+            hideMenu();
+
+            const actions = [];
+
+            if (node.status !== 'only_dropbox') {
+                actions.push({ direction: 'wordpress_to_dropbox', label: 'Sync this subtree to Dropbox' });
+            }
+
+            if (node.status !== 'only_wordpress') {
+                actions.push({ direction: 'dropbox_to_wordpress', label: 'Sync this subtree from Dropbox' });
+            }
+
+            if (actions.length > 1) {
+                actions.push({ direction: 'both', label: 'Sync this subtree both ways' });
+            }
+
+            $menu = $('<ul class="fds-tree-menu"></ul>').css({ left: x, top: y });
+
+            $menu.append($('<li class="fds-tree-menu-title"></li>').text(node.path));
+
+            actions.forEach(function(action) {
+                $('<li><a href="#"></a></li>')
+                    .find('a').text(action.label).on('click', function(e) {
+                        e.preventDefault();
+                        hideMenu();
+                        syncSubtree(node, action.direction);
+                    }).end()
+                    .appendTo($menu);
+            });
+
+            $menu.on('click', function(e) {
+                e.stopPropagation();
+            });
+
+            $('body').append($menu);
+        }
+
+        // Function to close the sync menu
+        function hideMenu() {
+            if ($menu) {
+                $menu.remove();
+                $menu = null;
+            }
+        }
+
+        // Function to queue a sync of a folder and everything below it
+        function syncSubtree(node, direction) {
+            if (actionInProgress) return;
+
+            actionInProgress = true;
+
+            $treeStatus.removeClass('notice-success notice-error')
+                .addClass('notice notice-info')
+                .html('<p><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Planning the sync of ' + escapeHtml(node.path) + '...</p>')
+                .show();
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/tree/sync',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    path: node.path,
+                    direction: direction
+                },
+                success: function(response) {
+                    actionInProgress = false;
+
+                    $treeStatus.removeClass('notice-info notice-error')
+                        .addClass('notice-success')
+                        .html('<p><span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message) + '</p>');
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $treeStatus.removeClass('notice-info notice-success')
+                        .addClass('notice-error')
+                        .html('<p><span class="dashicons dashicons-warning"></span> Error: ' + escapeHtml(message) + '</p>');
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize the sync health checks and their fixes
+     */
+    function initHealthChecks() {
+        const $healthBody = $('#fds-health-tbody');
+        const $healthStatus = $('#fds-health-status');
+        const $summary = $('#fds-health-summary');
+        const $runBtn = $('#fds-run-health');
+        const statusLabels = { pass: 'Pass', warn: 'Warning', fail: 'Fail' };
+
+        let isRunningChecks = false;
+
+        if (!$healthBody.length) return;
+
+        runChecks();
+
+        $runBtn.on('click', runChecks);
+
+        $healthBody.on('click', '.fds-health-fix', function(e) {
+            e.preventDefault();
+            applyFix($(this));
+        });
+
+        // Function to run every check
+        function runChecks() {
+            if (isRunningChecks) return;
+
+            isRunningChecks = true;
+            $runBtn.prop('disabled', true);
+            $healthBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Running health checks...</td></tr>');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/health',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    isRunningChecks = false;
+                    $runBtn.prop('disabled', false);
+
+                    renderChecks(response.checks || []);
+
+                    $summary.html($.map(['pass', 'warn', 'fail'], function(status) {
+                        return '<span class="fds-health-badge fds-health-' + status + '">' + statusLabels[status] + ': ' + (parseInt(response.summary[status]) || 0) + '</span>';
+                    }).join(' ') + ' <small>Checked ' + escapeHtml(response.checked_at) + '</small>');
+                },
+                error: function(xhr, status, error) {
+                    isRunningChecks = false;
+                    $runBtn.prop('disabled', false);
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $healthBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error running health checks: ' + escapeHtml(message) + '</td></tr>');
+                }
+            });
+        }
+
+        // Function to render the checks in the table
+        function renderChecks(checks) {
+            const icons = { pass: 'dashicons-yes-alt', warn: 'dashicons-warning', fail: 'dashicons-dismiss' };
+            let html = '';
+
+            checks.forEach(function(check) {
+                const fix = check.fix
+                    ? '<button type="button" class="button button-small fds-health-fix" data-fix="' + escapeHtml(check.fix) + '">' + escapeHtml(check.fix_label) + '</button>'
+                    : '';
+
+                html += '<tr class="fds-health-row-' + check.status + '">' +
+                    '<td><strong>' + escapeHtml(check.label) + '</strong></td>' +
+                    '<td><span class="fds-health-badge fds-health-' + check.status + '"><span class="dashicons ' + icons[check.status] + '"></span> ' + statusLabels[check.status] + '</span></td>' +
+                    '<td>' + escapeHtml(check.message) + '</td>' +
+                    '<td class="fds-queue-actions">' + fix + '</td>' +
+                    '</tr>';
+            });
+
+            $healthBody.html(html);
+        }
+
+        // Function to apply a fix and check again
+        function applyFix($button) {
+            if (actionInProgress) return;
+
+            actionInProgress = true;
+            $healthBody.find('.fds-health-fix').prop('disabled', true);
+
+            $healthStatus.removeClass('notice-success notice-error')
+                .addClass('notice notice-info')
+                .html('<p><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> ' + escapeHtml($button.text()) + '...</p>')
+                .show();
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/health/fix',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    fix: $button.data('fix')
+                },
+                success: function(response) {
+                    actionInProgress = false;
+
+                    $healthStatus.removeClass('notice-info notice-error')
+                        .addClass('notice-success')
+                        .html('<p><span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message) + '</p>');
+
+                    runChecks();
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+                    $healthBody.find('.fds-health-fix').prop('disabled', false);
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $healthStatus.removeClass('notice-info notice-success')
+                        .addClass('notice-error')
+                        .html('<p><span class="dashicons dashicons-warning"></span> Error: ' + escapeHtml(message) + '</p>');
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize the mapping reconciliation report
+     */
+    function initReconciliation() {
+        const $reconcileBody = $('#fds-reconcile-tbody');
+        const $reconcileStatus = $('#fds-reconcile-status');
+        const $summary = $('#fds-reconcile-summary');
+        const $typeFilter = $('#fds-reconcile-type');
+        const $operation = $('#fds-reconcile-operation');
+        const $applyBtn = $('#fds-reconcile-apply');
+        const $applyAllBtn = $('#fds-reconcile-apply-all');
+        const $runBtn = $('#fds-run-reconcile');
+        const $selectAll = $('#fds-reconcile-select-all');
+        const $prevBtn = $('#fds-reconcile-prev');
+        const $nextBtn = $('#fds-reconcile-next');
+        const $pageInfo = $('#fds-reconcile-page-info');
+
+        let currentPage = 1;
+        let totalPages = 1;
+        let problemTypes = {};
+        let isLoadingReport = false;
+        let runTimer = null;
+
+        if (!$reconcileBody.length) return;
+
+        loadReport();
+
+        $typeFilter.on('change', function() {
+            currentPage = 1;
+            updateOperations();
+            loadReport();
+        });
+
+        $prevBtn.on('click', function() {
+            if (currentPage > 1) {
+                currentPage--;
+                loadReport();
+            }
+        });
+
+        $nextBtn.on('click', function() {
+            if (currentPage < totalPages) {
+                currentPage++;
+                loadReport();
+            }
+        });
+
+        $selectAll.on('change', function() {
+            $reconcileBody.find('.fds-reconcile-select').prop('checked', $(this).is(':checked'));
+        });
+
+        $reconcileBody.on('change', '.fds-reconcile-select', function() {
+            const $boxes = $reconcileBody.find('.fds-reconcile-select');
+            $selectAll.prop('checked', $boxes.length > 0 && $boxes.filter(':checked').length === $boxes.length);
+        });
+
+        $runBtn.on('click', runReconciliation);
+
+        $applyBtn.on('click', function() {
+            const ids = $reconcileBody.find('.fds-reconcile-select:checked').map(function() {
+                return $(this).val();
+            }).get();
+
+            if (!ids.length) {
+                showStatus('error', 'Select at least one entry.');
+                return;
+            }
+
+            applyOperation({ ids: ids });
+        });
+
+        $applyAllBtn.on('click', function() {
+            const type = $typeFilter.val();
+
+            if (type && !confirm('Apply this action to every "' + problemTypes[type].label + '" entry in the report?')) {
+                return;
+            }
+
+            applyOperation({ all: 1 });
+        });
+
+        // Function to load a page of the last report
+        function loadReport() {
+            if (isLoadingReport) return;
+
+            isLoadingReport = true;
+            $selectAll.prop('checked', false);
+            $reconcileBody.html('<tr><td colspan="5" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading report...</td></tr>');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/reconcile',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    page: currentPage,
+                    per_page: 20,
+                    type: $typeFilter.val()
+                },
+                success: function(response) {
+                    isLoadingReport = false;
+                    problemTypes = response.types || {};
+                    totalPages = parseInt(response.total_pages) || 1;
+
+                    renderTypeFilter(response.counts || {});
+                    renderIssues(response.issues || [], response.generated_at);
+
+                    if (response.generated_at) {
+                        const problems = Object.keys(response.counts || {}).reduce(function(sum, type) {
+                            return sum + (parseInt(response.counts[type]) || 0);
+                        }, 0);
+
+                        $summary.html('<small>' + problems + ' problems in ' + (parseInt(response.checked) || 0) + ' mappings, checked ' + escapeHtml(response.generated_at) + '</small>');
+                    } else {
+                        $summary.empty();
+                    }
+
+                    $pageInfo.text('Page ' + currentPage + ' of ' + totalPages);
+                    $prevBtn.prop('disabled', currentPage <= 1);
+                    $nextBtn.prop('disabled', currentPage >= totalPages);
+
+                    // Follow a run started earlier, for example before a reload
+                    if (response.run && response.run.running && !runTimer) {
+                        $runBtn.prop('disabled', true);
+                        showStatus('info', response.run.message);
+                        watchRun();
+                    } else if (response.run && response.run.failed && !runTimer) {
+                        showStatus('error', response.run.message);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    isLoadingReport = false;
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $reconcileBody.html('<tr><td colspan="5" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading report: ' + escapeHtml(message) + '</td></tr>');
+                }
+            });
+        }
+
+        // Function to list the problem types with their counts
+        function renderTypeFilter(counts) {
+            const selected = $typeFilter.val();
+            let html = '<option value="">All problems</option>';
+
+            Object.keys(problemTypes).forEach(function(type) {
+                html += '<option value="' + escapeHtml(type) + '">' + escapeHtml(problemTypes[type].label) + ' (' + (parseInt(counts[type]) || 0) + ')</option>';
+            });
+
+            $typeFilter.html(html).val(selected);
+            updateOperations();
+        }
+
+        // Function to render the issues in the table
+        function renderIssues(issues, generatedAt) {
+            if (!issues.length) {
+                const message = generatedAt ? 'No problems found.' : 'No report yet. Run a reconciliation to check the file mappings.';
+                $reconcileBody.html('<tr><td colspan="5" class="fds-loading-logs">' + message + '</td></tr>');
+                return;
+            }
+
+            let html = '';
+
+            issues.forEach(function(issue) {
+                const type = problemTypes[issue.type] || { label: issue.type, description: '' };
+                const suggestion = issue.suggestion
+                    ? '<code>' + escapeHtml(issue.suggestion.dropbox_path) + '</code>'
+                    : '<span class="fds-reconcile-none">&mdash;</span>';
+
+                html += '<tr>' +
+                    '<td class="check-column"><input type="checkbox" class="fds-reconcile-select" value="' + parseInt(issue.attachment_id) + '"></td>' +
+                    '<td><strong>' + escapeHtml(issue.title) + '</strong><br><small>ID ' + parseInt(issue.attachment_id) + '</small></td>' +
+                    '<td><span class="fds-reconcile-type" title="' + escapeHtml(type.description) + '">' + escapeHtml(type.label) + '</span></td>' +
+                    '<td><code>' + escapeHtml(issue.dropbox_path) + '</code></td>' +
+                    '<td>' + suggestion + '</td>' +
+                    '</tr>';
+            });
+
+            $reconcileBody.html(html);
+        }
+
+        // Function to offer only the actions the selected problem type allows
+        function updateOperations() {
+            const type = $typeFilter.val();
+            const allowed = type && problemTypes[type] ? problemTypes[type].operations : [];
+
+            $operation.find('option').each(function() {
+                const value = $(this).val();
+                $(this).prop('disabled', value !== '' && allowed.indexOf(value) === -1);
+            });
+
+            if ($operation.find('option:selected').prop('disabled')) {
+                $operation.val('');
+            }
+
+            $operation.prop('disabled', !type);
+            $applyBtn.prop('disabled', !type);
+            $applyAllBtn.prop('disabled', !type);
+        }
+
+        // Function to reconcile every mapping again, the queue runs the checks
+        function runReconciliation() {
+            if (actionInProgress || runTimer) return;
+
+            actionInProgress = true;
+            $runBtn.prop('disabled', true);
+            showStatus('info', 'Starting the reconciliation...');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/reconcile',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    actionInProgress = false;
+                    showStatus('info', response.run.message);
+                    watchRun();
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+                    $runBtn.prop('disabled', false);
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    showStatus('error', 'Error: ' + message);
+                }
+            });
+        }
+
+        // Function to poll the run progress until the report is saved
+        function watchRun() {
+            runTimer = setTimeout(function() {
+                $.ajax({
+                    url: fds_admin_vars.rest_url + '/reconcile/run',
+                    type: 'GET',
+                    headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                    success: function(run) {
+                        if (run.running) {
+                            showStatus('info', run.message);
+                            watchRun();
+                            return;
+                        }
+
+                        runTimer = null;
+                        $runBtn.prop('disabled', false);
+                        showStatus(run.failed ? 'error' : 'success', run.message);
+
+                        currentPage = 1;
+                        loadReport();
+                    },
+                    error: function() {
+                        // Try again, the reconciliation carries on in the queue
+                        watchRun();
+                    }
+                });
+            }, 3000);
+        }
+
+        // Function to repair, relink or purge entries of the selected type
+        function applyOperation(target) {
+            if (actionInProgress) return;
+
+            if (!$operation.val()) {
+                showStatus('error', 'Choose an action to apply.');
+                return;
+            }
+
+            actionInProgress = true;
+            $applyBtn.prop('disabled', true);
+            $applyAllBtn.prop('disabled', true);
+            showStatus('info', 'Applying ' + $operation.find('option:selected').text().toLowerCase() + '...');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/reconcile/apply',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: $.extend({
+                    operation: $operation.val(),
+                    type: $typeFilter.val()
+                }, target),
+                success: function(response) {
+                    actionInProgress = false;
+                    showStatus(response.failed > 0 ? 'error' : 'success', response.message);
+
+                    loadReport();
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+                    updateOperations();
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    showStatus('error', 'Error: ' + message);
+                }
+            });
+        }
+
+        // Function to show a message above the report
+        function showStatus(type, message) {
+            const icons = { info: 'dashicons-update', success: 'dashicons-yes-alt', error: 'dashicons-warning' };
+            const spin = type === 'info' ? ' style="animation: rotation 2s infinite linear; margin-right: 5px;"' : '';
+
+            $reconcileStatus.removeClass('notice-info notice-success notice-error')
+                .addClass('notice notice-' + type)
+                .html('<p><span class="dashicons ' + icons[type] + '"' + spin + '></span> ' + escapeHtml(message) + '</p>')
+                .show();
+        }
+    }
+
+    /**
+     * Initialize the duplicate files report
+     */
+    function initDuplicates() {
+        const $duplicatesBody = $('#fds-duplicates-tbody');
+        const $duplicatesStatus = $('#fds-duplicates-status');
+        const $summary = $('#fds-duplicates-summary');
+        const $scanBtn = $('#fds-scan-duplicates');
+        const $prevBtn = $('#fds-duplicates-prev');
+        const $nextBtn = $('#fds-duplicates-next');
+        const $pageInfo = $('#fds-duplicates-page-info');
+
+        let currentPage = 1;
+        let totalPages = 1;
+        let isLoadingReport = false;
+        let scanTimer = null;
+
+        if (!$duplicatesBody.length) return;
+
+        loadReport();
+
+        $prevBtn.on('click', function() {
+            if (currentPage > 1) {
+                currentPage--;
+                loadReport();
+            }
+        });
+
+        $nextBtn.on('click', function() {
+            if (currentPage < totalPages) {
+                currentPage++;
+                loadReport();
+            }
+        });
+
+        $scanBtn.on('click', scanDuplicates);
+
+        $duplicatesBody.on('click', '.fds-merge-duplicates', function() {
+            const hash = $(this).attr('data-hash');
+            const keep = $duplicatesBody.find('input[name="fds-keep-' + hash + '"]:checked').val();
+            const others = $duplicatesBody.find('input[name="fds-keep-' + hash + '"]').length - 1;
+
+            if (!keep) {
+                showStatus('error', 'Choose the attachment to keep.');
+                return;
+            }
+
+            if (!confirm('Merge ' + others + ' attachment(s) into attachment ' + keep + '? The others are deleted, along with their Dropbox files.')) {
+                return;
+            }
+
+            mergeGroup(hash, keep, $(this));
+        });
+
+        // Function to load a page of the last report
+        function loadReport() {
+            if (isLoadingReport) return;
+
+            isLoadingReport = true;
+            $duplicatesBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading report...</td></tr>');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/duplicates',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    page: currentPage,
+                    per_page: 20
+                },
+                success: function(response) {
+                    isLoadingReport = false;
+                    totalPages = parseInt(response.total_pages) || 1;
+
+                    renderGroups(response.groups || [], response.generated_at);
+
+                    if (response.generated_at) {
+                        $summary.html('<small>' + (parseInt(response.total) || 0) + ' groups in ' + (parseInt(response.checked) || 0) + ' attachments, ' + escapeHtml(response.wasted) + ' in extra copies, checked ' + escapeHtml(response.generated_at) + '</small>');
+                    } else {
+                        $summary.empty();
+                    }
+
+                    $pageInfo.text('Page ' + currentPage + ' of ' + totalPages);
+                    $prevBtn.prop('disabled', currentPage <= 1);
+                    $nextBtn.prop('disabled', currentPage >= totalPages);
+
+                    // Follow a scan started earlier, for example before a reload
+                    if (response.scan && response.scan.running && !scanTimer) {
+                        $scanBtn.prop('disabled', true);
+                        showStatus('info', response.scan.message);
+                        watchScan();
+                    } else if (response.scan && response.scan.failed && !scanTimer) {
+                        showStatus('error', response.scan.message);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    isLoadingReport = false;
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $duplicatesBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading report: ' + escapeHtml(message) + '</td></tr>');
+                }
+            });
+        }
+
+        // Function to render the groups in the table
+        function renderGroups(groups, generatedAt) {
+            if (!groups.length) {
+                const message = generatedAt ? 'No duplicate files found.' : 'No report yet. Scan for duplicates to compare the files.';
+                $duplicatesBody.html('<tr><td colspan="4" class="fds-loading-logs">' + message + '</td></tr>');
+                return;
+            }
+
+            let html = '';
+
+            groups.forEach(function(group) {
+                const hash = escapeHtml(group.content_hash);
+                const count = group.attachments.length + group.dropbox_files.length;
+                const merge = group.attachments.length > 1
+                    ? '<button type="button" class="button button-secondary fds-merge-duplicates" data-hash="' + hash + '">Merge Attachments</button>'
+                    : '';
+
+                html += '<tr class="fds-duplicates-group">' +
+                    '<td colspan="4">' + merge + '<strong>' + count + ' identical files</strong> <small>' + formatBytes(group.size) + ' each &middot; <code title="Dropbox content hash">' + hash.substring(0, 12) + '</code></small></td>' +
+                    '</tr>';
+
+                group.attachments.forEach(function(attachment, index) {
+                    const id = parseInt(attachment.attachment_id);
+                    const thumb = attachment.thumbnail ? '<img class="fds-duplicates-thumb" src="' + escapeHtml(attachment.thumbnail) + '" alt="">' : '';
+                    const title = attachment.edit_url
+                        ? '<a href="' + escapeHtml(attachment.edit_url) + '" target="_blank">' + escapeHtml(attachment.title || ('#' + id)) + '</a>'
+                        : escapeHtml(attachment.title || ('#' + id));
+                    const path = attachment.dropbox_path
+                        ? '<code>' + escapeHtml(attachment.dropbox_path) + '</code>'
+                        : '<span class="fds-duplicates-none">Not synced</span>';
+
+                    html += '<tr>' +
+                        '<td class="fds-duplicates-keep"><input type="radio" name="fds-keep-' + hash + '" value="' + id + '"' + (index === 0 ? ' checked' : '') + '></td>' +
+                        '<td>' + thumb + '<strong>' + title + '</strong> <small>ID ' + id + '</small></td>' +
+                        '<td>' + path + '</td>' +
+                        '<td>' + formatBytes(attachment.size) + '</td>' +
+                        '</tr>';
+                });
+
+                group.dropbox_files.forEach(function(file) {
+                    html += '<tr class="fds-duplicates-dropbox">' +
+                        '<td class="fds-duplicates-keep"></td>' +
+                        '<td><span class="dashicons dashicons-cloud"></span><span class="fds-duplicates-none">Only in Dropbox</span></td>' +
+                        '<td><code>' + escapeHtml(file.dropbox_path) + '</code></td>' +
+                        '<td>' + formatBytes(file.size) + '</td>' +
+                        '</tr>';
+                });
+            });
+
+            $duplicatesBody.html(html);
+        }
+
+        // Function to group every file by content again, the queue runs the scan
+        function scanDuplicates() {
+            if (actionInProgress || scanTimer) return;
+
+            actionInProgress = true;
+            $scanBtn.prop('disabled', true);
+            showStatus('info', 'Starting the scan...');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/duplicates',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                success: function(response) {
+                    actionInProgress = false;
+                    showStatus('info', response.scan.message);
+                    watchScan();
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+                    $scanBtn.prop('disabled', false);
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    showStatus('error', 'Error: ' + message);
+                }
+            });
+        }
+
+        // Function to poll the scan progress until the scan is done
+        function watchScan() {
+            scanTimer = setTimeout(function() {
+                $.ajax({
+                    url: fds_admin_vars.rest_url + '/duplicates/scan',
+                    type: 'GET',
+                    headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                    success: function(scan) {
+                        if (scan.running) {
+                            showStatus('info', scan.message);
+                            watchScan();
+                            return;
+                        }
+
+                        scanTimer = null;
+                        $scanBtn.prop('disabled', false);
+                        showStatus(scan.failed ? 'error' : 'success', scan.message);
+
+                        currentPage = 1;
+                        loadReport();
+                    },
+                    error: function() {
+                        // Try again, the scan carries on in the queue
+                        watchScan();
+                    }
+                });
+            }, 3000);
+        }
+
+        // Function to merge the other attachments of a group into the kept one
+        function mergeGroup(hash, keep, $button) {
+            if (actionInProgress) return;
+
+            actionInProgress = true;
+            $button.prop('disabled', true);
+            showStatus('info', 'Merging attachments...');
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/duplicates/merge',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    content_hash: hash,
+                    keep: keep
+                },
+                success: function(response) {
+                    actionInProgress = false;
+                    showStatus(response.failed > 0 ? 'error' : 'success', response.message);
+
+                    loadReport();
+                },
+                error: function(xhr, status, error) {
+                    actionInProgress = false;
+                    $button.prop('disabled', false);
+
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    showStatus('error', 'Error: ' + message);
+                }
+            });
+        }
+
+        // Function to show a message above the report
+        function showStatus(type, message) {
+            const icons = { info: 'dashicons-update', success: 'dashicons-yes-alt', error: 'dashicons-warning' };
+            const spin = type === 'info' ? ' style="animation: rotation 2s infinite linear; margin-right: 5px;"' : '';
+
+            $duplicatesStatus.removeClass('notice-info notice-success notice-error')
+                .addClass('notice notice-' + type)
+                .html('<p><span class="dashicons ' + icons[type] + '"' + spin + '></span> ' + escapeHtml(message) + '</p>')
+                .show();
+        }
+    }
+
+    /**
+     * Initialize the sync run history
+     */
+    function initSyncHistory() {
+        const $historyBody = $('#fds-history-tbody');
+        const $triggerFilter = $('#fds-history-trigger');
+        const $throughputChart = $('#fds-throughput-chart');
+        const $errorChart = $('#fds-error-chart');
+        const $prevBtn = $('#fds-history-prev');
+        const $nextBtn = $('#fds-history-next');
+        const $pageInfo = $('#fds-history-page-info');
+        
+        let currentPage = 1;
+        let totalPages = 1;
+        let isLoadingHistory = false;
+        
+        if (!$historyBody.length) return;
+        
+        loadRuns();
+        loadStats();
+        
+        $triggerFilter.on('change', function() {
+            currentPage = 1;
+            loadRuns();
+        });
+        
+        $('#fds-refresh-history').on('click', function() {
+            loadRuns();
+            loadStats();
+        });
+        
+        $prevBtn.on('click', function() {
+            if (currentPage > 1) {
+                currentPage--;
+                loadRuns();
+            }
+        });
+        
+        $nextBtn.on('click', function() {
+            if (currentPage < totalPages) {
+                currentPage++;
+                loadRuns();
+            }
+        });
+        
+        // Function to load a page of runs
+        function loadRuns() {
+            if (isLoadingHistory) return;
             
-            isLoadingLogs = true;
-            $logsBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading logs...</td></tr>');
-            $refreshLogsBtn.prop('disabled', true);
-            $prevBtn.prop('disabled', true);
-            $nextBtn.prop('disabled', true);
+            isLoadingHistory = true;
+            $historyBody.html('<tr><td colspan="6" class="fds-loading-logs"><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Loading sync history...</td></tr>');
             
             $.ajax({
-                url: fds_admin_vars.ajax_url,
-                type: 'POST',
+                url: fds_admin_vars.rest_url + '/history',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
                 data: {
-                    action: 'fds_get_logs',
-                    nonce: fds_admin_vars.nonce,
-                    level: $logLevelFilter.val(),
                     page: currentPage,
-                    per_page: logsPerPage
+                    per_page: 20,
+                    trigger: $triggerFilter.val()
                 },
                 success: function(response) {
-                    isLoadingLogs = false;
-                    $refreshLogsBtn.prop('disabled', false);
+                    isLoadingHistory = false;
+                    totalPages = parseInt(response.total_pages) || 1;
                     
-                    if (response.success) {
-                        const logs = response.data.logs;
-                        const total = parseInt(response.data.total) || 0;
-                        
-                        // Calculate total pages
-                        totalPages = Math.ceil(total / logsPerPage);
-                        if (totalPages === 0) totalPages = 1;
-                        
-                        // Update page info
-                        $pageInfo.text('Page ' + currentPage + ' of ' + totalPages);
-                        
-                        // Update pagination buttons
-                        $prevBtn.prop('disabled', currentPage <= 1);
-                        $nextBtn.prop('disabled', currentPage >= totalPages);
-                        
-                        if (logs && logs.length > 0) {
-                            renderLogs(logs);
-                        } else {
-                            $logsBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-info"></span> No logs found matching your criteria.</td></tr>');
-                        }
-                    } else {
-                        $logsBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading logs: ' + 
-                            (response.data ? response.data.message : 'Unknown error') + '</td></tr>');
-                    }
+                    renderRuns(response.runs || []);
+                    
+                    $pageInfo.text('Page ' + currentPage + ' of ' + totalPages);
+                    $prevBtn.prop('disabled', currentPage <= 1);
+                    $nextBtn.prop('disabled', currentPage >= totalPages);
                 },
                 error: function(xhr, status, error) {
-                    isLoadingLogs = false;
-                    $refreshLogsBtn.prop('disabled', false);
-                    $logsBody.html('<tr><td colspan="4" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading logs: ' + error + '</td></tr>');
+                    isLoadingHistory = false;
+                    
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+                    
+                    $historyBody.html('<tr><td colspan="6" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading sync history: ' + escapeHtml(message) + '</td></tr>');
                 }
             });
         }
         
-        // Function to render logs in the table
-        function renderLogs(logs) {
+        // Function to load the daily totals for the charts
+        function loadStats() {
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/history/stats',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    days: 30
+                },
+                success: function(response) {
+                    renderCharts(response.days || []);
+                },
+                error: function() {
+                    $throughputChart.add($errorChart).html('<p class="fds-chart-empty">Could not load the chart data.</p>');
+                }
+            });
+        }
+        
+        // Function to render the runs, each on a timeline spanning the page
+        function renderRuns(runs) {
+            if (!runs.length) {
+                $historyBody.html('<tr><td colspan="6" class="fds-loading-logs">No sync runs recorded yet.</td></tr>');
+                return;
+            }
+            
+            const times = runs.map(function(run) {
+                const start = parseTime(run.started_at);
+                return { start: start, end: start + run.duration * 1000 };
+            });
+            const first = Math.min.apply(null, times.map(function(time) { return time.start; }));
+            const span = Math.max(1, Math.max.apply(null, times.map(function(time) { return time.end; })) - first);
             let html = '';
             
-            logs.forEach(function(log) {
-                let context = '';
-                try {
-                    if (log.context) {
-                        // First try to parse as JSON (if it's stored as a JSON string)
-                        let contextObj;
-                        
-                        if (typeof log.context === 'string') {
-                            // Try to parse the string as JSON
-                            try {
-                                contextObj = JSON.parse(log.context);
-                            } catch (jsonError) {
-                                // If JSON parsing fails, try to unserialize if it looks like serialized PHP
-                                if (log.context.indexOf('a:') === 0 || log.context.indexOf('s:') === 0 || 
-                                    log.context.indexOf('i:') === 0 || log.context.indexOf('b:') === 0) {
-                                    // This looks like serialized PHP data - we'll just show it as is
-                                    contextObj = {
-                                        note: 'Serialized PHP data',
-                                        raw: log.context.substring(0, 200) + (log.context.length > 200 ? '...' : '')
-                                    };
-                                } else {
-                                    // Not JSON or serialized PHP, just use as plain text
-                                    contextObj = { text: log.context };
-                                }
-                            }
-                        } else {
-                            contextObj = log.context;
-                        }
-                        
-                        // Now format the context for display with proper escaping
-                        context = '<a href="#" class="fds-log-details-button" data-context=\'' + 
-                            escapeHtml(JSON.stringify(contextObj, null, 2)) + '\'>View Details</a>';
-                    } else {
-                        context = 'N/A';
-                    }
-                } catch (e) {
-                    // Provide more useful debug info
-                    context = 'Invalid data: ' + e.message;
-                    console.error('Error processing log context:', e, log);
-                }
+            runs.forEach(function(run, index) {
+                const left = (times[index].start - first) / span * 100;
+                const width = Math.max(0.5, (times[index].end - times[index].start) / span * 100);
+                const actions = Object.keys(run.actions).map(function(action) {
+                    return parseInt(run.actions[action]) + ' ' + escapeHtml(action.replace('_', ' '));
+                }).join(', ');
                 
-                html += '<tr>' +
-                    '<td>' + log.created_at + '</td>' +
-                    '<td><span class="log-level log-level-' + log.level + '">' + log.level + '</span></td>' +
-                    '<td>' + escapeHtml(log.message) + '</td>' +
-                    '<td>' + context + '</td>' +
+                html += '<tr class="' + (run.failed > 0 ? 'fds-log-row-error' : '') + '">' +
+                    '<td>' + escapeHtml(run.started_at) + '</td>' +
+                    '<td><span class="fds-history-trigger fds-history-trigger-' + escapeHtml(run.trigger) + '">' + escapeHtml(run.trigger_label) + '</span>' + (run.full_sync ? ' <small>Full sync</small>' : '') + '</td>' +
+                    '<td><div class="fds-history-timeline" title="' + escapeHtml(formatDuration(run.duration)) + '"><span class="fds-history-timeline-bar fds-history-' + escapeHtml(run.status) + '" style="left: ' + left.toFixed(2) + '%; width: ' + width.toFixed(2) + '%;"></span></div><small>' + formatDuration(run.duration) + '</small></td>' +
+                    '<td><strong>' + run.processed + '</strong>' + (actions ? '<br><small>' + actions + '</small>' : '') + '</td>' +
+                    '<td>' + run.failed + '</td>' +
+                    '<td>' + escapeHtml(run.status.charAt(0).toUpperCase() + run.status.slice(1)) + '</td>' +
                     '</tr>';
             });
             
-            $logsBody.html(html);
+            $historyBody.html(html);
+        }
+        
+        // Function to draw both charts as bars per day
+        function renderCharts(days) {
+            const maxItems = Math.max.apply(null, days.map(function(day) { return day.processed + day.failed; }).concat([1]));
+            const maxRate = Math.max.apply(null, days.map(function(day) { return day.error_rate; }).concat([1]));
+            let throughput = '';
+            let errors = '';
             
-            // Attach event listeners for log details popup
-            $('.fds-log-details-button').on('click', function(e) {
-                e.preventDefault();
+            days.forEach(function(day, index) {
+                const total = day.processed + day.failed;
+                const label = index === 0 || index === days.length - 1 || index === Math.floor(days.length / 2)
+                    ? '<span class="fds-chart-label">' + escapeHtml(day.day.slice(5)) + '</span>'
+                    : '';
                 
-                const context = $(this).data('context');
-                showLogDetailsPopup(context);
+                throughput += '<div class="fds-chart-column" title="' + escapeHtml(day.day + ': ' + day.processed + ' synced, ' + day.failed + ' failed in ' + day.runs + ' runs, ' + day.per_minute + '/min') + '">' +
+                    '<span class="fds-chart-bar fds-chart-failed" style="height: ' + (day.failed / maxItems * 100).toFixed(2) + '%;"></span>' +
+                    '<span class="fds-chart-bar fds-chart-processed" style="height: ' + (day.processed / maxItems * 100).toFixed(2) + '%;"></span>' +
+                    label + '</div>';
+                
+                errors += '<div class="fds-chart-column" title="' + escapeHtml(day.day + ': ' + (total > 0 ? day.error_rate + '% of ' + total + ' items failed' : 'no items synced')) + '">' +
+                    '<span class="fds-chart-bar fds-chart-failed" style="height: ' + (day.error_rate / maxRate * 100).toFixed(2) + '%;"></span>' +
+                    label + '</div>';
             });
+            
+            $throughputChart.html(throughput);
+            $errorChart.html(errors);
         }
         
-        // Function to show log details popup
-        function showLogDetailsPopup(context) {
-            // Create popup
-            const $backdrop = $('<div class="fds-log-details-backdrop"></div>');
-            const $popup = $('<div class="fds-log-details-popup">' +
-                '<div class="fds-log-details-close">&times;</div>' +
-                '<h3>Log Details</h3>' +
-                '<div class="fds-log-details-content"></div>' +
-                '</div>');
-            
-            // Add content
-            $popup.find('.fds-log-details-content').text(typeof context === 'string' ? context : JSON.stringify(context, null, 2));
-            
-            // Add to body
-            $('body').append($backdrop).append($popup);
-            
-            // Close handlers
-            $backdrop.on('click', closePopup);
-            $popup.find('.fds-log-details-close').on('click', closePopup);
-            
-            function closePopup() {
-                $backdrop.remove();
-                $popup.remove();
-            }
+        // Function to read a MySQL datetime as local time
+        function parseTime(datetime) {
+            return new Date(datetime.replace(' ', 'T')).getTime();
         }
     }
 
@@ -668,17 +3396,47 @@ function initClipboard() {
         const $syncedFiles = $('#fds-synced-files');
         const $pendingTasks = $('#fds-pending-tasks');
         const $failedTasks = $('#fds-failed-tasks');
+        const $pendingRegenerations = $('#fds-pending-regenerations');
+        const $queueBody = $('#fds-queue-tbody');
+        const $queuePrev = $('#fds-queue-prev');
+        const $queueNext = $('#fds-queue-next');
+        const $queuePageInfo = $('#fds-queue-page-info');
+        const $queueSelectAll = $('#fds-queue-select-all');
+        
+        // Queue inspector state
+        let queuePage = 1;
+        let queueTotalPages = 1;
+        let isLoadingQueue = false;
+        let queueSearchTimer = null;
         
         // Load stats on page load
         if ($refreshStats.length) {
             loadSyncStats();
             
-            // Set up auto-refresh every 30 seconds
-            const autoRefreshInterval = setInterval(function() {
-                if (!actionInProgress) {
-                    refreshStats(false); // Silent refresh
+            // Refresh when the queue changes instead of on a timer
+            let lastProgress = null;
+            let statsRefreshTimer = null;
+            
+            onSyncProgress(function(type, progress) {
+                if (type !== 'progress') return;
+                
+                const changed = lastProgress && (lastProgress.pending !== progress.pending ||
+                    lastProgress.completed !== progress.completed ||
+                    lastProgress.failed !== progress.failed);
+                
+                lastProgress = progress;
+                
+                // At most one silent refresh every few seconds while a sync is running
+                if (changed && !statsRefreshTimer) {
+                    statsRefreshTimer = setTimeout(function() {
+                        statsRefreshTimer = null;
+                        
+                        if (!actionInProgress) {
+                            refreshStats(false);
+                        }
+                    }, 5000);
                 }
-            }, 30000);
+            });
             
             // Handle button clicks
             $refreshStats.on('click', function() {
@@ -792,8 +3550,10 @@ function initClipboard() {
                     });
                 }
             });
+
+            initQueueInspector();
         }
-        
+
         // Master function to refresh stats
         function refreshStats(showFeedback = true) {
             if (showFeedback) {
@@ -807,6 +3567,189 @@ function initClipboard() {
                     $refreshStats.html('<span class="dashicons dashicons-update" style="margin: 4px 5px 0 -5px;"></span> Refresh Stats');
                 }
             });
+
+            // Don't reload the queue table while the user has rows selected
+            if (!$('.fds-queue-select:checked').length) {
+                loadQueueTasks();
+            }
+        }
+
+        // Queue inspector: paginated, filterable view of the sync queue
+        function initQueueInspector() {
+            if (!$queueBody.length) return;
+
+            loadQueueTasks();
+
+            $('#fds-queue-status-filter, #fds-queue-type-filter, #fds-queue-action-filter, #fds-queue-direction-filter').on('change', function() {
+                queuePage = 1;
+                loadQueueTasks();
+            });
+
+            $('#fds-queue-search').on('input', function() {
+                clearTimeout(queueSearchTimer);
+                queueSearchTimer = setTimeout(function() {
+                    queuePage = 1;
+                    loadQueueTasks();
+                }, 400);
+            });
+
+            $queuePrev.on('click', function() {
+                if (isLoadingQueue || queuePage <= 1) return;
+                queuePage--;
+                loadQueueTasks();
+            });
+
+            $queueNext.on('click', function() {
+                if (isLoadingQueue || queuePage >= queueTotalPages) return;
+                queuePage++;
+                loadQueueTasks();
+            });
+
+            $queueSelectAll.on('change', function() {
+                $('.fds-queue-select').prop('checked', $(this).is(':checked'));
+            });
+
+            // Per-row actions
+            $queueBody.on('click', '.fds-queue-row-action', function(e) {
+                e.preventDefault();
+                runQueueAction($(this).data('action'), [$(this).data('id')]);
+            });
+
+            // Bulk actions
+            $('#fds-queue-bulk-apply').on('click', function() {
+                const action = $('#fds-queue-bulk-action').val();
+                const ids = $('.fds-queue-select:checked').map(function() {
+                    return $(this).val();
+                }).get();
+
+                if (!action) return;
+
+                if (ids.length === 0) {
+                    alert('Please select at least one task.');
+                    return;
+                }
+
+                runQueueAction(action, ids);
+            });
+        }
+
+        // Function to load queue tasks
+        function loadQueueTasks() {
+            if (!$queueBody.length || isLoadingQueue) return;
+
+            isLoadingQueue = true;
+            $queuePrev.prop('disabled', true);
+            $queueNext.prop('disabled', true);
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/queue',
+                type: 'GET',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: {
+                    page: queuePage,
+                    per_page: 20,
+                    status: $('#fds-queue-status-filter').val(),
+                    item_type: $('#fds-queue-type-filter').val(),
+                    task_action: $('#fds-queue-action-filter').val(),
+                    direction: $('#fds-queue-direction-filter').val(),
+                    search: $('#fds-queue-search').val()
+                },
+                success: function(response) {
+                    isLoadingQueue = false;
+                    queueTotalPages = parseInt(response.total_pages) || 1;
+
+                    $queuePageInfo.text('Page ' + queuePage + ' of ' + queueTotalPages + ' (' + response.total + ' tasks)');
+                    $queuePrev.prop('disabled', queuePage <= 1);
+                    $queueNext.prop('disabled', queuePage >= queueTotalPages);
+                    $queueSelectAll.prop('checked', false);
+
+                    if (response.tasks && response.tasks.length > 0) {
+                        renderQueueTasks(response.tasks);
+                    } else {
+                        $queueBody.html('<tr><td colspan="11" class="fds-loading-logs"><span class="dashicons dashicons-info"></span> No tasks found matching your criteria.</td></tr>');
+                    }
+                },
+                error: function(xhr, status, error) {
+                    isLoadingQueue = false;
+                    $queueBody.html('<tr><td colspan="11" class="fds-loading-logs"><span class="dashicons dashicons-warning"></span> Error loading tasks: ' + escapeHtml(error) + '</td></tr>');
+                }
+            });
+        }
+
+        // Function to render queue tasks in the table
+        function renderQueueTasks(tasks) {
+            let html = '';
+
+            tasks.forEach(function(task) {
+                let actions = '';
+
+                // Processing tasks may still be held by a worker
+                if (task.status === 'failed' || task.status === 'cancelled') {
+                    actions += '<a href="#" class="fds-queue-row-action" data-action="retry" data-id="' + task.id + '">Retry</a> ';
+                }
+
+                if (task.status === 'pending' || task.status === 'failed') {
+                    actions += '<a href="#" class="fds-queue-row-action" data-action="cancel" data-id="' + task.id + '">Cancel</a> ';
+                }
+
+                actions += '<a href="#" class="fds-queue-row-action" data-action="reprioritize" data-id="' + task.id + '">Priority</a>';
+
+                html += '<tr>' +
+                    '<td class="check-column"><input type="checkbox" class="fds-queue-select" value="' + task.id + '"></td>' +
+                    '<td>' + escapeHtml(task.action) + '</td>' +
+                    '<td>' + escapeHtml(task.item_type) + '</td>' +
+                    '<td><code>' + escapeHtml(task.item_id) + '</code></td>' +
+                    '<td>' + (task.direction === 'wordpress_to_dropbox' ? 'WP → Dropbox' : 'Dropbox → WP') + '</td>' +
+                    '<td>' + task.priority + '</td>' +
+                    '<td><span class="fds-queue-status fds-queue-status-' + escapeHtml(task.status) + '">' + escapeHtml(task.status) + '</span></td>' +
+                    '<td>' + task.attempts + '</td>' +
+                    '<td class="fds-queue-error">' + escapeHtml(task.error_message || '') + '</td>' +
+                    '<td>' + escapeHtml(task.locked_by || '') + '</td>' +
+                    '<td class="fds-queue-actions">' + actions + '</td>' +
+                    '</tr>';
+            });
+
+            $queueBody.html(html);
+        }
+
+        // Function to run a retry/cancel/reprioritize action on tasks
+        function runQueueAction(action, ids) {
+            const data = { task_action: action, ids: ids };
+
+            if (action === 'reprioritize') {
+                const priority = prompt('Enter the new priority (1 = highest, 100 = lowest):', '5');
+                if (priority === null) return;
+                data.priority = priority;
+            } else if (action === 'cancel' && !confirm('Are you sure you want to cancel ' + ids.length + ' task(s)?')) {
+                return;
+            }
+
+            $actionStatus.removeClass('notice-success notice-error')
+                .addClass('notice notice-info')
+                .html('<p><span class="dashicons dashicons-update" style="animation: rotation 2s infinite linear; margin-right: 5px;"></span> Updating tasks...</p>')
+                .show();
+
+            $.ajax({
+                url: fds_admin_vars.rest_url + '/queue/actions',
+                type: 'POST',
+                headers: { 'X-WP-Nonce': fds_admin_vars.rest_nonce },
+                data: data,
+                success: function(response) {
+                    $actionStatus.removeClass('notice-info notice-error')
+                        .addClass('notice-success')
+                        .html('<p><span class="dashicons dashicons-yes-alt"></span> ' + escapeHtml(response.message) + '</p>');
+
+                    $('.fds-queue-select').prop('checked', false);
+                    refreshStats(false);
+                },
+                error: function(xhr, status, error) {
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                    $actionStatus.removeClass('notice-info notice-success')
+                        .addClass('notice-error')
+                        .html('<p><span class="dashicons dashicons-warning"></span> Error: ' + escapeHtml(message) + '</p>');
+                }
+            });
         }
         
         // Function to load sync stats
@@ -827,12 +3770,16 @@ function initClipboard() {
                         animateCounter($syncedFiles, data.synced_files);
                         animateCounter($pendingTasks, data.pending_tasks);
                         animateCounter($failedTasks, data.failed_tasks);
+                        animateCounter($pendingRegenerations, data.pending_regenerations);
                         
                         // Highlight changed values
                         highlightChanges($totalFiles, data.total_files);
                         highlightChanges($syncedFiles, data.synced_files);
                         highlightChanges($pendingTasks, data.pending_tasks);
                         highlightChanges($failedTasks, data.failed_tasks);
+                        highlightChanges($pendingRegenerations, data.pending_regenerations);
+                        
+                        updateScheduleIndicator(data.schedule);
                     }
                     
                     if (typeof callback === 'function') {
@@ -847,6 +3794,20 @@ function initClipboard() {
             });
         }
         
+        // Show whether the sync schedule currently pauses the queue
+        function updateScheduleIndicator(schedule) {
+            const $indicator = $('#fds-schedule-indicator');
+            
+            if (!$indicator.length || !schedule) return;
+            
+            $indicator.toggle(schedule.enabled)
+                .toggleClass('fds-schedule-paused', schedule.paused);
+            $indicator.find('.dashicons')
+                .toggleClass('dashicons-controls-pause', schedule.paused)
+                .toggleClass('dashicons-clock', !schedule.paused);
+            $('#fds-schedule-message').text(schedule.message);
+        }
+        
         // Function to animate counter updates
         function animateCounter($element, newValue) {
             const currentValue = parseInt($element.text()) || 0;
@@ -1009,6 +3970,29 @@ function initClipboard() {
         });
     }
 
+    // Helper function to format a byte count
+    function formatBytes(bytes) {
+        bytes = parseInt(bytes, 10) || 0;
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let i = 0;
+
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024;
+            i++;
+        }
+
+        return (i === 0 ? bytes : bytes.toFixed(1)) + ' ' + units[i];
+    }
+
+    // Helper function to format a duration in seconds
+    function formatDuration(seconds) {
+        if (seconds < 60) return seconds + ' sec';
+        if (seconds < 3600) return Math.round(seconds / 60) + ' min';
+        
+        const hours = Math.floor(seconds / 3600);
+        return hours + ' h ' + Math.round((seconds % 3600) / 60) + ' min';
+    }
+
     // Helper function to escape HTML
     function escapeHtml(text) {
         if (typeof text !== 'string') return '';
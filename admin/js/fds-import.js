@@ -0,0 +1,409 @@
+/**
+ * Dropbox browser JavaScript for FileBird Dropbox Sync
+ *
+ * Opens a modal to pick Dropbox files and folders and import them into a FileBird folder
+ */
+(function($) {
+    'use strict';
+
+    const strings = fds_import_vars.strings;
+
+    // Browser state, reset every time the modal opens
+    let $modal = null;
+    let currentPath = '';
+    let selected = {};
+    let foldersLoaded = false;
+    let importInProgress = false;
+    let progressTimer = null;
+
+    $(document).ready(function() {
+        initImportBrowser();
+    });
+
+    /**
+     * Open the browser from any import button
+     */
+    function initImportBrowser() {
+        $(document).on('click', '.fds-open-import', function(e) {
+            e.preventDefault();
+            openModal();
+        });
+
+        $(document).on('keydown', function(e) {
+            if (e.key === 'Escape' && $modal && $modal.is(':visible')) {
+                closeModal();
+            }
+        });
+    }
+
+    /**
+     * Build the modal the first time and show it at the top of Dropbox
+     */
+    function openModal() {
+        if (!$modal) {
+            $modal = $(
+                '<div class="fds-import-modal" role="dialog" aria-modal="true" aria-labelledby="fds-import-title">' +
+                    '<div class="fds-import-backdrop"></div>' +
+                    '<div class="fds-import-dialog">' +
+                        '<div class="fds-import-header">' +
+                            '<h2 id="fds-import-title">' + escapeHtml(strings.title) + '</h2>' +
+                            '<button type="button" class="fds-import-close" aria-label="' + escapeHtml(strings.close) + '"><span class="dashicons dashicons-no-alt"></span></button>' +
+                        '</div>' +
+                        '<div class="fds-import-breadcrumbs"></div>' +
+                        '<div class="fds-import-body"><ul class="fds-import-entries"></ul></div>' +
+                        '<div class="fds-import-progress" style="display: none;">' +
+                            '<div class="fds-import-progress-bar"><div class="fds-import-progress-fill"></div></div>' +
+                            '<span class="fds-import-progress-text"></span>' +
+                        '</div>' +
+                        '<div class="fds-import-status notice" style="display: none;"></div>' +
+                        '<div class="fds-import-footer">' +
+                            '<label>' + escapeHtml(strings.target) + ' <select class="fds-import-folder"><option value="0">' + escapeHtml(strings.uncategorized) + '</option></select></label>' +
+                            '<span class="fds-import-selected"></span>' +
+                            '<button type="button" class="button button-primary fds-import-start" disabled>' + escapeHtml(strings.import) + '</button>' +
+                        '</div>' +
+                        '<p class="description fds-import-note">' + escapeHtml(strings.folder_note) + '</p>' +
+                    '</div>' +
+                '</div>'
+            ).appendTo('body');
+
+            $modal.on('click', '.fds-import-close, .fds-import-backdrop', closeModal);
+
+            $modal.on('click', '.fds-import-crumb, .fds-import-open', function() {
+                loadFolder($(this).attr('data-path'));
+            });
+
+            $modal.on('change', '.fds-import-entry input[type="checkbox"]', function() {
+                const $entry = $(this).closest('.fds-import-entry');
+                const path = $entry.attr('data-path');
+
+                if (this.checked) {
+                    selected[path] = $entry.attr('data-type');
+                } else {
+                    delete selected[path];
+                }
+
+                $entry.toggleClass('fds-import-entry-selected', this.checked);
+                updateSelection();
+            });
+
+            $modal.on('click', '.fds-import-start', startImport);
+        }
+
+        selected = {};
+        importInProgress = false;
+        $modal.find('.fds-import-status, .fds-import-progress').hide();
+        $modal.show();
+        $('body').addClass('fds-import-open');
+
+        loadFolder('');
+    }
+
+    /**
+     * Hide the modal, an import that is running continues in the background
+     */
+    function closeModal() {
+        clearTimeout(progressTimer);
+        $modal.hide();
+        $('body').removeClass('fds-import-open');
+    }
+
+    /**
+     * List a Dropbox folder
+     */
+    function loadFolder(path) {
+        const $entries = $modal.find('.fds-import-entries');
+
+        currentPath = path || '';
+        renderBreadcrumbs(currentPath);
+        $entries.html('<li class="fds-import-message"><span class="dashicons dashicons-update fds-import-spin"></span> ' + escapeHtml(strings.loading) + '</li>');
+
+        $.ajax({
+            url: fds_import_vars.rest_url + '/import/browse',
+            type: 'GET',
+            headers: { 'X-WP-Nonce': fds_import_vars.rest_nonce },
+            data: { path: currentPath },
+            success: function(response) {
+                if (response.path !== currentPath) {
+                    return;
+                }
+
+                if (!foldersLoaded) {
+                    populateFolders(response.folders || []);
+                }
+
+                renderEntries(response.entries || []);
+                loadThumbnails(response.path, (response.entries || []).filter(function(entry) {
+                    return entry.thumbnail;
+                }).map(function(entry) {
+                    return entry.path;
+                }));
+            },
+            error: function(xhr, status, error) {
+                const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                $entries.html('<li class="fds-import-message"><span class="dashicons dashicons-warning"></span> ' + escapeHtml(strings.error + ' ' + message) + '</li>');
+            }
+        });
+    }
+
+    /**
+     * Show the path as links back up to the top of Dropbox
+     */
+    function renderBreadcrumbs(path) {
+        const parts = path.split('/').filter(Boolean);
+        let html = '<button type="button" class="fds-import-crumb" data-path=""><span class="dashicons dashicons-portfolio"></span> ' + escapeHtml(strings.root) + '</button>';
+        let crumbPath = '';
+
+        parts.forEach(function(part) {
+            crumbPath += '/' + part;
+            html += ' <span class="fds-import-crumb-separator">/</span> <button type="button" class="fds-import-crumb" data-path="' + escapeHtml(crumbPath) + '">' + escapeHtml(part) + '</button>';
+        });
+
+        $modal.find('.fds-import-breadcrumbs').html(html);
+    }
+
+    /**
+     * Fill the target folder dropdown with the FileBird folders
+     */
+    function populateFolders(folders) {
+        const $select = $modal.find('.fds-import-folder');
+
+        folders.forEach(function(folder) {
+            $select.append('<option value="' + parseInt(folder.id, 10) + '">' + escapeHtml(folder.name) + '</option>');
+        });
+
+        foldersLoaded = true;
+    }
+
+    /**
+     * Render the files and folders of the listed folder
+     */
+    function renderEntries(entries) {
+        const $entries = $modal.find('.fds-import-entries');
+
+        if (!entries.length) {
+            $entries.html('<li class="fds-import-message">' + escapeHtml(strings.empty) + '</li>');
+            return;
+        }
+
+        $entries.html(entries.map(function(entry) {
+            const isFolder = entry.type === 'folder';
+            const disabled = !entry.importable || entry.imported;
+            const checked = !disabled && selected[entry.path] ? ' checked' : '';
+            let badge = '';
+
+            if (entry.imported) {
+                badge = '<span class="fds-import-badge fds-import-badge-imported">' + escapeHtml(strings.imported) + '</span>';
+            } else if (!entry.importable) {
+                badge = '<span class="fds-import-badge">' + escapeHtml(strings.unsupported) + '</span>';
+            }
+
+            return '<li class="fds-import-entry' + (checked ? ' fds-import-entry-selected' : '') + (disabled ? ' fds-import-entry-disabled' : '') + '" data-path="' + escapeHtml(entry.path) + '" data-type="' + escapeHtml(entry.type) + '">' +
+                '<input type="checkbox" aria-label="' + escapeHtml(entry.name) + '"' + checked + (disabled ? ' disabled' : '') + '>' +
+                '<span class="fds-import-thumb"><span class="dashicons dashicons-' + (isFolder ? 'category' : 'media-default') + '"></span></span>' +
+                (isFolder
+                    ? '<button type="button" class="fds-import-open fds-import-name" data-path="' + escapeHtml(entry.path) + '">' + escapeHtml(entry.name) + '</button>'
+                    : '<span class="fds-import-name" title="' + escapeHtml(entry.name) + '">' + escapeHtml(entry.name) + '</span>') +
+                '<span class="fds-import-meta">' + (isFolder ? '' : escapeHtml(formatBytes(entry.size))) + ' ' + badge + '</span>' +
+            '</li>';
+        }).join(''));
+    }
+
+    /**
+     * Load thumbnails in batches of 25 while the folder stays open
+     */
+    function loadThumbnails(path, paths) {
+        if (!paths.length || path !== currentPath) {
+            return;
+        }
+
+        $.ajax({
+            url: fds_import_vars.rest_url + '/import/thumbnails',
+            type: 'POST',
+            headers: { 'X-WP-Nonce': fds_import_vars.rest_nonce },
+            contentType: 'application/json',
+            data: JSON.stringify({ paths: paths.slice(0, 25) }),
+            success: function(response) {
+                if (path !== currentPath) {
+                    return;
+                }
+
+                $.each(response.thumbnails || {}, function(thumbnailPath, src) {
+                    $modal.find('.fds-import-entry').filter(function() {
+                        return $(this).attr('data-path') === thumbnailPath;
+                    }).find('.fds-import-thumb').html($('<img alt="">').attr('src', src));
+                });
+
+                loadThumbnails(path, paths.slice(25));
+            }
+        });
+    }
+
+    /**
+     * Show how many items are selected
+     */
+    function updateSelection() {
+        const count = Object.keys(selected).length;
+
+        $modal.find('.fds-import-selected').text(count ? formatString(strings.selected, [count]) : '');
+        $modal.find('.fds-import-start').prop('disabled', !count || importInProgress);
+    }
+
+    /**
+     * Queue the selected files and folders and follow the import
+     */
+    function startImport() {
+        const paths = Object.keys(selected);
+
+        if (!paths.length || importInProgress) {
+            return;
+        }
+
+        importInProgress = true;
+        updateSelection();
+        showStatus('info', '<span class="dashicons dashicons-update fds-import-spin"></span> ' + escapeHtml(strings.queueing));
+
+        $.ajax({
+            url: fds_import_vars.rest_url + '/import',
+            type: 'POST',
+            headers: { 'X-WP-Nonce': fds_import_vars.rest_nonce },
+            contentType: 'application/json',
+            data: JSON.stringify({
+                paths: paths,
+                folder_id: $modal.find('.fds-import-folder').val()
+            }),
+            success: function(response) {
+                selected = {};
+                $modal.find('.fds-import-entry input[type="checkbox"]').prop('checked', false);
+                $modal.find('.fds-import-entry').removeClass('fds-import-entry-selected');
+
+                if (!response.queued) {
+                    importInProgress = false;
+                    updateSelection();
+                    showStatus('info', escapeHtml(response.message));
+                    return;
+                }
+
+                showStatus('info', escapeHtml(response.message));
+                pollProgress(response.import_id);
+            },
+            error: function(xhr, status, error) {
+                const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                importInProgress = false;
+                updateSelection();
+                showStatus('error', '<span class="dashicons dashicons-warning"></span> ' + escapeHtml(strings.error + ' ' + message));
+            }
+        });
+    }
+
+    /**
+     * Update the progress bar until every queued file is processed
+     */
+    function pollProgress(importId) {
+        $.ajax({
+            url: fds_import_vars.rest_url + '/import/' + encodeURIComponent(importId),
+            type: 'GET',
+            headers: { 'X-WP-Nonce': fds_import_vars.rest_nonce },
+            success: function(progress) {
+                const done = progress.completed + progress.failed;
+                const percent = progress.total ? Math.round(done / progress.total * 100) : 100;
+                let text = formatString(strings.progress, [progress.completed, progress.total]);
+
+                if (progress.failed) {
+                    text += formatString(strings.progress_failed, [progress.failed]);
+                }
+
+                if (progress.paused) {
+                    text += ' - ' + progress.schedule;
+                }
+
+                $modal.find('.fds-import-progress').show();
+                $modal.find('.fds-import-progress-fill').css('width', percent + '%');
+                $modal.find('.fds-import-progress-text').text(text);
+
+                if (!progress.finished) {
+                    progressTimer = setTimeout(function() {
+                        pollProgress(importId);
+                    }, 3000);
+                    return;
+                }
+
+                importInProgress = false;
+                updateSelection();
+                showStatus(progress.failed ? 'error' : 'success', '<span class="dashicons dashicons-' + (progress.failed ? 'warning' : 'yes-alt') + '"></span> ' +
+                    escapeHtml(progress.failed ? strings.finished_failed : strings.finished));
+
+                loadFolder(currentPath);
+                refreshMediaLibrary();
+            },
+            error: function(xhr, status, error) {
+                const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : error;
+
+                importInProgress = false;
+                updateSelection();
+                showStatus('error', '<span class="dashicons dashicons-warning"></span> ' + escapeHtml(strings.error + ' ' + message));
+            }
+        });
+    }
+
+    /**
+     * Show a status message below the listing
+     */
+    function showStatus(type, html) {
+        $modal.find('.fds-import-status')
+            .removeClass('notice-info notice-success notice-error')
+            .addClass('notice-' + type)
+            .html('<p>' + html + '</p>')
+            .show();
+    }
+
+    /**
+     * Reload the Media Library grid so imported files show up
+     */
+    function refreshMediaLibrary() {
+        if (typeof wp === 'undefined' || !wp.media || !wp.media.frame || typeof wp.media.frame.state !== 'function') {
+            return;
+        }
+
+        const library = wp.media.frame.state().get('library');
+
+        if (library && library.props) {
+            library.props.set({ ignore: +new Date() });
+        }
+    }
+
+    // Helper function to format a byte count
+    function formatBytes(bytes) {
+        bytes = parseInt(bytes, 10) || 0;
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let i = 0;
+
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024;
+            i++;
+        }
+
+        return (i === 0 ? bytes : bytes.toFixed(1)) + ' ' + units[i];
+    }
+
+    // Helper function to fill in the placeholders of a translated string
+    function formatString(text, values) {
+        let index = 0;
+
+        // Numbered (%1$d) and plain (%d) placeholders as in the PHP strings
+        return String(text).replace(/%(?:(\d+)\$)?d/g, function(match, position) {
+            const value = position ? values[position - 1] : values[index++];
+            return value === undefined ? match : String(value);
+        });
+    }
+
+    // Helper function to escape HTML
+    function escapeHtml(text) {
+        if (typeof text !== 'string') return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+})(jQuery);
@@ -0,0 +1,124 @@
+/**
+ * Media Library JavaScript for FileBird Dropbox Sync
+ *
+ * Adds sync badges to the media grid and handles push / pull / restore actions
+ */
+(function($) {
+    'use strict';
+
+    // Badges in the grid view are added to the attachment thumbnails
+    initGridBadges();
+
+    $(document).ready(function() {
+        initMediaActions();
+    });
+
+    /**
+     * Extend the media grid attachment view to show a sync badge
+     */
+    function initGridBadges() {
+        if (typeof wp === 'undefined' || !wp.media || !wp.media.view || !wp.media.view.Attachment) {
+            return;
+        }
+
+        const LibraryAttachment = wp.media.view.Attachment.Library;
+
+        wp.media.view.Attachment.Library = LibraryAttachment.extend({
+            render: function() {
+                LibraryAttachment.prototype.render.apply(this, arguments);
+
+                const sync = this.model.get('fds');
+
+                if (sync) {
+                    this.$('.attachment-preview').append(getBadgeHtml(this.model.get('id'), sync));
+                }
+
+                return this;
+            }
+        });
+    }
+
+    /**
+     * Handle push / pull / restore buttons in the attachment details
+     */
+    function initMediaActions() {
+        $(document).on('click', '.fds-media-action', function(e) {
+            e.preventDefault();
+
+            const $button = $(this);
+            const $container = $button.closest('.fds-attachment-sync');
+            const $message = $container.find('.fds-attachment-sync-message');
+            const action = $button.data('action');
+            const attachmentId = $button.data('attachment-id');
+
+            if ($button.prop('disabled')) {
+                return;
+            }
+
+            $container.find('.fds-media-action').prop('disabled', true);
+            $message.removeClass('fds-attachment-sync-error').text('');
+
+            $.ajax({
+                url: fds_media_vars.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'fds_' + (action === 'pull' || action === 'restore' ? action : 'push') + '_attachment',
+                    nonce: fds_media_vars.nonce,
+                    attachment_id: attachmentId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $message.text(response.data.message);
+                        updateBadges(attachmentId, response.data.sync);
+                    } else {
+                        $message.addClass('fds-attachment-sync-error')
+                            .text(fds_media_vars.strings.error + ' ' + (response.data ? response.data.message : 'Unknown error'));
+                    }
+                },
+                error: function() {
+                    $message.addClass('fds-attachment-sync-error')
+                        .text(fds_media_vars.strings.error + ' Failed to communicate with the server. Please try again.');
+                },
+                complete: function() {
+                    $container.find('.fds-media-action').prop('disabled', false);
+                }
+            });
+        });
+    }
+
+    /**
+     * Update every badge shown for an attachment
+     */
+    function updateBadges(attachmentId, sync) {
+        if (!sync) {
+            return;
+        }
+
+        $('.fds-sync-badge[data-attachment-id="' + attachmentId + '"]').replaceWith(getBadgeHtml(attachmentId, sync));
+
+        // Keep the grid model in sync so re-renders show the new status
+        if (typeof wp !== 'undefined' && wp.media && wp.media.attachment) {
+            wp.media.attachment(attachmentId).set('fds', sync, { silent: true });
+        }
+    }
+
+    /**
+     * Build the badge markup for a sync status
+     */
+    function getBadgeHtml(attachmentId, sync) {
+        const status = fds_media_vars.statuses[sync.status] ? sync.status : 'unsynced';
+
+        return '<span class="fds-sync-badge fds-sync-badge-' + status + '" data-attachment-id="' + parseInt(attachmentId, 10) + '" title="' + escapeHtml(sync.error || '') + '">' +
+            escapeHtml(fds_media_vars.statuses[status]) +
+            '</span>';
+    }
+
+    // Helper function to escape HTML
+    function escapeHtml(text) {
+        if (typeof text !== 'string') return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+})(jQuery);
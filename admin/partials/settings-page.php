@@ -12,34 +12,10 @@
     }
     
     if (isset($_GET['error'])) {
-        $error = sanitize_text_field($_GET['error']);
-        $message = '';
-        
-        switch ($error) {
-            case 'csrf':
-                $message = __('Security token validation failed. Please try connecting again.', 'filebird-dropbox-sync');
-                break;
-            case 'code':
-                $message = __('No authorization code received from Dropbox. Please make sure you authorize the application.', 'filebird-dropbox-sync');
-                break;
-            case 'request':
-                $message = __('Error communicating with Dropbox API. Please try again later.', 'filebird-dropbox-sync');
-                if (isset($_GET['message'])) {
-                    $message .= ' ' . sanitize_text_field($_GET['message']);
-                }
-                break;
-            case 'api':
-                $message = __('Dropbox API error:', 'filebird-dropbox-sync');
-                if (isset($_GET['message'])) {
-                    $message .= ' ' . sanitize_text_field($_GET['message']);
-                }
-                break;
-            case 'token':
-                $message = __('Failed to get access token from Dropbox. Please check your App Key and Secret.', 'filebird-dropbox-sync');
-                break;
-            default:
-                $message = __('An unknown error occurred. Please try again.', 'filebird-dropbox-sync');
-        }
+        $message = FDS_Dropbox_API::get_oauth_error_message(
+            sanitize_text_field($_GET['error']),
+            isset($_GET['message']) ? sanitize_text_field($_GET['message']) : ''
+        );
         
         ?>
         <div class="notice notice-error is-dismissible">
@@ -71,6 +47,12 @@
         <a href="?page=filebird-dropbox-sync-settings&tab=general" class="nav-tab <?php echo $active_tab == 'general' ? 'nav-tab-active' : ''; ?>"><?php _e('General', 'filebird-dropbox-sync'); ?></a>
         <a href="?page=filebird-dropbox-sync-settings&tab=dropbox" class="nav-tab <?php echo $active_tab == 'dropbox' ? 'nav-tab-active' : ''; ?>"><?php _e('Dropbox Connection', 'filebird-dropbox-sync'); ?></a>
         <a href="?page=filebird-dropbox-sync-settings&tab=advanced" class="nav-tab <?php echo $active_tab == 'advanced' ? 'nav-tab-active' : ''; ?>"><?php _e('Advanced', 'filebird-dropbox-sync'); ?></a>
+        <a href="?page=filebird-dropbox-sync-settings&tab=health" class="nav-tab <?php echo $active_tab == 'health' ? 'nav-tab-active' : ''; ?>"><?php _e('Health', 'filebird-dropbox-sync'); ?></a>
+        <a href="?page=filebird-dropbox-sync-settings&tab=duplicates" class="nav-tab <?php echo $active_tab == 'duplicates' ? 'nav-tab-active' : ''; ?>"><?php _e('Duplicates', 'filebird-dropbox-sync'); ?></a>
+        <a href="?page=filebird-dropbox-sync-settings&tab=conflicts" class="nav-tab <?php echo $active_tab == 'conflicts' ? 'nav-tab-active' : ''; ?>"><?php _e('Conflicts', 'filebird-dropbox-sync'); ?></a>
+        <a href="?page=filebird-dropbox-sync-settings&tab=tree" class="nav-tab <?php echo $active_tab == 'tree' ? 'nav-tab-active' : ''; ?>"><?php _e('Folder Tree', 'filebird-dropbox-sync'); ?></a>
+        <a href="?page=filebird-dropbox-sync-settings&tab=trash" class="nav-tab <?php echo $active_tab == 'trash' ? 'nav-tab-active' : ''; ?>"><?php _e('Recently Deleted', 'filebird-dropbox-sync'); ?></a>
+        <a href="?page=filebird-dropbox-sync-settings&tab=history" class="nav-tab <?php echo $active_tab == 'history' ? 'nav-tab-active' : ''; ?>"><?php _e('Sync History', 'filebird-dropbox-sync'); ?></a>
         <a href="?page=filebird-dropbox-sync-settings&tab=logs" class="nav-tab <?php echo $active_tab == 'logs' ? 'nav-tab-active' : ''; ?>"><?php _e('Logs', 'filebird-dropbox-sync'); ?></a>
     </h2>
     
@@ -91,6 +73,10 @@
                             
                             <div class="fds-action-row" style="margin-bottom: 15px;">
                                 <button type="button" id="fds-manual-sync" class="button button-primary"><?php _e('Start Full Sync', 'filebird-dropbox-sync'); ?></button>
+                                <button type="button" id="fds-preview-sync" class="button"><?php _e('Preview', 'filebird-dropbox-sync'); ?></button>
+                                <button type="button" id="fds-pause-sync" class="button" style="display: none;"><?php _e('Pause', 'filebird-dropbox-sync'); ?></button>
+                                <button type="button" id="fds-resume-sync" class="button" style="display: none;"><?php _e('Resume', 'filebird-dropbox-sync'); ?></button>
+                                <button type="button" id="fds-cancel-sync" class="button" style="display: none;"><?php _e('Cancel', 'filebird-dropbox-sync'); ?></button>
                                 <span id="fds-sync-status" class="fds-status-indicator"></span>
                             </div>
                             
@@ -102,12 +88,102 @@
                                     <span class="fds-progress-status"><?php _e('Processing...', 'filebird-dropbox-sync'); ?></span>
                                     <span class="fds-progress-counts"></span>
                                 </div>
+                                <ul class="fds-progress-activity"></ul>
+                            </div>
+                            
+                            <div id="fds-sync-preview" class="fds-sync-preview" style="display: none;">
+                                <h4><?php _e('Sync Preview', 'filebird-dropbox-sync'); ?></h4>
+                                <p class="description"><?php _e('Nothing has been changed yet. Review what a full sync would do, then approve it to run exactly this plan.', 'filebird-dropbox-sync'); ?></p>
+                                
+                                <div id="fds-preview-summary" class="fds-preview-summary"></div>
+                                
+                                <div class="fds-log-filters">
+                                    <div class="fds-filter-group">
+                                        <select id="fds-preview-direction-filter">
+                                            <option value=""><?php _e('Both directions', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="wordpress_to_dropbox"><?php _e('WordPress to Dropbox', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="dropbox_to_wordpress"><?php _e('Dropbox to WordPress', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <select id="fds-preview-type-filter">
+                                            <option value=""><?php _e('Folders and files', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="folder"><?php _e('Folders', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="file"><?php _e('Files', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <select id="fds-preview-action-filter">
+                                            <option value=""><?php _e('All changes', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="create"><?php _e('Create', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="move"><?php _e('Move', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="update"><?php _e('Update', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="delete"><?php _e('Delete', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <input type="search" id="fds-preview-search" placeholder="<?php esc_attr_e('Search names and paths...', 'filebird-dropbox-sync'); ?>">
+                                    </div>
+                                </div>
+                                
+                                <div class="fds-logs-table-wrapper">
+                                    <table class="widefat fds-logs-table fds-preview-table">
+                                        <thead>
+                                            <tr>
+                                                <th><?php _e('Change', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Item', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Path', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Reason', 'filebird-dropbox-sync'); ?></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody id="fds-preview-tbody"></tbody>
+                                    </table>
+                                </div>
+                                
+                                <div class="fds-logs-pagination">
+                                    <button type="button" id="fds-preview-prev" class="button button-secondary" disabled><?php _e('Previous', 'filebird-dropbox-sync'); ?></button>
+                                    <span id="fds-preview-page-info"></span>
+                                    <button type="button" id="fds-preview-next" class="button button-secondary" disabled><?php _e('Next', 'filebird-dropbox-sync'); ?></button>
+                                </div>
+                                
+                                <div class="fds-action-row fds-preview-actions">
+                                    <button type="button" id="fds-preview-run" class="button button-primary"><?php _e('Approve and Run', 'filebird-dropbox-sync'); ?></button>
+                                    <button type="button" id="fds-preview-discard" class="button"><?php _e('Discard', 'filebird-dropbox-sync'); ?></button>
+                                    <span id="fds-preview-generated" class="fds-status-indicator"></span>
+                                </div>
+                            </div>
+                        </div>
+                        
+                        <div class="fds-sync-controls fds-import-controls">
+                            <h3><?php _e('Import from Dropbox', 'filebird-dropbox-sync'); ?></h3>
+                            <p><?php _e('Browse Dropbox and import selected files or folders into a FileBird folder without running a full sync.', 'filebird-dropbox-sync'); ?></p>
+                            
+                            <div class="fds-action-row">
+                                <button type="button" class="button fds-open-import"><?php _e('Browse Dropbox', 'filebird-dropbox-sync'); ?></button>
                             </div>
                         </div>
                         
                         <div class="fds-sync-dashboard">
                             <h3><?php _e('Sync Status Dashboard', 'filebird-dropbox-sync'); ?></h3>
                             
+                            <?php
+                            $sync_mode = new FDS_Sync_Mode();
+                            $mode_icons = array(
+                                'two_way' => 'update',
+                                'wordpress_to_dropbox' => 'upload',
+                                'dropbox_to_wordpress' => 'download',
+                                'backup' => 'backup',
+                            );
+                            ?>
+                            <p class="fds-sync-mode-indicator">
+                                <span class="dashicons dashicons-<?php echo esc_attr($mode_icons[$sync_mode->get_mode()]); ?>"></span>
+                                <?php _e('Sync mode:', 'filebird-dropbox-sync'); ?>
+                                <strong id="fds-sync-mode"><?php echo esc_html($sync_mode->get_mode_label()); ?></strong>
+                            </p>
+                            
+                            <?php
+                            $sync_schedule = new FDS_Sync_Schedule();
+                            $schedule_status = $sync_schedule->get_status();
+                            ?>
+                            <p id="fds-schedule-indicator" class="fds-sync-mode-indicator fds-schedule-indicator<?php echo $schedule_status['paused'] ? ' fds-schedule-paused' : ''; ?>"<?php echo $schedule_status['enabled'] ? '' : ' style="display: none;"'; ?>>
+                                <span class="dashicons dashicons-<?php echo $schedule_status['paused'] ? 'controls-pause' : 'clock'; ?>"></span>
+                                <span id="fds-schedule-message"><?php echo esc_html($schedule_status['message']); ?></span>
+                            </p>
+                            
                             <div class="fds-stats-grid">
                                 <div class="fds-stat-card fds-stat-blue">
                                     <h4><?php _e('Total Files', 'filebird-dropbox-sync'); ?></h4>
@@ -128,6 +204,11 @@
                                     <h4><?php _e('Failed Tasks', 'filebird-dropbox-sync'); ?></h4>
                                     <p class="fds-stat-value" id="fds-failed-tasks">-</p>
                                 </div>
+                                
+                                <div class="fds-stat-card fds-stat-purple">
+                                    <h4><?php _e('Pending Regenerations', 'filebird-dropbox-sync'); ?></h4>
+                                    <p class="fds-stat-value" id="fds-pending-regenerations">-</p>
+                                </div>
                             </div>
                             
                             <div class="fds-action-buttons">
@@ -148,6 +229,87 @@
                             </div>
                             
                             <div id="fds-action-status" style="display: none;"></div>
+
+                            <div class="fds-queue-inspector">
+                                <h3><?php _e('Queue Inspector', 'filebird-dropbox-sync'); ?></h3>
+
+                                <div class="fds-log-filters">
+                                    <div class="fds-filter-group">
+                                        <select id="fds-queue-status-filter">
+                                            <option value=""><?php _e('All statuses', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="pending"><?php _e('Pending', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="processing"><?php _e('Processing', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="failed"><?php _e('Failed', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="completed"><?php _e('Completed', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="cancelled"><?php _e('Cancelled', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <select id="fds-queue-type-filter">
+                                            <option value=""><?php _e('All types', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="file"><?php _e('File', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="folder"><?php _e('Folder', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="system"><?php _e('System', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <select id="fds-queue-action-filter">
+                                            <option value=""><?php _e('All actions', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="create"><?php _e('Create', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="update"><?php _e('Update', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="move"><?php _e('Move', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="rename"><?php _e('Rename', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="delete"><?php _e('Delete', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="metadata"><?php _e('Metadata', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="regenerate"><?php _e('Regenerate sizes', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="full_sync"><?php _e('Full sync', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <select id="fds-queue-direction-filter">
+                                            <option value=""><?php _e('All directions', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="wordpress_to_dropbox"><?php _e('WordPress → Dropbox', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="dropbox_to_wordpress"><?php _e('Dropbox → WordPress', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <input type="search" id="fds-queue-search" placeholder="<?php esc_attr_e('Search item ID or error...', 'filebird-dropbox-sync'); ?>">
+                                    </div>
+
+                                    <div class="fds-button-group">
+                                        <select id="fds-queue-bulk-action">
+                                            <option value=""><?php _e('Bulk actions', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="retry"><?php _e('Retry', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="cancel"><?php _e('Cancel', 'filebird-dropbox-sync'); ?></option>
+                                            <option value="reprioritize"><?php _e('Change priority', 'filebird-dropbox-sync'); ?></option>
+                                        </select>
+                                        <button type="button" id="fds-queue-bulk-apply" class="button button-secondary"><?php _e('Apply', 'filebird-dropbox-sync'); ?></button>
+                                    </div>
+                                </div>
+
+                                <div class="fds-logs-table-wrapper">
+                                    <table class="widefat fds-logs-table fds-queue-table">
+                                        <thead>
+                                            <tr>
+                                                <th class="check-column"><input type="checkbox" id="fds-queue-select-all"></th>
+                                                <th><?php _e('Action', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Type', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Item', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Direction', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Priority', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Status', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Attempts', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Error', 'filebird-dropbox-sync'); ?></th>
+                                                <th><?php _e('Locked By', 'filebird-dropbox-sync'); ?></th>
+                                                <th></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody id="fds-queue-tbody">
+                                            <tr>
+                                                <td colspan="11" class="fds-loading-logs"><?php _e('Loading tasks...', 'filebird-dropbox-sync'); ?></td>
+                                            </tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+
+                                <div class="fds-logs-pagination">
+                                    <button type="button" id="fds-queue-prev" class="button button-secondary" disabled><?php _e('Previous', 'filebird-dropbox-sync'); ?></button>
+                                    <span id="fds-queue-page-info"><?php _e('Page 1', 'filebird-dropbox-sync'); ?></span>
+                                    <button type="button" id="fds-queue-next" class="button button-secondary"><?php _e('Next', 'filebird-dropbox-sync'); ?></button>
+                                </div>
+                            </div>
                         </div>
                         <?php
                     } else {
@@ -185,6 +347,8 @@
                                     <li>files.metadata.read</li>
                                     <li>files.content.write</li>
                                     <li>files.content.read</li>
+                                    <li>sharing.read</li>
+                                    <li>sharing.write</li>
                                 </ul>
                                 <p><?php _e('Click "Submit" to save the permissions.', 'filebird-dropbox-sync'); ?></p>
                             </li>
@@ -199,16 +363,16 @@
                                 </div>
                             </li>
                             <li>
-                                <strong><?php _e('Get App Credentials', 'filebird-dropbox-sync'); ?></strong>
-                                <p><?php _e('From your app settings, copy the "App key" and "App secret".', 'filebird-dropbox-sync'); ?></p>
+                                <strong><?php _e('Get the App Key', 'filebird-dropbox-sync'); ?></strong>
+                                <p><?php _e('From your app settings, copy the "App key". The App secret is not needed.', 'filebird-dropbox-sync'); ?></p>
                             </li>
                             <li>
-                                <strong><?php _e('Enter Credentials Below', 'filebird-dropbox-sync'); ?></strong>
-                                <p><?php _e('Enter the App key and App secret in the form below and click "Save Changes".', 'filebird-dropbox-sync'); ?></p>
+                                <strong><?php _e('Enter the App Key Below', 'filebird-dropbox-sync'); ?></strong>
+                                <p><?php _e('Enter the App key in the form below and click "Save Changes".', 'filebird-dropbox-sync'); ?></p>
                             </li>
                             <li>
                                 <strong><?php _e('Connect to Dropbox', 'filebird-dropbox-sync'); ?></strong>
-                                <p><?php _e('After saving your credentials, click the "Connect to Dropbox" button.', 'filebird-dropbox-sync'); ?></p>
+                                <p><?php _e('After saving the App key, click the "Connect to Dropbox" button.', 'filebird-dropbox-sync'); ?></p>
                             </li>
                         </ol>
                     </div>
@@ -259,6 +423,371 @@
                     ?>
                 </form>
             </div>
+        <?php elseif ($active_tab === 'health'): ?>
+            <div class="fds-settings-section">
+                <div class="fds-health-container">
+                    <div class="fds-section-header">
+                        <h3><?php _e('Sync Health', 'filebird-dropbox-sync'); ?></h3>
+                        <p><?php _e('Checks everything the synchronization depends on. Problems that can be repaired from here have a fix button.', 'filebird-dropbox-sync'); ?></p>
+                    </div>
+
+                    <div id="fds-health-status" style="display: none;"></div>
+
+                    <div class="fds-log-filters">
+                        <div class="fds-filter-group">
+                            <span id="fds-health-summary"></span>
+                        </div>
+
+                        <div class="fds-button-group">
+                            <button type="button" id="fds-run-health" class="button button-secondary">
+                                <span class="dashicons dashicons-update" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Run Checks Again', 'filebird-dropbox-sync'); ?>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="fds-logs-table-wrapper">
+                        <table class="widefat fds-logs-table fds-health-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Check', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Status', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Details', 'filebird-dropbox-sync'); ?></th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="fds-health-tbody">
+                                <tr>
+                                    <td colspan="4" class="fds-loading-logs"><?php _e('Running health checks...', 'filebird-dropbox-sync'); ?></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="fds-reconcile-container">
+                    <div class="fds-section-header">
+                        <h3><?php _e('Mapping Reconciliation', 'filebird-dropbox-sync'); ?></h3>
+                        <p><?php _e('Cross-checks every file mapping against the WordPress attachments and the Dropbox files, by file ID, path and content. Problems are grouped by type and can be repaired, relinked or purged in bulk.', 'filebird-dropbox-sync'); ?></p>
+                    </div>
+
+                    <div id="fds-reconcile-status" style="display: none;"></div>
+
+                    <div class="fds-log-filters">
+                        <div class="fds-filter-group">
+                            <select id="fds-reconcile-type">
+                                <option value=""><?php _e('All problems', 'filebird-dropbox-sync'); ?></option>
+                            </select>
+                            <span id="fds-reconcile-summary"></span>
+                        </div>
+
+                        <div class="fds-button-group">
+                            <select id="fds-reconcile-operation">
+                                <option value=""><?php _e('Bulk actions', 'filebird-dropbox-sync'); ?></option>
+                                <option value="repair"><?php _e('Repair', 'filebird-dropbox-sync'); ?></option>
+                                <option value="relink"><?php _e('Relink', 'filebird-dropbox-sync'); ?></option>
+                                <option value="purge"><?php _e('Purge mapping', 'filebird-dropbox-sync'); ?></option>
+                            </select>
+                            <button type="button" id="fds-reconcile-apply" class="button button-secondary"><?php _e('Apply to Selected', 'filebird-dropbox-sync'); ?></button>
+                            <button type="button" id="fds-reconcile-apply-all" class="button button-secondary"><?php _e('Apply to All in Group', 'filebird-dropbox-sync'); ?></button>
+                            <button type="button" id="fds-run-reconcile" class="button button-primary">
+                                <span class="dashicons dashicons-search" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Run Reconciliation', 'filebird-dropbox-sync'); ?>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="fds-logs-table-wrapper">
+                        <table class="widefat fds-logs-table fds-reconcile-table">
+                            <thead>
+                                <tr>
+                                    <th class="check-column"><input type="checkbox" id="fds-reconcile-select-all"></th>
+                                    <th><?php _e('Attachment', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Problem', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Mapped Dropbox Path', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Found In Dropbox', 'filebird-dropbox-sync'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="fds-reconcile-tbody">
+                                <tr>
+                                    <td colspan="5" class="fds-loading-logs"><?php _e('Loading the last report...', 'filebird-dropbox-sync'); ?></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div class="fds-logs-pagination">
+                        <button type="button" id="fds-reconcile-prev" class="button button-secondary" disabled><?php _e('Previous', 'filebird-dropbox-sync'); ?></button>
+                        <span id="fds-reconcile-page-info"><?php _e('Page 1', 'filebird-dropbox-sync'); ?></span>
+                        <button type="button" id="fds-reconcile-next" class="button button-secondary"><?php _e('Next', 'filebird-dropbox-sync'); ?></button>
+                    </div>
+                </div>
+            </div>
+        <?php elseif ($active_tab === 'duplicates'): ?>
+            <div class="fds-settings-section">
+                <div class="fds-duplicates-container">
+                    <div class="fds-section-header">
+                        <h3><?php _e('Duplicate Files', 'filebird-dropbox-sync'); ?></h3>
+                        <p><?php _e('Groups attachments and Dropbox files that have the same content, by Dropbox content hash. Merging keeps the chosen attachment, points posts, featured images and galleries that use the others to it, and deletes the others. Their Dropbox files are deleted by the sync like any other deleted attachment.', 'filebird-dropbox-sync'); ?></p>
+                    </div>
+
+                    <div id="fds-duplicates-status" style="display: none;"></div>
+
+                    <div class="fds-log-filters">
+                        <div class="fds-filter-group">
+                            <span id="fds-duplicates-summary"></span>
+                        </div>
+
+                        <div class="fds-button-group">
+                            <button type="button" id="fds-scan-duplicates" class="button button-primary">
+                                <span class="dashicons dashicons-search" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Scan for Duplicates', 'filebird-dropbox-sync'); ?>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="fds-logs-table-wrapper">
+                        <table class="widefat fds-logs-table fds-duplicates-table">
+                            <thead>
+                                <tr>
+                                    <th class="fds-duplicates-keep"><?php _e('Keep', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('File', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Dropbox Path', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Size', 'filebird-dropbox-sync'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="fds-duplicates-tbody">
+                                <tr>
+                                    <td colspan="4" class="fds-loading-logs"><?php _e('Loading the last report...', 'filebird-dropbox-sync'); ?></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div class="fds-logs-pagination">
+                        <button type="button" id="fds-duplicates-prev" class="button button-secondary" disabled><?php _e('Previous', 'filebird-dropbox-sync'); ?></button>
+                        <span id="fds-duplicates-page-info"><?php _e('Page 1', 'filebird-dropbox-sync'); ?></span>
+                        <button type="button" id="fds-duplicates-next" class="button button-secondary"><?php _e('Next', 'filebird-dropbox-sync'); ?></button>
+                    </div>
+                </div>
+            </div>
+        <?php elseif ($active_tab === 'conflicts'): ?>
+            <div class="fds-settings-section">
+                <div class="fds-conflicts-container">
+                    <div class="fds-section-header">
+                        <h3><?php _e('Conflict Resolution', 'filebird-dropbox-sync'); ?></h3>
+                        <p><?php _e('Files changed in both WordPress and Dropbox are listed here when conflict resolution is set to "Ask Me". Compare both versions and choose which one to keep.', 'filebird-dropbox-sync'); ?></p>
+                    </div>
+
+                    <div id="fds-conflict-status" style="display: none;"></div>
+
+                    <div class="fds-log-filters">
+                        <div class="fds-filter-group">
+                            <select id="fds-conflict-status-filter">
+                                <option value="open"><?php _e('Open', 'filebird-dropbox-sync'); ?></option>
+                                <option value="resolved"><?php _e('Resolved', 'filebird-dropbox-sync'); ?></option>
+                                <option value=""><?php _e('All', 'filebird-dropbox-sync'); ?></option>
+                            </select>
+                            <input type="search" id="fds-conflict-search" placeholder="<?php esc_attr_e('Search Dropbox path...', 'filebird-dropbox-sync'); ?>">
+                        </div>
+
+                        <div class="fds-button-group">
+                            <select id="fds-conflict-bulk-action">
+                                <option value=""><?php _e('Bulk actions', 'filebird-dropbox-sync'); ?></option>
+                                <option value="keep_wordpress"><?php _e('Keep WordPress', 'filebird-dropbox-sync'); ?></option>
+                                <option value="keep_dropbox"><?php _e('Keep Dropbox', 'filebird-dropbox-sync'); ?></option>
+                                <option value="keep_both"><?php _e('Keep both', 'filebird-dropbox-sync'); ?></option>
+                            </select>
+                            <button type="button" id="fds-conflict-bulk-apply" class="button button-secondary"><?php _e('Apply', 'filebird-dropbox-sync'); ?></button>
+                        </div>
+                    </div>
+
+                    <div class="fds-logs-table-wrapper">
+                        <table class="widefat fds-logs-table fds-conflicts-table">
+                            <thead>
+                                <tr>
+                                    <th class="check-column"><input type="checkbox" id="fds-conflict-select-all"></th>
+                                    <th><?php _e('File', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('WordPress Version', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Dropbox Version', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Detected', 'filebird-dropbox-sync'); ?></th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="fds-conflicts-tbody">
+                                <tr>
+                                    <td colspan="6" class="fds-loading-logs"><?php _e('Loading conflicts...', 'filebird-dropbox-sync'); ?></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div class="fds-logs-pagination">
+                        <button type="button" id="fds-conflicts-prev" class="button button-secondary" disabled><?php _e('Previous', 'filebird-dropbox-sync'); ?></button>
+                        <span id="fds-conflicts-page-info"><?php _e('Page 1', 'filebird-dropbox-sync'); ?></span>
+                        <button type="button" id="fds-conflicts-next" class="button button-secondary"><?php _e('Next', 'filebird-dropbox-sync'); ?></button>
+                    </div>
+                </div>
+            </div>
+        <?php elseif ($active_tab === 'tree'): ?>
+            <div class="fds-settings-section">
+                <div class="fds-tree-container">
+                    <div class="fds-section-header">
+                        <h3><?php _e('Folder Tree', 'filebird-dropbox-sync'); ?></h3>
+                        <p><?php _e('Compare the FileBird folder tree with the Dropbox folder tree. Right-click a folder, or use its menu button, to sync just that folder and everything below it.', 'filebird-dropbox-sync'); ?></p>
+                    </div>
+
+                    <div id="fds-tree-status" style="display: none;"></div>
+
+                    <div class="fds-log-filters">
+                        <div class="fds-filter-group">
+                            <label for="fds-tree-differences">
+                                <input type="checkbox" id="fds-tree-differences">
+                                <?php _e('Only show differences', 'filebird-dropbox-sync'); ?>
+                            </label>
+                            <span id="fds-tree-summary"></span>
+                        </div>
+
+                        <div class="fds-button-group">
+                            <button type="button" id="fds-refresh-tree" class="button button-secondary">
+                                <span class="dashicons dashicons-update" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Compare Again', 'filebird-dropbox-sync'); ?>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="fds-logs-table-wrapper">
+                        <table class="widefat fds-logs-table fds-tree-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('FileBird', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Dropbox', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Status', 'filebird-dropbox-sync'); ?></th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="fds-tree-tbody">
+                                <tr>
+                                    <td colspan="4" class="fds-loading-logs"><?php _e('Comparing folder trees...', 'filebird-dropbox-sync'); ?></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        <?php elseif ($active_tab === 'trash'): ?>
+            <div class="fds-settings-section">
+                <div class="fds-trash-container">
+                    <div class="fds-section-header">
+                        <h3><?php _e('Recently Deleted', 'filebird-dropbox-sync'); ?></h3>
+                        <p><?php _e('Files and folders the plugin deleted from Dropbox in the last 7 days. Restoring brings an item back to its previous Dropbox path from its revision history and links it to its attachment and FileBird folder again.', 'filebird-dropbox-sync'); ?></p>
+                    </div>
+
+                    <div id="fds-trash-status" style="display: none;"></div>
+
+                    <div class="fds-log-filters">
+                        <div class="fds-filter-group">
+                            <input type="search" id="fds-trash-search" placeholder="<?php esc_attr_e('Search Dropbox path...', 'filebird-dropbox-sync'); ?>">
+                        </div>
+                    </div>
+
+                    <div class="fds-logs-table-wrapper">
+                        <table class="widefat fds-logs-table fds-trash-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Item', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Dropbox Path', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Deleted', 'filebird-dropbox-sync'); ?></th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="fds-trash-tbody">
+                                <tr>
+                                    <td colspan="4" class="fds-loading-logs"><?php _e('Loading deleted items...', 'filebird-dropbox-sync'); ?></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div class="fds-logs-pagination">
+                        <button type="button" id="fds-trash-prev" class="button button-secondary" disabled><?php _e('Previous', 'filebird-dropbox-sync'); ?></button>
+                        <span id="fds-trash-page-info"><?php _e('Page 1', 'filebird-dropbox-sync'); ?></span>
+                        <button type="button" id="fds-trash-next" class="button button-secondary"><?php _e('Next', 'filebird-dropbox-sync'); ?></button>
+                    </div>
+                </div>
+            </div>
+        <?php elseif ($active_tab === 'history'): ?>
+            <div class="fds-settings-section">
+                <div class="fds-history-container">
+                    <div class="fds-section-header">
+                        <h3><?php _e('Sync History', 'filebird-dropbox-sync'); ?></h3>
+                        <p><?php _e('Every sync run with what started it, how long it took and what it did. The charts cover the last 30 days.', 'filebird-dropbox-sync'); ?></p>
+                    </div>
+
+                    <div class="fds-history-charts">
+                        <div class="fds-history-chart">
+                            <h4><?php _e('Items synced per day', 'filebird-dropbox-sync'); ?></h4>
+                            <div id="fds-throughput-chart" class="fds-chart-bars"></div>
+                            <div class="fds-chart-legend">
+                                <span class="fds-chart-key fds-chart-processed"></span> <?php _e('Synced', 'filebird-dropbox-sync'); ?>
+                                <span class="fds-chart-key fds-chart-failed"></span> <?php _e('Failed', 'filebird-dropbox-sync'); ?>
+                            </div>
+                        </div>
+
+                        <div class="fds-history-chart">
+                            <h4><?php _e('Error rate per day', 'filebird-dropbox-sync'); ?></h4>
+                            <div id="fds-error-chart" class="fds-chart-bars"></div>
+                            <div class="fds-chart-legend">
+                                <span class="fds-chart-key fds-chart-failed"></span> <?php _e('Failed items in %', 'filebird-dropbox-sync'); ?>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="fds-log-filters">
+                        <div class="fds-filter-group">
+                            <select id="fds-history-trigger">
+                                <option value=""><?php _e('All triggers', 'filebird-dropbox-sync'); ?></option>
+                                <?php foreach (FDS_Sync_History::get_triggers() as $trigger => $label) : ?>
+                                    <option value="<?php echo esc_attr($trigger); ?>"><?php echo esc_html($label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </div>
+
+                        <div class="fds-button-group">
+                            <button type="button" id="fds-refresh-history" class="button button-secondary">
+                                <span class="dashicons dashicons-update" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Refresh', 'filebird-dropbox-sync'); ?>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="fds-logs-table-wrapper">
+                        <table class="widefat fds-logs-table fds-history-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Started', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Trigger', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Timeline', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Items', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Failed', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Status', 'filebird-dropbox-sync'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="fds-history-tbody">
+                                <tr>
+                                    <td colspan="6" class="fds-loading-logs"><?php _e('Loading sync history...', 'filebird-dropbox-sync'); ?></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div class="fds-logs-pagination">
+                        <button type="button" id="fds-history-prev" class="button button-secondary" disabled><?php _e('Previous', 'filebird-dropbox-sync'); ?></button>
+                        <span id="fds-history-page-info"><?php _e('Page 1', 'filebird-dropbox-sync'); ?></span>
+                        <button type="button" id="fds-history-next" class="button button-secondary"><?php _e('Next', 'filebird-dropbox-sync'); ?></button>
+                    </div>
+                </div>
+            </div>
         <?php elseif ($active_tab === 'logs'): ?>
             <div class="fds-settings-section">
                 <div class="fds-logs-container">
@@ -282,9 +811,34 @@
                                     <option value="emergency"><?php _e('Emergency', 'filebird-dropbox-sync'); ?></option>
                                 </select>
                             </label>
+                            <select id="fds-log-component-filter">
+                                <option value=""><?php _e('All components', 'filebird-dropbox-sync'); ?></option>
+                            </select>
+                            <input type="search" id="fds-log-search" placeholder="<?php esc_attr_e('Search messages and details...', 'filebird-dropbox-sync'); ?>">
+                            <label for="fds-log-date-from">
+                                <?php _e('From:', 'filebird-dropbox-sync'); ?>
+                                <input type="date" id="fds-log-date-from">
+                            </label>
+                            <label for="fds-log-date-to">
+                                <?php _e('To:', 'filebird-dropbox-sync'); ?>
+                                <input type="date" id="fds-log-date-to">
+                            </label>
+                            <label for="fds-log-correlation-value">
+                                <?php _e('Pin:', 'filebird-dropbox-sync'); ?>
+                                <select id="fds-log-correlation-key">
+                                    <option value="attachment_id"><?php _e('Attachment ID', 'filebird-dropbox-sync'); ?></option>
+                                    <option value="dropbox_path"><?php _e('Dropbox path', 'filebird-dropbox-sync'); ?></option>
+                                    <option value="task_id"><?php _e('Task ID', 'filebird-dropbox-sync'); ?></option>
+                                </select>
+                                <input type="search" id="fds-log-correlation-value" placeholder="<?php esc_attr_e('Only show related entries...', 'filebird-dropbox-sync'); ?>">
+                            </label>
                         </div>
                         
                         <div class="fds-button-group">
+                            <button type="button" id="fds-live-logs" class="button button-secondary" aria-pressed="false">
+                                <span class="dashicons dashicons-controls-play" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Live', 'filebird-dropbox-sync'); ?>
+                            </button>
                             <button type="button" id="fds-refresh-logs" class="button button-secondary">
                                 <span class="dashicons dashicons-update" style="margin: 4px 5px 0 -5px;"></span>
                                 <?php _e('Refresh Logs', 'filebird-dropbox-sync'); ?>
@@ -293,22 +847,33 @@
                                 <span class="dashicons dashicons-trash" style="margin: 4px 5px 0 -5px;"></span>
                                 <?php _e('Clear Logs', 'filebird-dropbox-sync'); ?>
                             </button>
+                            <button type="button" class="button button-secondary fds-export-logs" data-format="csv">
+                                <span class="dashicons dashicons-download" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Export CSV', 'filebird-dropbox-sync'); ?>
+                            </button>
+                            <button type="button" class="button button-secondary fds-export-logs" data-format="ndjson">
+                                <span class="dashicons dashicons-download" style="margin: 4px 5px 0 -5px;"></span>
+                                <?php _e('Export NDJSON', 'filebird-dropbox-sync'); ?>
+                            </button>
                         </div>
                     </div>
                     
+                    <div id="fds-live-logs-status" class="fds-live-logs-status" style="display: none;"></div>
+                    
                     <div class="fds-logs-table-wrapper">
                         <table class="widefat fds-logs-table">
                             <thead>
                                 <tr>
                                     <th><?php _e('Time', 'filebird-dropbox-sync'); ?></th>
                                     <th><?php _e('Level', 'filebird-dropbox-sync'); ?></th>
+                                    <th><?php _e('Component', 'filebird-dropbox-sync'); ?></th>
                                     <th><?php _e('Message', 'filebird-dropbox-sync'); ?></th>
                                     <th><?php _e('Details', 'filebird-dropbox-sync'); ?></th>
                                 </tr>
                             </thead>
                             <tbody id="fds-logs-tbody">
                                 <tr>
-                                    <td colspan="4" class="fds-loading-logs"><?php _e('Loading logs...', 'filebird-dropbox-sync'); ?></td>
+                                    <td colspan="5" class="fds-loading-logs"><?php _e('Loading logs...', 'filebird-dropbox-sync'); ?></td>
                                 </tr>
                             </tbody>
                         </table>
@@ -189,6 +189,137 @@ class FDS_Activator {
             self::log_activation_error("Failed to create table: $table_name");
         }
         
+        // Create a conflicts table for conflicts awaiting a manual decision
+        $table_name = $wpdb->prefix . 'fds_conflicts';
+        
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            attachment_id bigint(20) NOT NULL,
+            dropbox_path varchar(768) NOT NULL,
+            wp_size bigint(20) DEFAULT 0,
+            wp_modified datetime,
+            wp_hash varchar(64),
+            dropbox_size bigint(20) DEFAULT 0,
+            dropbox_modified datetime,
+            dropbox_hash varchar(64),
+            dropbox_rev varchar(64),
+            status varchar(20) DEFAULT 'open',
+            resolution varchar(20),
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            resolved_at datetime,
+            PRIMARY KEY  (id),
+            KEY attachment_id (attachment_id),
+            KEY status (status)
+        ) $charset_collate;";
+        
+        dbDelta($sql);
+        
+        // Check if table was created
+        if (!self::table_exists($table_name)) {
+            self::log_activation_error("Failed to create table: $table_name");
+        }
+        
+        // Create a history table with one row per sync run
+        $table_name = $wpdb->prefix . 'fds_sync_history';
+        
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            trigger_type varchar(20) NOT NULL,
+            full_sync_id varchar(20) DEFAULT '',
+            status varchar(20) DEFAULT 'running',
+            processed int(11) DEFAULT 0,
+            failed int(11) DEFAULT 0,
+            actions longtext,
+            started_at datetime DEFAULT CURRENT_TIMESTAMP,
+            finished_at datetime,
+            PRIMARY KEY  (id),
+            KEY started_at (started_at),
+            KEY trigger_type (trigger_type)
+        ) $charset_collate;";
+        
+        dbDelta($sql);
+        
+        // Check if table was created
+        if (!self::table_exists($table_name)) {
+            self::log_activation_error("Failed to create table: $table_name");
+        }
+        
+        // Create a table for the items of sync plans awaiting approval or being queued
+        $table_name = $wpdb->prefix . 'fds_sync_plan_items';
+        
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            plan_id varchar(20) NOT NULL,
+            direction varchar(20) NOT NULL,
+            action varchar(20) NOT NULL,
+            item_type varchar(20) NOT NULL,
+            item_id varchar(255) NOT NULL,
+            label varchar(255) DEFAULT '',
+            path text,
+            from_path text,
+            reason varchar(255) DEFAULT '',
+            data longtext,
+            priority int(11) DEFAULT 10,
+            sort_group int(11) DEFAULT 0,
+            PRIMARY KEY  (id),
+            KEY plan_order (plan_id, sort_group, id)
+        ) $charset_collate;";
+        
+        dbDelta($sql);
+        
+        // Check if table was created
+        if (!self::table_exists($table_name)) {
+            self::log_activation_error("Failed to create table: $table_name");
+        }
+        
+        // Create a table for the Dropbox listing of a running full sync
+        $table_name = $wpdb->prefix . 'fds_sync_listing';
+        
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            run_id varchar(20) NOT NULL,
+            path_hash varchar(32) NOT NULL,
+            path_lower text NOT NULL,
+            entry longtext NOT NULL,
+            claimed tinyint(1) DEFAULT 0,
+            PRIMARY KEY  (id),
+            UNIQUE KEY run_path (run_id, path_hash),
+            KEY run_claimed (run_id, claimed, id)
+        ) $charset_collate;";
+        
+        dbDelta($sql);
+        
+        // Check if table was created
+        if (!self::table_exists($table_name)) {
+            self::log_activation_error("Failed to create table: $table_name");
+        }
+        
+        // Create a table for the items the plugin deleted from Dropbox
+        $table_name = $wpdb->prefix . 'fds_deletions';
+        $is_new = !self::table_exists($table_name);
+        
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            task_id bigint(20) DEFAULT 0,
+            item_type varchar(20) NOT NULL,
+            dropbox_path text NOT NULL,
+            data longtext,
+            deleted_at datetime NOT NULL,
+            restored_at datetime DEFAULT NULL,
+            PRIMARY KEY  (id),
+            KEY task_id (task_id),
+            KEY deleted_at (deleted_at)
+        ) $charset_collate;";
+        
+        dbDelta($sql);
+        
+        // Check if table was created
+        if (!self::table_exists($table_name)) {
+            self::log_activation_error("Failed to create table: $table_name");
+        } elseif ($is_new) {
+            self::import_queued_deletions($table_name);
+        }
+        
         // Add custom capabilities
         $admin = get_role('administrator');
         if ($admin) {
@@ -275,6 +406,47 @@ class FDS_Activator {
         return $result === $table_name;
     }
     
+    /**
+     * Copy the deletions recorded in the queue into the deletions table.
+     * 
+     * Earlier versions only had the finished delete tasks, which are
+     * removed from the queue after a few days.
+     * 
+     * @param string $table_name Full name of the deletions table.
+     */
+    private static function import_queued_deletions($table_name) {
+        global $wpdb;
+        
+        $queue_table = $wpdb->prefix . 'fds_sync_queue';
+        
+        if (!self::table_exists($queue_table)) {
+            return;
+        }
+        
+        $tasks = $wpdb->get_results(
+            "SELECT id, item_type, data, updated_at FROM $queue_table
+            WHERE status = 'completed' AND action = 'delete' AND direction = 'wordpress_to_dropbox' AND item_type IN ('file', 'folder')"
+        );
+        
+        foreach ($tasks as $task) {
+            $data = maybe_unserialize($task->data);
+            $path_key = $task->item_type === 'folder' ? 'folder_path' : 'dropbox_path';
+            
+            if (!is_array($data) || empty($data[$path_key])) {
+                continue;
+            }
+            
+            $wpdb->insert($table_name, array(
+                'task_id' => $task->id,
+                'item_type' => $task->item_type,
+                'dropbox_path' => $data[$path_key],
+                'data' => maybe_serialize($data),
+                'deleted_at' => $task->updated_at,
+                'restored_at' => !empty($data['restored_at']) ? $data['restored_at'] : null,
+            ));
+        }
+    }
+    
     /**
      * Log an activation error.
      * 
@@ -109,6 +109,42 @@ class FDS_Core {
      */
     protected $rest_controller;
 
+    /**
+     * The media library instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Media_Library    $media_library    Media Library integration.
+     */
+    protected $media_library;
+
+    /**
+     * The sync planner instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Planner    $sync_planner    Full sync planning and preview.
+     */
+    protected $sync_planner;
+
+    /**
+     * The notifier instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Notifier    $notifier    Failure notifications.
+     */
+    protected $notifier;
+
+    /**
+     * The offload instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Offload    $offload    Serves offloaded originals from Dropbox.
+     */
+    protected $offload;
+
     /**
      * Define the core functionality of the plugin.
      *
@@ -176,6 +212,91 @@ class FDS_Core {
          */
         require_once FDS_PLUGIN_DIR . 'includes/class-fds-queue.php';
 
+        /**
+         * The class responsible for planning and previewing full syncs
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-sync-planner.php';
+
+        /**
+         * The class responsible for full sync checkpoints
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-sync-checkpoint.php';
+
+        /**
+         * The class responsible for the sync run history
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-sync-history.php';
+
+        /**
+         * The class responsible for selective sync rules
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-sync-rules.php';
+
+        /**
+         * The class responsible for mapping folders to their own Dropbox paths
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-root-mappings.php';
+
+        /**
+         * The class responsible for the sync mode
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-sync-mode.php';
+
+        /**
+         * The class responsible for sync windows and transfer limits
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-sync-schedule.php';
+
+        /**
+         * The class responsible for keeping transfers under the limits
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-throttle.php';
+
+        /**
+         * The class responsible for restoring items deleted from Dropbox
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-trash.php';
+
+        /**
+         * The class responsible for comparing the FileBird and Dropbox folder trees
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-tree-compare.php';
+
+        /**
+         * The class responsible for the sync health checks
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-health.php';
+
+        /**
+         * The class responsible for reconciling file mappings
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-reconciler.php';
+
+        /**
+         * The class responsible for failure notifications
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-notifier.php';
+
+        /**
+         * The class responsible for importing files picked in the Dropbox browser
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-dropbox-import.php';
+
+        /**
+         * The class responsible for serving offloaded originals from Dropbox
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-offload.php';
+
+        /**
+         * The class responsible for syncing attachment metadata with Dropbox file properties
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-metadata-sync.php';
+
+        /**
+         * The class responsible for finding and merging duplicate files
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-duplicates.php';
+
         /**
          * The class responsible for webhook handling.
          */
@@ -201,6 +322,11 @@ class FDS_Core {
          */
         require_once FDS_PLUGIN_DIR . 'includes/class-fds-rest-controller.php';
 
+        /**
+         * The class responsible for Media Library integration
+         */
+        require_once FDS_PLUGIN_DIR . 'includes/class-fds-media-library.php';
+
         $this->loader = new FDS_Loader();
     }
 
@@ -254,6 +380,10 @@ class FDS_Core {
         // Initialize queue system with its dependencies
         $this->queue = new FDS_Queue($this->folder_sync, $this->file_sync, $this->logger);
         
+        // Initialize the full sync planner and let the queue use it
+        $this->sync_planner = new FDS_Sync_Planner($this->dropbox_api, $this->db, $this->logger);
+        $this->queue->set_sync_planner($this->sync_planner);
+        
         // Initialize webhook handler with its dependencies
         $this->webhook = new FDS_Webhook($this->queue, $this->dropbox_api, $this->settings, $this->logger);
         
@@ -271,12 +401,25 @@ class FDS_Core {
         // Initialize REST controller with its dependencies
         $this->rest_controller = new FDS_REST_Controller($this->db, $this->logger, $this->queue);
         
+        $this->rest_controller->set_file_sync($this->file_sync);
+        $this->rest_controller->set_sync_planner($this->sync_planner);
+        
         // Set the REST controller reference in settings
         $this->settings->set_rest_controller($this->rest_controller);
         
+        // Initialize Media Library integration with its dependencies
+        $this->media_library = new FDS_Media_Library($this->file_sync, $this->logger);
+        
         // Initialize performance optimization with its dependencies
         $this->performance = new FDS_Performance($this->db, $this->logger);
         
+        // Initialize failure notifications, checked on their own schedule
+        $this->notifier = new FDS_Notifier($this->db, $this->logger);
+        add_action('fds_check_alerts', array($this->notifier, 'check_alerts'));
+        
+        // Initialize media offloading, its URL filters are added with the sync hooks
+        $this->offload = new FDS_Offload($this->dropbox_api, $this->db, $this->logger);
+        
         // Initialize Action Scheduler integration
         $this->initialize_action_scheduler();
     }
@@ -303,6 +446,12 @@ class FDS_Core {
         // Register webhook endpoint
         $this->loader->add_action('rest_api_init', $this->webhook, 'register_webhook_endpoint');
         
+        // Offloaded originals are served from Dropbox, with or without FileBird
+        $this->loader->add_action('rest_api_init', $this->offload, 'register_endpoint');
+        $this->loader->add_filter('wp_get_attachment_url', $this->offload, 'filter_attachment_url', 10, 2);
+        $this->loader->add_filter('image_downsize', $this->offload, 'filter_image_downsize', 10, 3);
+        $this->loader->add_filter('wp_calculate_image_srcset', $this->offload, 'filter_image_srcset', 10, 5);
+        
         // Check if FileBird is active
         if (!class_exists('FileBird\\Model\\Folder')) {
             $this->logger->error("FileBird plugin not detected, sync hooks not registered");
@@ -319,6 +468,10 @@ class FDS_Core {
         $this->loader->add_action('add_attachment', $this->file_sync, 'on_file_added');
         $this->loader->add_action('delete_attachment', $this->file_sync, 'on_file_deleted');
         $this->loader->add_action('wp_update_attachment_metadata', $this->file_sync, 'on_file_updated', 10, 2);
+        $this->loader->add_action('attachment_updated', $this->file_sync, 'on_attachment_updated', 10, 3);
+        $this->loader->add_action('added_post_meta', $this->file_sync, 'on_attachment_meta_updated', 10, 3);
+        $this->loader->add_action('updated_post_meta', $this->file_sync, 'on_attachment_meta_updated', 10, 3);
+        $this->loader->add_action('deleted_post_meta', $this->file_sync, 'on_attachment_meta_updated', 10, 3);
         $this->loader->add_action('fbv_after_set_folder', $this->file_sync, 'on_file_moved', 10, 2);
         
         // WP-Cron hook for queue processing
@@ -392,6 +545,10 @@ class FDS_Core {
             'interval' => 60,
             'display'  => __('Every Minute', 'filebird-dropbox-sync'),
         );
+        $schedules['fifteen_minutes'] = array(
+            'interval' => 15 * 60,
+            'display'  => __('Every 15 Minutes', 'filebird-dropbox-sync'),
+        );
         return $schedules;
     }
 
@@ -411,6 +568,11 @@ class FDS_Core {
             }
         }
         
+        // Check for alert conditions every 15 minutes
+        if (!wp_next_scheduled('fds_check_alerts')) {
+            wp_schedule_event(time(), 'fifteen_minutes', 'fds_check_alerts');
+        }
+        
         // Check if we need to run a full sync after activation
         if (get_option('fds_run_full_sync_after_activation', false)) {
             delete_option('fds_run_full_sync_after_activation');
@@ -31,7 +31,12 @@ class FDS_DB {
             'file_mapping' => $wpdb->prefix . 'fds_file_mapping',
             'sync_queue' => $wpdb->prefix . 'fds_sync_queue',
             'logs' => $wpdb->prefix . 'fds_logs',
-            'cache' => $wpdb->prefix . 'fds_cache'
+            'cache' => $wpdb->prefix . 'fds_cache',
+            'conflicts' => $wpdb->prefix . 'fds_conflicts',
+            'sync_history' => $wpdb->prefix . 'fds_sync_history',
+            'sync_plan_items' => $wpdb->prefix . 'fds_sync_plan_items',
+            'sync_listing' => $wpdb->prefix . 'fds_sync_listing',
+            'deletions' => $wpdb->prefix . 'fds_deletions'
         );
     }
 
@@ -69,6 +74,24 @@ class FDS_DB {
         return true;
     }
 
+    /**
+     * Get the required tables that don't exist.
+     *
+     * @since    1.0.0
+     * @return   array    The names of the missing tables.
+     */
+    public function get_missing_tables() {
+        $missing = array();
+
+        foreach ($this->required_tables as $table_key => $table_name) {
+            if (!$this->table_exists($table_key)) {
+                $missing[] = $table_name;
+            }
+        }
+
+        return $missing;
+    }
+
     /**
      * Create required tables if they don't exist.
      *
@@ -302,6 +325,41 @@ class FDS_DB {
         );
     }
 
+    /**
+     * Get the file mappings of several attachments.
+     *
+     * @since    1.0.0
+     * @param    array    $attachment_ids    The attachment IDs.
+     * @return   array                       The file mappings keyed by attachment ID.
+     */
+    public function get_file_mappings_by_attachment_ids($attachment_ids) {
+        $attachment_ids = array_values(array_unique(array_filter(array_map('intval', (array) $attachment_ids))));
+
+        if (empty($attachment_ids) || !$this->table_exists('file_mapping')) {
+            return array();
+        }
+
+        global $wpdb;
+        
+        $table_name = $this->required_tables['file_mapping'];
+        $placeholders = implode(',', array_fill(0, count($attachment_ids), '%d'));
+        
+        $mappings = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE attachment_id IN ($placeholders)",
+                $attachment_ids
+            )
+        );
+        
+        $by_attachment = array();
+        
+        foreach ($mappings as $mapping) {
+            $by_attachment[intval($mapping->attachment_id)] = $mapping;
+        }
+        
+        return $by_attachment;
+    }
+
     /**
      * Get file mapping by Dropbox file ID.
      *
@@ -364,9 +422,10 @@ class FDS_DB {
      * @param    string    $dropbox_path      The Dropbox path.
      * @param    string    $dropbox_file_id   The Dropbox file ID.
      * @param    string    $sync_hash         The synchronization hash.
+     * @param    string    $content_hash      The Dropbox content hash, or empty to keep the stored one.
      * @return   int|false                    The number of rows affected or false on error.
      */
-    public function add_or_update_file_mapping($attachment_id, $dropbox_path, $dropbox_file_id, $sync_hash) {
+    public function add_or_update_file_mapping($attachment_id, $dropbox_path, $dropbox_file_id, $sync_hash, $content_hash = '') {
         if (!$this->table_exists('file_mapping')) {
             $this->create_tables_if_needed();
             if (!$this->table_exists('file_mapping')) {
@@ -385,25 +444,82 @@ class FDS_DB {
             'dropbox_file_id' => $dropbox_file_id,
             'last_synced' => current_time('mysql'),
             'sync_hash' => $sync_hash,
+            'sync_status' => 'synced',
         );
+        $format = array('%d', '%s', '%s', '%s', '%s', '%s');
+        
+        if ($content_hash !== '') {
+            $data['dropbox_content_hash'] = $content_hash;
+            $format[] = '%s';
+        }
         
         if ($existing) {
             return $wpdb->update(
                 $table_name,
                 $data,
                 array('attachment_id' => $attachment_id),
-                array('%d', '%s', '%s', '%s', '%s'),
+                $format,
                 array('%d')
             );
         } else {
             return $wpdb->insert(
                 $table_name,
                 $data,
-                array('%d', '%s', '%s', '%s', '%s')
+                $format
             );
         }
     }
     
+    /**
+     * Store the Dropbox content hash of a mapped file.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $content_hash     The Dropbox content hash.
+     * @return   int|false                   The number of rows affected or false on error.
+     */
+    public function update_file_content_hash($attachment_id, $content_hash) {
+        if (!$this->table_exists('file_mapping')) {
+            return false;
+        }
+
+        global $wpdb;
+        
+        $table_name = $this->required_tables['file_mapping'];
+        
+        return $wpdb->update(
+            $table_name,
+            array('dropbox_content_hash' => $content_hash),
+            array('attachment_id' => $attachment_id),
+            array('%s'),
+            array('%d')
+        );
+    }
+    
+    /**
+     * Get the file mappings of Dropbox files with the given content.
+     *
+     * @since    1.0.0
+     * @param    string    $content_hash    The Dropbox content hash.
+     * @return   array                      The file mappings.
+     */
+    public function get_file_mappings_by_content_hash($content_hash) {
+        if (!$this->table_exists('file_mapping') || $content_hash === '') {
+            return array();
+        }
+
+        global $wpdb;
+        
+        $table_name = $this->required_tables['file_mapping'];
+        
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE dropbox_content_hash = %s ORDER BY attachment_id ASC",
+                $content_hash
+            )
+        );
+    }
+    
     /**
      * Add or update multiple file mappings in a single transaction.
      *
@@ -526,6 +642,32 @@ class FDS_DB {
         );
     }
 
+    /**
+     * Update the sync status of a file mapping.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $status           The sync status (synced, conflict).
+     * @return   int|false                   The number of rows affected or false on error.
+     */
+    public function update_file_sync_status($attachment_id, $status) {
+        if (!$this->table_exists('file_mapping')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['file_mapping'];
+
+        return $wpdb->update(
+            $table_name,
+            array('sync_status' => $status),
+            array('attachment_id' => $attachment_id),
+            array('%s'),
+            array('%d')
+        );
+    }
+
     /**
      * Get all file mappings.
      *
@@ -547,6 +689,101 @@ class FDS_DB {
         return $wpdb->get_results("SELECT * FROM $table_name ORDER BY attachment_id ASC");
     }
 
+    /**
+     * Count the folder and file mappings.
+     *
+     * @since    1.0.0
+     * @return   array    The number of folder mappings and file mappings.
+     */
+    public function count_mappings() {
+        global $wpdb;
+
+        $counts = array('folders' => 0, 'files' => 0);
+
+        foreach (array('folders' => 'folder_mapping', 'files' => 'file_mapping') as $key => $table_key) {
+            if ($this->table_exists($table_key)) {
+                $counts[$key] = intval($wpdb->get_var("SELECT COUNT(*) FROM {$this->required_tables[$table_key]}"));
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Delete every folder and file mapping.
+     *
+     * Used when the sync root moves to another Dropbox namespace, whose
+     * paths the mappings don't point to.
+     *
+     * @since    1.0.0
+     * @return   int    The number of mappings deleted.
+     */
+    public function delete_all_mappings() {
+        global $wpdb;
+
+        $deleted = 0;
+
+        foreach (array('folder_mapping', 'file_mapping') as $table_key) {
+            if ($this->table_exists($table_key)) {
+                $deleted += intval($wpdb->query("DELETE FROM {$this->required_tables[$table_key]}"));
+            }
+        }
+
+        return $deleted;
+    }
+
+    /**
+     * Get a batch of file mappings in ID order.
+     *
+     * @since    1.0.0
+     * @param    int       $after_id    The ID of the last mapping of the previous batch.
+     * @param    int       $limit       The maximum number of mappings to get.
+     * @param    string    $folder      Optional Dropbox folder to only get the mappings below.
+     * @return   array                  The file mappings.
+     */
+    public function get_file_mappings_after($after_id, $limit, $folder = '') {
+        if (!$this->table_exists('file_mapping')) {
+            return array();
+        }
+
+        global $wpdb;
+        
+        $table_name = $this->required_tables['file_mapping'];
+        $below = $folder !== '' ? $wpdb->prepare("AND dropbox_path LIKE %s", $wpdb->esc_like(rtrim($folder, '/')) . '/%') : '';
+        
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE id > %d $below ORDER BY id ASC LIMIT %d",
+                $after_id,
+                $limit
+            )
+        );
+    }
+
+    /**
+     * Get the attachments whose files are mapped below a Dropbox folder.
+     *
+     * @since    1.0.0
+     * @param    string    $folder    The Dropbox folder.
+     * @return   array                The attachment IDs.
+     */
+    public function get_file_mapping_attachment_ids_below($folder) {
+        if (!$this->table_exists('file_mapping')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['file_mapping'];
+
+        return array_map('intval', $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT attachment_id FROM $table_name WHERE dropbox_path LIKE %s",
+                $wpdb->esc_like(rtrim($folder, '/')) . '/%'
+            )
+        ));
+    }
+
     /**
      * Add task to the sync queue.
      *
@@ -624,10 +861,11 @@ class FDS_DB {
      * Get pending tasks from the sync queue.
      *
      * @since    1.0.0
-     * @param    int       $limit    The maximum number of tasks to get.
-     * @return   array               The pending tasks.
+     * @param    int       $limit          The maximum number of tasks to get.
+     * @param    string    $held_run_id    A paused full sync run whose tasks are left out, or empty.
+     * @return   array                     The pending tasks.
      */
-    public function get_pending_tasks($limit = 10) {
+    public function get_pending_tasks($limit = 10, $held_run_id = '') {
         if (!$this->table_exists('sync_queue')) {
             $this->create_tables_if_needed();
             if (!$this->table_exists('sync_queue')) {
@@ -640,9 +878,11 @@ class FDS_DB {
         $table_name = $this->required_tables['sync_queue'];
         $max_retries = get_option('fds_max_retries', 3);
         
+        $held = $held_run_id !== '' ? $wpdb->prepare("AND data NOT LIKE %s", $this->get_run_id_like($held_run_id)) : '';
+        
         return $wpdb->get_results(
             $wpdb->prepare(
-                "SELECT * FROM $table_name WHERE status = 'pending' AND attempts < %d ORDER BY priority ASC, created_at ASC LIMIT %d",
+                "SELECT * FROM $table_name WHERE status = 'pending' AND attempts < %d $held ORDER BY priority ASC, created_at ASC LIMIT %d",
                 $max_retries,
                 $limit
             )
@@ -719,126 +959,1742 @@ class FDS_DB {
     }
 
     /**
-     * Add log entry.
+     * Get the most recent queue task for an item.
      *
      * @since    1.0.0
-     * @param    string    $level     The log level (emergency, alert, critical, error, warning, notice, info, debug).
-     * @param    string    $message   The log message.
-     * @param    array     $context   Additional context data.
-     * @return   int|false            The log ID or false on error.
+     * @param    string    $item_type    The item type (folder or file).
+     * @param    string    $item_id      The item ID.
+     * @return   object|null             The task or null if not found.
      */
-    public function add_log($level, $message, $context = array()) {
-        if (!$this->table_exists('logs')) {
-            $this->create_tables_if_needed();
-            if (!$this->table_exists('logs')) {
-                // If we still can't create the log table, fall back to error_log
-                error_log(sprintf('[FileBird Dropbox Sync] [%s] %s', strtoupper($level), $message));
-                return false;
-            }
+    public function get_latest_task_for_item($item_type, $item_id) {
+        if (!$this->table_exists('sync_queue')) {
+            return null;
         }
 
         global $wpdb;
-        
-        $table_name = $this->required_tables['logs'];
-        
-        // Properly serialize context data for storage
-        $serialized_context = '';
-        if (!empty($context)) {
-            // Use json_encode instead of maybe_serialize for better compatibility
-            $serialized_context = json_encode($context, JSON_PRETTY_PRINT);
-            
-            // If JSON encoding fails, try a simpler approach
-            if ($serialized_context === false) {
-                $simplified_context = array();
-                foreach ($context as $key => $value) {
-                    if (is_scalar($value) || is_null($value)) {
-                        $simplified_context[$key] = $value;
-                    } else {
-                        $simplified_context[$key] = '[complex data]';
-                    }
-                }
-                $serialized_context = json_encode($simplified_context);
-            }
-        }
-        
-        return $wpdb->insert(
-            $table_name,
-            array(
-                'level' => $level,
-                'message' => $message,
-                'context' => $serialized_context,
-                'created_at' => current_time('mysql'),
-            ),
-            array('%s', '%s', '%s', '%s')
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE item_type = %s AND item_id = %s ORDER BY id DESC LIMIT 1",
+                $item_type,
+                $item_id
+            )
         );
     }
 
     /**
-     * Get logs.
+     * Get the most recent queue task for each of several items.
      *
      * @since    1.0.0
-     * @param    string    $level    The minimum log level to retrieve.
-     * @param    int       $limit    The maximum number of logs to get.
-     * @param    int       $offset   The offset for pagination.
-     * @return   array               The logs.
+     * @param    string    $item_type    The item type (folder or file).
+     * @param    array     $item_ids     The item IDs.
+     * @return   array                   The tasks keyed by item ID.
      */
-    public function get_logs($level = '', $limit = 100, $offset = 0) {
-        if (!$this->table_exists('logs')) {
-            $this->create_tables_if_needed();
-            if (!$this->table_exists('logs')) {
-                return array();
-            }
+    public function get_latest_tasks_for_items($item_type, $item_ids) {
+        $item_ids = array_values(array_unique(array_map('strval', (array) $item_ids)));
+
+        if (empty($item_ids) || !$this->table_exists('sync_queue')) {
+            return array();
         }
 
         global $wpdb;
-        
-        $table_name = $this->required_tables['logs'];
-        
-        $sql = "SELECT * FROM $table_name";
-        $args = array();
-        
-        if (!empty($level)) {
-            $levels = array('emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug');
-            $level_index = array_search($level, $levels);
-            
-            if ($level_index !== false) {
-                $sql .= " WHERE level IN ('" . implode("','", array_slice($levels, 0, $level_index + 1)) . "')";
-            }
+
+        $table_name = $this->required_tables['sync_queue'];
+        $placeholders = implode(',', array_fill(0, count($item_ids), '%s'));
+
+        $tasks = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT t.* FROM $table_name t
+                INNER JOIN (
+                    SELECT MAX(id) AS id FROM $table_name WHERE item_type = %s AND item_id IN ($placeholders) GROUP BY item_id
+                ) latest ON latest.id = t.id",
+                array_merge(array($item_type), $item_ids)
+            )
+        );
+
+        $by_item = array();
+
+        foreach ($tasks as $task) {
+            $by_item[$task->item_id] = $task;
         }
-        
-        $sql .= " ORDER BY created_at DESC LIMIT %d OFFSET %d";
-        $args[] = $limit;
-        $args[] = $offset;
-        
-        return $wpdb->get_results($wpdb->prepare($sql, $args));
+
+        return $by_item;
     }
 
     /**
-     * Delete old logs.
+     * Build the WHERE clause for queue task queries.
      *
      * @since    1.0.0
-     * @param    int       $days    The number of days to keep logs.
-     * @return   int|false          The number of rows affected or false on error.
+     * @access   protected
+     * @param    array     $filters    Filters (status, action, item_type, direction, search).
+     * @return   string                The prepared WHERE clause, or an empty string.
      */
-    public function cleanup_logs($days = 30) {
-        if (!$this->table_exists('logs')) {
-            return false;
+    protected function build_queue_where($filters) {
+        global $wpdb;
+
+        $conditions = array();
+
+        foreach (array('status', 'action', 'item_type', 'direction') as $column) {
+            if (!empty($filters[$column])) {
+                $conditions[] = $wpdb->prepare("$column = %s", $filters[$column]);
+            }
         }
 
-        global $wpdb;
-        
-        $table_name = $this->required_tables['logs'];
-        
-        return $wpdb->query(
-            $wpdb->prepare(
-                "DELETE FROM $table_name WHERE created_at < DATE_SUB(NOW(), INTERVAL %d DAY)",
-                $days
-            )
-        );
+        if (!empty($filters['search'])) {
+            $like = '%' . $wpdb->esc_like($filters['search']) . '%';
+            $conditions[] = $wpdb->prepare("(item_id LIKE %s OR error_message LIKE %s)", $like, $like);
+        }
+
+        return empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
     }
 
     /**
-     * Perform maintenance operations on database tables.
+     * Get tasks from the sync queue for inspection.
+     *
+     * @since    1.0.0
+     * @param    array     $filters    Filters (status, action, item_type, direction, search).
+     * @param    int       $limit      The maximum number of tasks to get.
+     * @param    int       $offset     The offset for pagination.
+     * @return   array                 The tasks.
+     */
+    public function get_queue_tasks($filters = array(), $limit = 20, $offset = 0) {
+        if (!$this->table_exists('sync_queue')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('sync_queue')) {
+                return array();
+            }
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+        $where = $this->build_queue_where($filters);
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name $where ORDER BY priority ASC, created_at DESC LIMIT %d OFFSET %d",
+                $limit,
+                $offset
+            )
+        );
+    }
+
+    /**
+     * Count tasks in the sync queue matching the given filters.
+     *
+     * @since    1.0.0
+     * @param    array     $filters    Filters (status, action, item_type, direction, search).
+     * @return   int                   The number of matching tasks.
+     */
+    public function count_queue_tasks($filters = array()) {
+        if (!$this->table_exists('sync_queue')) {
+            return 0;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+        $where = $this->build_queue_where($filters);
+
+        return intval($wpdb->get_var("SELECT COUNT(*) FROM $table_name $where"));
+    }
+
+    /**
+     * Count tasks in the sync queue per status.
+     *
+     * @since    1.0.0
+     * @return   array    Counts keyed by status, plus the overall total.
+     */
+    public function get_queue_status_counts() {
+        $counts = array(
+            'total' => 0,
+            'pending' => 0,
+            'processing' => 0,
+            'completed' => 0,
+            'failed' => 0,
+            'cancelled' => 0,
+        );
+
+        if (!$this->table_exists('sync_queue')) {
+            return $counts;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        foreach ($wpdb->get_results("SELECT status, COUNT(*) AS count FROM $table_name GROUP BY status") as $row) {
+            $counts[$row->status] = intval($row->count);
+            $counts['total'] += intval($row->count);
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Get tasks that completed or failed after a point in time.
+     *
+     * updated_at only has second resolution, so the task ID breaks ties
+     * between tasks that finished in the same second.
+     *
+     * @since    1.0.0
+     * @param    string    $since       MySQL datetime of the last task seen.
+     * @param    int       $after_id    ID of the last task seen, tasks finished in the same second with a higher ID are included.
+     * @param    int       $limit       The maximum number of tasks to get.
+     * @return   array                  The tasks, oldest first.
+     */
+    public function get_tasks_finished_since($since, $after_id = 0, $limit = 20) {
+        if (!$this->table_exists('sync_queue')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name
+                WHERE status IN ('completed', 'failed') AND (updated_at > %s OR (updated_at = %s AND id > %d))
+                ORDER BY updated_at ASC, id ASC LIMIT %d",
+                $since,
+                $since,
+                $after_id,
+                $limit
+            )
+        );
+    }
+
+    /**
+     * Count tasks that completed after a point in time.
+     *
+     * @since    1.0.0
+     * @param    string    $since    MySQL datetime, exclusive.
+     * @return   int                 The number of completed tasks.
+     */
+    public function count_tasks_completed_since($since) {
+        if (!$this->table_exists('sync_queue')) {
+            return 0;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        return intval($wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT COUNT(*) FROM $table_name WHERE status = 'completed' AND updated_at > %s",
+                $since
+            )
+        ));
+    }
+
+    /**
+     * Reset tasks to pending so they are picked up again.
+     *
+     * Tasks that are processing may still be held by a worker, so they are
+     * only reset when the caller knows the worker is gone.
+     *
+     * @since    1.0.0
+     * @param    array     $task_ids    The task IDs.
+     * @param    array     $statuses    The statuses a task may have to be reset.
+     * @return   int|false              The number of rows affected or false on error.
+     */
+    public function retry_tasks($task_ids, $statuses = array('failed', 'cancelled')) {
+        $task_ids = array_filter(array_map('intval', (array) $task_ids));
+        $statuses = array_values(array_intersect((array) $statuses, array('pending', 'processing', 'failed', 'cancelled')));
+
+        if (empty($task_ids) || empty($statuses) || !$this->table_exists('sync_queue')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+        $placeholders = implode(',', array_fill(0, count($task_ids), '%d'));
+        $status_placeholders = implode(',', array_fill(0, count($statuses), '%s'));
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $table_name
+                SET status = 'pending', attempts = 0, error_message = '', worker_id = 0, locked_at = NULL, locked_by = NULL, updated_at = %s
+                WHERE id IN ($placeholders) AND status IN ($status_placeholders)",
+                array_merge(array(current_time('mysql')), $task_ids, $statuses)
+            )
+        );
+    }
+
+    /**
+     * Get the tasks that have been processing for too long.
+     *
+     * @since    1.0.0
+     * @param    int      $seconds    How long a task may be processing.
+     * @return   array                The task IDs.
+     */
+    public function get_stale_task_ids($seconds) {
+        if (!$this->table_exists('sync_queue')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        return array_map('intval', $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT id FROM $table_name WHERE status = 'processing' AND updated_at < %s",
+                date('Y-m-d H:i:s', current_time('timestamp') - $seconds)
+            )
+        ));
+    }
+
+    /**
+     * Cancel tasks that have not completed yet.
+     *
+     * Tasks a worker is processing are left alone, the worker would still
+     * finish them and overwrite the status.
+     *
+     * @since    1.0.0
+     * @param    array     $task_ids    The task IDs.
+     * @return   int|false              The number of rows affected or false on error.
+     */
+    public function cancel_tasks($task_ids) {
+        $task_ids = array_filter(array_map('intval', (array) $task_ids));
+
+        if (empty($task_ids) || !$this->table_exists('sync_queue')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+        $placeholders = implode(',', array_fill(0, count($task_ids), '%d'));
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $table_name
+                SET status = 'cancelled', worker_id = 0, locked_at = NULL, locked_by = NULL, updated_at = %s
+                WHERE id IN ($placeholders) AND status IN ('pending', 'failed')",
+                array_merge(array(current_time('mysql')), $task_ids)
+            )
+        );
+    }
+
+    /**
+     * Cancel the pending tasks queued by a full sync run.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The full sync run ID stored in the task data.
+     * @return   int|false            The number of rows affected or false on error.
+     */
+    public function cancel_sync_run_tasks($run_id) {
+        if ($run_id === '' || !$this->table_exists('sync_queue')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $table_name
+                SET status = 'cancelled', worker_id = 0, locked_at = NULL, locked_by = NULL, updated_at = %s
+                WHERE status = 'pending' AND data LIKE %s",
+                current_time('mysql'),
+                $this->get_run_id_like($run_id)
+            )
+        );
+    }
+
+    /**
+     * Get a LIKE pattern that matches the tasks of a full sync run.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The full sync run ID.
+     * @return   string               The pattern, matching the serialized run_id key and value in the task data.
+     */
+    public function get_run_id_like($run_id) {
+        global $wpdb;
+
+        return '%' . $wpdb->esc_like(serialize('run_id') . serialize($run_id)) . '%';
+    }
+
+    /**
+     * Count the tasks of a Dropbox import per status.
+     *
+     * @since    1.0.0
+     * @param    string    $import_id    The import ID stored in the task data.
+     * @return   array                   Counts keyed by status.
+     */
+    public function get_import_status_counts($import_id) {
+        $counts = array(
+            'pending' => 0,
+            'processing' => 0,
+            'completed' => 0,
+            'failed' => 0,
+            'cancelled' => 0,
+        );
+
+        if ($import_id === '' || !$this->table_exists('sync_queue')) {
+            return $counts;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        // Match the serialized import_id key and value in the task data
+        $like = '%' . $wpdb->esc_like(serialize('import_id') . serialize($import_id)) . '%';
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT status, COUNT(*) AS count FROM $table_name WHERE data LIKE %s GROUP BY status",
+                $like
+            )
+        );
+
+        foreach ($rows as $row) {
+            $counts[$row->status] = intval($row->count);
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Change the priority of tasks in the sync queue.
+     *
+     * @since    1.0.0
+     * @param    array     $task_ids    The task IDs.
+     * @param    int       $priority    The new priority (lower numbers = higher priority).
+     * @return   int|false              The number of rows affected or false on error.
+     */
+    public function update_tasks_priority($task_ids, $priority) {
+        $task_ids = array_filter(array_map('intval', (array) $task_ids));
+
+        if (empty($task_ids) || !$this->table_exists('sync_queue')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+        $placeholders = implode(',', array_fill(0, count($task_ids), '%d'));
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $table_name SET priority = %d, updated_at = %s WHERE id IN ($placeholders)",
+                array_merge(array(intval($priority), current_time('mysql')), $task_ids)
+            )
+        );
+    }
+
+    /**
+     * Get a single task from the sync queue.
+     *
+     * @since    1.0.0
+     * @param    int       $task_id    The task ID.
+     * @return   object|null           The task or null if not found.
+     */
+    public function get_queue_task($task_id) {
+        if (!$this->table_exists('sync_queue')) {
+            return null;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE id = %d",
+                $task_id
+            )
+        );
+    }
+
+    /**
+     * Replace the data of a task.
+     *
+     * The task keeps its updated_at time, so finished tasks don't show up as
+     * newly finished again.
+     *
+     * @since    1.0.0
+     * @param    int       $task_id    The task ID.
+     * @param    array     $data       The new task data.
+     * @return   int|false             The number of rows affected or false on error.
+     */
+    public function update_task_data($task_id, $data) {
+        if (!$this->table_exists('sync_queue')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_queue'];
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $table_name SET data = %s, updated_at = updated_at WHERE id = %d",
+                maybe_serialize($data),
+                $task_id
+            )
+        );
+    }
+
+    /**
+     * Record an item the plugin deleted from Dropbox.
+     *
+     * A retried task records its deletion only once.
+     *
+     * @since    1.0.0
+     * @param    string    $item_type       file or folder.
+     * @param    string    $dropbox_path    The deleted Dropbox path.
+     * @param    array     $data            What is needed to restore the item.
+     * @param    int       $task_id         The delete task, 0 if there is none.
+     * @return   int|false                  The deletion ID or false on error.
+     */
+    public function add_deletion($item_type, $dropbox_path, $data, $task_id = 0) {
+        if (!$this->table_exists('deletions')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('deletions')) {
+                return false;
+            }
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['deletions'];
+
+        if ($task_id > 0) {
+            $existing = $wpdb->get_var($wpdb->prepare("SELECT id FROM $table_name WHERE task_id = %d", $task_id));
+
+            if ($existing) {
+                $wpdb->update($table_name, array('data' => maybe_serialize($data)), array('id' => $existing), array('%s'), array('%d'));
+                return intval($existing);
+            }
+        }
+
+        $result = $wpdb->insert(
+            $table_name,
+            array(
+                'task_id' => $task_id,
+                'item_type' => $item_type,
+                'dropbox_path' => $dropbox_path,
+                'data' => maybe_serialize($data),
+                'deleted_at' => current_time('mysql'),
+            ),
+            array('%d', '%s', '%s', '%s', '%s')
+        );
+
+        return $result ? $wpdb->insert_id : false;
+    }
+
+    /**
+     * Get a recorded deletion.
+     *
+     * @since    1.0.0
+     * @param    int              $deletion_id    The deletion ID.
+     * @return   object|null                      The deletion or null if not found.
+     */
+    public function get_deletion($deletion_id) {
+        if (!$this->table_exists('deletions')) {
+            return null;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['deletions'];
+
+        return $wpdb->get_row($wpdb->prepare("SELECT * FROM $table_name WHERE id = %d", $deletion_id));
+    }
+
+    /**
+     * Build the WHERE clause for deletions the plugin made in Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $search    Search term for the Dropbox path.
+     * @return   string               The prepared WHERE clause.
+     */
+    protected function build_deletions_where($search) {
+        global $wpdb;
+
+        if ($search === '') {
+            return '';
+        }
+
+        return $wpdb->prepare("WHERE dropbox_path LIKE %s", '%' . $wpdb->esc_like($search) . '%');
+    }
+
+    /**
+     * Get the items the plugin deleted from Dropbox.
+     *
+     * @since    1.0.0
+     * @param    string    $search    Search term for the Dropbox path.
+     * @param    int       $limit     The maximum number of deletions to get.
+     * @param    int       $offset    The offset for pagination.
+     * @return   array                The deletions, most recent first.
+     */
+    public function get_deletions($search = '', $limit = 20, $offset = 0) {
+        if (!$this->table_exists('deletions')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['deletions'];
+        $where = $this->build_deletions_where($search);
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name $where ORDER BY deleted_at DESC, id DESC LIMIT %d OFFSET %d",
+                $limit,
+                $offset
+            )
+        );
+    }
+
+    /**
+     * Count the items the plugin deleted from Dropbox.
+     *
+     * @since    1.0.0
+     * @param    string    $search    Search term for the Dropbox path.
+     * @return   int                  The number of deletions.
+     */
+    public function count_deletions($search = '') {
+        if (!$this->table_exists('deletions')) {
+            return 0;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['deletions'];
+        $where = $this->build_deletions_where($search);
+
+        return intval($wpdb->get_var("SELECT COUNT(*) FROM $table_name $where"));
+    }
+
+    /**
+     * Mark a deletion as restored.
+     *
+     * @since    1.0.0
+     * @param    int          $deletion_id    The deletion ID.
+     * @return   int|false                    The number of rows affected or false on error.
+     */
+    public function mark_deletion_restored($deletion_id) {
+        if (!$this->table_exists('deletions')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        return $wpdb->update(
+            $this->required_tables['deletions'],
+            array('restored_at' => current_time('mysql')),
+            array('id' => $deletion_id),
+            array('%s'),
+            array('%d')
+        );
+    }
+
+    /**
+     * Delete deletions older than a certain time.
+     *
+     * @since    1.0.0
+     * @param    int       $days    The number of days to keep deletions.
+     * @return   int|false          The number of rows affected or false on error.
+     */
+    public function cleanup_deletions($days = 180) {
+        if (!$this->table_exists('deletions')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['deletions'];
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE deleted_at < DATE_SUB(NOW(), INTERVAL %d DAY)",
+                $days
+            )
+        );
+    }
+
+    /**
+     * Record a conflict that needs a manual decision.
+     *
+     * Only one open conflict is kept per attachment; a newer conflict replaces
+     * the details of the existing one.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $dropbox_path     The Dropbox path.
+     * @param    array     $wordpress        WordPress version details (size, modified, hash).
+     * @param    array     $dropbox          Dropbox version details (size, modified, hash, rev).
+     * @return   int|false                   The conflict ID or false on error.
+     */
+    public function record_conflict($attachment_id, $dropbox_path, $wordpress, $dropbox) {
+        if (!$this->table_exists('conflicts')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('conflicts')) {
+                return false;
+            }
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['conflicts'];
+
+        $data = array(
+            'dropbox_path' => $dropbox_path,
+            'wp_size' => isset($wordpress['size']) ? intval($wordpress['size']) : 0,
+            'wp_modified' => isset($wordpress['modified']) ? $wordpress['modified'] : null,
+            'wp_hash' => isset($wordpress['hash']) ? $wordpress['hash'] : '',
+            'dropbox_size' => isset($dropbox['size']) ? intval($dropbox['size']) : 0,
+            'dropbox_modified' => isset($dropbox['modified']) ? $dropbox['modified'] : null,
+            'dropbox_hash' => isset($dropbox['hash']) ? $dropbox['hash'] : '',
+            'dropbox_rev' => isset($dropbox['rev']) ? $dropbox['rev'] : '',
+        );
+        $format = array('%s', '%d', '%s', '%s', '%d', '%s', '%s', '%s');
+
+        $existing = $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT id FROM $table_name WHERE attachment_id = %d AND status = 'open'",
+                $attachment_id
+            )
+        );
+
+        if ($existing) {
+            $result = $wpdb->update($table_name, $data, array('id' => $existing), $format, array('%d'));
+            return $result === false ? false : intval($existing);
+        }
+
+        $data['attachment_id'] = $attachment_id;
+        $data['status'] = 'open';
+        $data['created_at'] = current_time('mysql');
+        $format = array_merge($format, array('%d', '%s', '%s'));
+
+        $result = $wpdb->insert($table_name, $data, $format);
+
+        return $result ? $wpdb->insert_id : false;
+    }
+
+    /**
+     * Get a conflict by ID.
+     *
+     * @since    1.0.0
+     * @param    int       $conflict_id    The conflict ID.
+     * @return   object|null               The conflict or null if not found.
+     */
+    public function get_conflict($conflict_id) {
+        if (!$this->table_exists('conflicts')) {
+            return null;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['conflicts'];
+
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE id = %d",
+                $conflict_id
+            )
+        );
+    }
+
+    /**
+     * Get conflicts.
+     *
+     * @since    1.0.0
+     * @param    string    $status    The conflict status (open, resolved) or empty for all.
+     * @param    string    $search    Search term for the Dropbox path.
+     * @param    int       $limit     The maximum number of conflicts to get.
+     * @param    int       $offset    The offset for pagination.
+     * @return   array                The conflicts.
+     */
+    public function get_conflicts($status = 'open', $search = '', $limit = 20, $offset = 0) {
+        if (!$this->table_exists('conflicts')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('conflicts')) {
+                return array();
+            }
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['conflicts'];
+        $where = $this->build_conflicts_where($status, $search);
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name $where ORDER BY created_at DESC LIMIT %d OFFSET %d",
+                $limit,
+                $offset
+            )
+        );
+    }
+
+    /**
+     * Count conflicts.
+     *
+     * @since    1.0.0
+     * @param    string    $status    The conflict status (open, resolved) or empty for all.
+     * @param    string    $search    Search term for the Dropbox path.
+     * @return   int                  The number of matching conflicts.
+     */
+    public function count_conflicts($status = 'open', $search = '') {
+        if (!$this->table_exists('conflicts')) {
+            return 0;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['conflicts'];
+        $where = $this->build_conflicts_where($status, $search);
+
+        return intval($wpdb->get_var("SELECT COUNT(*) FROM $table_name $where"));
+    }
+
+    /**
+     * Build the WHERE clause for conflict queries.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $status    The conflict status or empty for all.
+     * @param    string    $search    Search term for the Dropbox path.
+     * @return   string               The prepared WHERE clause, or an empty string.
+     */
+    protected function build_conflicts_where($status, $search) {
+        global $wpdb;
+
+        $conditions = array();
+
+        if (!empty($status)) {
+            $conditions[] = $wpdb->prepare("status = %s", $status);
+        }
+
+        if (!empty($search)) {
+            $conditions[] = $wpdb->prepare("dropbox_path LIKE %s", '%' . $wpdb->esc_like($search) . '%');
+        }
+
+        return empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
+    }
+
+    /**
+     * Mark a conflict as resolved.
+     *
+     * @since    1.0.0
+     * @param    int       $conflict_id    The conflict ID.
+     * @param    string    $resolution     The resolution (keep_wordpress, keep_dropbox, keep_both).
+     * @return   int|false                 The number of rows affected or false on error.
+     */
+    public function resolve_conflict($conflict_id, $resolution) {
+        if (!$this->table_exists('conflicts')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['conflicts'];
+
+        return $wpdb->update(
+            $table_name,
+            array(
+                'status' => 'resolved',
+                'resolution' => $resolution,
+                'resolved_at' => current_time('mysql'),
+            ),
+            array('id' => $conflict_id),
+            array('%s', '%s', '%s'),
+            array('%d')
+        );
+    }
+
+    /**
+     * Record the start of a sync run.
+     *
+     * @since    1.0.0
+     * @param    string    $trigger         What started the run (manual, webhook, scheduled).
+     * @param    string    $full_sync_id    The full sync run ID, if the run is a full sync.
+     * @return   int|false                  The run ID or false on error.
+     */
+    public function add_sync_run($trigger, $full_sync_id = '') {
+        if (!$this->table_exists('sync_history')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('sync_history')) {
+                return false;
+            }
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+
+        $result = $wpdb->insert(
+            $table_name,
+            array(
+                'trigger_type' => $trigger,
+                'full_sync_id' => $full_sync_id,
+                'status' => 'running',
+                'started_at' => current_time('mysql'),
+                'actions' => maybe_serialize(array()),
+            ),
+            array('%s', '%s', '%s', '%s', '%s')
+        );
+
+        return $result ? $wpdb->insert_id : false;
+    }
+
+    /**
+     * Get a sync run by ID.
+     *
+     * @since    1.0.0
+     * @param    int       $run_id    The run ID.
+     * @return   object|null          The run or null if not found.
+     */
+    public function get_sync_run($run_id) {
+        if (!$this->table_exists('sync_history')) {
+            return null;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE id = %d",
+                $run_id
+            )
+        );
+    }
+
+    /**
+     * Add processed items to a sync run.
+     *
+     * The totals are added in SQL, so workers running side by side don't
+     * overwrite each other's counts.
+     *
+     * @since    1.0.0
+     * @param    int       $run_id     The run ID.
+     * @param    array     $actions    Items processed, keyed by item type and action.
+     * @param    int       $failed     The number of items that failed.
+     * @return   boolean               True on success, false on error.
+     */
+    public function add_sync_run_items($run_id, $actions, $failed) {
+        $run = $this->get_sync_run($run_id);
+
+        if (!$run) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+        $totals = maybe_unserialize($run->actions);
+        $totals = is_array($totals) ? $totals : array();
+
+        foreach ($actions as $action => $count) {
+            $totals[$action] = ($totals[$action] ?? 0) + $count;
+        }
+
+        $result = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $table_name SET processed = processed + %d, failed = failed + %d, actions = %s WHERE id = %d",
+                array_sum($actions),
+                $failed,
+                maybe_serialize($totals),
+                $run_id
+            )
+        );
+
+        return $result !== false;
+    }
+
+    /**
+     * Mark a sync run as finished.
+     *
+     * @since    1.0.0
+     * @param    int       $run_id    The run ID.
+     * @param    string    $status    The final status (completed, cancelled).
+     * @return   int|false            The number of rows affected or false on error.
+     */
+    public function finish_sync_run($run_id, $status) {
+        if (!$this->table_exists('sync_history')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+
+        return $wpdb->update(
+            $table_name,
+            array(
+                'status' => $status,
+                'finished_at' => current_time('mysql'),
+            ),
+            array('id' => $run_id),
+            array('%s', '%s'),
+            array('%d')
+        );
+    }
+
+    /**
+     * Delete a sync run.
+     *
+     * @since    1.0.0
+     * @param    int       $run_id    The run ID.
+     * @return   int|false            The number of rows affected or false on error.
+     */
+    public function delete_sync_run($run_id) {
+        if (!$this->table_exists('sync_history')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        return $wpdb->delete($this->required_tables['sync_history'], array('id' => $run_id), array('%d'));
+    }
+
+    /**
+     * Get sync runs, newest first.
+     *
+     * @since    1.0.0
+     * @param    string    $trigger    The trigger to filter by, or empty for all.
+     * @param    int       $limit      The maximum number of runs to get.
+     * @param    int       $offset     The offset for pagination.
+     * @return   array                 The runs.
+     */
+    public function get_sync_runs($trigger = '', $limit = 20, $offset = 0) {
+        if (!$this->table_exists('sync_history')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+        $where = empty($trigger) ? '' : $wpdb->prepare("WHERE trigger_type = %s", $trigger);
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name $where ORDER BY started_at DESC, id DESC LIMIT %d OFFSET %d",
+                $limit,
+                $offset
+            )
+        );
+    }
+
+    /**
+     * Count sync runs.
+     *
+     * @since    1.0.0
+     * @param    string    $trigger    The trigger to filter by, or empty for all.
+     * @return   int                   The number of matching runs.
+     */
+    public function count_sync_runs($trigger = '') {
+        if (!$this->table_exists('sync_history')) {
+            return 0;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+        $where = empty($trigger) ? '' : $wpdb->prepare("WHERE trigger_type = %s", $trigger);
+
+        return intval($wpdb->get_var("SELECT COUNT(*) FROM $table_name $where"));
+    }
+
+    /**
+     * Get the totals of the sync runs per day.
+     *
+     * @since    1.0.0
+     * @param    string    $since    MySQL datetime of the first day to include.
+     * @return   array               Rows with the day, the number of runs, processed and failed items and the time spent.
+     */
+    public function get_sync_run_daily_totals($since) {
+        if (!$this->table_exists('sync_history')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT DATE(started_at) AS day, COUNT(*) AS runs, SUM(processed) AS processed, SUM(failed) AS failed,
+                    SUM(TIMESTAMPDIFF(SECOND, started_at, COALESCE(finished_at, %s))) AS seconds
+                FROM $table_name
+                WHERE started_at >= %s
+                GROUP BY DATE(started_at)
+                ORDER BY day ASC",
+                current_time('mysql'),
+                $since
+            )
+        );
+    }
+
+    /**
+     * Delete finished sync runs older than a number of days.
+     *
+     * @since    1.0.0
+     * @param    int       $days    The number of days of history to keep.
+     * @return   int|false          The number of rows deleted or false on error.
+     */
+    public function cleanup_sync_runs($days = 90) {
+        if (!$this->table_exists('sync_history')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_history'];
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE status <> 'running' AND started_at < DATE_SUB(%s, INTERVAL %d DAY)",
+                current_time('mysql'),
+                $days
+            )
+        );
+    }
+
+    /**
+     * Add items to a stored sync plan.
+     *
+     * Items are inserted a hundred rows per query, so plans with tens of
+     * thousands of items don't need one query per item.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @param    array     $items      Plan items (direction, action, item_type, item_id, label, path, from, reason, data, priority).
+     * @return   int|false             The number of rows added or false on error.
+     */
+    public function add_sync_plan_items($plan_id, $items) {
+        if (!$this->table_exists('sync_plan_items')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('sync_plan_items')) {
+                return false;
+            }
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_plan_items'];
+        $added = 0;
+
+        foreach (array_chunk($items, 100) as $chunk) {
+            $rows = array();
+
+            foreach ($chunk as $item) {
+                $rows[] = $wpdb->prepare(
+                    "(%s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %d, %d)",
+                    $plan_id,
+                    $item['direction'],
+                    $item['action'],
+                    $item['item_type'],
+                    $item['item_id'],
+                    $item['label'],
+                    $item['path'],
+                    $item['from'],
+                    $item['reason'],
+                    maybe_serialize($item['data']),
+                    $item['priority'],
+                    isset($item['sort_group']) ? $item['sort_group'] : 0
+                );
+            }
+
+            $result = $wpdb->query(
+                "INSERT INTO $table_name (plan_id, direction, action, item_type, item_id, label, path, from_path, reason, data, priority, sort_group)
+                VALUES " . implode(', ', $rows)
+            );
+
+            if ($result === false) {
+                return false;
+            }
+
+            $added += $result;
+        }
+
+        return $added;
+    }
+
+    /**
+     * Build the WHERE clause for sync plan item queries.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $plan_id    The plan ID.
+     * @param    array     $filters    Filters (direction, item_type, action, search).
+     * @return   string                The prepared WHERE clause.
+     */
+    protected function build_sync_plan_where($plan_id, $filters) {
+        global $wpdb;
+
+        $conditions = array($wpdb->prepare("plan_id = %s", $plan_id));
+
+        foreach (array('direction', 'item_type', 'action') as $column) {
+            if (!empty($filters[$column])) {
+                $conditions[] = $wpdb->prepare("$column = %s", $filters[$column]);
+            }
+        }
+
+        if (!empty($filters['search'])) {
+            $like = '%' . $wpdb->esc_like($filters['search']) . '%';
+            $conditions[] = $wpdb->prepare("(label LIKE %s OR path LIKE %s OR from_path LIKE %s)", $like, $like, $like);
+        }
+
+        return 'WHERE ' . implode(' AND ', $conditions);
+    }
+
+    /**
+     * Get items of a stored sync plan, in plan order.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @param    array     $filters    Filters (direction, item_type, action, search).
+     * @param    int       $limit      The maximum number of items to get.
+     * @param    int       $offset     The offset for pagination.
+     * @return   array                 The item rows.
+     */
+    public function get_sync_plan_items($plan_id, $filters = array(), $limit = 50, $offset = 0) {
+        if (!$this->table_exists('sync_plan_items')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_plan_items'];
+        $where = $this->build_sync_plan_where($plan_id, $filters);
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name $where ORDER BY sort_group ASC, id ASC LIMIT %d OFFSET %d",
+                $limit,
+                $offset
+            )
+        );
+    }
+
+    /**
+     * Count items of a stored sync plan matching the given filters.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @param    array     $filters    Filters (direction, item_type, action, search).
+     * @return   int                   The number of matching items.
+     */
+    public function count_sync_plan_items($plan_id, $filters = array()) {
+        if (!$this->table_exists('sync_plan_items')) {
+            return 0;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_plan_items'];
+        $where = $this->build_sync_plan_where($plan_id, $filters);
+
+        return intval($wpdb->get_var("SELECT COUNT(*) FROM $table_name $where"));
+    }
+
+    /**
+     * Count the items of a stored sync plan per group.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @return   array                 Rows with direction, item_type, action and count, in plan order.
+     */
+    public function count_sync_plan_groups($plan_id) {
+        if (!$this->table_exists('sync_plan_items')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_plan_items'];
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT direction, item_type, action, COUNT(*) AS count FROM $table_name
+                WHERE plan_id = %s
+                GROUP BY sort_group, direction, item_type, action
+                ORDER BY sort_group ASC",
+                $plan_id
+            )
+        );
+    }
+
+    /**
+     * Delete the items of stored sync plans.
+     *
+     * @since    1.0.0
+     * @param    array     $plan_ids    The plan IDs.
+     * @return   int|false              The number of rows deleted or false on error.
+     */
+    public function delete_sync_plan_items($plan_ids) {
+        if (empty($plan_ids) || !$this->table_exists('sync_plan_items')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_plan_items'];
+        $placeholders = implode(',', array_fill(0, count($plan_ids), '%s'));
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE plan_id IN ($placeholders)",
+                $plan_ids
+            )
+        );
+    }
+
+    /**
+     * Add a page of Dropbox entries to the listing of a full sync.
+     *
+     * Entries listed again replace the stored ones, so a page that is
+     * listed twice after an interrupted run is not stored twice.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id     The full sync run ID.
+     * @param    array     $entries    The entries keyed by lowercase path.
+     * @return   int|false             The number of rows affected or false on error.
+     */
+    public function add_sync_listing_entries($run_id, $entries) {
+        if (!$this->table_exists('sync_listing')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('sync_listing')) {
+                return false;
+            }
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_listing'];
+        $affected = 0;
+
+        foreach (array_chunk($entries, 100, true) as $chunk) {
+            $rows = array();
+
+            foreach ($chunk as $path_lower => $entry) {
+                $rows[] = $wpdb->prepare(
+                    "(%s, %s, %s, %s)",
+                    $run_id,
+                    md5($path_lower),
+                    $path_lower,
+                    maybe_serialize($entry)
+                );
+            }
+
+            $result = $wpdb->query(
+                "INSERT INTO $table_name (run_id, path_hash, path_lower, entry)
+                VALUES " . implode(', ', $rows) . "
+                ON DUPLICATE KEY UPDATE entry = VALUES(entry)"
+            );
+
+            if ($result === false) {
+                return false;
+            }
+
+            $affected += $result;
+        }
+
+        return $affected;
+    }
+
+    /**
+     * Look up entries in the Dropbox listing of a full sync by path.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The full sync run ID.
+     * @param    array     $paths     Lowercase Dropbox paths.
+     * @return   array                The listed entries keyed by lowercase path.
+     */
+    public function get_sync_listing_entries($run_id, $paths) {
+        if (empty($paths) || !$this->table_exists('sync_listing')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_listing'];
+        $entries = array();
+
+        foreach (array_chunk(array_map('md5', $paths), 500) as $hashes) {
+            $placeholders = implode(',', array_fill(0, count($hashes), '%s'));
+            $rows = $wpdb->get_results(
+                $wpdb->prepare(
+                    "SELECT path_lower, entry FROM $table_name WHERE run_id = %s AND path_hash IN ($placeholders)",
+                    array_merge(array($run_id), $hashes)
+                )
+            );
+
+            foreach ($rows as $row) {
+                $entries[$row->path_lower] = maybe_unserialize($row->entry);
+            }
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Mark paths in the Dropbox listing of a full sync as belonging to WordPress files.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The full sync run ID.
+     * @param    array     $paths     Lowercase Dropbox paths.
+     * @return   int|false            The number of rows affected or false on error.
+     */
+    public function claim_sync_listing_paths($run_id, $paths) {
+        if (empty($paths) || !$this->table_exists('sync_listing')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_listing'];
+        $affected = 0;
+
+        foreach (array_chunk(array_map('md5', $paths), 500) as $hashes) {
+            $placeholders = implode(',', array_fill(0, count($hashes), '%s'));
+            $affected += intval($wpdb->query(
+                $wpdb->prepare(
+                    "UPDATE $table_name SET claimed = 1 WHERE run_id = %s AND path_hash IN ($placeholders)",
+                    array_merge(array($run_id), $hashes)
+                )
+            ));
+        }
+
+        return $affected;
+    }
+
+    /**
+     * Get the next entries in the Dropbox listing of a full sync that no file claimed.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id      The full sync run ID.
+     * @param    int       $after_id    The ID of the last entry of the previous batch.
+     * @param    int       $limit       The maximum number of entries to get.
+     * @return   array                  The rows (id, path_lower, entry), in listing order.
+     */
+    public function get_unclaimed_sync_listing_entries($run_id, $after_id, $limit) {
+        if (!$this->table_exists('sync_listing')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_listing'];
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, path_lower, entry FROM $table_name WHERE run_id = %s AND claimed = 0 AND id > %d ORDER BY id ASC LIMIT %d",
+                $run_id,
+                $after_id,
+                $limit
+            )
+        );
+    }
+
+    /**
+     * Delete the Dropbox listing of a full sync.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The full sync run ID.
+     * @return   int|false            The number of rows deleted or false on error.
+     */
+    public function delete_sync_listing($run_id) {
+        if (!$this->table_exists('sync_listing')) {
+            return false;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['sync_listing'];
+
+        return $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE run_id = %s",
+                $run_id
+            )
+        );
+    }
+
+    /**
+     * Add log entry.
+     *
+     * @since    1.0.0
+     * @param    string    $level     The log level (emergency, alert, critical, error, warning, notice, info, debug).
+     * @param    string    $message   The log message.
+     * @param    array     $context   Additional context data.
+     * @param    string    $component The part of the plugin that logged the entry.
+     * @return   int|false            The log ID or false on error.
+     */
+    public function add_log($level, $message, $context = array(), $component = '') {
+        if (!$this->table_exists('logs')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('logs')) {
+                // If we still can't create the log table, fall back to error_log
+                error_log(sprintf('[FileBird Dropbox Sync] [%s] %s', strtoupper($level), $message));
+                return false;
+            }
+        }
+
+        global $wpdb;
+        
+        $table_name = $this->required_tables['logs'];
+        
+        // Properly serialize context data for storage
+        $serialized_context = '';
+        if (!empty($context)) {
+            // Use json_encode instead of maybe_serialize for better compatibility
+            $serialized_context = json_encode($context, JSON_PRETTY_PRINT);
+            
+            // If JSON encoding fails, try a simpler approach
+            if ($serialized_context === false) {
+                $simplified_context = array();
+                foreach ($context as $key => $value) {
+                    if (is_scalar($value) || is_null($value)) {
+                        $simplified_context[$key] = $value;
+                    } else {
+                        $simplified_context[$key] = '[complex data]';
+                    }
+                }
+                $serialized_context = json_encode($simplified_context);
+            }
+        }
+        
+        return $wpdb->insert(
+            $table_name,
+            array(
+                'level' => $level,
+                'message' => $message,
+                'context' => $serialized_context,
+                'component' => $component,
+                'created_at' => current_time('mysql'),
+            ),
+            array('%s', '%s', '%s', '%s', '%s')
+        );
+    }
+
+    /**
+     * Build the WHERE clause for log queries.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $level      The minimum log level.
+     * @param    array     $filters    Filters (component, search, date_from, date_to, correlation_key,
+     *                                 correlation_value, before_id, after_id).
+     * @return   string                The prepared WHERE clause, or an empty string.
+     */
+    protected function build_logs_where($level, $filters) {
+        global $wpdb;
+
+        $conditions = array();
+
+        if (!empty($level)) {
+            $levels = array('emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug');
+            $level_index = array_search($level, $levels);
+
+            if ($level_index !== false) {
+                $included_levels = array_slice($levels, 0, $level_index + 1);
+                $placeholders = implode(',', array_fill(0, count($included_levels), '%s'));
+                $conditions[] = $wpdb->prepare("level IN ($placeholders)", $included_levels);
+            }
+        }
+
+        if (!empty($filters['component'])) {
+            $conditions[] = $wpdb->prepare("component = %s", $filters['component']);
+        }
+
+        if (!empty($filters['search'])) {
+            $like = '%' . $wpdb->esc_like($filters['search']) . '%';
+            $conditions[] = $wpdb->prepare("(message LIKE %s OR context LIKE %s)", $like, $like);
+        }
+
+        // Dates are whole days in the site's time zone, like created_at
+        if (!empty($filters['date_from'])) {
+            $conditions[] = $wpdb->prepare("created_at >= %s", $filters['date_from'] . ' 00:00:00');
+        }
+
+        if (!empty($filters['date_to'])) {
+            $conditions[] = $wpdb->prepare("created_at <= %s", $filters['date_to'] . ' 23:59:59');
+        }
+
+        if (!empty($filters['correlation_key']) && isset($filters['correlation_value']) && $filters['correlation_value'] !== '') {
+            $conditions[] = $this->build_correlation_condition($filters['correlation_key'], $filters['correlation_value']);
+        }
+
+        if (!empty($filters['before_id'])) {
+            $conditions[] = $wpdb->prepare("id < %d", $filters['before_id']);
+        }
+
+        if (!empty($filters['after_id'])) {
+            $conditions[] = $wpdb->prepare("id > %d", $filters['after_id']);
+        }
+
+        return empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
+    }
+
+    /**
+     * Build the condition that matches logs related to an attachment, path or task.
+     *
+     * Context is stored as JSON, so the value is matched the way json_encode()
+     * writes it.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $key      attachment_id, dropbox_path or task_id.
+     * @param    string    $value    The value to match.
+     * @return   string              The prepared condition.
+     */
+    protected function build_correlation_condition($key, $value) {
+        global $wpdb;
+
+        if ($key === 'dropbox_path') {
+            // Paths are logged under several keys, match the path and anything below it
+            $encoded = substr(json_encode('/' . trim($value, '/')), 0, -1);
+
+            return $wpdb->prepare("(message LIKE %s OR context LIKE %s)", '%' . $wpdb->esc_like($value) . '%', '%' . $wpdb->esc_like($encoded) . '%');
+        }
+
+        $keys = $key === 'task_id' ? 'task_id|item_id' : 'attachment_id';
+
+        // Numbers may be logged as integers or strings
+        return $wpdb->prepare("context REGEXP %s", '"(' . $keys . ')":[[:space:]]*"?' . absint($value) . '"?([^0-9]|$)');
+    }
+
+    /**
+     * Get logs.
+     *
+     * @since    1.0.0
+     * @param    string    $level      The minimum log level to retrieve.
+     * @param    int       $limit      The maximum number of logs to get.
+     * @param    int       $offset     The offset for pagination.
+     * @param    array     $filters    Filters (component, search, date_from, date_to, before_id).
+     * @return   array                 The logs, newest first.
+     */
+    public function get_logs($level = '', $limit = 100, $offset = 0, $filters = array()) {
+        if (!$this->table_exists('logs')) {
+            $this->create_tables_if_needed();
+            if (!$this->table_exists('logs')) {
+                return array();
+            }
+        }
+
+        global $wpdb;
+        
+        $table_name = $this->required_tables['logs'];
+        $where = $this->build_logs_where($level, $filters);
+        
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name $where ORDER BY created_at DESC, id DESC LIMIT %d OFFSET %d",
+                $limit,
+                $offset
+            )
+        );
+    }
+
+    /**
+     * Get the logs written after a log entry, for tailing.
+     *
+     * @since    1.0.0
+     * @param    int       $after_id    The ID of the last log entry seen.
+     * @param    string    $level       The minimum log level to retrieve.
+     * @param    array     $filters     Filters, see get_logs().
+     * @param    int       $limit       The maximum number of logs to get.
+     * @return   array                  The logs, oldest first.
+     */
+    public function get_logs_after($after_id, $level = '', $filters = array(), $limit = 100) {
+        if (!$this->table_exists('logs')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['logs'];
+        $where = $this->build_logs_where($level, array_merge($filters, array('after_id' => max(1, intval($after_id)))));
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name $where ORDER BY id ASC LIMIT %d",
+                $limit
+            )
+        );
+    }
+
+    /**
+     * Count logs.
+     *
+     * @since    1.0.0
+     * @param    string    $level      The minimum log level to count.
+     * @param    array     $filters    Filters (component, search, date_from, date_to).
+     * @return   int                   The number of logs.
+     */
+    public function count_logs($level = '', $filters = array()) {
+        if (!$this->table_exists('logs')) {
+            return 0;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['logs'];
+        $where = $this->build_logs_where($level, $filters);
+
+        return intval($wpdb->get_var("SELECT COUNT(*) FROM $table_name $where"));
+    }
+
+    /**
+     * Get the components that have written logs.
+     *
+     * @since    1.0.0
+     * @return   array    The component names, sorted.
+     */
+    public function get_log_components() {
+        if (!$this->table_exists('logs')) {
+            return array();
+        }
+
+        global $wpdb;
+
+        $table_name = $this->required_tables['logs'];
+
+        return $wpdb->get_col("SELECT DISTINCT component FROM $table_name WHERE component IS NOT NULL AND component != '' ORDER BY component ASC");
+    }
+
+    /**
+     * Delete old logs.
+     *
+     * @since    1.0.0
+     * @param    int       $days    The number of days to keep logs.
+     * @return   int|false          The number of rows affected or false on error.
+     */
+    public function cleanup_logs($days = 30) {
+        if (!$this->table_exists('logs')) {
+            return false;
+        }
+
+        global $wpdb;
+        
+        $table_name = $this->required_tables['logs'];
+        
+        return $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE created_at < DATE_SUB(NOW(), INTERVAL %d DAY)",
+                $days
+            )
+        );
+    }
+
+    /**
+     * Perform maintenance operations on database tables.
      *
      * @since    1.0.0
      * @return   array|false    Summary of operations performed or false on error.
@@ -860,11 +2716,11 @@ class FDS_DB {
             // Clean up completed tasks older than 3 days
             $completed_deleted = $this->cleanup_completed_tasks(3);
             
-            // Clean up failed tasks older than 7 days
+            // Clean up failed and cancelled tasks older than 7 days
             $table_name = $this->required_tables['sync_queue'];
             $failed_deleted = $wpdb->query(
                 $wpdb->prepare(
-                    "DELETE FROM $table_name WHERE status = 'failed' AND updated_at < DATE_SUB(NOW(), INTERVAL %d DAY)",
+                    "DELETE FROM $table_name WHERE status IN ('failed', 'cancelled') AND updated_at < DATE_SUB(NOW(), INTERVAL %d DAY)",
                     7
                 )
             );
@@ -872,6 +2728,9 @@ class FDS_DB {
             // Clean up logs older than 30 days
             $logs_deleted = $this->cleanup_logs(30);
             
+            // Deleted items can be restored as long as Dropbox keeps their revisions
+            $deletions_deleted = $this->cleanup_deletions(180);
+            
             // Clean up cache
             $cache_table = $this->required_tables['cache'];
             $cache_deleted = $wpdb->query(
@@ -890,6 +2749,7 @@ class FDS_DB {
                 'completed_tasks_deleted' => $completed_deleted,
                 'failed_tasks_deleted' => $failed_deleted,
                 'logs_deleted' => $logs_deleted,
+                'deletions_deleted' => $deletions_deleted,
                 'cache_entries_deleted' => $cache_deleted
             ];
         } catch (Exception $e) {
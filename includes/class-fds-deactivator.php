@@ -20,6 +20,11 @@ class FDS_Deactivator {
             wp_unschedule_event($timestamp, 'fds_process_queue');
         }
         
+        $timestamp = wp_next_scheduled('fds_check_alerts');
+        if ($timestamp) {
+            wp_unschedule_event($timestamp, 'fds_check_alerts');
+        }
+        
         // Attempt to unregister webhook with Dropbox
         // This requires the access token to be valid which may not be the case
         // So we'll try, but won't force it
@@ -37,11 +37,21 @@ class FDS_Dropbox_API {
      */
     protected $active_sessions = [];
     
+    /**
+     * Bandwidth and request rate caps for this run.
+     */
+    protected $throttle = null;
+    
     /**
      * Caching TTL in seconds.
      */
     protected $cache_ttl = 300; // 5 minutes
     
+    /**
+     * How long an authorization may take in seconds.
+     */
+    protected $oauth_timeout = 600; // 10 minutes
+    
     /**
      * Constructor with enhanced initialization.
      *
@@ -94,7 +104,7 @@ class FDS_Dropbox_API {
             
             $args = [
                 'method' => 'POST',
-                'headers' => [
+                'headers' => array_merge([
                     'Authorization' => 'Bearer ' . get_option('fds_dropbox_access_token', ''),
                     'Content-Type' => 'application/octet-stream',
                     'Dropbox-API-Arg' => json_encode([
@@ -103,7 +113,7 @@ class FDS_Dropbox_API {
                         'autorename' => false,
                         'mute' => false
                     ])
-                ],
+                ], $this->get_path_root_headers()),
                 'body' => file_get_contents($local_path),
                 'timeout' => 60,
             ];
@@ -116,8 +126,10 @@ class FDS_Dropbox_API {
             $retry_count = 0;
             
             while ($retry_count < $max_retries) {
+                $this->get_throttle()->before_request();
                 $response = wp_remote_request($url, $args);
                 $this->request_count++;
+                $this->get_throttle()->after_transfer($file_size);
                 
                 if (!is_wp_error($response)) {
                     $status_code = wp_remote_retrieve_response_code($response);
@@ -217,6 +229,75 @@ class FDS_Dropbox_API {
         }
     }
     
+    /**
+     * Get the revisions of a file, including files that were deleted.
+     *
+     * @param string $path Dropbox file path.
+     * @param int $limit Maximum number of revisions to get.
+     * @return array|false Revisions (is_deleted, entries) or false on failure.
+     */
+    public function list_revisions($path, $limit = 10) {
+        try {
+            $params = [
+                'path' => $path,
+                'mode' => 'path',
+                'limit' => $limit
+            ];
+            
+            $result = $this->make_api_request('files/list_revisions', $params);
+            
+            if (is_wp_error($result)) {
+                throw new Exception($result->get_error_message());
+            }
+            
+            return $result;
+        } catch (Exception $e) {
+            $this->logger->error("Failed to list file revisions", [
+                'exception' => $e->getMessage(),
+                'path' => $path
+            ]);
+            
+            return false;
+        }
+    }
+    
+    /**
+     * Restore a file to one of its revisions.
+     *
+     * @param string $path Dropbox file path.
+     * @param string $rev The revision to restore.
+     * @return array|false Metadata of the restored file or false on failure.
+     */
+    public function restore_file($path, $rev) {
+        try {
+            $params = [
+                'path' => $path,
+                'rev' => $rev
+            ];
+            
+            $result = $this->make_api_request('files/restore', $params);
+            
+            if (is_wp_error($result)) {
+                throw new Exception($result->get_error_message());
+            }
+            
+            $this->logger->info("File restored in Dropbox", [
+                'path' => $path,
+                'rev' => $rev
+            ]);
+            
+            return $result;
+        } catch (Exception $e) {
+            $this->logger->error("Failed to restore file", [
+                'exception' => $e->getMessage(),
+                'path' => $path,
+                'rev' => $rev
+            ]);
+            
+            return false;
+        }
+    }
+    
     /**
      * Download a file from Dropbox.
      *
@@ -298,6 +379,265 @@ class FDS_Dropbox_API {
         }
     }
     
+    /**
+     * Copy a file in Dropbox.
+     *
+     * @param string $from_path Source path.
+     * @param string $to_path Destination path.
+     * @return array|false Metadata of the copy or false on failure.
+     */
+    public function copy_file($from_path, $to_path) {
+        try {
+            $params = [
+                'from_path' => $from_path,
+                'to_path' => $to_path,
+                'allow_shared_folder' => false,
+                'autorename' => true,
+                'allow_ownership_transfer' => false
+            ];
+            
+            $result = $this->make_api_request('files/copy_v2', $params);
+            
+            if (is_wp_error($result)) {
+                throw new Exception($result->get_error_message());
+            }
+            
+            if (!isset($result['metadata'])) {
+                throw new Exception('Invalid response from Dropbox API');
+            }
+            
+            $this->logger->info("File copied in Dropbox", [
+                'from_path' => $from_path,
+                'to_path' => $result['metadata']['path_display']
+            ]);
+            
+            return $result['metadata'];
+        } catch (Exception $e) {
+            $this->logger->error("Failed to copy file", [
+                'exception' => $e->getMessage(),
+                'from_path' => $from_path,
+                'to_path' => $to_path
+            ]);
+            
+            return false;
+        }
+    }
+    
+    /**
+     * Get a temporary download link for a file in Dropbox.
+     *
+     * @param string $path Dropbox file path.
+     * @return string|false The link (valid for four hours) or false on failure.
+     */
+    public function get_temporary_link($path) {
+        try {
+            $result = $this->make_api_request('files/get_temporary_link', ['path' => $path]);
+            
+            if (is_wp_error($result)) {
+                throw new Exception($result->get_error_message());
+            }
+            
+            return isset($result['link']) ? $result['link'] : false;
+        } catch (Exception $e) {
+            $this->logger->error("Failed to get temporary link", [
+                'exception' => $e->getMessage(),
+                'path' => $path
+            ]);
+            
+            return false;
+        }
+    }
+    
+    /**
+     * Get a shared link to a file in Dropbox, creating it if there is none.
+     *
+     * @param string $path Dropbox file path.
+     * @return string|false The link (valid until it is revoked) or false on failure.
+     */
+    public function get_shared_link($path) {
+        $result = $this->make_api_request('sharing/create_shared_link_with_settings', ['path' => $path]);
+        
+        if (!is_wp_error($result)) {
+            return isset($result['url']) ? $result['url'] : false;
+        }
+        
+        // A file can only have one link with the default settings, use the existing one
+        $error = json_decode($result->get_error_message(), true);
+        
+        if (isset($error['error']['shared_link_already_exists']['metadata']['url'])) {
+            return $error['error']['shared_link_already_exists']['metadata']['url'];
+        }
+        
+        $links = $this->make_api_request('sharing/list_shared_links', [
+            'path' => $path,
+            'direct_only' => true
+        ]);
+        
+        if (is_wp_error($links) || empty($links['links'][0]['url'])) {
+            $this->logger->error("Failed to get shared link", [
+                'error' => is_wp_error($links) ? $links->get_error_message() : $result->get_error_message(),
+                'path' => $path
+            ]);
+            
+            return false;
+        }
+        
+        return $links['links'][0]['url'];
+    }
+    
+    /**
+     * Get thumbnails for up to 25 image files in one request.
+     *
+     * @param array $paths Dropbox file paths.
+     * @param string $size Thumbnail size as named by Dropbox, like w128h128.
+     * @return array|WP_Error Base64 encoded JPEG thumbnails keyed by path, files without one are left out.
+     */
+    public function get_thumbnails($paths, $size = 'w128h128') {
+        $paths = array_slice(array_values($paths), 0, 25);
+        
+        if (empty($paths)) {
+            return [];
+        }
+        
+        $entries = array_map(function($path) use ($size) {
+            return [
+                'path' => $path,
+                'format' => 'jpeg',
+                'size' => $size,
+                'mode' => 'bestfit'
+            ];
+        }, $paths);
+        
+        $this->get_throttle()->before_request();
+        
+        $response = wp_remote_post('https://content.dropboxapi.com/2/files/get_thumbnail_batch', [
+            'headers' => array_merge([
+                'Authorization' => 'Bearer ' . get_option('fds_dropbox_access_token', ''),
+                'Content-Type' => 'application/json'
+            ], $this->get_path_root_headers()),
+            'body' => json_encode(['entries' => $entries]),
+            'timeout' => 30
+        ]);
+        $this->request_count++;
+        
+        if (is_wp_error($response)) {
+            return $response;
+        }
+        
+        if (wp_remote_retrieve_response_code($response) !== 200) {
+            $this->logger->warning("Failed to get thumbnails", [
+                'status_code' => wp_remote_retrieve_response_code($response),
+                'body' => wp_remote_retrieve_body($response)
+            ]);
+            
+            return new WP_Error('api_error', wp_remote_retrieve_body($response));
+        }
+        
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+        $thumbnails = [];
+        
+        // Entries come back in the order they were asked for
+        foreach ((isset($data['entries']) ? $data['entries'] : []) as $index => $entry) {
+            if (isset($paths[$index], $entry['.tag'], $entry['thumbnail']) && $entry['.tag'] === 'success') {
+                $thumbnails[$paths[$index]] = $entry['thumbnail'];
+            }
+        }
+        
+        return $thumbnails;
+    }
+    
+    /**
+     * Add a file properties template to the connected account.
+     *
+     * @param string $name Template name.
+     * @param string $description Template description.
+     * @param array $fields Field descriptions keyed by field name, all fields hold strings.
+     * @return string|WP_Error The template ID or an error.
+     */
+    public function add_property_template($name, $description, $fields) {
+        $params = [
+            'name' => $name,
+            'description' => $description,
+            'fields' => []
+        ];
+        
+        foreach ($fields as $field => $field_description) {
+            $params['fields'][] = [
+                'name' => $field,
+                'description' => $field_description,
+                'type' => 'string'
+            ];
+        }
+        
+        $result = $this->make_api_request('file_properties/templates/add_for_user', $params);
+        
+        if (is_wp_error($result)) {
+            return $result;
+        }
+        
+        return isset($result['template_id']) ? $result['template_id'] : new WP_Error('api_error', 'Missing template ID');
+    }
+    
+    /**
+     * Get the properties of a file for a template.
+     *
+     * @param string $path Dropbox file path.
+     * @param string $template_id Template ID.
+     * @return array|null|WP_Error Values keyed by field name, null if the file has no properties for the template.
+     */
+    public function get_file_properties($path, $template_id) {
+        $result = $this->make_api_request('files/get_metadata', [
+            'path' => $path,
+            'include_property_groups' => [
+                '.tag' => 'filter_some',
+                'filter_some' => [$template_id]
+            ]
+        ]);
+        
+        if (is_wp_error($result)) {
+            return $result;
+        }
+        
+        foreach ((isset($result['property_groups']) ? $result['property_groups'] : []) as $group) {
+            if ($group['template_id'] === $template_id) {
+                return wp_list_pluck($group['fields'], 'value', 'name');
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Replace the properties of a file for a template.
+     *
+     * @param string $path Dropbox file path.
+     * @param string $template_id Template ID.
+     * @param array $values Values keyed by field name, fields left out are cleared.
+     * @return true|WP_Error True on success or an error.
+     */
+    public function set_file_properties($path, $template_id, $values) {
+        $fields = [];
+        
+        foreach ($values as $name => $value) {
+            $fields[] = [
+                'name' => $name,
+                'value' => (string) $value
+            ];
+        }
+        
+        $result = $this->make_api_request('file_properties/properties/overwrite', [
+            'path' => $path,
+            'property_groups' => [
+                [
+                    'template_id' => $template_id,
+                    'fields' => $fields
+                ]
+            ]
+        ]);
+        
+        return is_wp_error($result) ? $result : true;
+    }
+    
     /**
      * Create a folder in Dropbox.
      *
@@ -442,8 +782,9 @@ class FDS_Dropbox_API {
             $app_key = get_option('fds_dropbox_app_key', '');
             $app_secret = get_option('fds_dropbox_app_secret', '');
             
-            if (empty($app_key) || empty($app_secret)) {
-                $this->logger->error("App key or secret not configured for Dropbox API");
+            if (empty($app_key)) {
+                $this->logger->error("App key not configured for Dropbox API");
+                $this->record_refresh_failure(__('The Dropbox app key is not configured.', 'filebird-dropbox-sync'));
                 return false;
             }
             
@@ -455,12 +796,13 @@ class FDS_Dropbox_API {
                 'headers' => [
                     'Content-Type' => 'application/x-www-form-urlencoded'
                 ],
-                'body' => [
+                // Connections made before PKCE still need the secret
+                'body' => array_filter([
                     'grant_type' => 'refresh_token',
                     'refresh_token' => $refresh_token,
                     'client_id' => $app_key,
                     'client_secret' => $app_secret
-                ],
+                ]),
                 'timeout' => 30 // Increased timeout for slow connections
             ];
             
@@ -470,6 +812,7 @@ class FDS_Dropbox_API {
                 $this->logger->error("Error refreshing Dropbox token", [
                     'error' => $response->get_error_message()
                 ]);
+                $this->record_refresh_failure($response->get_error_message());
                 return false;
             }
             
@@ -482,6 +825,7 @@ class FDS_Dropbox_API {
                     'status_code' => $status_code,
                     'response' => $body
                 ]);
+                $this->record_refresh_failure($result['error_description'] ?? sprintf(__('Dropbox answered with HTTP %d.', 'filebird-dropbox-sync'), $status_code));
                 return false;
             }
             
@@ -493,18 +837,40 @@ class FDS_Dropbox_API {
                 update_option('fds_dropbox_token_expiry', time() + $result['expires_in']);
             }
             
+            update_option('fds_dropbox_token_refreshed_at', current_time('mysql'), false);
+            
             $this->logger->info("Dropbox access token refreshed successfully");
             
+            delete_option('fds_token_refresh_error');
+            
             return true;
         } catch (Exception $e) {
             $this->logger->error("Exception refreshing Dropbox token", [
                 'exception' => $e->getMessage()
             ]);
+            $this->record_refresh_failure($e->getMessage());
             
             return false;
         }
     }
     
+    /**
+     * Remember that the access token could not be refreshed.
+     *
+     * The first failure is kept until a refresh succeeds, so alerts can tell
+     * how long the token has been failing.
+     *
+     * @param string $message Why the refresh failed.
+     */
+    protected function record_refresh_failure($message) {
+        $error = get_option('fds_token_refresh_error', false);
+        
+        update_option('fds_token_refresh_error', array(
+            'message' => $message,
+            'failed_at' => is_array($error) ? $error['failed_at'] : current_time('mysql'),
+        ), false);
+    }
+    
     /**
      * Check if there is a valid token.
      *
@@ -526,6 +892,188 @@ class FDS_Dropbox_API {
         return true;
     }
     
+    /**
+     * Check that Dropbox accepts the access token.
+     *
+     * An expired token is refreshed on the way, like for any other request.
+     *
+     * @return true|WP_Error True if the token works, the error otherwise.
+     */
+    public function verify_token() {
+        $result = $this->make_api_request('files/list_folder', [
+            'path' => '',
+            'limit' => 1
+        ]);
+        
+        return is_wp_error($result) ? $result : true;
+    }
+    
+    /**
+     * Get the namespace the sync root lives in.
+     *
+     * @return array The namespace type (home, team or shared), ID, name and the account it was chosen for.
+     */
+    public static function get_namespace() {
+        $namespace = get_option('fds_dropbox_namespace', []);
+        
+        return array_merge([
+            'type' => 'home',
+            'namespace_id' => '',
+            'name' => '',
+            'account_id' => '',
+        ], is_array($namespace) ? $namespace : []);
+    }
+    
+    /**
+     * Get the header that points requests at the chosen namespace.
+     *
+     * Paths are relative to the home folder of the connected user unless a
+     * team space or shared folder was chosen as the sync root.
+     *
+     * @return array The Dropbox-API-Path-Root header, or no headers for the home namespace.
+     */
+    protected function get_path_root_headers() {
+        $namespace = self::get_namespace();
+        
+        if ($namespace['namespace_id'] === '') {
+            return [];
+        }
+        
+        if ($namespace['type'] === 'team') {
+            $path_root = ['.tag' => 'root', 'root' => $namespace['namespace_id']];
+        } elseif ($namespace['type'] === 'shared') {
+            $path_root = ['.tag' => 'namespace_id', 'namespace_id' => $namespace['namespace_id']];
+        } else {
+            return [];
+        }
+        
+        return ['Dropbox-API-Path-Root' => json_encode($path_root)];
+    }
+    
+    /**
+     * List the namespaces that can be the sync root.
+     *
+     * The home folder is always available, the team space only for members
+     * of a team with team spaces, and shared folders including team folders
+     * when the app may read sharing information.
+     *
+     * @return array|WP_Error Namespaces with their type, ID, name and path, or an error.
+     */
+    public function list_namespaces() {
+        if (!$this->has_valid_token()) {
+            return new WP_Error('fds_not_connected', __('Connect to Dropbox first.', 'filebird-dropbox-sync'));
+        }
+        
+        $account = $this->fetch_account(get_option('fds_dropbox_access_token', ''));
+        
+        if (!$account) {
+            return new WP_Error('fds_account_failed', __('The Dropbox account could not be read.', 'filebird-dropbox-sync'));
+        }
+        
+        $namespaces = [[
+            'type' => 'home',
+            'namespace_id' => '',
+            'name' => __('My Dropbox', 'filebird-dropbox-sync'),
+            'path' => '/',
+        ]];
+        
+        if ($account['is_team'] && $account['root_namespace_id'] !== $account['home_namespace_id']) {
+            $namespaces[] = [
+                'type' => 'team',
+                'namespace_id' => $account['root_namespace_id'],
+                'name' => $account['team_name'] !== '' ? $account['team_name'] : __('Team space', 'filebird-dropbox-sync'),
+                'path' => '/',
+            ];
+        }
+        
+        $result = $this->make_api_request('sharing/list_folders', ['limit' => 100]);
+        
+        while (!is_wp_error($result) && is_array($result)) {
+            foreach ($result['entries'] ?? [] as $folder) {
+                $namespaces[] = [
+                    'type' => 'shared',
+                    'namespace_id' => $folder['shared_folder_id'],
+                    'name' => $folder['name'],
+                    'path' => $folder['path_lower'] ?? '',
+                    'team_folder' => !empty($folder['is_team_folder']),
+                ];
+            }
+            
+            if (empty($result['cursor'])) {
+                break;
+            }
+            
+            $result = $this->make_api_request('sharing/list_folders/continue', ['cursor' => $result['cursor']]);
+        }
+        
+        if (is_wp_error($result)) {
+            // Apps without the sharing.read permission still get the home folder and team space
+            $this->logger->warning("Could not list Dropbox shared folders", [
+                'error' => $result->get_error_message()
+            ]);
+        }
+        
+        return $namespaces;
+    }
+    
+    /**
+     * Make a namespace the sync root.
+     *
+     * Cursors belong to the namespace they were taken in, so they are
+     * dropped and taken again on the next sync. The file and folder mappings
+     * hold paths of the old namespace too; callers clear them first.
+     *
+     * @param string $type home, team or shared.
+     * @param string $namespace_id The namespace ID, empty for home.
+     * @return array|WP_Error The chosen namespace, or an error if it is not available.
+     */
+    public function set_namespace($type, $namespace_id) {
+        $namespaces = $this->list_namespaces();
+        
+        if (is_wp_error($namespaces)) {
+            return $namespaces;
+        }
+        
+        foreach ($namespaces as $namespace) {
+            if ($namespace['type'] !== $type || $namespace['namespace_id'] !== $namespace_id) {
+                continue;
+            }
+            
+            $account = get_option('fds_dropbox_account', []);
+            $chosen = [
+                'type' => $namespace['type'],
+                'namespace_id' => $namespace['namespace_id'],
+                'name' => $namespace['name'],
+                'account_id' => $account['account_id'] ?? '',
+            ];
+            
+            update_option('fds_dropbox_namespace', $chosen);
+            $this->reset_cursors();
+            
+            $this->logger->info("Changed the Dropbox sync root namespace", $chosen);
+            
+            return $chosen;
+        }
+        
+        return new WP_Error('fds_namespace_not_found', __('That team space or shared folder is not available to the connected account.', 'filebird-dropbox-sync'));
+    }
+    
+    /**
+     * Drop every stored cursor.
+     */
+    protected function reset_cursors() {
+        global $wpdb;
+        
+        delete_option('fds_dropbox_cursor');
+        delete_option('fds_root_mapping_cursors');
+        
+        $options = $wpdb->get_col("SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE 'fds\\_delta\\_cursor\\_%'");
+        
+        foreach ($options as $option) {
+            delete_option($option);
+        }
+    }
+    
     /**
      * Register a webhook with Dropbox.
      *
@@ -611,10 +1159,10 @@ class FDS_Dropbox_API {
         // Prepare request
         $url = 'https://api.dropboxapi.com/2/' . ltrim($endpoint, '/');
         
-        $default_headers = [
+        $default_headers = array_merge([
             'Authorization' => 'Bearer ' . get_option('fds_dropbox_access_token', ''),
             'Content-Type' => 'application/json',
-        ];
+        ], $this->get_path_root_headers());
         
         $headers = array_merge($default_headers, $headers);
         
@@ -731,11 +1279,11 @@ class FDS_Dropbox_API {
         
         $args = [
             'method' => 'POST',
-            'headers' => [
+            'headers' => array_merge([
                 'Authorization' => 'Bearer ' . get_option('fds_dropbox_access_token', ''),
                 'Content-Type' => 'application/octet-stream',
                 'Dropbox-API-Arg' => json_encode(['close' => false])
-            ],
+            ], $this->get_path_root_headers()),
             'body' => $chunk,
             'timeout' => 60,
         ];
@@ -782,7 +1330,7 @@ class FDS_Dropbox_API {
         
         $args = [
             'method' => 'POST',
-            'headers' => [
+            'headers' => array_merge([
                 'Authorization' => 'Bearer ' . get_option('fds_dropbox_access_token', ''),
                 'Content-Type' => 'application/octet-stream',
                 'Dropbox-API-Arg' => json_encode([
@@ -792,7 +1340,7 @@ class FDS_Dropbox_API {
                     ],
                     'close' => false
                 ])
-            ],
+            ], $this->get_path_root_headers()),
             'body' => $chunk,
             'timeout' => 60,
         ];
@@ -832,7 +1380,7 @@ class FDS_Dropbox_API {
         
         $args = [
             'method' => 'POST',
-            'headers' => [
+            'headers' => array_merge([
                 'Authorization' => 'Bearer ' . get_option('fds_dropbox_access_token', ''),
                 'Content-Type' => 'application/octet-stream',
                 'Dropbox-API-Arg' => json_encode([
@@ -847,7 +1395,7 @@ class FDS_Dropbox_API {
                         'mute' => false
                     ]
                 ])
-            ],
+            ], $this->get_path_root_headers()),
             'body' => '',
             'timeout' => 120, // Longer timeout for finishing large uploads
         ];
@@ -1017,7 +1565,9 @@ class FDS_Dropbox_API {
         try {
             // Initialize upload session
             $chunk = fread($file_handle, $chunk_size);
+            $this->get_throttle()->before_request();
             $session_id = $this->start_upload_session($chunk);
+            $this->get_throttle()->after_transfer(strlen($chunk));
             
             if (is_wp_error($session_id)) {
                 throw new Exception($session_id->get_error_message());
@@ -1036,7 +1586,9 @@ class FDS_Dropbox_API {
                     throw new Exception('Failed to read chunk from file');
                 }
                 
+                $this->get_throttle()->before_request();
                 $result = $this->append_to_upload_session($session_id, $chunk, $offset);
+                $this->get_throttle()->after_transfer(strlen($chunk));
                 
                 if (is_wp_error($result)) {
                     throw new Exception($result->get_error_message());
@@ -1046,6 +1598,7 @@ class FDS_Dropbox_API {
             }
             
             // Finish upload
+            $this->get_throttle()->before_request();
             $result = $this->finish_upload_session($session_id, $dropbox_path, $file_size);
             
             if (is_wp_error($result)) {
@@ -1112,15 +1665,16 @@ class FDS_Dropbox_API {
             
             $args = [
                 'method' => 'POST',
-                'headers' => [
+                'headers' => array_merge([
                     'Authorization' => 'Bearer ' . get_option('fds_dropbox_access_token', ''),
                     'Dropbox-API-Arg' => json_encode(['path' => $dropbox_path])
-                ],
+                ], $this->get_path_root_headers()),
                 'stream' => true,
                 'timeout' => 60,
                 'filename' => $temp_path
             ];
             
+            $this->get_throttle()->before_request();
             $response = wp_remote_request($url, $args);
             $this->request_count++;
             
@@ -1135,6 +1689,8 @@ class FDS_Dropbox_API {
                 throw new Exception('Download failed with status code ' . $status_code . ': ' . $body);
             }
             
+            $this->get_throttle()->after_transfer(filesize($temp_path));
+            
             // Close file
             fclose($local_file);
             
@@ -1187,7 +1743,7 @@ class FDS_Dropbox_API {
      * @param string $file_path File path.
      * @return string Dropbox content hash.
      */
-    protected function calculate_dropbox_content_hash($file_path) {
+    public function calculate_dropbox_content_hash($file_path) {
         $block_size = 4 * 1024 * 1024; // 4MB blocks
         $file = fopen($file_path, 'rb');
         $block_hashes = [];
@@ -1203,6 +1759,20 @@ class FDS_Dropbox_API {
         return hash('sha256', implode('', $block_hashes));
     }
     
+    /**
+     * Get the bandwidth and request rate caps for this run.
+     *
+     * @return FDS_Throttle The throttle.
+     */
+    protected function get_throttle() {
+        if ($this->throttle === null) {
+            $schedule = new FDS_Sync_Schedule();
+            $this->throttle = $schedule->get_throttle($this->logger);
+        }
+        
+        return $this->throttle;
+    }
+    
     /**
      * Check and handle API rate limits.
      */
@@ -1312,6 +1882,9 @@ class FDS_Dropbox_API {
     /**
      * Handle AJAX for OAuth start.
      * 
+     * Uses the authorization code flow with PKCE, so only the app key is
+     * needed. The code verifier is kept for ten minutes under the state.
+     * 
      * @since    1.0.0
      */
     public function ajax_oauth_start() {
@@ -1321,10 +1894,6 @@ class FDS_Dropbox_API {
             wp_send_json_error(['message' => __('Permission denied.', 'filebird-dropbox-sync')]);
         }
         
-        // Generate CSRF token for OAuth
-        $csrf_token = wp_generate_password(32, false);
-        update_option('fds_oauth_csrf_token', $csrf_token);
-        
         // Get app key
         $app_key = get_option('fds_dropbox_app_key', '');
         
@@ -1332,6 +1901,11 @@ class FDS_Dropbox_API {
             wp_send_json_error(['message' => __('Dropbox App Key is not configured. Please enter your App Key in the settings before connecting.', 'filebird-dropbox-sync')]);
         }
         
+        // The state doubles as CSRF token and as key of the code verifier
+        $state = wp_generate_password(32, false);
+        $code_verifier = wp_generate_password(64, false);
+        set_transient('fds_oauth_' . $state, $code_verifier, $this->oauth_timeout);
+        
         // Prepare redirect URL
         $redirect_url = admin_url('admin-ajax.php') . '?action=fds_oauth_finish';
         
@@ -1340,39 +1914,55 @@ class FDS_Dropbox_API {
             'client_id' => $app_key,
             'response_type' => 'code',
             'redirect_uri' => $redirect_url,
-            'state' => $csrf_token,
+            'state' => $state,
             'token_access_type' => 'offline',
+            'code_challenge' => rtrim(strtr(base64_encode(hash('sha256', $code_verifier, true)), '+/', '-_'), '='),
+            'code_challenge_method' => 'S256',
         ]);
         
-        wp_send_json_success(['auth_url' => $auth_url]);
+        wp_send_json_success([
+            'auth_url' => $auth_url,
+            'timeout' => $this->oauth_timeout
+        ]);
     }
 
     /**
      * Handle AJAX for OAuth finish.
      * 
+     * Dropbox redirects the authorization window here. The result is sent to
+     * the settings page that opened the window, or shown on the settings page
+     * in this window if it was not opened from there.
+     * 
      * @since    1.0.0
      */
     public function ajax_oauth_finish() {
-        // Verify CSRF
-        $stored_csrf = get_option('fds_oauth_csrf_token', '');
-        $received_csrf = isset($_GET['state']) ? sanitize_text_field($_GET['state']) : '';
+        $state = isset($_GET['state']) ? sanitize_text_field($_GET['state']) : '';
+        
+        if (empty($state)) {
+            $this->send_oauth_result('csrf');
+        }
+        
+        $code_verifier = get_transient('fds_oauth_' . $state);
+        delete_transient('fds_oauth_' . $state);
+        
+        if ($code_verifier === false) {
+            $this->send_oauth_result('expired');
+        }
         
-        if (empty($stored_csrf) || $stored_csrf !== $received_csrf) {
-            wp_redirect(admin_url('admin.php?page=filebird-dropbox-sync-settings&tab=dropbox&error=csrf'));
-            exit;
+        // The user clicked Cancel on the Dropbox consent screen
+        if (isset($_GET['error'])) {
+            $this->send_oauth_result(sanitize_text_field($_GET['error']) === 'access_denied' ? 'denied' : 'api', isset($_GET['error_description']) ? sanitize_text_field($_GET['error_description']) : '');
         }
         
         // Get authorization code
         $code = isset($_GET['code']) ? sanitize_text_field($_GET['code']) : '';
         
         if (empty($code)) {
-            wp_redirect(admin_url('admin.php?page=filebird-dropbox-sync-settings&tab=dropbox&error=code'));
-            exit;
+            $this->send_oauth_result('code');
         }
         
         // Exchange code for token
         $app_key = get_option('fds_dropbox_app_key', '');
-        $app_secret = get_option('fds_dropbox_app_secret', '');
         $redirect_url = admin_url('admin-ajax.php') . '?action=fds_oauth_finish';
         
         $response = wp_remote_post('https://api.dropboxapi.com/oauth2/token', [
@@ -1380,7 +1970,7 @@ class FDS_Dropbox_API {
                 'code' => $code,
                 'grant_type' => 'authorization_code',
                 'client_id' => $app_key,
-                'client_secret' => $app_secret,
+                'code_verifier' => $code_verifier,
                 'redirect_uri' => $redirect_url,
             ],
             'timeout' => 30, // Increase timeout
@@ -1389,8 +1979,7 @@ class FDS_Dropbox_API {
         if (is_wp_error($response)) {
             $error_message = $response->get_error_message();
             error_log('FileBird Dropbox Sync - OAuth error: ' . $error_message);
-            wp_redirect(admin_url('admin.php?page=filebird-dropbox-sync-settings&tab=dropbox&error=request&message=' . urlencode($error_message)));
-            exit;
+            $this->send_oauth_result('request', $error_message);
         }
         
         $body = wp_remote_retrieve_body($response);
@@ -1399,33 +1988,184 @@ class FDS_Dropbox_API {
         if (empty($data) || isset($data['error'])) {
             $error_msg = isset($data['error_description']) ? $data['error_description'] : 'Unknown error';
             error_log('FileBird Dropbox Sync - OAuth token error: ' . $error_msg);
-            wp_redirect(admin_url('admin.php?page=filebird-dropbox-sync-settings&tab=dropbox&error=api&message=' . urlencode($error_msg)));
-            exit;
+            $this->send_oauth_result('api', $error_msg);
+        }
+        
+        if (!isset($data['access_token'])) {
+            $this->send_oauth_result('token');
         }
         
         // Store tokens
-        if (isset($data['access_token'])) {
-            update_option('fds_dropbox_access_token', $data['access_token']);
-            
-            if (isset($data['refresh_token'])) {
-                update_option('fds_dropbox_refresh_token', $data['refresh_token']);
-            }
-            
-            if (isset($data['expires_in'])) {
-                update_option('fds_dropbox_token_expiry', time() + $data['expires_in']);
-            }
-            
-            // Don't register webhook immediately, it might fail
-            // Let's just redirect and show success message
-            
-            // Clear CSRF token
-            delete_option('fds_oauth_csrf_token');
-            
-            wp_redirect(admin_url('admin.php?page=filebird-dropbox-sync-settings&tab=dropbox&connected=1'));
-            exit;
+        update_option('fds_dropbox_access_token', $data['access_token']);
+        
+        if (isset($data['refresh_token'])) {
+            update_option('fds_dropbox_refresh_token', $data['refresh_token']);
+        }
+        
+        if (isset($data['expires_in'])) {
+            update_option('fds_dropbox_token_expiry', time() + $data['expires_in']);
+        }
+        
+        update_option('fds_dropbox_token_refreshed_at', current_time('mysql'), false);
+        delete_option('fds_token_refresh_error');
+        
+        // Tokens issued with PKCE refresh without the secret
+        delete_option('fds_dropbox_app_secret');
+        
+        // Don't register webhook immediately, it might fail
+        $account = $this->fetch_account($data['access_token']);
+        $namespace = self::get_namespace();
+        
+        // A namespace chosen for another account does not exist for this one
+        if ($namespace['namespace_id'] !== '' && (!$account || $namespace['account_id'] !== $account['account_id'])) {
+            delete_option('fds_dropbox_namespace');
+            $this->reset_cursors();
+        }
+        
+        $this->logger->info('Connected to Dropbox', [
+            'account' => $account ? $account['email'] : ''
+        ]);
+        
+        $this->send_oauth_result('', '', $account);
+    }
+
+    /**
+     * Get the name and email of the connected Dropbox account.
+     *
+     * The account is saved so the settings page can show it.
+     *
+     * @param string $access_token The access token.
+     * @return array|false The account name, email and ID, or false if Dropbox did not answer.
+     */
+    protected function fetch_account($access_token) {
+        $response = wp_remote_post('https://api.dropboxapi.com/2/users/get_current_account', [
+            'headers' => [
+                'Authorization' => 'Bearer ' . $access_token,
+                'Content-Type' => 'application/json'
+            ],
+            'body' => 'null',
+            'timeout' => 30
+        ]);
+        
+        if (is_wp_error($response) || wp_remote_retrieve_response_code($response) !== 200) {
+            delete_option('fds_dropbox_account');
+            return false;
+        }
+        
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+        
+        $account = [
+            'name' => isset($data['name']['display_name']) ? $data['name']['display_name'] : '',
+            'email' => isset($data['email']) ? $data['email'] : '',
+            'account_id' => isset($data['account_id']) ? $data['account_id'] : '',
+            // Members of a team with team spaces have a root namespace above their home folder
+            'is_team' => isset($data['root_info']['.tag']) && $data['root_info']['.tag'] === 'team',
+            'team_name' => isset($data['team']['name']) ? $data['team']['name'] : '',
+            'root_namespace_id' => isset($data['root_info']['root_namespace_id']) ? $data['root_info']['root_namespace_id'] : '',
+            'home_namespace_id' => isset($data['root_info']['home_namespace_id']) ? $data['root_info']['home_namespace_id'] : '',
+        ];
+        
+        update_option('fds_dropbox_account', $account, false);
+        
+        return $account;
+    }
+
+    /**
+     * End the OAuth flow and report the result.
+     *
+     * Outputs a page that posts the result to the settings page that opened
+     * the authorization window and closes it. Without an opener the page
+     * redirects to the settings page, which shows the result itself.
+     *
+     * @param string $error Error code, empty on success.
+     * @param string $message Error details from Dropbox.
+     * @param array|false $account The connected account on success.
+     */
+    protected function send_oauth_result($error, $message = '', $account = false) {
+        $settings_url = admin_url('admin.php?page=filebird-dropbox-sync-settings&tab=dropbox');
+        
+        if ($error === '') {
+            $redirect_url = add_query_arg('connected', 1, $settings_url);
         } else {
-            wp_redirect(admin_url('admin.php?page=filebird-dropbox-sync-settings&tab=dropbox&error=token'));
-            exit;
+            $redirect_url = add_query_arg(array_filter([
+                'error' => $error,
+                'message' => $message !== '' ? urlencode($message) : ''
+            ]), $settings_url);
         }
+        
+        $result = [
+            'source' => 'fds-oauth',
+            'success' => $error === '',
+            'error' => $error,
+            'message' => $error === '' ? '' : self::get_oauth_error_message($error, $message),
+            'account' => $account ?: null,
+        ];
+        
+        nocache_headers();
+        header('Content-Type: text/html; charset=' . get_option('blog_charset'));
+        ?>
+<!DOCTYPE html>
+<html>
+<head><title><?php esc_html_e('Dropbox Connection', 'filebird-dropbox-sync'); ?></title></head>
+<body>
+<p><?php echo esc_html($error === '' ? __('Connected to Dropbox. You can close this window.', 'filebird-dropbox-sync') : $result['message']); ?></p>
+<script>
+(function() {
+    var result = <?php echo wp_json_encode($result); ?>;
+    
+    if (window.opener && !window.opener.closed) {
+        // The settings page is served from the same origin as this page
+        window.opener.postMessage(result, window.location.origin);
+        window.close();
+    } else {
+        window.location.replace(<?php echo wp_json_encode($redirect_url); ?>);
+    }
+})();
+</script>
+</body>
+</html>
+        <?php
+        exit;
+    }
+
+    /**
+     * Get a readable message for an OAuth error code.
+     *
+     * @param string $error The error code.
+     * @param string $message Error details from Dropbox.
+     * @return string The message.
+     */
+    public static function get_oauth_error_message($error, $message = '') {
+        switch ($error) {
+            case 'csrf':
+                $text = __('Security token validation failed. Please try connecting again.', 'filebird-dropbox-sync');
+                break;
+            case 'expired':
+                $text = __('The authorization took too long or was already used. Please try connecting again.', 'filebird-dropbox-sync');
+                break;
+            case 'denied':
+                $text = __('Access was denied on Dropbox, the site was not connected.', 'filebird-dropbox-sync');
+                break;
+            case 'code':
+                $text = __('No authorization code received from Dropbox. Please make sure you authorize the application.', 'filebird-dropbox-sync');
+                break;
+            case 'request':
+                $text = __('Error communicating with Dropbox API. Please try again later.', 'filebird-dropbox-sync');
+                break;
+            case 'api':
+                $text = __('Dropbox API error:', 'filebird-dropbox-sync');
+                break;
+            case 'token':
+                $text = __('Failed to get access token from Dropbox. Please check your App Key and that PKCE is allowed for the app.', 'filebird-dropbox-sync');
+                break;
+            default:
+                $text = __('An unknown error occurred. Please try again.', 'filebird-dropbox-sync');
+        }
+        
+        if ($message !== '' && in_array($error, ['request', 'api'], true)) {
+            $text .= ' ' . $message;
+        }
+        
+        return $text;
     }
 }
\ No newline at end of file
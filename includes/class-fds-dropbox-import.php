@@ -0,0 +1,480 @@
+<?php
+/**
+ * Imports files picked in a Dropbox browser into FileBird folders.
+ *
+ * The browser lists one Dropbox folder at a time. Files and folders picked
+ * in it are queued as imports into a single FileBird folder, files inside
+ * picked folders and their subfolders included. The queue copies each
+ * file into the Dropbox folder of the chosen FileBird folder and downloads
+ * the copy, so the attachment is tracked inside the sync root and the
+ * original is never moved or deleted by the sync. Each import gets an ID
+ * so its progress can be followed.
+ *
+ * @since      1.0.0
+ */
+class FDS_Dropbox_Import {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * How long the progress of an import can be followed.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $import_ttl    Seconds.
+     */
+    protected $import_ttl = DAY_IN_SECONDS;
+
+    /**
+     * File extensions Dropbox can make thumbnails for.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array    $thumbnail_extensions    Lowercase extensions.
+     */
+    protected $thumbnail_extensions = array('jpg', 'jpeg', 'png', 'tiff', 'tif', 'gif', 'webp', 'ppm', 'bmp');
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $db, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+    }
+
+    /**
+     * Enqueue the Dropbox browser script and styles.
+     *
+     * Any button with the fds-open-import class opens the browser.
+     *
+     * @since    1.0.0
+     */
+    public static function enqueue_assets() {
+        if (wp_script_is('fds-import', 'enqueued')) {
+            return;
+        }
+
+        wp_enqueue_style('fds-import', FDS_PLUGIN_URL . 'admin/css/fds-import.css', array('dashicons'), FDS_VERSION, 'all');
+        wp_enqueue_script('fds-import', FDS_PLUGIN_URL . 'admin/js/fds-import.js', array('jquery'), FDS_VERSION, true);
+
+        wp_localize_script('fds-import', 'fds_import_vars', array(
+            'rest_url' => get_rest_url(null, 'fds/v1'),
+            'rest_nonce' => wp_create_nonce('wp_rest'),
+            'strings' => array(
+                'title' => __('Import from Dropbox', 'filebird-dropbox-sync'),
+                'root' => __('Dropbox', 'filebird-dropbox-sync'),
+                'target' => __('Import into', 'filebird-dropbox-sync'),
+                'uncategorized' => __('Uncategorized', 'filebird-dropbox-sync'),
+                'import' => __('Import Selected', 'filebird-dropbox-sync'),
+                'close' => __('Close', 'filebird-dropbox-sync'),
+                'empty' => __('This folder is empty.', 'filebird-dropbox-sync'),
+                'imported' => __('Imported', 'filebird-dropbox-sync'),
+                'unsupported' => __('Not supported', 'filebird-dropbox-sync'),
+                'folder_note' => __('Files in selected folders, subfolders included, are copied into the chosen folder. The originals in Dropbox are left as they are.', 'filebird-dropbox-sync'),
+                'error' => __('An error occurred:', 'filebird-dropbox-sync'),
+                'loading' => __('Loading...', 'filebird-dropbox-sync'),
+                /* translators: %d: number of selected files and folders */
+                'selected' => __('%d selected', 'filebird-dropbox-sync'),
+                'queueing' => __('Queueing the import...', 'filebird-dropbox-sync'),
+                /* translators: 1: number of imported files, 2: number of queued files */
+                'progress' => __('%1$d of %2$d imported', 'filebird-dropbox-sync'),
+                /* translators: %d: number of failed files */
+                'progress_failed' => __(', %d failed', 'filebird-dropbox-sync'),
+                'finished' => __('Import finished.', 'filebird-dropbox-sync'),
+                'finished_failed' => __('Import finished, some files failed. See the logs for details.', 'filebird-dropbox-sync'),
+            ),
+        ));
+    }
+
+    /**
+     * List a Dropbox folder for the browser.
+     *
+     * @since    1.0.0
+     * @param    string    $path    The Dropbox folder path, empty for the top.
+     * @return   array|WP_Error     The path, its parent and the entries, folders first.
+     */
+    public function browse($path = '') {
+        $path = $this->normalize_path($path);
+        $result = $this->dropbox_api->list_folder_enhanced($path, array('include_media_info' => false));
+        $entries = array();
+
+        while (!is_wp_error($result)) {
+            $entries = array_merge($entries, isset($result['entries']) ? $result['entries'] : array());
+
+            if (empty($result['has_more'])) {
+                break;
+            }
+
+            $result = $this->dropbox_api->list_folder_continue($result['cursor']);
+        }
+
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        $imported = $this->get_imported_lookup();
+        $items = array();
+
+        foreach ($entries as $entry) {
+            if (!in_array($entry['.tag'], array('file', 'folder'), true)) {
+                continue;
+            }
+
+            $is_file = $entry['.tag'] === 'file';
+
+            $items[] = array(
+                'type' => $entry['.tag'],
+                'name' => $entry['name'],
+                'path' => $entry['path_display'],
+                'size' => $is_file ? intval($entry['size']) : 0,
+                'modified' => $is_file ? $entry['server_modified'] : '',
+                'importable' => !$is_file || $this->is_importable($entry['name']),
+                'imported' => $is_file && $this->is_imported($entry, $imported),
+                'thumbnail' => $is_file && $this->has_thumbnail($entry['name']),
+            );
+        }
+
+        usort($items, function($a, $b) {
+            if ($a['type'] !== $b['type']) {
+                return $a['type'] === 'folder' ? -1 : 1;
+            }
+
+            return strnatcasecmp($a['name'], $b['name']);
+        });
+
+        return array(
+            'path' => $path,
+            'parent' => $path === '' ? null : $this->normalize_path(dirname($path)),
+            'entries' => $items,
+        );
+    }
+
+    /**
+     * Get thumbnails of image files for the browser.
+     *
+     * @since    1.0.0
+     * @param    array    $paths    Dropbox file paths, at most 25 are used.
+     * @return   array              Data URIs keyed by path, files without one are left out.
+     */
+    public function get_thumbnails($paths) {
+        $paths = array_filter(array_map('strval', (array) $paths), function($path) {
+            return $this->has_thumbnail($path);
+        });
+
+        $thumbnails = $this->dropbox_api->get_thumbnails(array_slice(array_values($paths), 0, 25));
+
+        if (is_wp_error($thumbnails)) {
+            return array();
+        }
+
+        return array_map(function($thumbnail) {
+            return 'data:image/jpeg;base64,' . $thumbnail;
+        }, $thumbnails);
+    }
+
+    /**
+     * Queue the import of picked files and folders.
+     *
+     * Files that cannot be added to the Media Library or that are already
+     * attachments are left out.
+     *
+     * @since    1.0.0
+     * @param    array    $paths        Dropbox paths of the picked files and folders.
+     * @param    int      $folder_id    The FileBird folder to import into, 0 for Uncategorized.
+     * @return   array|WP_Error         The import ID and how many files were queued and left out.
+     */
+    public function start_import($paths, $folder_id) {
+        $paths = array_unique(array_filter(array_map(array($this, 'normalize_path'), (array) $paths)));
+        $folder_id = intval($folder_id);
+
+        if (empty($paths)) {
+            return new WP_Error('fds_nothing_selected', __('Select at least one file or folder to import.', 'filebird-dropbox-sync'));
+        }
+
+        if ($folder_id > 0 && (!class_exists('FileBird\\Model\\Folder') || !\FileBird\Model\Folder::findById($folder_id, 'id'))) {
+            return new WP_Error('fds_invalid_folder', __('The selected FileBird folder does not exist.', 'filebird-dropbox-sync'));
+        }
+
+        $target_path = $this->get_target_path($folder_id);
+
+        if (!$target_path) {
+            return new WP_Error('fds_invalid_folder', __('The Dropbox folder of the selected FileBird folder could not be determined.', 'filebird-dropbox-sync'));
+        }
+
+        $files = $this->collect_files($paths);
+
+        if (is_wp_error($files)) {
+            return $files;
+        }
+
+        $import_id = strtolower(wp_generate_password(12, false));
+        $imported = $this->get_imported_lookup();
+        $queued = 0;
+        $unsupported = 0;
+        $existing = 0;
+
+        foreach ($files as $path_lower => $entry) {
+            if (!$this->is_importable($entry['name'])) {
+                $unsupported++;
+                continue;
+            }
+
+            if ($this->is_imported($entry, $imported)) {
+                $existing++;
+                continue;
+            }
+
+            $result = $this->db->add_to_sync_queue('create', 'file', md5($path_lower), 'dropbox_to_wordpress', array(
+                'dropbox_path' => $target_path . '/' . $entry['name'],
+                'import_source' => $entry['path_display'],
+                'dropbox_metadata' => $entry,
+                'folder_id' => $folder_id,
+                'import_id' => $import_id,
+            ), 4);
+
+            if ($result !== false) {
+                $queued++;
+            }
+        }
+
+        set_transient('fds_import_' . $import_id, array(
+            'queued' => $queued,
+            'unsupported' => $unsupported,
+            'existing' => $existing,
+            'folder_id' => $folder_id,
+        ), $this->import_ttl);
+
+        if ($queued > 0 && !wp_next_scheduled('fds_process_queue')) {
+            wp_schedule_single_event(time(), 'fds_process_queue');
+        }
+
+        $this->logger->info("Queued Dropbox import", array(
+            'import_id' => $import_id,
+            'paths' => $paths,
+            'folder_id' => $folder_id,
+            'queued' => $queued,
+            'unsupported' => $unsupported,
+            'existing' => $existing
+        ));
+
+        return array(
+            'import_id' => $import_id,
+            'queued' => $queued,
+            'unsupported' => $unsupported,
+            'existing' => $existing,
+        );
+    }
+
+    /**
+     * Get the progress of an import.
+     *
+     * @since    1.0.0
+     * @param    string    $import_id    The import ID.
+     * @return   array|WP_Error          Counts per outcome and whether the import finished.
+     */
+    public function get_progress($import_id) {
+        $import_id = sanitize_key($import_id);
+        $import = get_transient('fds_import_' . $import_id);
+
+        if (!$import) {
+            return new WP_Error('fds_import_not_found', __('This import can no longer be followed.', 'filebird-dropbox-sync'));
+        }
+
+        $counts = $this->db->get_import_status_counts($import_id);
+        $remaining = $counts['pending'] + $counts['processing'];
+        $schedule = new FDS_Sync_Schedule();
+        $schedule_status = $schedule->get_status();
+
+        return array(
+            'import_id' => $import_id,
+            'total' => $import['queued'],
+            'completed' => $counts['completed'],
+            'failed' => $counts['failed'] + $counts['cancelled'],
+            'remaining' => $remaining,
+            'finished' => $remaining === 0,
+            'paused' => $remaining > 0 && $schedule_status['paused'],
+            'schedule' => $schedule_status['message'],
+        );
+    }
+
+    /**
+     * Get the files to import for the picked paths.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $paths    Dropbox paths of the picked files and folders.
+     * @return   array|WP_Error     File metadata keyed by lowercase path.
+     */
+    protected function collect_files($paths) {
+        $files = array();
+
+        foreach ($paths as $path) {
+            $metadata = $this->dropbox_api->get_file_metadata($path);
+
+            if (!$metadata || !isset($metadata['.tag'])) {
+                /* translators: %s: Dropbox path */
+                return new WP_Error('fds_invalid_path', sprintf(__('%s could not be found in Dropbox.', 'filebird-dropbox-sync'), $path));
+            }
+
+            if ($metadata['.tag'] === 'file') {
+                $files[$metadata['path_lower']] = $metadata;
+                continue;
+            }
+
+            $result = $this->dropbox_api->list_folder_enhanced($metadata['path_lower'], array(
+                'recursive' => true,
+                'include_media_info' => false,
+            ));
+
+            while (!is_wp_error($result)) {
+                foreach (isset($result['entries']) ? $result['entries'] : array() as $entry) {
+                    if ($entry['.tag'] === 'file') {
+                        $files[$entry['path_lower']] = $entry;
+                    }
+                }
+
+                if (empty($result['has_more'])) {
+                    break;
+                }
+
+                $result = $this->dropbox_api->list_folder_continue($result['cursor']);
+            }
+
+            if (is_wp_error($result)) {
+                return $result;
+            }
+        }
+
+        return $files;
+    }
+
+    /**
+     * Get the Dropbox folder that imported files are copied into.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $folder_id    The FileBird folder ID, 0 for Uncategorized.
+     * @return   string|false         The Dropbox folder path or false if it is unknown.
+     */
+    protected function get_target_path($folder_id) {
+        if ($folder_id <= 0) {
+            return get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+        }
+
+        $folder_sync = new FDS_Folder_Sync($this->dropbox_api, $this->db, $this->logger);
+
+        return $folder_sync->get_dropbox_path_for_filebird_folder($folder_id);
+    }
+
+    /**
+     * Get the Dropbox files that are already attachments.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    Lowercase paths, Dropbox file IDs and content hashes as keys.
+     */
+    protected function get_imported_lookup() {
+        $lookup = array();
+
+        foreach ($this->db->get_all_file_mappings() as $mapping) {
+            $lookup[strtolower($mapping->dropbox_path)] = true;
+
+            if (!empty($mapping->dropbox_file_id)) {
+                $lookup[$mapping->dropbox_file_id] = true;
+            }
+
+            // Imported files are copies, the original only matches by content
+            if (!empty($mapping->sync_hash)) {
+                $lookup[$mapping->sync_hash] = true;
+            }
+        }
+
+        return $lookup;
+    }
+
+    /**
+     * Check whether a Dropbox file is already an attachment.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $entry     The Dropbox file metadata.
+     * @param    array    $lookup    The lookup from get_imported_lookup().
+     * @return   boolean             True if a file mapping has its path, ID or content.
+     */
+    protected function is_imported($entry, $lookup) {
+        return isset($lookup[$entry['path_lower']])
+            || (isset($entry['id']) && isset($lookup[$entry['id']]))
+            || (!empty($entry['content_hash']) && isset($lookup[$entry['content_hash']]));
+    }
+
+    /**
+     * Check whether a file can be added to the Media Library.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $name    The file name.
+     * @return   boolean            True if WordPress allows the file type.
+     */
+    protected function is_importable($name) {
+        $file_type = wp_check_filetype($name);
+
+        return !empty($file_type['type']);
+    }
+
+    /**
+     * Check whether Dropbox can make a thumbnail of a file.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $name    The file name or path.
+     * @return   boolean            True for image types Dropbox supports.
+     */
+    protected function has_thumbnail($name) {
+        return in_array(strtolower(pathinfo($name, PATHINFO_EXTENSION)), $this->thumbnail_extensions, true);
+    }
+
+    /**
+     * Normalize a Dropbox path for the API.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $path    The path.
+     * @return   string             The path with a leading slash, or empty for the top.
+     */
+    protected function normalize_path($path) {
+        $path = trim(str_replace('\\', '/', (string) $path), '/');
+
+        return $path === '' || $path === '.' ? '' : '/' . $path;
+    }
+}
@@ -0,0 +1,977 @@
+<?php
+/**
+ * Finds attachments and Dropbox files with the same content.
+ *
+ * Files are compared by their Dropbox content hash, which is calculated for
+ * the attachment files in the uploads folder and reported by Dropbox for
+ * every listed file. Scans run in the queue in batches and the groups found
+ * are kept as a report. Duplicate attachments in a group can be merged into
+ * one, pointing every reference to the attachment that is kept before the
+ * others are deleted.
+ *
+ * @since      1.0.0
+ */
+class FDS_Duplicates {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * The sync planner instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Planner    $planner    Lists the Dropbox folders.
+     */
+    protected $planner;
+
+    /**
+     * The root mappings instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Root_Mappings    $root_mappings    Folders mapped to their own Dropbox paths.
+     */
+    protected $root_mappings;
+
+    /**
+     * How many attachments a scan hashes per batch.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $hash_batch_size    Attachments per batch.
+     */
+    protected $hash_batch_size = 20;
+
+    /**
+     * How many stored files or groups a scan reads per batch.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $group_batch_size    Rows per batch.
+     */
+    protected $group_batch_size = 500;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $db, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+        $this->planner = new FDS_Sync_Planner($dropbox_api, $db, $logger);
+        $this->root_mappings = new FDS_Root_Mappings();
+    }
+
+    /**
+     * Start scanning for duplicates, replacing a scan that is still running.
+     *
+     * The scan runs in the queue in batches, see run_scan().
+     *
+     * @since    1.0.0
+     * @return   array|WP_Error    The scan progress or an error.
+     */
+    public function start_scan() {
+        $previous = $this->get_scan_state();
+
+        if ($previous) {
+            $this->delete_scan_data($previous['scan_id']);
+        }
+
+        $state = array(
+            'scan_id' => strtolower(wp_generate_password(12, false)),
+            'status' => 'running',
+            'phase' => 'listing',
+            'roots' => array_merge(array(get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER)), $this->root_mappings->get_external_paths()),
+            'root_index' => 0,
+            'cursor' => '',
+            'listed' => 0,
+            'after_id' => 0,
+            'checked' => 0,
+            'total' => $this->count_attachments(),
+            'error' => '',
+            'started_at' => current_time('mysql'),
+        );
+
+        update_option('fds_duplicates_scan', $state, false);
+
+        if ($this->queue_scan_task($state['scan_id']) === false) {
+            delete_option('fds_duplicates_scan');
+            return new WP_Error('fds_queue_failed', __('The scan could not be added to the queue.', 'filebird-dropbox-sync'));
+        }
+
+        if (!wp_next_scheduled('fds_process_queue')) {
+            wp_schedule_single_event(time(), 'fds_process_queue');
+        }
+
+        $this->logger->info("Duplicate scan queued", array(
+            'scan_id' => $state['scan_id'],
+            'attachments' => $state['total']
+        ));
+
+        return $this->get_scan_progress();
+    }
+
+    /**
+     * Get the progress of the current scan.
+     *
+     * @since    1.0.0
+     * @return   array    Whether a scan is running or failed, its counts and a message.
+     */
+    public function get_scan_progress() {
+        $state = $this->get_scan_state();
+
+        if (!$state) {
+            return array(
+                'running' => false,
+                'failed' => false,
+                'phase' => '',
+                'listed' => 0,
+                'checked' => 0,
+                'total' => 0,
+                'message' => '',
+            );
+        }
+
+        if ($state['status'] === 'failed') {
+            /* translators: %s: error message */
+            $message = sprintf(__('The scan failed: %s', 'filebird-dropbox-sync'), $state['error']);
+        } elseif ($state['phase'] === 'listing') {
+            /* translators: %d: number of Dropbox files */
+            $message = sprintf(__('Listing Dropbox files, %d so far...', 'filebird-dropbox-sync'), $state['listed']);
+        } elseif ($state['phase'] === 'hashing') {
+            /* translators: 1: number of attachments checked, 2: number of attachments */
+            $message = sprintf(__('Comparing attachments, %1$d of %2$d checked...', 'filebird-dropbox-sync'), $state['checked'], $state['total']);
+        } else {
+            $message = __('Grouping identical files...', 'filebird-dropbox-sync');
+        }
+
+        return array(
+            'running' => $state['status'] === 'running',
+            'failed' => $state['status'] === 'failed',
+            'phase' => $state['phase'],
+            'listed' => $state['listed'],
+            'checked' => $state['checked'],
+            'total' => $state['total'],
+            'message' => $message,
+        );
+    }
+
+    /**
+     * Carry on with a scan until it is done or out of time.
+     *
+     * The Dropbox files are listed page by page, then the attachments are
+     * hashed in batches, then the Dropbox files no attachment is mapped to
+     * are added. Listed files are kept in the sync listing table under the
+     * scan ID, and the groups under the scan ID with a _groups suffix,
+     * keyed by content hash instead of path. The report is saved once all
+     * files are grouped.
+     *
+     * @since    1.0.0
+     * @param    string    $scan_id     The scan the queue task was added for.
+     * @param    float     $deadline    Microtime at which to stop.
+     * @return   boolean|WP_Error       True if the scan finished or was replaced, false if it needs another run, or an error.
+     */
+    public function run_scan($scan_id, $deadline) {
+        $state = $this->get_scan_state();
+
+        if (!$state || $state['scan_id'] !== $scan_id || $state['status'] !== 'running') {
+            return true;
+        }
+
+        while (microtime(true) < $deadline) {
+            if ($state['phase'] === 'listing') {
+                $state = $this->scan_listing_page($state);
+            } elseif ($state['phase'] === 'hashing') {
+                $state = $this->scan_attachments($state);
+            } elseif ($state['phase'] === 'dropbox_files') {
+                $state = $this->scan_dropbox_files($state);
+            } else {
+                $state = $this->save_report($state);
+            }
+
+            // Another scan was started while this batch ran
+            $current = $this->get_scan_state();
+
+            if (!$current || $current['scan_id'] !== $scan_id) {
+                return true;
+            }
+
+            if (is_wp_error($state)) {
+                $current['status'] = 'failed';
+                $current['error'] = $state->get_error_message();
+                update_option('fds_duplicates_scan', $current, false);
+                $this->delete_scan_data($scan_id);
+
+                $this->logger->error("Duplicate scan failed", array(
+                    'scan_id' => $scan_id,
+                    'phase' => $current['phase'],
+                    'error' => $current['error']
+                ));
+
+                return $state;
+            }
+
+            if ($state['phase'] === 'done') {
+                $this->delete_scan_data($scan_id);
+                delete_option('fds_duplicates_scan');
+                return true;
+            }
+
+            update_option('fds_duplicates_scan', $state, false);
+        }
+
+        return false;
+    }
+
+    /**
+     * Queue another run of a scan.
+     *
+     * @since    1.0.0
+     * @param    string    $scan_id    The scan ID.
+     * @return   int|false             The task ID or false on error.
+     */
+    public function queue_scan_task($scan_id) {
+        return $this->db->add_to_sync_queue('duplicates_scan', 'system', 'duplicates_scan', 'wordpress_to_dropbox', array(
+            'scan_id' => $scan_id,
+        ), 1);
+    }
+
+    /**
+     * Get a page of the last report.
+     *
+     * @since    1.0.0
+     * @param    int       $limit     The maximum number of groups to get.
+     * @param    int       $offset    The offset for pagination.
+     * @return   array                Generated at, checked, the groups, their total and the bytes taken by copies.
+     */
+    public function get_report($limit = 20, $offset = 0) {
+        $report = get_option('fds_duplicates_report', null);
+
+        if (!is_array($report)) {
+            return array(
+                'generated_at' => null,
+                'checked' => 0,
+                'groups' => array(),
+                'total' => 0,
+                'wasted_bytes' => 0,
+            );
+        }
+
+        $wasted = 0;
+
+        foreach ($report['groups'] as $group) {
+            $wasted += $group['size'] * (count($group['attachments']) + count($group['dropbox_files']) - 1);
+        }
+
+        return array(
+            'generated_at' => $report['generated_at'],
+            'checked' => $report['checked'],
+            'groups' => array_slice($report['groups'], $offset, $limit),
+            'total' => count($report['groups']),
+            'wasted_bytes' => $wasted,
+        );
+    }
+
+    /**
+     * Merge the duplicate attachments of a group into one.
+     *
+     * Every file is hashed again first and the merge is aborted if any of
+     * them changed since the scan. References to the duplicates in post
+     * content, featured images and product galleries are pointed to the
+     * kept attachment, then the duplicates are deleted along with their
+     * Dropbox files.
+     *
+     * @since    1.0.0
+     * @param    string            $content_hash    The content hash of the group.
+     * @param    int               $keep_id         The attachment to keep.
+     * @param    array|null        $merge_ids       The attachments to merge into it, or null for every other attachment in the group.
+     * @return   array|WP_Error                     Counts of merged and failed attachments and updated posts, or an error.
+     */
+    public function merge($content_hash, $keep_id, $merge_ids = null) {
+        $report = get_option('fds_duplicates_report', null);
+
+        if (!is_array($report)) {
+            return new WP_Error('fds_no_report', __('Scan for duplicates first.', 'filebird-dropbox-sync'));
+        }
+
+        $index = null;
+
+        foreach ($report['groups'] as $i => $group) {
+            if ($group['content_hash'] === $content_hash) {
+                $index = $i;
+                break;
+            }
+        }
+
+        $keep_id = intval($keep_id);
+        $member_ids = $index === null ? array() : array_map('intval', wp_list_pluck($report['groups'][$index]['attachments'], 'attachment_id'));
+
+        if (!in_array($keep_id, $member_ids, true) || get_post_type($keep_id) !== 'attachment') {
+            return new WP_Error('fds_invalid_merge', __('The attachment to keep is not part of this group.', 'filebird-dropbox-sync'));
+        }
+
+        $merge_ids = array_diff($merge_ids === null ? $member_ids : array_intersect(array_map('intval', $merge_ids), $member_ids), array($keep_id));
+
+        if (empty($merge_ids)) {
+            return new WP_Error('fds_invalid_merge', __('Select at least one other attachment to merge.', 'filebird-dropbox-sync'));
+        }
+
+        // The files may have changed since the scan, nothing is deleted unless all still match
+        $changed = array();
+
+        foreach (array_merge(array($keep_id), $merge_ids) as $attachment_id) {
+            if ($this->get_current_content_hash($attachment_id) !== $content_hash) {
+                $changed[] = $attachment_id;
+            }
+        }
+
+        if (!empty($changed)) {
+            $this->logger->warning("Duplicate merge aborted, files changed since the scan", array(
+                'content_hash' => $content_hash,
+                'kept_attachment_id' => $keep_id,
+                'changed_attachment_ids' => $changed
+            ));
+
+            return new WP_Error('fds_duplicates_changed', sprintf(
+                /* translators: %s: attachment IDs */
+                __('Attachments %s no longer have the same content as this group. Nothing was merged, scan again first.', 'filebird-dropbox-sync'),
+                implode(', ', $changed)
+            ));
+        }
+
+        $result = array('merged' => 0, 'failed' => 0, 'posts' => 0);
+        $merged = array();
+
+        foreach ($merge_ids as $merge_id) {
+            if (get_post_type($merge_id) !== 'attachment') {
+                $result['failed']++;
+                continue;
+            }
+
+            $result['posts'] += $this->replace_references($merge_id, $keep_id);
+
+            if (wp_delete_attachment($merge_id, true)) {
+                $merged[] = $merge_id;
+                $result['merged']++;
+            } else {
+                $result['failed']++;
+
+                $this->logger->error("Failed to delete merged attachment", array(
+                    'attachment_id' => $merge_id,
+                    'kept_attachment_id' => $keep_id
+                ));
+            }
+        }
+
+        $group = $report['groups'][$index];
+        $group['attachments'] = array_values(array_filter($group['attachments'], function($attachment) use ($merged) {
+            return !in_array(intval($attachment['attachment_id']), $merged, true);
+        }));
+
+        if (count($group['attachments']) + count($group['dropbox_files']) < 2) {
+            array_splice($report['groups'], $index, 1);
+        } else {
+            $report['groups'][$index] = $group;
+        }
+
+        update_option('fds_duplicates_report', $report, false);
+
+        $this->logger->info("Duplicate attachments merged", array_merge(array(
+            'content_hash' => $content_hash,
+            'kept_attachment_id' => $keep_id,
+            'merged_attachment_ids' => $merged,
+        ), $result));
+
+        return $result;
+    }
+
+    /**
+     * Get the state of the current scan.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array|null    The state or null if no scan is running or failed.
+     */
+    protected function get_scan_state() {
+        // The queue and the admin update the state from different requests
+        wp_cache_delete('fds_duplicates_scan', 'options');
+
+        $state = get_option('fds_duplicates_scan', null);
+
+        return is_array($state) ? $state : null;
+    }
+
+    /**
+     * Delete the stored listing and groups of a scan.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $scan_id    The scan ID.
+     */
+    protected function delete_scan_data($scan_id) {
+        $this->db->delete_sync_listing($scan_id);
+        $this->db->delete_sync_listing($scan_id . '_groups');
+    }
+
+    /**
+     * List the next page of Dropbox files.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The scan state.
+     * @return   array|WP_Error     The updated state or an error.
+     */
+    protected function scan_listing_page($state) {
+        if ($state['root_index'] >= count($state['roots'])) {
+            $state['phase'] = 'hashing';
+            return $state;
+        }
+
+        $root = $state['roots'][$state['root_index']];
+        $page = $this->planner->list_dropbox_page($root, $state['cursor'], true);
+
+        if (is_wp_error($page)) {
+            return $page;
+        }
+
+        // Only files with a content hash can be compared
+        $files = array_filter($page['entries'], function($entry) {
+            return $entry['.tag'] === 'file' && !empty($entry['content_hash']);
+        });
+
+        if (!empty($files) && $this->db->add_sync_listing_entries($state['scan_id'], $files) === false) {
+            /* translators: %s: Dropbox path */
+            return new WP_Error('fds_listing_failed', sprintf(__('The Dropbox listing of %s could not be stored.', 'filebird-dropbox-sync'), $root));
+        }
+
+        if ($page['has_more']) {
+            $state['cursor'] = $page['cursor'];
+        } else {
+            $state['root_index']++;
+            $state['cursor'] = '';
+        }
+
+        $state['listed'] += count($files);
+
+        return $state;
+    }
+
+    /**
+     * Hash the next batch of attachments and add them to their groups.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The scan state.
+     * @return   array|WP_Error     The updated state or an error.
+     */
+    protected function scan_attachments($state) {
+        $attachment_ids = $this->get_attachment_ids_after($state['after_id'], $this->hash_batch_size);
+        $mappings = $this->db->get_file_mappings_by_attachment_ids($attachment_ids);
+        $listed = $this->db->get_sync_listing_entries($state['scan_id'], array_map(function($mapping) {
+            return strtolower($mapping->dropbox_path);
+        }, array_values($mappings)));
+        $claimed = array();
+        $members = array();
+
+        foreach ($attachment_ids as $attachment_id) {
+            $mapping = $mappings[$attachment_id] ?? null;
+            $entry = $mapping ? ($listed[strtolower($mapping->dropbox_path)] ?? null) : null;
+            $content_hash = $this->get_content_hash($attachment_id, $mapping, $entry);
+
+            // Keep the stored hashes current for skipping identical uploads
+            if ($mapping && $entry && $mapping->dropbox_content_hash !== $entry['content_hash']) {
+                $this->db->update_file_content_hash($attachment_id, $entry['content_hash']);
+            }
+
+            if ($content_hash === '') {
+                continue;
+            }
+
+            if ($entry) {
+                $claimed[] = $entry['path_lower'];
+            }
+
+            $members[$content_hash]['attachments'][$attachment_id] = array(
+                'attachment_id' => $attachment_id,
+                'title' => get_the_title($attachment_id),
+                'dropbox_path' => $mapping ? $mapping->dropbox_path : '',
+                'size' => $entry ? intval($entry['size']) : $this->get_file_size($attachment_id),
+            );
+        }
+
+        if (!$this->add_to_groups($state['scan_id'], $members)) {
+            return new WP_Error('fds_groups_failed', __('The duplicate groups could not be stored.', 'filebird-dropbox-sync'));
+        }
+
+        // Dropbox files left unclaimed are not mapped to an attachment
+        $this->db->claim_sync_listing_paths($state['scan_id'], $claimed);
+
+        $state['checked'] += count($attachment_ids);
+
+        if (count($attachment_ids) < $this->hash_batch_size) {
+            $state['phase'] = 'dropbox_files';
+            $state['after_id'] = 0;
+        } else {
+            $state['after_id'] = max($attachment_ids);
+        }
+
+        return $state;
+    }
+
+    /**
+     * Add the next batch of Dropbox files without an attachment to their groups.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The scan state.
+     * @return   array|WP_Error     The updated state or an error.
+     */
+    protected function scan_dropbox_files($state) {
+        $rows = $this->db->get_unclaimed_sync_listing_entries($state['scan_id'], $state['after_id'], $this->group_batch_size);
+        $members = array();
+
+        foreach ($rows as $row) {
+            $entry = maybe_unserialize($row->entry);
+
+            $members[$entry['content_hash']]['dropbox_files'][$entry['id']] = array(
+                'dropbox_path' => $entry['path_display'],
+                'dropbox_file_id' => $entry['id'],
+                'size' => intval($entry['size']),
+            );
+        }
+
+        if (!$this->add_to_groups($state['scan_id'], $members)) {
+            return new WP_Error('fds_groups_failed', __('The duplicate groups could not be stored.', 'filebird-dropbox-sync'));
+        }
+
+        if (count($rows) < $this->group_batch_size) {
+            $state['phase'] = 'report';
+            $state['after_id'] = 0;
+        } else {
+            $state['after_id'] = intval(end($rows)->id);
+        }
+
+        return $state;
+    }
+
+    /**
+     * Merge files into the stored groups of a scan.
+     *
+     * Files are keyed by attachment or Dropbox file ID, so a batch that runs
+     * again after an interruption does not add them twice.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $scan_id    The scan ID.
+     * @param    array     $members    Attachments and Dropbox files keyed by content hash.
+     * @return   boolean               True if the groups were stored.
+     */
+    protected function add_to_groups($scan_id, $members) {
+        if (empty($members)) {
+            return true;
+        }
+
+        $run_id = $scan_id . '_groups';
+        $groups = $this->db->get_sync_listing_entries($run_id, array_keys($members));
+
+        foreach ($members as $content_hash => $member) {
+            $group = $groups[$content_hash] ?? array('attachments' => array(), 'dropbox_files' => array());
+
+            foreach (array('attachments', 'dropbox_files') as $key) {
+                if (!empty($member[$key])) {
+                    $group[$key] = array_replace($group[$key], $member[$key]);
+                }
+            }
+
+            $groups[$content_hash] = $group;
+        }
+
+        return $this->db->add_sync_listing_entries($run_id, $groups) !== false;
+    }
+
+    /**
+     * Save the groups with more than one file as the report.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The scan state.
+     * @return   array              The state, marked done.
+     */
+    protected function save_report($state) {
+        $run_id = $state['scan_id'] . '_groups';
+        $duplicates = array();
+        $after_id = 0;
+
+        do {
+            $rows = $this->db->get_unclaimed_sync_listing_entries($run_id, $after_id, $this->group_batch_size);
+
+            foreach ($rows as $row) {
+                $group = maybe_unserialize($row->entry);
+                $after_id = intval($row->id);
+
+                if (count($group['attachments']) + count($group['dropbox_files']) < 2) {
+                    continue;
+                }
+
+                ksort($group['attachments']);
+
+                $sizes = array_merge(wp_list_pluck($group['attachments'], 'size'), wp_list_pluck($group['dropbox_files'], 'size'));
+
+                $duplicates[] = array(
+                    'content_hash' => $row->path_lower,
+                    'size' => max($sizes),
+                    'attachments' => array_values($group['attachments']),
+                    'dropbox_files' => array_values($group['dropbox_files']),
+                );
+            }
+        } while (count($rows) === $this->group_batch_size);
+
+        // Largest savings first
+        usort($duplicates, function($a, $b) {
+            $wasted_a = $a['size'] * (count($a['attachments']) + count($a['dropbox_files']) - 1);
+            $wasted_b = $b['size'] * (count($b['attachments']) + count($b['dropbox_files']) - 1);
+
+            return $wasted_b <=> $wasted_a;
+        });
+
+        update_option('fds_duplicates_report', array(
+            'generated_at' => current_time('mysql'),
+            'checked' => $state['checked'],
+            'groups' => $duplicates,
+        ), false);
+
+        $this->logger->info("Duplicate files scanned", array(
+            'scan_id' => $state['scan_id'],
+            'checked' => $state['checked'],
+            'groups' => count($duplicates),
+            'started_at' => $state['started_at']
+        ));
+
+        $state['phase'] = 'done';
+
+        return $state;
+    }
+
+    /**
+     * Count the attachments a scan checks.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   int    The number of attachments that are not trashed.
+     */
+    protected function count_attachments() {
+        global $wpdb;
+
+        return intval($wpdb->get_var(
+            "SELECT COUNT(*) FROM {$wpdb->posts} WHERE post_type = 'attachment' AND post_status != 'trash'"
+        ));
+    }
+
+    /**
+     * Get the next attachments in ID order.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $after_id    The last attachment ID of the previous batch.
+     * @param    int    $limit       The maximum number of attachments.
+     * @return   array               The attachment IDs.
+     */
+    protected function get_attachment_ids_after($after_id, $limit) {
+        global $wpdb;
+
+        return array_map('intval', $wpdb->get_col($wpdb->prepare(
+            "SELECT ID FROM {$wpdb->posts} WHERE post_type = 'attachment' AND post_status != 'trash' AND ID > %d ORDER BY ID ASC LIMIT %d",
+            $after_id,
+            $limit
+        )));
+    }
+
+    /**
+     * Hash an attachment file as it is now.
+     *
+     * Offloaded originals are only in Dropbox, so Dropbox is asked for their hash.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $attachment_id    The attachment ID.
+     * @return   string                   The content hash, or empty if the file is nowhere to be found.
+     */
+    protected function get_current_content_hash($attachment_id) {
+        $local_path = get_attached_file($attachment_id);
+
+        if ($local_path && file_exists($local_path)) {
+            return $this->dropbox_api->calculate_dropbox_content_hash($local_path);
+        }
+
+        $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+        $metadata = $mapping ? $this->dropbox_api->get_file_metadata($mapping->dropbox_path) : false;
+
+        return is_array($metadata) && !empty($metadata['content_hash']) ? $metadata['content_hash'] : '';
+    }
+
+    /**
+     * Get the content hash of an attachment file.
+     *
+     * Offloaded originals are only in Dropbox, so their hash comes from Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int            $attachment_id    The attachment ID.
+     * @param    object|null    $mapping          The file mapping, if any.
+     * @param    array|null     $entry            The listed Dropbox file, if any.
+     * @return   string                           The content hash, or empty if the file is nowhere to be found.
+     */
+    protected function get_content_hash($attachment_id, $mapping, $entry) {
+        $local_path = get_attached_file($attachment_id);
+
+        if ($local_path && file_exists($local_path)) {
+            return $this->dropbox_api->calculate_dropbox_content_hash($local_path);
+        }
+
+        if ($entry) {
+            return $entry['content_hash'];
+        }
+
+        return $mapping && !empty($mapping->dropbox_content_hash) ? $mapping->dropbox_content_hash : '';
+    }
+
+    /**
+     * Get the size of an attachment file.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $attachment_id    The attachment ID.
+     * @return   int                      The size in bytes, 0 if unknown.
+     */
+    protected function get_file_size($attachment_id) {
+        $local_path = get_attached_file($attachment_id);
+
+        if ($local_path && file_exists($local_path)) {
+            return intval(filesize($local_path));
+        }
+
+        $offloaded = get_post_meta($attachment_id, '_fds_offloaded', true);
+
+        return is_array($offloaded) && isset($offloaded['size']) ? intval($offloaded['size']) : 0;
+    }
+
+    /**
+     * Point every reference to an attachment to another one.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $from_id    The attachment that goes away.
+     * @param    int    $to_id      The attachment that is kept.
+     * @return   int                The number of posts whose content was updated.
+     */
+    protected function replace_references($from_id, $to_id) {
+        global $wpdb;
+
+        $featured = $wpdb->get_col($wpdb->prepare(
+            "SELECT post_id FROM {$wpdb->postmeta} WHERE meta_key = '_thumbnail_id' AND meta_value = %d",
+            $from_id
+        ));
+
+        foreach ($featured as $post_id) {
+            update_post_meta($post_id, '_thumbnail_id', $to_id);
+        }
+
+        // WooCommerce product galleries
+        $galleries = $wpdb->get_results($wpdb->prepare(
+            "SELECT post_id, meta_value FROM {$wpdb->postmeta} WHERE meta_key = '_product_image_gallery' AND FIND_IN_SET(%d, meta_value)",
+            $from_id
+        ));
+
+        foreach ($galleries as $gallery) {
+            update_post_meta($gallery->post_id, '_product_image_gallery', $this->replace_in_id_list($gallery->meta_value, $from_id, $to_id));
+        }
+
+        $urls = $this->get_url_replacements($from_id, $to_id);
+        $conditions = array(
+            $wpdb->prepare("post_content LIKE %s", '%wp-image-' . $from_id . '%'),
+            $wpdb->prepare("post_content LIKE %s", '%' . $wpdb->esc_like('"id":' . $from_id) . '%'),
+            $wpdb->prepare("post_content LIKE %s", '%' . $wpdb->esc_like('"mediaId":' . $from_id) . '%'),
+            $wpdb->prepare("post_content LIKE %s", '%ids%' . $from_id . '%'),
+        );
+
+        foreach (array_keys($urls) as $url) {
+            $conditions[] = $wpdb->prepare("post_content LIKE %s", '%' . $wpdb->esc_like($url) . '%');
+        }
+
+        $posts = $wpdb->get_results(
+            "SELECT ID, post_content FROM {$wpdb->posts} WHERE post_type NOT IN ('attachment', 'revision') AND (" . implode(' OR ', $conditions) . ")"
+        );
+
+        $updated = 0;
+
+        foreach ($posts as $post) {
+            $content = $this->replace_in_content($post->post_content, $from_id, $to_id, $urls);
+
+            if ($content === $post->post_content) {
+                continue;
+            }
+
+            // Written directly so the merge does not add a revision to every post
+            $wpdb->update($wpdb->posts, array('post_content' => $content), array('ID' => $post->ID));
+            clean_post_cache($post->ID);
+            $updated++;
+        }
+
+        return $updated;
+    }
+
+    /**
+     * Point the attachment references in post content to another attachment.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $content    The post content.
+     * @param    int       $from_id    The attachment that goes away.
+     * @param    int       $to_id      The attachment that is kept.
+     * @param    array     $urls       Replacement URLs keyed by the URLs of the attachment that goes away.
+     * @return   string                The updated content.
+     */
+    protected function replace_in_content($content, $from_id, $to_id, $urls) {
+        $content = preg_replace('/\bwp-image-' . $from_id . '\b/', 'wp-image-' . $to_id, $content);
+
+        // Block attributes, wp_json_encode escapes > so it ends the comment
+        $content = preg_replace_callback('/<!-- wp:[^>]*?-->/', function($matches) use ($from_id, $to_id) {
+            $block = preg_replace('/"(id|mediaId)":' . $from_id . '(?![0-9])/', '"$1":' . $to_id, $matches[0]);
+
+            return preg_replace_callback('/"ids":\[([0-9,]*)\]/', function($ids) use ($from_id, $to_id) {
+                return '"ids":[' . $this->replace_in_id_list($ids[1], $from_id, $to_id) . ']';
+            }, $block);
+        }, $content);
+
+        // Gallery shortcodes
+        $content = preg_replace_callback('/(\[gallery[^\]]*?\bids=["\'])([0-9,\s]*)(["\'])/', function($matches) use ($from_id, $to_id) {
+            return $matches[1] . $this->replace_in_id_list($matches[2], $from_id, $to_id) . $matches[3];
+        }, $content);
+
+        return strtr($content, $urls);
+    }
+
+    /**
+     * Replace an ID in a comma separated list of IDs.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $list       The IDs.
+     * @param    int       $from_id    The ID to replace.
+     * @param    int       $to_id      The replacement.
+     * @return   string                The updated list.
+     */
+    protected function replace_in_id_list($list, $from_id, $to_id) {
+        $ids = array_map('trim', explode(',', $list));
+
+        foreach ($ids as $i => $id) {
+            if ($id === (string) $from_id) {
+                $ids[$i] = (string) $to_id;
+            }
+        }
+
+        return implode(',', $ids);
+    }
+
+    /**
+     * Get the URLs of an attachment and what they are replaced with.
+     *
+     * Generated sizes map to the same size of the kept attachment, or to
+     * its original if it has no such size.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $from_id    The attachment that goes away.
+     * @param    int    $to_id      The attachment that is kept.
+     * @return   array              Replacement URLs keyed by the URLs of the attachment that goes away.
+     */
+    protected function get_url_replacements($from_id, $to_id) {
+        $from_urls = $this->get_local_urls($from_id);
+        $to_urls = $this->get_local_urls($to_id);
+
+        if (empty($from_urls) || empty($to_urls)) {
+            return array();
+        }
+
+        $urls = array();
+
+        foreach ($from_urls as $size => $url) {
+            $replacement = $to_urls[$size] ?? $to_urls['full'];
+
+            if ($url !== $replacement) {
+                $urls[$url] = $replacement;
+            }
+        }
+
+        // Longest first so an original URL does not cut into a size URL
+        uksort($urls, function($a, $b) {
+            return strlen($b) <=> strlen($a);
+        });
+
+        return $urls;
+    }
+
+    /**
+     * Get the uploads folder URLs of an attachment and its generated sizes.
+     *
+     * These are the URLs posts were saved with, also for offloaded originals.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $attachment_id    The attachment ID.
+     * @return   array                    URLs keyed by size, full for the original.
+     */
+    protected function get_local_urls($attachment_id) {
+        $file = get_post_meta($attachment_id, '_wp_attached_file', true);
+
+        if (!$file) {
+            return array();
+        }
+
+        $uploads = wp_get_upload_dir();
+        $base_url = trailingslashit($uploads['baseurl']);
+        $urls = array('full' => $base_url . $file);
+        $metadata = wp_get_attachment_metadata($attachment_id);
+        $dir = dirname($file) === '.' ? '' : trailingslashit(dirname($file));
+
+        if (!empty($metadata['sizes']) && is_array($metadata['sizes'])) {
+            foreach ($metadata['sizes'] as $size => $data) {
+                if (!empty($data['file'])) {
+                    $urls[$size] = $base_url . $dir . $data['file'];
+                }
+            }
+        }
+
+        return $urls;
+    }
+}
@@ -35,6 +35,69 @@ class FDS_File_Sync {
      */
     protected $logger;
 
+    /**
+     * Whether a file is currently being pulled from Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      boolean    $is_pulling    Suppresses the sync hooks while a file is written from Dropbox.
+     */
+    protected $is_pulling = false;
+
+    /**
+     * The sync rules instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Rules    $sync_rules    Decides which files are synced.
+     */
+    protected $sync_rules;
+
+    /**
+     * The root mappings instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Root_Mappings    $root_mappings    Folders mapped to their own Dropbox paths.
+     */
+    protected $root_mappings;
+
+    /**
+     * The sync mode instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Mode    $sync_mode    Decides in which direction changes are synced.
+     */
+    protected $sync_mode;
+
+    /**
+     * The offload instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Offload    $offload    Removes originals once Dropbox holds them.
+     */
+    protected $offload;
+
+    /**
+     * The metadata sync instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Metadata_Sync    $metadata_sync    Syncs titles, captions, descriptions and alt text.
+     */
+    protected $metadata_sync;
+
+    /**
+     * Sync statuses looked up ahead for a page of attachments.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array    $primed_statuses    Mapping and latest task keyed by attachment ID.
+     */
+    protected $primed_statuses = array();
+
     /**
      * Initialize the class.
      *
@@ -47,6 +110,11 @@ class FDS_File_Sync {
         $this->dropbox_api = $dropbox_api;
         $this->db = $db;
         $this->logger = $logger;
+        $this->sync_rules = new FDS_Sync_Rules();
+        $this->root_mappings = new FDS_Root_Mappings();
+        $this->sync_mode = new FDS_Sync_Mode();
+        $this->offload = new FDS_Offload($dropbox_api, $db, $logger);
+        $this->metadata_sync = new FDS_Metadata_Sync($dropbox_api, $logger);
     }
 
     /**
@@ -61,6 +129,11 @@ class FDS_File_Sync {
             return;
         }
         
+        // Don't push back a file we are importing from Dropbox
+        if ($this->is_pulling) {
+            return;
+        }
+        
         // Get attachment metadata
         $file_path = get_attached_file($attachment_id);
         
@@ -75,6 +148,18 @@ class FDS_File_Sync {
         // Determine folder in FileBird
         $folder_id = $this->get_filebird_folder_for_attachment($attachment_id);
         
+        // Check the selective sync rules
+        $decision = $this->sync_rules->evaluate_attachment($attachment_id, $folder_id);
+        
+        if (!$decision['sync']) {
+            $this->logger->info("File skipped by sync rules", array(
+                'attachment_id' => $attachment_id,
+                'folder_id' => $folder_id,
+                'sync_rule' => $decision['explanation']
+            ));
+            return;
+        }
+        
         // Determine Dropbox path
         $dropbox_path = $this->get_dropbox_path_for_attachment($attachment_id, $folder_id);
         
@@ -86,6 +171,10 @@ class FDS_File_Sync {
             return;
         }
         
+        if (!$this->is_upload_allowed($dropbox_path, $attachment_id, 'create')) {
+            return;
+        }
+        
         // Add to queue
         $this->db->add_to_sync_queue(
             'create',
@@ -103,7 +192,8 @@ class FDS_File_Sync {
         
         $this->logger->info("Added file creation to queue", array(
             'attachment_id' => $attachment_id,
-            'dropbox_path' => $dropbox_path
+            'dropbox_path' => $dropbox_path,
+            'sync_rule' => $decision['explanation']
         ));
     }
 
@@ -128,6 +218,10 @@ class FDS_File_Sync {
             return;
         }
         
+        if (!$this->is_upload_allowed($mapping->dropbox_path, $attachment_id, 'delete')) {
+            return;
+        }
+        
         // Add to queue
         $this->db->add_to_sync_queue(
             'delete',
@@ -161,6 +255,16 @@ class FDS_File_Sync {
             return;
         }
         
+        // Don't push back a file we are pulling from Dropbox
+        if ($this->is_pulling) {
+            return $metadata;
+        }
+        
+        // An offloaded original only lives in Dropbox, there is nothing to push
+        if (FDS_Offload::is_offloaded($attachment_id)) {
+            return $metadata;
+        }
+        
         // Get attachment file path
         $file_path = get_attached_file($attachment_id);
         
@@ -180,6 +284,10 @@ class FDS_File_Sync {
             return;
         }
         
+        if (!$this->is_upload_allowed($mapping->dropbox_path, $attachment_id, 'update')) {
+            return $metadata;
+        }
+        
         // Add to queue
         $this->db->add_to_sync_queue(
             'update',
@@ -266,6 +374,10 @@ class FDS_File_Sync {
             return;
         }
         
+        if (!$this->is_upload_allowed($mapping->dropbox_path, $attachment_id, 'move') || !$this->is_upload_allowed($new_dropbox_path, $attachment_id, 'move')) {
+            return;
+        }
+        
         // Add to queue
         $this->db->add_to_sync_queue(
             'move',
@@ -322,6 +434,449 @@ class FDS_File_Sync {
         }
     }
 
+    /**
+     * Handle title, caption and description changes of an attachment.
+     *
+     * @since    1.0.0
+     * @param    int        $attachment_id    The attachment ID.
+     * @param    WP_Post    $post_after       The attachment after the update.
+     * @param    WP_Post    $post_before      The attachment before the update.
+     */
+    public function on_attachment_updated($attachment_id, $post_after, $post_before) {
+        if ($post_after->post_title === $post_before->post_title
+            && $post_after->post_excerpt === $post_before->post_excerpt
+            && $post_after->post_content === $post_before->post_content) {
+            return;
+        }
+        
+        $this->queue_metadata_push($attachment_id);
+    }
+
+    /**
+     * Handle alt text changes of an attachment.
+     *
+     * @since    1.0.0
+     * @param    int       $meta_id          The meta ID.
+     * @param    int       $attachment_id    The post ID.
+     * @param    string    $meta_key         The meta key.
+     */
+    public function on_attachment_meta_updated($meta_id, $attachment_id, $meta_key) {
+        if ($meta_key !== '_wp_attachment_image_alt' || get_post_type($attachment_id) !== 'attachment') {
+            return;
+        }
+        
+        $this->queue_metadata_push($attachment_id);
+    }
+
+    /**
+     * Queue an immediate upload of an attachment to Dropbox.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @return   boolean                     True if the task was queued, false otherwise.
+     */
+    public function queue_push($attachment_id) {
+        $file_path = get_attached_file($attachment_id);
+        
+        if (!$file_path || !file_exists($file_path)) {
+            $this->logger->error("Attachment file not found for push", array(
+                'attachment_id' => $attachment_id,
+                'file_path' => $file_path
+            ));
+            return false;
+        }
+        
+        $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+        
+        if ($mapping) {
+            $action = 'update';
+            $data = array(
+                'attachment_id' => $attachment_id,
+                'local_path' => $file_path,
+                'dropbox_path' => $mapping->dropbox_path,
+                'dropbox_file_id' => $mapping->dropbox_file_id,
+            );
+        } else {
+            $folder_id = $this->get_filebird_folder_for_attachment($attachment_id);
+            $dropbox_path = $this->get_dropbox_path_for_attachment($attachment_id, $folder_id);
+            
+            if (!$dropbox_path) {
+                $this->logger->error("Failed to determine Dropbox path for attachment", array(
+                    'attachment_id' => $attachment_id,
+                    'folder_id' => $folder_id
+                ));
+                return false;
+            }
+            
+            $action = 'create';
+            $data = array(
+                'attachment_id' => $attachment_id,
+                'local_path' => $file_path,
+                'dropbox_path' => $dropbox_path,
+                'folder_id' => $folder_id,
+            );
+        }
+        
+        $result = $this->db->add_to_sync_queue(
+            $action,
+            'file',
+            (string) $attachment_id,
+            'wordpress_to_dropbox',
+            $data,
+            1 // Highest priority, requested by a user
+        );
+        
+        $this->logger->info("Queued manual push to Dropbox", array(
+            'attachment_id' => $attachment_id,
+            'action' => $action,
+            'dropbox_path' => $data['dropbox_path']
+        ));
+        
+        return $result !== false;
+    }
+
+    /**
+     * Queue an immediate download of an attachment from Dropbox.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @return   boolean                     True if the task was queued, false otherwise.
+     */
+    public function queue_pull($attachment_id) {
+        $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+        
+        if (!$mapping) {
+            $this->logger->notice("Cannot pull file without a Dropbox mapping", array(
+                'attachment_id' => $attachment_id
+            ));
+            return false;
+        }
+        
+        $result = $this->db->add_to_sync_queue(
+            'update',
+            'file',
+            (string) $attachment_id,
+            'dropbox_to_wordpress',
+            array(
+                'attachment_id' => $attachment_id,
+                'dropbox_path' => $mapping->dropbox_path,
+            ),
+            1 // Highest priority, requested by a user
+        );
+        
+        $this->logger->info("Queued manual pull from Dropbox", array(
+            'attachment_id' => $attachment_id,
+            'dropbox_path' => $mapping->dropbox_path
+        ));
+        
+        return $result !== false;
+    }
+
+    /**
+     * Queue a re-download of an offloaded attachment that keeps it on the server.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @return   boolean                     True if the task was queued, false otherwise.
+     */
+    public function queue_restore_local($attachment_id) {
+        $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+        
+        if (!$mapping) {
+            $this->logger->notice("Cannot re-download file without a Dropbox mapping", array(
+                'attachment_id' => $attachment_id
+            ));
+            return false;
+        }
+        
+        $result = $this->db->add_to_sync_queue(
+            'update',
+            'file',
+            (string) $attachment_id,
+            'dropbox_to_wordpress',
+            array(
+                'attachment_id' => $attachment_id,
+                'dropbox_path' => $mapping->dropbox_path,
+                'keep_local' => true,
+            ),
+            1 // Highest priority, requested by a user
+        );
+        
+        $this->logger->info("Queued re-download of offloaded file", array(
+            'attachment_id' => $attachment_id,
+            'dropbox_path' => $mapping->dropbox_path
+        ));
+        
+        return $result !== false;
+    }
+
+    /**
+     * Queue storing the metadata of a synced attachment in Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int       $attachment_id    The attachment ID.
+     */
+    protected function queue_metadata_push($attachment_id) {
+        // Check if sync is enabled
+        if (!get_option('fds_sync_enabled', false)) {
+            return;
+        }
+        
+        // Don't push back metadata we are applying from Dropbox
+        if ($this->is_pulling) {
+            return;
+        }
+        
+        // Files not in Dropbox yet get their metadata with the upload
+        $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+        
+        if (!$mapping || !$this->metadata_sync->get_synced_fields('wordpress_to_dropbox')) {
+            return;
+        }
+        
+        if (!$this->is_upload_allowed($mapping->dropbox_path, $attachment_id, 'update')) {
+            return;
+        }
+        
+        $this->db->add_to_sync_queue(
+            'metadata',
+            'file',
+            (string) $attachment_id,
+            'wordpress_to_dropbox',
+            array(
+                'attachment_id' => $attachment_id,
+            ),
+            10 // Normal priority for file operations
+        );
+        
+        $this->logger->info("Added metadata update to queue", array(
+            'attachment_id' => $attachment_id,
+            'dropbox_path' => $mapping->dropbox_path
+        ));
+    }
+
+    /**
+     * Look up the sync status of several attachments at once.
+     *
+     * Lists and grids show a status for every attachment on the page, so the
+     * mappings and tasks are read in one query each instead of two per item.
+     *
+     * @since    1.0.0
+     * @param    array    $attachment_ids    The attachment IDs.
+     */
+    public function prime_sync_statuses($attachment_ids) {
+        $attachment_ids = array_values(array_unique(array_filter(array_map('intval', (array) $attachment_ids))));
+
+        if (empty($attachment_ids)) {
+            return;
+        }
+
+        $mappings = $this->db->get_file_mappings_by_attachment_ids($attachment_ids);
+        $tasks = $this->db->get_latest_tasks_for_items('file', $attachment_ids);
+
+        foreach ($attachment_ids as $attachment_id) {
+            $this->primed_statuses[$attachment_id] = array(
+                $mappings[$attachment_id] ?? null,
+                $tasks[(string) $attachment_id] ?? null,
+            );
+        }
+    }
+
+    /**
+     * Get the sync status of an attachment.
+     *
+     * Pending and failed queue tasks take precedence over the file mapping,
+     * so the status reflects what will happen next rather than what happened last.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @return   array                       Status (synced, pending, failed, conflict, unsynced), path, last sync and error.
+     */
+    public function get_sync_status($attachment_id) {
+        if (array_key_exists(intval($attachment_id), $this->primed_statuses)) {
+            list($mapping, $task) = $this->primed_statuses[intval($attachment_id)];
+        } else {
+            $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+            $task = $this->db->get_latest_task_for_item('file', (string) $attachment_id);
+        }
+        
+        $status = 'unsynced';
+        $error = '';
+        
+        if ($task && in_array($task->status, array('pending', 'processing'), true)) {
+            $status = 'pending';
+        } elseif ($task && $task->status === 'failed') {
+            $status = 'failed';
+            $error = $task->error_message;
+        } elseif ($mapping) {
+            $status = $mapping->sync_status === 'conflict' ? 'conflict' : 'synced';
+        }
+        
+        return array(
+            'status' => $status,
+            'dropbox_path' => $mapping ? $mapping->dropbox_path : '',
+            'last_synced' => $mapping ? $mapping->last_synced : '',
+            'error' => $error,
+        );
+    }
+
+    /**
+     * Resolve a recorded conflict.
+     *
+     * Keeping both copies the Dropbox version next to the original, imports the
+     * copy as a new attachment and then pushes the WordPress version.
+     *
+     * @since    1.0.0
+     * @param    object    $conflict      The conflict record.
+     * @param    string    $resolution    The resolution (keep_wordpress, keep_dropbox, keep_both).
+     * @return   boolean                  True if the resolution was queued, false otherwise.
+     */
+    public function resolve_conflict($conflict, $resolution) {
+        if ($conflict->status !== 'open') {
+            return false;
+        }
+        
+        $attachment_id = intval($conflict->attachment_id);
+        
+        switch ($resolution) {
+            case 'keep_wordpress':
+                $result = $this->queue_push($attachment_id);
+                break;
+            case 'keep_dropbox':
+                $result = $this->queue_pull($attachment_id);
+                break;
+            case 'keep_both':
+                $info = pathinfo($conflict->dropbox_path);
+                $copy_path = $info['dirname'] . '/' . $info['filename'] . ' (Dropbox copy)' . (isset($info['extension']) ? '.' . $info['extension'] : '');
+                
+                $copy = $this->dropbox_api->copy_file($conflict->dropbox_path, $copy_path);
+                
+                if (!$copy) {
+                    $result = false;
+                    break;
+                }
+                
+                $this->db->add_to_sync_queue(
+                    'create',
+                    'file',
+                    md5($copy['path_lower']), // Same ID the webhook uses for new files
+                    'dropbox_to_wordpress',
+                    array(
+                        'dropbox_path' => $copy['path_lower'],
+                        'dropbox_metadata' => $copy,
+                        'folder_id' => $this->get_filebird_folder_for_attachment($attachment_id),
+                    ),
+                    1
+                );
+                
+                $result = $this->queue_push($attachment_id);
+                break;
+            default:
+                return false;
+        }
+        
+        if (!$result) {
+            $this->logger->error("Failed to resolve conflict", array(
+                'conflict_id' => $conflict->id,
+                'attachment_id' => $attachment_id,
+                'resolution' => $resolution
+            ));
+            return false;
+        }
+        
+        $this->db->resolve_conflict($conflict->id, $resolution);
+        
+        $this->logger->info("Conflict resolved", array(
+            'conflict_id' => $conflict->id,
+            'attachment_id' => $attachment_id,
+            'dropbox_path' => $conflict->dropbox_path,
+            'resolution' => $resolution
+        ));
+        
+        return true;
+    }
+
+    /**
+     * Get preview links for both versions of a conflicted file.
+     *
+     * @since    1.0.0
+     * @param    object    $conflict    The conflict record.
+     * @return   array                  WordPress URL, Dropbox temporary link and whether the file is an image.
+     */
+    public function get_conflict_preview($conflict) {
+        return array(
+            'wordpress_url' => wp_get_attachment_url($conflict->attachment_id),
+            'dropbox_url' => $this->dropbox_api->get_temporary_link($conflict->dropbox_path),
+            'is_image' => wp_attachment_is_image($conflict->attachment_id),
+        );
+    }
+
+    /**
+     * Upload a file to Dropbox unless Dropbox already has its content.
+     *
+     * With identical uploads skipped, a file whose mapped Dropbox file has the
+     * same content is not sent again, and a file whose content another mapped
+     * file has is copied inside Dropbox instead of uploaded.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $local_path       The local file.
+     * @param    string    $dropbox_path     The Dropbox destination path.
+     * @return   array|false                 The Dropbox metadata of the file or false on failure.
+     */
+    protected function upload_unless_identical($attachment_id, $local_path, $dropbox_path) {
+        if (!get_option('fds_skip_identical_uploads', false)) {
+            return $this->dropbox_api->upload_file($local_path, $dropbox_path, true);
+        }
+
+        $content_hash = $this->dropbox_api->calculate_dropbox_content_hash($local_path);
+        $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+
+        // The stored hash can be stale, so Dropbox confirms it before the upload is skipped
+        if ($mapping && $mapping->dropbox_content_hash === $content_hash && strtolower($mapping->dropbox_path) === strtolower($dropbox_path)) {
+            $metadata = $this->dropbox_api->get_file_metadata($mapping->dropbox_file_id);
+
+            if ($metadata && isset($metadata['content_hash']) && $metadata['content_hash'] === $content_hash) {
+                $this->logger->info("Skipped upload of identical file", array(
+                    'attachment_id' => $attachment_id,
+                    'dropbox_path' => $dropbox_path
+                ));
+
+                return $metadata;
+            }
+        }
+
+        foreach ($this->db->get_file_mappings_by_content_hash($content_hash) as $source) {
+            if (intval($source->attachment_id) === intval($attachment_id) || strtolower($source->dropbox_path) === strtolower($dropbox_path)) {
+                continue;
+            }
+
+            $copy = $this->dropbox_api->copy_file($source->dropbox_path, $dropbox_path);
+
+            if (!$copy) {
+                continue;
+            }
+
+            // Dropbox renames copies when the path is taken, the upload overwrites it instead
+            if (strtolower($copy['path_display']) !== strtolower($dropbox_path) || !isset($copy['content_hash']) || $copy['content_hash'] !== $content_hash) {
+                $this->dropbox_api->delete_file($copy['path_display']);
+                break;
+            }
+
+            $this->logger->info("Copied identical file in Dropbox instead of uploading", array(
+                'attachment_id' => $attachment_id,
+                'dropbox_path' => $dropbox_path,
+                'source_path' => $source->dropbox_path
+            ));
+
+            return $copy;
+        }
+
+        return $this->dropbox_api->upload_file($local_path, $dropbox_path, true);
+    }
+
     /**
      * Process file creation task.
      *
@@ -352,7 +907,7 @@ class FDS_File_Sync {
             $start_time = microtime(true);
             
             // Upload the file to Dropbox
-            $result = $this->dropbox_api->upload_file($data['local_path'], $data['dropbox_path'], true);
+            $result = $this->upload_unless_identical($data['attachment_id'], $data['local_path'], $data['dropbox_path']);
             
             if (!$result) {
                 throw new Exception("Dropbox API upload failed");
@@ -373,7 +928,8 @@ class FDS_File_Sync {
                 $data['attachment_id'],
                 $data['dropbox_path'],
                 $result['id'],
-                $sync_hash
+                $sync_hash,
+                isset($result['content_hash']) ? $result['content_hash'] : ''
             );
             
             if (!$mapping_result) {
@@ -390,6 +946,9 @@ class FDS_File_Sync {
                 'elapsed_seconds' => round($elapsed, 2)
             ]);
             
+            $this->metadata_sync->push($data['attachment_id'], $data['dropbox_path']);
+            $this->offload->maybe_offload($data['attachment_id'], $data['local_path'], $result);
+            
             return true;
         } catch (Exception $e) {
             $this->logger->error("File create task failed", [
@@ -434,8 +993,12 @@ class FDS_File_Sync {
             // Track operation timing
             $start_time = microtime(true);
             
-            // Upload the file to Dropbox
-            $result = $this->dropbox_api->upload_file($data['local_path'], $data['dropbox_path'], true);
+            // Upload the file to Dropbox, generated sizes have no mapping to compare with
+            if ($is_thumbnail) {
+                $result = $this->dropbox_api->upload_file($data['local_path'], $data['dropbox_path'], true);
+            } else {
+                $result = $this->upload_unless_identical($data['attachment_id'], $data['local_path'], $data['dropbox_path']);
+            }
             
             if (!$result) {
                 throw new Exception("Dropbox API upload failed");
@@ -457,7 +1020,8 @@ class FDS_File_Sync {
                     $data['attachment_id'],
                     $data['dropbox_path'],
                     $result['id'],
-                    $sync_hash
+                    $sync_hash,
+                    isset($result['content_hash']) ? $result['content_hash'] : ''
                 );
                 
                 if (!$mapping_result) {
@@ -484,6 +1048,9 @@ class FDS_File_Sync {
                     'file_size' => $file_size,
                     'elapsed_seconds' => round($elapsed, 2)
                 ]);
+                
+                $this->metadata_sync->push($data['attachment_id'], $data['dropbox_path']);
+                $this->offload->maybe_offload($data['attachment_id'], $data['local_path'], $result);
             }
             
             return true;
@@ -529,6 +1096,12 @@ class FDS_File_Sync {
                 throw new Exception("Dropbox API delete failed");
             }
             
+            // Kept for restoring after the task has left the queue
+            $this->db->add_deletion('file', $data['dropbox_path'], array(
+                'attachment_id' => $data['attachment_id'],
+                'dropbox_path' => $data['dropbox_path'],
+            ), $task->id);
+            
             // Delete mapping
             $mapping_result = $this->db->delete_file_mapping_by_attachment_id($data['attachment_id']);
             
@@ -635,6 +1208,9 @@ class FDS_File_Sync {
                 if (!$mapping_result) {
                     throw new Exception("Failed to update file mapping in database");
                 }
+                
+                // Links of an offloaded file are fetched again for the new path
+                $this->offload->forget_link($data['attachment_id']);
             }
             
             // Log success with timing
@@ -671,6 +1247,237 @@ class FDS_File_Sync {
         }
     }
 
+    /**
+     * Process file metadata task.
+     *
+     * @since    1.0.0
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    public function process_file_metadata_task($task) {
+        try {
+            $data = maybe_unserialize($task->data);
+            
+            if (empty($data['attachment_id'])) {
+                throw new Exception("Missing attachment ID in file metadata task");
+            }
+            
+            // The file may have moved since the task was queued
+            $mapping = $this->db->get_file_mapping_by_attachment_id($data['attachment_id']);
+            
+            if (!$mapping) {
+                throw new Exception("File mapping not found for attachment ID: " . $data['attachment_id']);
+            }
+            
+            if (!$this->metadata_sync->push($data['attachment_id'], $mapping->dropbox_path)) {
+                throw new Exception("Failed to store metadata in Dropbox");
+            }
+            
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error("File metadata task failed", [
+                'exception' => $e->getMessage(),
+                'task_id' => $task->id,
+                'attachment_id' => isset($data['attachment_id']) ? $data['attachment_id'] : 'unknown'
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Process image size regeneration task.
+     *
+     * @since    1.0.0
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    public function process_file_regenerate_task($task) {
+        try {
+            $data = maybe_unserialize($task->data);
+            
+            if (empty($data['attachment_id'])) {
+                throw new Exception("Missing attachment ID in image regeneration task");
+            }
+            
+            $file_path = get_attached_file($data['attachment_id']);
+            
+            if (!$file_path || !file_exists($file_path)) {
+                throw new Exception("Local file does not exist: " . $file_path);
+            }
+            
+            if (!function_exists('wp_generate_attachment_metadata')) {
+                require_once(ABSPATH . 'wp-admin/includes/image.php');
+            }
+            
+            // The new sizes stay local, like the ones made on any other pull
+            $this->is_pulling = true;
+            
+            try {
+                if (function_exists('wp_update_image_subsizes')) {
+                    // Saves the metadata after each size, a retry picks up where a timeout stopped
+                    $result = wp_update_image_subsizes($data['attachment_id']);
+                } else {
+                    $result = wp_generate_attachment_metadata($data['attachment_id'], $file_path);
+                    wp_update_attachment_metadata($data['attachment_id'], $result);
+                }
+            } finally {
+                $this->is_pulling = false;
+            }
+            
+            if (is_wp_error($result)) {
+                throw new Exception($result->get_error_message());
+            }
+            
+            $this->logger->info("Regenerated image sizes", array(
+                'attachment_id' => $data['attachment_id'],
+                'sizes' => isset($result['sizes']) ? count($result['sizes']) : 0
+            ));
+            
+            if (!empty($data['offload_hash'])) {
+                $this->offload->maybe_offload($data['attachment_id'], $file_path, array('content_hash' => $data['offload_hash']));
+            }
+            
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error("Image regeneration task failed", [
+                'exception' => $e->getMessage(),
+                'task_id' => $task->id,
+                'attachment_id' => isset($data['attachment_id']) ? $data['attachment_id'] : 'unknown'
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Process file pull task (Dropbox to WordPress).
+     *
+     * @since    1.0.0
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    public function process_file_pull_task($task) {
+        try {
+            $data = maybe_unserialize($task->data);
+            
+            if (empty($data['attachment_id']) || empty($data['dropbox_path'])) {
+                throw new Exception("Missing required data in file pull task");
+            }
+            
+            // Webhook tasks carry the metadata, manual pulls fetch it fresh
+            $dropbox_metadata = !empty($data['dropbox_metadata'])
+                ? $data['dropbox_metadata']
+                : $this->dropbox_api->get_file_metadata($data['dropbox_path']);
+            
+            if (!$dropbox_metadata || !isset($dropbox_metadata['id'])) {
+                throw new Exception("Failed to get file metadata from Dropbox");
+            }
+            
+            $this->is_pulling = true;
+            
+            try {
+                $result = $this->update_wordpress_file_from_dropbox(
+                    $data['attachment_id'],
+                    $data['dropbox_path'],
+                    $dropbox_metadata,
+                    !empty($data['keep_local'])
+                );
+            } finally {
+                $this->is_pulling = false;
+            }
+            
+            if (!$result) {
+                throw new Exception("Failed to update attachment from Dropbox");
+            }
+            
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error("File pull task failed", [
+                'exception' => $e->getMessage(),
+                'task_id' => $task->id,
+                'attachment_id' => isset($data['attachment_id']) ? $data['attachment_id'] : 'unknown',
+                'dropbox_path' => isset($data['dropbox_path']) ? $data['dropbox_path'] : 'unknown'
+            ]);
+            return false;
+        }
+    }
+
+    /**
+     * Process file import task (new file from Dropbox).
+     *
+     * @since    1.0.0
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    public function process_file_import_task($task) {
+        try {
+            $data = maybe_unserialize($task->data);
+            
+            if (empty($data['dropbox_path'])) {
+                throw new Exception("Missing Dropbox path in file import task");
+            }
+            
+            // Files imported from outside the sync root are copied into it first
+            if (!empty($data['import_source']) && strtolower($data['import_source']) !== strtolower($data['dropbox_path'])) {
+                $copy = $this->dropbox_api->copy_file($data['import_source'], $data['dropbox_path']);
+                
+                if (!$copy) {
+                    throw new Exception("Failed to copy the imported file into the sync root");
+                }
+                
+                // Retries download the copy instead of copying again
+                $data['dropbox_path'] = $copy['path_display'];
+                $data['dropbox_metadata'] = $copy;
+                unset($data['import_source']);
+                $this->db->update_task_data($task->id, $data);
+            }
+            
+            $dropbox_metadata = !empty($data['dropbox_metadata'])
+                ? $data['dropbox_metadata']
+                : $this->dropbox_api->get_file_metadata($data['dropbox_path']);
+            
+            if (!$dropbox_metadata || !isset($dropbox_metadata['id'])) {
+                throw new Exception("Failed to get file metadata from Dropbox");
+            }
+            
+            $folder_id = isset($data['folder_id']) ? intval($data['folder_id']) : 0;
+            
+            // Resolve (and create if needed) the FileBird folder for the Dropbox folder
+            if (!$folder_id && !empty($data['folder_path'])) {
+                $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+                
+                if (strtolower($data['folder_path']) !== strtolower($root_folder)) {
+                    $folder_sync = new FDS_Folder_Sync($this->dropbox_api, $this->db, $this->logger);
+                    $folder_id = intval($folder_sync->get_filebird_folder_id_for_dropbox_path($data['folder_path']));
+                }
+            }
+            
+            $this->is_pulling = true;
+            
+            try {
+                $attachment_id = $this->process_file_from_dropbox(
+                    $data['dropbox_path'],
+                    $dropbox_metadata,
+                    $folder_id
+                );
+            } finally {
+                $this->is_pulling = false;
+            }
+            
+            if (!$attachment_id) {
+                throw new Exception("Failed to import file from Dropbox");
+            }
+            
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error("File import task failed", [
+                'exception' => $e->getMessage(),
+                'task_id' => $task->id,
+                'dropbox_path' => isset($data['dropbox_path']) ? $data['dropbox_path'] : 'unknown'
+            ]);
+            return false;
+        }
+    }
+
     /**
      * Process a file upload from Dropbox to WordPress.
      *
@@ -768,9 +1575,13 @@ class FDS_File_Sync {
             require_once(ABSPATH . 'wp-admin/includes/image.php');
         }
         
-        // Generate metadata and thumbnails
-        $metadata = wp_generate_attachment_metadata($attachment_id, $upload['file']);
-        wp_update_attachment_metadata($attachment_id, $metadata);
+        // Image sizes are made through the queue, other files get their metadata now
+        $regenerate = $this->prepare_image_regeneration($attachment_id, $upload['file']);
+        
+        if (!$regenerate) {
+            $metadata = wp_generate_attachment_metadata($attachment_id, $upload['file']);
+            wp_update_attachment_metadata($attachment_id, $metadata);
+        }
         
         // Assign to folder if specified
         if ($folder_id > 0) {
@@ -785,9 +1596,16 @@ class FDS_File_Sync {
             $attachment_id,
             $dropbox_path,
             $dropbox_metadata['id'],
-            $sync_hash
+            $sync_hash,
+            isset($dropbox_metadata['content_hash']) ? $dropbox_metadata['content_hash'] : ''
         );
         
+        $this->metadata_sync->pull($attachment_id, $dropbox_path);
+        
+        if ($regenerate) {
+            $this->queue_regeneration($attachment_id);
+        }
+        
         $this->logger->info("Created attachment from Dropbox file", array(
             'attachment_id' => $attachment_id,
             'dropbox_path' => $dropbox_path,
@@ -807,9 +1625,10 @@ class FDS_File_Sync {
      * @param    int       $attachment_id     The attachment ID.
      * @param    string    $dropbox_path      The Dropbox file path.
      * @param    array     $dropbox_metadata  The Dropbox file metadata.
+     * @param    boolean   $keep_local        Whether an offloaded original stays on the server.
      * @return   int|false                   The attachment ID or false on failure.
      */
-    protected function update_wordpress_file_from_dropbox($attachment_id, $dropbox_path, $dropbox_metadata) {
+    protected function update_wordpress_file_from_dropbox($attachment_id, $dropbox_path, $dropbox_metadata, $keep_local = false) {
         // Check if attachment still exists
         $attachment = get_post($attachment_id);
         
@@ -849,9 +1668,13 @@ class FDS_File_Sync {
             require_once(ABSPATH . 'wp-admin/includes/image.php');
         }
         
-        // Generate metadata and thumbnails
-        $metadata = wp_generate_attachment_metadata($attachment_id, $file_path);
-        wp_update_attachment_metadata($attachment_id, $metadata);
+        // The old sizes are stale, image sizes are made again through the queue
+        $regenerate = $this->prepare_image_regeneration($attachment_id, $file_path);
+        
+        if (!$regenerate) {
+            $metadata = wp_generate_attachment_metadata($attachment_id, $file_path);
+            wp_update_attachment_metadata($attachment_id, $metadata);
+        }
         
         // Update mapping with new hash
         $sync_hash = isset($dropbox_metadata['content_hash']) ? $dropbox_metadata['content_hash'] : md5(file_get_contents($file_path));
@@ -859,9 +1682,20 @@ class FDS_File_Sync {
             $attachment_id,
             $dropbox_path,
             $dropbox_metadata['id'],
-            $sync_hash
+            $sync_hash,
+            isset($dropbox_metadata['content_hash']) ? $dropbox_metadata['content_hash'] : ''
         );
         
+        $this->metadata_sync->pull($attachment_id, $dropbox_path);
+        
+        if ($regenerate) {
+            // Sizes are made from the original, so offloading it again waits for them
+            $offload_hash = !$keep_local && FDS_Offload::is_offloaded($attachment_id) && isset($dropbox_metadata['content_hash']) ? $dropbox_metadata['content_hash'] : '';
+            $this->queue_regeneration($attachment_id, $offload_hash);
+        }
+        
+        $this->offload->after_download($attachment_id, $file_path, $dropbox_metadata, $keep_local || $regenerate);
+        
         $this->logger->info("Updated attachment from Dropbox file", array(
             'attachment_id' => $attachment_id,
             'dropbox_path' => $dropbox_path
@@ -870,6 +1704,117 @@ class FDS_File_Sync {
         return $attachment_id;
     }
 
+    /**
+     * Refresh the metadata of a downloaded image and drop its stale sizes.
+     *
+     * The dimensions and EXIF data are read from the new file right away,
+     * the sizes are left empty until the queue regenerates them, so the
+     * full image is served in the meantime.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $file_path        The downloaded file.
+     * @return   boolean                     True if the sizes should be regenerated.
+     */
+    protected function prepare_image_regeneration($attachment_id, $file_path) {
+        if (!wp_attachment_is_image($attachment_id)) {
+            return false;
+        }
+        
+        $image_size = @getimagesize($file_path);
+        
+        if (!$image_size) {
+            return false;
+        }
+        
+        $old_metadata = wp_get_attachment_metadata($attachment_id);
+        
+        if (!empty($old_metadata['sizes']) && is_array($old_metadata['sizes'])) {
+            foreach ($old_metadata['sizes'] as $info) {
+                if (!empty($info['file'])) {
+                    wp_delete_file(path_join(dirname($file_path), $info['file']));
+                }
+            }
+        }
+        
+        $metadata = array(
+            'width' => $image_size[0],
+            'height' => $image_size[1],
+            'file' => _wp_relative_upload_path($file_path),
+            'filesize' => filesize($file_path),
+            'sizes' => array(),
+        );
+        
+        $image_meta = wp_read_image_metadata($file_path);
+        
+        if ($image_meta) {
+            $metadata['image_meta'] = $image_meta;
+        }
+        
+        wp_update_attachment_metadata($attachment_id, $metadata);
+        
+        return true;
+    }
+
+    /**
+     * Queue regenerating the sizes of a downloaded image.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $offload_hash     Content hash to offload the original with once done, empty to keep it.
+     */
+    protected function queue_regeneration($attachment_id, $offload_hash = '') {
+        $this->db->add_to_sync_queue(
+            'regenerate',
+            'file',
+            (string) $attachment_id,
+            'dropbox_to_wordpress',
+            array(
+                'attachment_id' => $attachment_id,
+                'offload_hash' => $offload_hash,
+            ),
+            15 // Lower priority, after the files themselves
+        );
+        
+        $this->logger->debug("Added image size regeneration to queue", array(
+            'attachment_id' => $attachment_id
+        ));
+    }
+
+    /**
+     * Check whether a file change may be pushed to Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $dropbox_path     The file's Dropbox path.
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $action           The sync action.
+     * @return   boolean                     False if the sync mode or a download-only mapping rules the change out.
+     */
+    protected function is_upload_allowed($dropbox_path, $attachment_id, $action) {
+        if (!$this->sync_mode->allows('wordpress_to_dropbox', $action)) {
+            $this->logger->debug("File change not synced in the current sync mode", array(
+                'attachment_id' => $attachment_id,
+                'action' => $action,
+                'sync_mode' => $this->sync_mode->get_mode()
+            ));
+            return false;
+        }
+        
+        if ($this->root_mappings->allows_path($dropbox_path, 'wordpress_to_dropbox')) {
+            return true;
+        }
+        
+        $this->logger->debug("File change not synced, the folder mapping is download only", array(
+            'attachment_id' => $attachment_id,
+            'dropbox_path' => $dropbox_path
+        ));
+        
+        return false;
+    }
+
     /**
      * Get the FileBird folder for an attachment.
      *
@@ -35,6 +35,24 @@ class FDS_Folder_Sync {
      */
     protected $logger;
 
+    /**
+     * The root mappings instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Root_Mappings    $root_mappings    Folders mapped to their own Dropbox paths.
+     */
+    protected $root_mappings;
+
+    /**
+     * The sync mode instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Mode    $sync_mode    Decides in which direction changes are synced.
+     */
+    protected $sync_mode;
+
     /**
      * Initialize the class.
      *
@@ -47,6 +65,8 @@ class FDS_Folder_Sync {
         $this->dropbox_api = $dropbox_api;
         $this->db = $db;
         $this->logger = $logger;
+        $this->root_mappings = new FDS_Root_Mappings();
+        $this->sync_mode = new FDS_Sync_Mode();
     }
 
     /**
@@ -72,6 +92,10 @@ class FDS_Folder_Sync {
             return;
         }
         
+        if (!$this->is_upload_allowed($folder_path, $folder_id, 'create')) {
+            return;
+        }
+        
         // Add to queue
         $this->db->add_to_sync_queue(
             'create',
@@ -115,6 +139,11 @@ class FDS_Folder_Sync {
             return;
         }
         
+        // A mapped folder keeps its Dropbox path whatever it is called in FileBird
+        if ($this->root_mappings->get_mapping_for_folder($folder_id) || !$this->is_upload_allowed($mapping->dropbox_path, $folder_id, 'rename')) {
+            return;
+        }
+        
         $old_path = $mapping->dropbox_path;
         $new_path = dirname($old_path) . '/' . sanitize_file_name($new_name);
         
@@ -161,6 +190,19 @@ class FDS_Folder_Sync {
             return;
         }
         
+        // Never delete a Dropbox folder that a root mapping points at
+        if ($this->root_mappings->is_mapped_path($mapping->dropbox_path)) {
+            $this->logger->notice("Mapped folder deleted in FileBird, its Dropbox folder is kept", array(
+                'folder_id' => $folder_id,
+                'dropbox_path' => $mapping->dropbox_path
+            ));
+            return;
+        }
+        
+        if (!$this->is_upload_allowed($mapping->dropbox_path, $folder_id, 'delete')) {
+            return;
+        }
+        
         // Add to queue
         $this->db->add_to_sync_queue(
             'delete',
@@ -203,12 +245,20 @@ class FDS_Folder_Sync {
             return;
         }
         
+        // A mapped folder keeps its Dropbox path wherever it is in FileBird
+        if ($this->root_mappings->get_mapping_for_folder($folder_id)) {
+            return;
+        }
+        
         $old_path = $mapping->dropbox_path;
         $folder_name = basename($old_path);
         
         // Get the new path based on the new parent
         $new_parent_path = '';
-        if ($new_parent_id > 0) {
+        $parent_root_mapping = $this->root_mappings->get_mapping_for_folder($new_parent_id);
+        if ($parent_root_mapping) {
+            $new_parent_path = $parent_root_mapping['dropbox_path'];
+        } elseif ($new_parent_id > 0) {
             $parent_mapping = $this->db->get_folder_mapping_by_folder_id($new_parent_id);
             if ($parent_mapping) {
                 $new_parent_path = $parent_mapping->dropbox_path;
@@ -226,6 +276,10 @@ class FDS_Folder_Sync {
         
         $new_path = $new_parent_path . '/' . $folder_name;
         
+        if (!$this->is_upload_allowed($old_path, $folder_id, 'move') || !$this->is_upload_allowed($new_path, $folder_id, 'move')) {
+            return;
+        }
+        
         // Add to queue
         $this->db->add_to_sync_queue(
             'move',
@@ -311,6 +365,39 @@ class FDS_Folder_Sync {
         }
     }
 
+    /**
+     * Process folder import task (Dropbox folder to FileBird).
+     *
+     * @since    1.0.0
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    public function process_folder_import_task($task) {
+        try {
+            $data = maybe_unserialize($task->data);
+            
+            if (empty($data['dropbox_path'])) {
+                throw new Exception("Missing Dropbox path in folder import task");
+            }
+            
+            // Creates missing parent folders along the way
+            $folder_id = $this->get_filebird_folder_id_for_dropbox_path($data['dropbox_path']);
+            
+            if (!$folder_id) {
+                throw new Exception("Failed to create FileBird folder");
+            }
+            
+            return true;
+        } catch (Exception $e) {
+            $this->logger->error("Folder import task failed", [
+                'exception' => $e->getMessage(),
+                'task_id' => $task->id,
+                'dropbox_path' => isset($data['dropbox_path']) ? $data['dropbox_path'] : 'unknown'
+            ]);
+            return false;
+        }
+    }
+
     /**
      * Process folder rename task.
      *
@@ -361,6 +448,7 @@ class FDS_Folder_Sync {
                 
                 // Update child file mappings to use the new path
                 $this->update_child_file_paths($data['old_path'], $data['new_path']);
+                $this->update_child_folder_paths($data['old_path'], $data['new_path']);
                 
                 // Commit transaction
                 $wpdb->query('COMMIT');
@@ -423,6 +511,17 @@ class FDS_Folder_Sync {
                 throw new Exception("Dropbox API delete folder failed");
             }
             
+            // Remember which attachments were in the folder so it can be restored
+            $data['files'] = array();
+            foreach ($this->get_child_file_mappings($data['folder_path']) as $file_mapping) {
+                $data['files'][$file_mapping->attachment_id] = $file_mapping->dropbox_path;
+            }
+            $this->db->update_task_data($task->id, $data);
+            $this->db->add_deletion('folder', $data['folder_path'], array(
+                'folder_path' => $data['folder_path'],
+                'files' => $data['files'],
+            ), $task->id);
+            
             global $wpdb;
             
             // Start transaction for database operations
@@ -517,6 +616,7 @@ class FDS_Folder_Sync {
                 
                 // Update child file mappings to use the new path
                 $this->update_child_file_paths($data['old_path'], $data['new_path']);
+                $this->update_child_folder_paths($data['old_path'], $data['new_path']);
                 
                 // Commit transaction
                 $wpdb->query('COMMIT');
@@ -745,6 +845,12 @@ class FDS_Folder_Sync {
      * @return   string                 The Dropbox path.
      */
     public function get_dropbox_path_for_filebird_folder($folder_id) {
+        // Mapped folders always live at their own Dropbox path
+        $root_mapping = $this->root_mappings->get_mapping_for_folder($folder_id);
+        if ($root_mapping) {
+            return $root_mapping['dropbox_path'];
+        }
+        
         // Check if we already have a mapping
         $mapping = $this->db->get_folder_mapping_by_folder_id($folder_id);
         if ($mapping) {
@@ -803,6 +909,12 @@ class FDS_Folder_Sync {
             return $mapping->filebird_folder_id;
         }
         
+        // The path of a root mapping belongs to the mapped folder
+        if ($this->root_mappings->is_mapped_path($dropbox_path)) {
+            $root_mapping = $this->root_mappings->get_mapping_for_path($dropbox_path);
+            return $root_mapping['folder_id'];
+        }
+        
         // If not, try to find the parent path and create this folder
         $parent_path = dirname($dropbox_path);
         $folder_name = basename($dropbox_path);
@@ -834,6 +946,38 @@ class FDS_Folder_Sync {
         return $this->create_filebird_folder_from_dropbox($dropbox_path, $parent_id);
     }
 
+    /**
+     * Check whether a folder change may be pushed to Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $dropbox_path    The folder's Dropbox path.
+     * @param    int       $folder_id       The FileBird folder ID.
+     * @param    string    $action          The sync action.
+     * @return   boolean                    False if the sync mode or a download-only mapping rules the change out.
+     */
+    protected function is_upload_allowed($dropbox_path, $folder_id, $action) {
+        if (!$this->sync_mode->allows('wordpress_to_dropbox', $action)) {
+            $this->logger->debug("Folder change not synced in the current sync mode", array(
+                'folder_id' => $folder_id,
+                'action' => $action,
+                'sync_mode' => $this->sync_mode->get_mode()
+            ));
+            return false;
+        }
+        
+        if ($this->root_mappings->allows_path($dropbox_path, 'wordpress_to_dropbox')) {
+            return true;
+        }
+        
+        $this->logger->debug("Folder change not synced, the folder mapping is download only", array(
+            'folder_id' => $folder_id,
+            'dropbox_path' => $dropbox_path
+        ));
+        
+        return false;
+    }
+
     /**
      * Update file paths for all child files when a folder is moved or renamed.
      *
@@ -875,6 +1019,64 @@ class FDS_Folder_Sync {
         }
     }
 
+    /**
+     * Update Dropbox paths for all subfolders when a folder is moved or renamed.
+     *
+     * @since    1.0.0
+     * @param    string    $old_path    The old folder path.
+     * @param    string    $new_path    The new folder path.
+     */
+    protected function update_child_folder_paths($old_path, $new_path) {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'fds_folder_mapping';
+        
+        $folder_mappings = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE dropbox_path LIKE %s",
+                $wpdb->esc_like($old_path) . '/%'
+            )
+        );
+        
+        foreach ($folder_mappings as $mapping) {
+            $new_folder_path = $new_path . substr($mapping->dropbox_path, strlen($old_path));
+            
+            $wpdb->update(
+                $table_name,
+                array('dropbox_path' => $new_folder_path),
+                array('id' => $mapping->id),
+                array('%s'),
+                array('%d')
+            );
+            
+            $this->logger->debug("Updated child folder path", array(
+                'folder_id' => $mapping->filebird_folder_id,
+                'old_path' => $mapping->dropbox_path,
+                'new_path' => $new_folder_path
+            ));
+        }
+    }
+
+    /**
+     * Get the file mappings of all files in a folder and its subfolders.
+     *
+     * @since    1.0.0
+     * @param    string    $folder_path    The folder path.
+     * @return   array                     The file mappings.
+     */
+    protected function get_child_file_mappings($folder_path) {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'fds_file_mapping';
+        
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $table_name WHERE dropbox_path LIKE %s",
+                $wpdb->esc_like($folder_path) . '/%'
+            )
+        );
+    }
+
     /**
      * Delete file mappings for all files in a folder when the folder is deleted.
      *
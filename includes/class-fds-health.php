@@ -0,0 +1,481 @@
+<?php
+/**
+ * Runs the sync health checks and their fixes.
+ *
+ * Each check looks at one thing the sync depends on (tables, the Dropbox
+ * token, the webhook, queue locks and scheduling) and reports pass, warn or
+ * fail with an explanation. Checks that can be repaired from the admin name
+ * the fix to apply.
+ *
+ * @since      1.0.0
+ */
+class FDS_Health {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * The webhook instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Webhook    $webhook    Registers the webhook with Dropbox.
+     */
+    protected $webhook;
+
+    /**
+     * How long a queue lock or task may be held before it counts as stuck.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $stale_after    Seconds, matches the queue lock time.
+     */
+    protected $stale_after = 300;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     * @param    FDS_Webhook        $webhook        The webhook instance.
+     */
+    public function __construct($dropbox_api, $db, $logger, $webhook) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+        $this->webhook = $webhook;
+    }
+
+    /**
+     * Get the fixes that can be applied.
+     *
+     * @since    1.0.0
+     * @return   array    Button labels keyed by fix.
+     */
+    public static function get_fixes() {
+        return array(
+            'create_tables' => __('Recreate tables', 'filebird-dropbox-sync'),
+            'refresh_token' => __('Refresh token', 'filebird-dropbox-sync'),
+            'register_webhook' => __('Register webhook', 'filebird-dropbox-sync'),
+            'release_locks' => __('Release stale locks', 'filebird-dropbox-sync'),
+            'schedule_queue' => __('Schedule queue processing', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Run every check.
+     *
+     * @since    1.0.0
+     * @return   array    The checks (id, label, status, message, fix) and a count per status.
+     */
+    public function run_checks() {
+        $checks = array(
+            $this->check_tables(),
+            $this->check_filebird(),
+            $this->check_token(),
+            $this->check_webhook(),
+            $this->check_locks(),
+            $this->check_scheduler(),
+        );
+
+        $summary = array('pass' => 0, 'warn' => 0, 'fail' => 0);
+
+        foreach ($checks as $check) {
+            $summary[$check['status']]++;
+        }
+
+        return array(
+            'checks' => $checks,
+            'summary' => $summary,
+            'checked_at' => current_time('mysql'),
+        );
+    }
+
+    /**
+     * Apply a fix.
+     *
+     * @since    1.0.0
+     * @param    string             $fix    The fix, see get_fixes().
+     * @return   string|WP_Error            A message describing the result, or an error.
+     */
+    public function apply_fix($fix) {
+        switch ($fix) {
+            case 'create_tables':
+                if (!$this->db->create_tables_if_needed()) {
+                    return new WP_Error('fds_fix_failed', __('The tables could not be created. Check that the database user is allowed to create tables.', 'filebird-dropbox-sync'));
+                }
+
+                $message = __('The database tables have been created.', 'filebird-dropbox-sync');
+                break;
+
+            case 'refresh_token':
+                if (!$this->dropbox_api->refresh_access_token()) {
+                    return new WP_Error('fds_fix_failed', __('Dropbox did not accept the refresh token. Please reconnect to Dropbox.', 'filebird-dropbox-sync'));
+                }
+
+                $message = __('The access token has been refreshed.', 'filebird-dropbox-sync');
+                break;
+
+            case 'register_webhook':
+                if (!$this->webhook->initialize_webhook()) {
+                    return new WP_Error('fds_fix_failed', __('Dropbox did not accept the webhook. Check the logs for details.', 'filebird-dropbox-sync'));
+                }
+
+                $message = __('The webhook has been registered with Dropbox.', 'filebird-dropbox-sync');
+                break;
+
+            case 'release_locks':
+                $message = $this->release_locks();
+                break;
+
+            case 'schedule_queue':
+                if (!$this->schedule_queue()) {
+                    return new WP_Error('fds_fix_failed', __('Queue processing could not be scheduled.', 'filebird-dropbox-sync'));
+                }
+
+                $message = __('Queue processing has been scheduled.', 'filebird-dropbox-sync');
+                break;
+
+            default:
+                return new WP_Error('fds_unknown_fix', __('Unknown fix.', 'filebird-dropbox-sync'));
+        }
+
+        $this->logger->info("Health fix applied", array(
+            'fix' => $fix
+        ));
+
+        return $message;
+    }
+
+    /**
+     * Check that the database tables exist.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The check.
+     */
+    protected function check_tables() {
+        $missing = $this->db->get_missing_tables();
+
+        if (empty($missing)) {
+            return $this->make_check('tables', __('Database tables', 'filebird-dropbox-sync'), 'pass', __('All tables exist.', 'filebird-dropbox-sync'));
+        }
+
+        /* translators: %s: comma separated table names */
+        return $this->make_check('tables', __('Database tables', 'filebird-dropbox-sync'), 'fail', sprintf(__('Missing tables: %s. Mappings, the queue and logs cannot be stored without them.', 'filebird-dropbox-sync'), implode(', ', $missing)), 'create_tables');
+    }
+
+    /**
+     * Check that FileBird is active.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The check.
+     */
+    protected function check_filebird() {
+        if (class_exists('FileBird\\Model\\Folder')) {
+            return $this->make_check('filebird', __('FileBird', 'filebird-dropbox-sync'), 'pass', __('FileBird is active.', 'filebird-dropbox-sync'));
+        }
+
+        return $this->make_check('filebird', __('FileBird', 'filebird-dropbox-sync'), 'fail', __('FileBird is not active. Folders cannot be synced until it is installed and activated.', 'filebird-dropbox-sync'));
+    }
+
+    /**
+     * Check that the Dropbox token works.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The check.
+     */
+    protected function check_token() {
+        $label = __('Dropbox connection', 'filebird-dropbox-sync');
+        $expiry = intval(get_option('fds_dropbox_token_expiry', 0));
+        $has_refresh_token = get_option('fds_dropbox_refresh_token', '') !== '';
+
+        if (get_option('fds_dropbox_access_token', '') === '') {
+            return $this->make_check('token', $label, 'fail', __('Not connected to Dropbox. Connect in the Dropbox Connection tab.', 'filebird-dropbox-sync'));
+        }
+
+        if ($expiry > 0 && $expiry <= time()) {
+            if (!$has_refresh_token) {
+                return $this->make_check('token', $label, 'fail', __('The access token has expired and there is no refresh token. Please reconnect to Dropbox.', 'filebird-dropbox-sync'));
+            }
+
+            return $this->make_check('token', $label, 'warn', __('The access token has expired. It is refreshed on the next request, or you can refresh it now.', 'filebird-dropbox-sync'), 'refresh_token');
+        }
+
+        $verified = $this->dropbox_api->verify_token();
+
+        if (is_wp_error($verified)) {
+            if ($verified->get_error_code() === 'api_unauthorized') {
+                return $this->make_check('token', $label, 'fail', __('Dropbox rejected the access token and it could not be refreshed. The app may have been disconnected on dropbox.com, please reconnect.', 'filebird-dropbox-sync'), $has_refresh_token ? 'refresh_token' : '');
+            }
+
+            /* translators: %s: error message */
+            return $this->make_check('token', $label, 'warn', sprintf(__('Dropbox could not be reached: %s', 'filebird-dropbox-sync'), $verified->get_error_message()));
+        }
+
+        if ($expiry > 0) {
+            /* translators: %s: date and time */
+            $message = sprintf(__('Connected. The access token is valid until %s and refreshed automatically.', 'filebird-dropbox-sync'), date_i18n(get_option('date_format') . ' ' . get_option('time_format'), $expiry + get_option('gmt_offset') * HOUR_IN_SECONDS));
+        } else {
+            $message = __('Connected.', 'filebird-dropbox-sync');
+        }
+
+        return $this->make_check('token', $label, 'pass', $message);
+    }
+
+    /**
+     * Check that Dropbox can deliver webhook notifications.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The check.
+     */
+    protected function check_webhook() {
+        $label = __('Webhook', 'filebird-dropbox-sync');
+        $webhook_url = get_rest_url(null, 'fds/v1/webhook');
+        $host = wp_parse_url($webhook_url, PHP_URL_HOST);
+
+        if (wp_parse_url($webhook_url, PHP_URL_SCHEME) !== 'https') {
+            /* translators: %s: webhook URL */
+            return $this->make_check('webhook', $label, 'fail', sprintf(__('Dropbox only calls HTTPS webhooks, but the webhook URL is %s. Changes made in Dropbox are only picked up by scheduled syncs.', 'filebird-dropbox-sync'), $webhook_url));
+        }
+
+        if ($this->is_private_host($host)) {
+            /* translators: %s: host name */
+            return $this->make_check('webhook', $label, 'fail', sprintf(__('%s is not reachable from the internet, so Dropbox cannot call the webhook.', 'filebird-dropbox-sync'), $host));
+        }
+
+        if (!$this->answers_challenge($webhook_url)) {
+            return $this->make_check('webhook', $label, 'fail', __('The webhook URL does not answer the Dropbox challenge. A security plugin, firewall or disabled REST API may be blocking it.', 'filebird-dropbox-sync'));
+        }
+
+        if (!get_option('fds_webhook_registered', false)) {
+            return $this->make_check('webhook', $label, 'warn', __('The webhook works but is not registered with Dropbox.', 'filebird-dropbox-sync'), 'register_webhook');
+        }
+
+        $last_notification = get_option('fds_webhook_last_notification', false);
+
+        if (!$last_notification) {
+            return $this->make_check('webhook', $label, 'warn', __('The webhook is registered but Dropbox has not sent a notification yet. Also add the webhook URL to your app on the Dropbox App Console.', 'filebird-dropbox-sync'), 'register_webhook');
+        }
+
+        /* translators: %s: human readable time difference */
+        return $this->make_check('webhook', $label, 'pass', sprintf(__('Registered. The last notification arrived %s ago.', 'filebird-dropbox-sync'), human_time_diff(strtotime($last_notification), current_time('timestamp'))));
+    }
+
+    /**
+     * Check for queue locks and tasks that are stuck.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The check.
+     */
+    protected function check_locks() {
+        $label = __('Queue locks', 'filebird-dropbox-sync');
+        $lock_time = intval(get_option('fds_queue_lock_time', 0));
+        $problems = array();
+
+        if (get_transient('fds_queue_lock') && $lock_time > 0 && time() - $lock_time > $this->stale_after) {
+            /* translators: %s: human readable time difference */
+            $problems[] = sprintf(__('The queue lock has been held for %s.', 'filebird-dropbox-sync'), human_time_diff($lock_time, time()));
+        }
+
+        $stale_tasks = count($this->db->get_stale_task_ids($this->stale_after));
+
+        if ($stale_tasks > 0) {
+            /* translators: %d: number of tasks */
+            $problems[] = sprintf(_n('%d task has been processing for more than 5 minutes.', '%d tasks have been processing for more than 5 minutes.', $stale_tasks, 'filebird-dropbox-sync'), $stale_tasks);
+        }
+
+        if (empty($problems)) {
+            return $this->make_check('locks', $label, 'pass', __('No stuck locks or tasks.', 'filebird-dropbox-sync'));
+        }
+
+        $problems[] = __('A worker was probably cut off by a timeout.', 'filebird-dropbox-sync');
+
+        return $this->make_check('locks', $label, 'warn', implode(' ', $problems), 'release_locks');
+    }
+
+    /**
+     * Check that the queue is processed in the background.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The check.
+     */
+    protected function check_scheduler() {
+        $label = __('Background processing', 'filebird-dropbox-sync');
+
+        if (class_exists('ActionScheduler') && function_exists('as_next_scheduled_action')) {
+            if (!as_next_scheduled_action('fds_process_queue')) {
+                return $this->make_check('scheduler', $label, 'fail', __('Action Scheduler is available but queue processing is not scheduled.', 'filebird-dropbox-sync'), 'schedule_queue');
+            }
+
+            return $this->make_check('scheduler', $label, 'pass', __('The queue is processed by Action Scheduler.', 'filebird-dropbox-sync'));
+        }
+
+        if (!wp_next_scheduled('fds_process_queue')) {
+            return $this->make_check('scheduler', $label, 'fail', __('Queue processing is not scheduled with WP-Cron.', 'filebird-dropbox-sync'), 'schedule_queue');
+        }
+
+        if (defined('DISABLE_WP_CRON') && DISABLE_WP_CRON) {
+            return $this->make_check('scheduler', $label, 'warn', __('Action Scheduler is not installed and WP-Cron is disabled. Make sure a server cron job calls wp-cron.php every minute.', 'filebird-dropbox-sync'));
+        }
+
+        return $this->make_check('scheduler', $label, 'warn', __('Action Scheduler is not installed, so the queue is processed by WP-Cron, which only runs when the site has visitors. Install Action Scheduler (bundled with WooCommerce) for reliable and parallel processing.', 'filebird-dropbox-sync'));
+    }
+
+    /**
+     * Build a check result.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $id         The check ID.
+     * @param    string    $label      The check name.
+     * @param    string    $status     pass, warn or fail.
+     * @param    string    $message    What was found.
+     * @param    string    $fix        The fix that can be applied, if any.
+     * @return   array                 The check.
+     */
+    protected function make_check($id, $label, $status, $message, $fix = '') {
+        $fixes = self::get_fixes();
+
+        return array(
+            'id' => $id,
+            'label' => $label,
+            'status' => $status,
+            'message' => $message,
+            'fix' => $fix,
+            'fix_label' => $fix !== '' ? $fixes[$fix] : '',
+        );
+    }
+
+    /**
+     * Check whether the webhook URL answers a challenge like Dropbox sends.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string     $webhook_url    The webhook URL.
+     * @return   boolean                    True if the challenge came back.
+     */
+    protected function answers_challenge($webhook_url) {
+        $challenge = 'fds-health-' . wp_generate_password(12, false);
+
+        // The request is not from Dropbox, don't let it count as the last challenge
+        $last_challenge = get_option('fds_webhook_last_challenge', false);
+
+        $response = wp_remote_get(add_query_arg('challenge', $challenge, $webhook_url), array(
+            'timeout' => 10,
+            'sslverify' => apply_filters('https_local_ssl_verify', false),
+        ));
+
+        if ($last_challenge === false) {
+            delete_option('fds_webhook_last_challenge');
+        } else {
+            update_option('fds_webhook_last_challenge', $last_challenge);
+        }
+
+        return !is_wp_error($response) && trim(wp_remote_retrieve_body($response)) === $challenge;
+    }
+
+    /**
+     * Check whether a host can only be reached from a private network.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string     $host    The host name or IP address.
+     * @return   boolean             True for localhost, local domains and private IP addresses.
+     */
+    protected function is_private_host($host) {
+        $host = strtolower((string) $host);
+
+        if ($host === '' || $host === 'localhost' || preg_match('/\.(localhost|local|test|invalid|internal)$/', $host)) {
+            return true;
+        }
+
+        if (filter_var($host, FILTER_VALIDATE_IP)) {
+            return !filter_var($host, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE);
+        }
+
+        return false;
+    }
+
+    /**
+     * Release stale queue locks and retry the tasks they held.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   string    A message describing what was released.
+     */
+    protected function release_locks() {
+        delete_transient('fds_queue_lock');
+        delete_option('fds_queue_lock_time');
+
+        $worker_count = min(10, max(1, intval(get_option('fds_worker_count', 5))));
+
+        for ($i = 1; $i <= $worker_count; $i++) {
+            delete_transient("fds_queue_lock_worker_{$i}");
+        }
+
+        $task_ids = $this->db->get_stale_task_ids($this->stale_after);
+
+        // The locks are released, so no worker holds these tasks any more
+        if (!empty($task_ids)) {
+            $this->db->retry_tasks($task_ids, array('processing'));
+        }
+
+        /* translators: %d: number of tasks */
+        return sprintf(_n('The queue locks have been released and %d stuck task will be retried.', 'The queue locks have been released and %d stuck tasks will be retried.', count($task_ids), 'filebird-dropbox-sync'), count($task_ids));
+    }
+
+    /**
+     * Schedule the recurring queue processing.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   boolean    True if scheduled.
+     */
+    protected function schedule_queue() {
+        if (class_exists('ActionScheduler') && function_exists('as_schedule_recurring_action')) {
+            if (!as_next_scheduled_action('fds_process_queue')) {
+                as_schedule_recurring_action(time(), 60, 'fds_process_queue');
+            }
+
+            return (bool) as_next_scheduled_action('fds_process_queue');
+        }
+
+        if (!wp_next_scheduled('fds_process_queue')) {
+            wp_schedule_event(time(), 'one_minute', 'fds_process_queue');
+        }
+
+        return (bool) wp_next_scheduled('fds_process_queue');
+    }
+}
@@ -224,7 +224,7 @@ class FDS_Logger {
         // Add to database logs if DB is available
         if ($this->db_initialized) {
             try {
-                $this->db->add_log($level, $message, $context);
+                $this->db->add_log($level, $message, $context, $this->get_component());
             } catch (Exception $e) {
                 // Fallback to PHP error log if DB logging fails
                 error_log(sprintf('[FileBird Dropbox Sync] [%s] %s - DB logging failed: %s', 
@@ -249,6 +249,25 @@ class FDS_Logger {
         }
     }
 
+    /**
+     * Get the component that is logging, from the class that called the logger.
+     *
+     * FDS_File_Sync logs as "file_sync", FDS_Webhook as "webhook" and so on.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   string    The component name, empty if the caller is not a plugin class.
+     */
+    protected function get_component() {
+        foreach (debug_backtrace(DEBUG_BACKTRACE_IGNORE_ARGS, 6) as $frame) {
+            if (!empty($frame['class']) && $frame['class'] !== __CLASS__) {
+                return strpos($frame['class'], 'FDS_') === 0 ? strtolower(substr($frame['class'], 4)) : '';
+            }
+        }
+        
+        return '';
+    }
+
     /**
      * Get logs from the database.
      *
@@ -256,11 +275,12 @@ class FDS_Logger {
      * @param    string    $level     The minimum log level to retrieve.
      * @param    int       $limit     The maximum number of logs to get.
      * @param    int       $offset    The offset for pagination.
+     * @param    array     $filters   Filters (component, search, date_from, date_to).
      * @return   array                The logs.
      */
-    public function get_logs($level = '', $limit = 100, $offset = 0) {
+    public function get_logs($level = '', $limit = 100, $offset = 0, $filters = array()) {
         $this->ensure_db_initialized();
-        return $this->db->get_logs($level, $limit, $offset);
+        return $this->db->get_logs($level, $limit, $offset, $filters);
     }
 
     /**
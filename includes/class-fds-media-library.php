@@ -0,0 +1,460 @@
+<?php
+/**
+ * Surfaces sync status in the WordPress Media Library.
+ *
+ * This class adds sync badges to the media grid and list views, shows the
+ * Dropbox path in the attachment details and lets editors push or pull a
+ * single file without running a full sync. Offloaded files can be
+ * re-downloaded to the server one by one or as a bulk action. Administrators
+ * can open the Dropbox browser from the uploader to import files.
+ *
+ * @since      1.0.0
+ */
+class FDS_Media_Library {
+
+    /**
+     * The file sync instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_File_Sync    $file_sync    The file sync instance.
+     */
+    protected $file_sync;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_File_Sync    $file_sync    The file sync instance.
+     * @param    FDS_Logger       $logger       The logger instance.
+     */
+    public function __construct($file_sync, $logger) {
+        $this->file_sync = $file_sync;
+        $this->logger = $logger;
+
+        // List view column
+        add_filter('manage_media_columns', array($this, 'add_sync_column'));
+        add_action('manage_media_custom_column', array($this, 'render_sync_column'), 10, 2);
+
+        // List view bulk action for offloaded files
+        add_filter('bulk_actions-upload', array($this, 'add_bulk_actions'));
+        add_filter('handle_bulk_actions-upload', array($this, 'handle_bulk_actions'), 10, 3);
+        add_action('admin_notices', array($this, 'render_bulk_action_notice'));
+
+        // Grid view and attachment details
+        add_filter('the_posts', array($this, 'prime_sync_statuses'), 10, 2);
+        add_filter('wp_prepare_attachment_for_js', array($this, 'add_sync_data_for_js'), 10, 2);
+        add_filter('attachment_fields_to_edit', array($this, 'add_sync_fields'), 10, 2);
+
+        // Scripts and styles
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_assets'));
+        add_action('wp_enqueue_media', array($this, 'enqueue_assets'));
+
+        // Dropbox browser in the upload flow
+        add_action('post-plupload-upload-ui', array($this, 'render_import_button'));
+
+        // AJAX handlers
+        add_action('wp_ajax_fds_push_attachment', array($this, 'ajax_push_attachment'));
+        add_action('wp_ajax_fds_pull_attachment', array($this, 'ajax_pull_attachment'));
+        add_action('wp_ajax_fds_restore_attachment', array($this, 'ajax_restore_attachment'));
+    }
+
+    /**
+     * Enqueue the media library scripts and styles.
+     *
+     * @since    1.0.0
+     * @param    string    $hook    The current admin page hook (empty when called from wp_enqueue_media).
+     */
+    public function enqueue_assets($hook = '') {
+        if (current_action() === 'admin_enqueue_scripts' && !in_array($hook, array('upload.php', 'media-new.php'), true)) {
+            return;
+        }
+
+        if (!current_user_can('upload_files') || wp_script_is('fds-media', 'enqueued')) {
+            return;
+        }
+
+        wp_enqueue_style('fds-media', FDS_PLUGIN_URL . 'admin/css/fds-media.css', array(), FDS_VERSION, 'all');
+        wp_enqueue_script('fds-media', FDS_PLUGIN_URL . 'admin/js/fds-media.js', array('jquery'), FDS_VERSION, true);
+
+        wp_localize_script('fds-media', 'fds_media_vars', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('fds-media-nonce'),
+            'statuses' => $this->get_status_labels(),
+            'strings' => array(
+                'queued_push' => __('Queued for upload to Dropbox.', 'filebird-dropbox-sync'),
+                'queued_pull' => __('Queued for download from Dropbox.', 'filebird-dropbox-sync'),
+                'queued_restore' => __('Queued for re-download to the server.', 'filebird-dropbox-sync'),
+                'error' => __('An error occurred:', 'filebird-dropbox-sync'),
+            ),
+        ));
+
+        if ($this->can_import()) {
+            FDS_Dropbox_Import::enqueue_assets();
+        }
+    }
+
+    /**
+     * Add a button that opens the Dropbox browser to the uploader.
+     *
+     * @since    1.0.0
+     */
+    public function render_import_button() {
+        if (!$this->can_import()) {
+            return;
+        }
+
+        ?>
+        <p class="fds-upload-import">
+            <?php _e('Or bring in files that are already in Dropbox:', 'filebird-dropbox-sync'); ?>
+            <button type="button" class="button fds-open-import"><?php _e('Import from Dropbox', 'filebird-dropbox-sync'); ?></button>
+        </p>
+        <?php
+    }
+
+    /**
+     * Add the sync status column to the media list view.
+     *
+     * @since    1.0.0
+     * @param    array    $columns    The list table columns.
+     * @return   array                The modified columns.
+     */
+    public function add_sync_column($columns) {
+        $columns['fds_sync'] = __('Dropbox', 'filebird-dropbox-sync');
+        return $columns;
+    }
+
+    /**
+     * Look up the sync status of a page of attachments in one go.
+     *
+     * Runs for the list view query and the grid view AJAX query, before
+     * their items ask for their status one by one.
+     *
+     * @since    1.0.0
+     * @param    array       $posts    The queried posts.
+     * @param    WP_Query    $query    The query.
+     * @return   array                 The posts, unchanged.
+     */
+    public function prime_sync_statuses($posts, $query) {
+        if (!is_admin() || empty($posts) || $query->get('post_type') !== 'attachment') {
+            return $posts;
+        }
+
+        $this->file_sync->prime_sync_statuses(wp_list_pluck($posts, 'ID'));
+
+        return $posts;
+    }
+
+    /**
+     * Render the sync status column in the media list view.
+     *
+     * @since    1.0.0
+     * @param    string    $column_name      The column name.
+     * @param    int       $attachment_id    The attachment ID.
+     */
+    public function render_sync_column($column_name, $attachment_id) {
+        if ('fds_sync' !== $column_name) {
+            return;
+        }
+
+        $sync = $this->file_sync->get_sync_status($attachment_id);
+
+        echo $this->get_badge_html($attachment_id, $sync);
+
+        if (!empty($sync['dropbox_path'])) {
+            echo '<br><code class="fds-dropbox-path">' . esc_html($sync['dropbox_path']) . '</code>';
+        }
+    }
+
+    /**
+     * Add sync data to the attachment model used by the media grid.
+     *
+     * @since    1.0.0
+     * @param    array      $response      The attachment data prepared for JavaScript.
+     * @param    WP_Post    $attachment    The attachment post.
+     * @return   array                     The modified attachment data.
+     */
+    public function add_sync_data_for_js($response, $attachment) {
+        $response['fds'] = $this->file_sync->get_sync_status($attachment->ID);
+        return $response;
+    }
+
+    /**
+     * Add the Dropbox details and actions to the attachment details sidebar.
+     *
+     * @since    1.0.0
+     * @param    array      $form_fields    The attachment form fields.
+     * @param    WP_Post    $post           The attachment post.
+     * @return   array                      The modified form fields.
+     */
+    public function add_sync_fields($form_fields, $post) {
+        if (!current_user_can('edit_post', $post->ID)) {
+            return $form_fields;
+        }
+
+        $sync = $this->file_sync->get_sync_status($post->ID);
+
+        $html = '<div class="fds-attachment-sync">';
+        $html .= $this->get_badge_html($post->ID, $sync);
+
+        if (!empty($sync['dropbox_path'])) {
+            $html .= '<p><code class="fds-dropbox-path">' . esc_html($sync['dropbox_path']) . '</code></p>';
+        }
+
+        if (!empty($sync['last_synced'])) {
+            $html .= '<p class="description">' . sprintf(
+                /* translators: %s: last sync date */
+                esc_html__('Last synced: %s', 'filebird-dropbox-sync'),
+                esc_html(mysql2date(get_option('date_format') . ' ' . get_option('time_format'), $sync['last_synced']))
+            ) . '</p>';
+        }
+
+        if (!empty($sync['error'])) {
+            $html .= '<p class="fds-attachment-sync-error">' . esc_html($sync['error']) . '</p>';
+        }
+
+        $offloaded = FDS_Offload::is_offloaded($post->ID);
+
+        if ($offloaded) {
+            $html .= '<p class="description fds-attachment-offloaded">' . esc_html__('Offloaded: the original is served from Dropbox and is not on this server.', 'filebird-dropbox-sync') . '</p>';
+        }
+
+        $html .= '<p class="fds-attachment-sync-actions">';
+
+        // An offloaded original has nothing local to push, and a pull would offload it again
+        if ($offloaded) {
+            $html .= '<button type="button" class="button button-small fds-media-action" data-action="restore" data-attachment-id="' . esc_attr($post->ID) . '">' . esc_html__('Re-download to server', 'filebird-dropbox-sync') . '</button>';
+        } else {
+            $html .= '<button type="button" class="button button-small fds-media-action" data-action="push" data-attachment-id="' . esc_attr($post->ID) . '">' . esc_html__('Push to Dropbox now', 'filebird-dropbox-sync') . '</button> ';
+        }
+
+        if (!$offloaded && !empty($sync['dropbox_path'])) {
+            $html .= '<button type="button" class="button button-small fds-media-action" data-action="pull" data-attachment-id="' . esc_attr($post->ID) . '">' . esc_html__('Pull from Dropbox', 'filebird-dropbox-sync') . '</button>';
+        }
+
+        $html .= '</p>';
+        $html .= '<p class="fds-attachment-sync-message"></p>';
+        $html .= '</div>';
+
+        $form_fields['fds_dropbox_sync'] = array(
+            'label' => __('Dropbox', 'filebird-dropbox-sync'),
+            'input' => 'html',
+            'html' => $html,
+            'show_in_edit' => true,
+            'show_in_modal' => true,
+        );
+
+        return $form_fields;
+    }
+
+    /**
+     * Handle AJAX request to push an attachment to Dropbox.
+     *
+     * @since    1.0.0
+     */
+    public function ajax_push_attachment() {
+        $attachment_id = $this->verify_attachment_request();
+
+        if (!$this->file_sync->queue_push($attachment_id)) {
+            wp_send_json_error(array('message' => __('Could not queue the file for upload. Check the logs for details.', 'filebird-dropbox-sync')));
+        }
+
+        wp_send_json_success(array(
+            'message' => __('Queued for upload to Dropbox.', 'filebird-dropbox-sync'),
+            'sync' => $this->file_sync->get_sync_status($attachment_id),
+        ));
+    }
+
+    /**
+     * Handle AJAX request to pull an attachment from Dropbox.
+     *
+     * @since    1.0.0
+     */
+    public function ajax_pull_attachment() {
+        $attachment_id = $this->verify_attachment_request();
+
+        if (!$this->file_sync->queue_pull($attachment_id)) {
+            wp_send_json_error(array('message' => __('This file has not been synced to Dropbox yet.', 'filebird-dropbox-sync')));
+        }
+
+        wp_send_json_success(array(
+            'message' => __('Queued for download from Dropbox.', 'filebird-dropbox-sync'),
+            'sync' => $this->file_sync->get_sync_status($attachment_id),
+        ));
+    }
+
+    /**
+     * Handle AJAX request to re-download an offloaded attachment to the server.
+     *
+     * @since    1.0.0
+     */
+    public function ajax_restore_attachment() {
+        $attachment_id = $this->verify_attachment_request();
+
+        if (!FDS_Offload::is_offloaded($attachment_id)) {
+            wp_send_json_error(array('message' => __('This file is already on the server.', 'filebird-dropbox-sync')));
+        }
+
+        if (!$this->file_sync->queue_restore_local($attachment_id)) {
+            wp_send_json_error(array('message' => __('Could not queue the file for download. Check the logs for details.', 'filebird-dropbox-sync')));
+        }
+
+        wp_send_json_success(array(
+            'message' => __('Queued for re-download to the server.', 'filebird-dropbox-sync'),
+            'sync' => $this->file_sync->get_sync_status($attachment_id),
+        ));
+    }
+
+    /**
+     * Add the re-download action to the media list bulk actions.
+     *
+     * @since    1.0.0
+     * @param    array    $actions    The bulk actions.
+     * @return   array                The modified bulk actions.
+     */
+    public function add_bulk_actions($actions) {
+        $actions['fds_restore_local'] = __('Re-download from Dropbox', 'filebird-dropbox-sync');
+        return $actions;
+    }
+
+    /**
+     * Queue the offloaded files picked for the re-download bulk action.
+     *
+     * @since    1.0.0
+     * @param    string    $redirect_url      The URL to go back to.
+     * @param    string    $action            The bulk action.
+     * @param    array     $attachment_ids    The selected attachment IDs.
+     * @return   string                       The URL with the number of queued files.
+     */
+    public function handle_bulk_actions($redirect_url, $action, $attachment_ids) {
+        if ($action !== 'fds_restore_local') {
+            return $redirect_url;
+        }
+
+        $queued = 0;
+
+        foreach (array_map('absint', $attachment_ids) as $attachment_id) {
+            if (!current_user_can('edit_post', $attachment_id) || !FDS_Offload::is_offloaded($attachment_id)) {
+                continue;
+            }
+
+            if ($this->file_sync->queue_restore_local($attachment_id)) {
+                $queued++;
+            }
+        }
+
+        if ($queued > 0 && !wp_next_scheduled('fds_process_queue')) {
+            wp_schedule_single_event(time(), 'fds_process_queue');
+        }
+
+        return add_query_arg('fds_restored', $queued, remove_query_arg('fds_restored', $redirect_url));
+    }
+
+    /**
+     * Show how many files the re-download bulk action queued.
+     *
+     * @since    1.0.0
+     */
+    public function render_bulk_action_notice() {
+        if (!isset($_GET['fds_restored']) || get_current_screen()->id !== 'upload') {
+            return;
+        }
+
+        $queued = absint($_GET['fds_restored']);
+
+        if ($queued === 0) {
+            echo '<div class="notice notice-info is-dismissible"><p>' . esc_html__('None of the selected files are offloaded to Dropbox.', 'filebird-dropbox-sync') . '</p></div>';
+            return;
+        }
+
+        echo '<div class="notice notice-success is-dismissible"><p>' . esc_html(sprintf(
+            /* translators: %d: number of files */
+            _n('%d file queued for re-download from Dropbox.', '%d files queued for re-download from Dropbox.', $queued, 'filebird-dropbox-sync'),
+            $queued
+        )) . '</p></div>';
+    }
+
+    /**
+     * Verify nonce and permissions for an attachment AJAX request.
+     *
+     * Sends a JSON error and exits if the request is not allowed.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   int    The attachment ID.
+     */
+    protected function verify_attachment_request() {
+        check_ajax_referer('fds-media-nonce', 'nonce');
+
+        $attachment_id = isset($_POST['attachment_id']) ? absint($_POST['attachment_id']) : 0;
+
+        if (!$attachment_id || get_post_type($attachment_id) !== 'attachment') {
+            wp_send_json_error(array('message' => __('Invalid attachment.', 'filebird-dropbox-sync')));
+        }
+
+        if (!current_user_can('edit_post', $attachment_id)) {
+            wp_send_json_error(array('message' => __('Permission denied.', 'filebird-dropbox-sync')));
+        }
+
+        return $attachment_id;
+    }
+
+    /**
+     * Check whether the current user can import from Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   boolean    True for administrators while Dropbox is connected.
+     */
+    protected function can_import() {
+        return current_user_can('manage_options') && get_option('fds_dropbox_access_token', '') !== '';
+    }
+
+    /**
+     * Get the translated labels for each sync status.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The labels keyed by status.
+     */
+    protected function get_status_labels() {
+        return array(
+            'synced' => __('Synced', 'filebird-dropbox-sync'),
+            'pending' => __('Pending', 'filebird-dropbox-sync'),
+            'failed' => __('Failed', 'filebird-dropbox-sync'),
+            'conflict' => __('Conflict', 'filebird-dropbox-sync'),
+            'unsynced' => __('Not synced', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the HTML for a sync status badge.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int      $attachment_id    The attachment ID.
+     * @param    array    $sync             The sync status from FDS_File_Sync::get_sync_status().
+     * @return   string                     The badge HTML.
+     */
+    protected function get_badge_html($attachment_id, $sync) {
+        $labels = $this->get_status_labels();
+        $status = isset($labels[$sync['status']]) ? $sync['status'] : 'unsynced';
+
+        return sprintf(
+            '<span class="fds-sync-badge fds-sync-badge-%1$s" data-attachment-id="%2$d" title="%3$s">%4$s</span>',
+            esc_attr($status),
+            intval($attachment_id),
+            esc_attr($sync['error']),
+            esc_html($labels[$status])
+        );
+    }
+}
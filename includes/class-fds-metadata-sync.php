@@ -0,0 +1,339 @@
+<?php
+/**
+ * Syncs attachment titles, captions, descriptions and alt text with Dropbox.
+ *
+ * The values are stored as Dropbox file properties of a template the plugin
+ * adds to the connected account, so they travel with the file when it is
+ * moved or renamed in Dropbox. Each field can be synced both ways, in one
+ * direction only or not at all.
+ *
+ * @since      1.0.0
+ */
+class FDS_Metadata_Sync {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * The longest value Dropbox stores in a property field.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $max_length    Characters, longer values are cut off in Dropbox.
+     */
+    protected $max_length = 1024;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->logger = $logger;
+    }
+
+    /**
+     * Get the attachment fields that can be synced.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by field.
+     */
+    public static function get_fields() {
+        return array(
+            'title' => __('Title', 'filebird-dropbox-sync'),
+            'caption' => __('Caption', 'filebird-dropbox-sync'),
+            'description' => __('Description', 'filebird-dropbox-sync'),
+            'alt_text' => __('Alternative Text', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the directions a field can be synced in.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by direction.
+     */
+    public static function get_directions() {
+        return array(
+            'two_way' => __('Both ways', 'filebird-dropbox-sync'),
+            'wordpress_to_dropbox' => __('WordPress → Dropbox', 'filebird-dropbox-sync'),
+            'dropbox_to_wordpress' => __('Dropbox → WordPress', 'filebird-dropbox-sync'),
+            'none' => __('Not synced', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the sync direction of each field.
+     *
+     * @since    1.0.0
+     * @return   array    Directions keyed by field, two_way for anything not saved.
+     */
+    public static function get_settings() {
+        $settings = get_option('fds_metadata_sync', array());
+        $settings = is_array($settings) ? $settings : array();
+        $directions = array();
+
+        foreach (array_keys(self::get_fields()) as $field) {
+            $directions[$field] = isset($settings[$field]) && array_key_exists($settings[$field], self::get_directions()) ? $settings[$field] : 'two_way';
+        }
+
+        return $directions;
+    }
+
+    /**
+     * Get the fields synced in a direction.
+     *
+     * @since    1.0.0
+     * @param    string    $direction    wordpress_to_dropbox or dropbox_to_wordpress.
+     * @return   array                   The field names.
+     */
+    public function get_synced_fields($direction) {
+        return array_keys(array_filter(self::get_settings(), function($field_direction) use ($direction) {
+            return $field_direction === 'two_way' || $field_direction === $direction;
+        }));
+    }
+
+    /**
+     * Store the metadata of an attachment with its file in Dropbox.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $dropbox_path     The Dropbox file path.
+     * @return   boolean                     True if the metadata was stored or nothing is synced to Dropbox.
+     */
+    public function push($attachment_id, $dropbox_path) {
+        $fields = $this->get_synced_fields('wordpress_to_dropbox');
+
+        if (empty($fields)) {
+            return true;
+        }
+
+        $template_id = $this->get_template_id();
+
+        if (is_wp_error($template_id)) {
+            $this->log_error("Failed to store metadata in Dropbox", $template_id, $attachment_id, $dropbox_path);
+            return false;
+        }
+
+        $values = array();
+
+        // Properties are replaced as a whole, keep what only flows from Dropbox
+        if (count($fields) < count(self::get_fields())) {
+            $values = $this->dropbox_api->get_file_properties($dropbox_path, $template_id);
+
+            if (is_wp_error($values)) {
+                $this->log_error("Failed to read metadata from Dropbox", $values, $attachment_id, $dropbox_path);
+                return false;
+            }
+
+            $values = array_diff_key((array) $values, array_flip($fields));
+        }
+
+        foreach ($this->get_values($attachment_id) as $field => $value) {
+            if (in_array($field, $fields, true)) {
+                $values[$field] = $this->truncate($value);
+            }
+        }
+
+        // Dropbox does not store empty fields
+        $result = $this->dropbox_api->set_file_properties($dropbox_path, $template_id, array_filter($values, 'strlen'));
+
+        if (is_wp_error($result)) {
+            $this->log_error("Failed to store metadata in Dropbox", $result, $attachment_id, $dropbox_path);
+            return false;
+        }
+
+        $this->logger->debug("Stored metadata in Dropbox", array(
+            'attachment_id' => $attachment_id,
+            'dropbox_path' => $dropbox_path,
+            'fields' => $fields
+        ));
+
+        return true;
+    }
+
+    /**
+     * Apply the metadata stored with a file in Dropbox to its attachment.
+     *
+     * Files that never had metadata stored leave the attachment as it is.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $dropbox_path     The Dropbox file path.
+     * @return   boolean                     True unless the metadata could not be read.
+     */
+    public function pull($attachment_id, $dropbox_path) {
+        $fields = $this->get_synced_fields('dropbox_to_wordpress');
+
+        if (empty($fields)) {
+            return true;
+        }
+
+        // Without a template nothing was ever stored, so there is nothing to create it for
+        $template_id = get_option('fds_metadata_template_id', '');
+
+        if ($template_id === '') {
+            return true;
+        }
+
+        $stored = $this->dropbox_api->get_file_properties($dropbox_path, $template_id);
+
+        if (is_wp_error($stored)) {
+            $this->log_error("Failed to read metadata from Dropbox", $stored, $attachment_id, $dropbox_path);
+            return false;
+        }
+
+        if ($stored === null) {
+            return true;
+        }
+
+        $current = $this->get_values($attachment_id);
+        $post = array();
+        $changed = array();
+
+        foreach ($fields as $field) {
+            $value = isset($stored[$field]) ? $stored[$field] : '';
+
+            // A value cut off in Dropbox must not cut it off in WordPress
+            if ($this->truncate($current[$field]) === $value) {
+                continue;
+            }
+
+            $changed[] = $field;
+
+            switch ($field) {
+                case 'title':
+                    $post['post_title'] = $value;
+                    break;
+                case 'caption':
+                    $post['post_excerpt'] = $value;
+                    break;
+                case 'description':
+                    $post['post_content'] = $value;
+                    break;
+                case 'alt_text':
+                    update_post_meta($attachment_id, '_wp_attachment_image_alt', wp_slash($value));
+                    break;
+            }
+        }
+
+        if (!empty($post)) {
+            wp_update_post(wp_slash(array_merge(array('ID' => $attachment_id), $post)));
+        }
+
+        if (!empty($changed)) {
+            $this->logger->info("Applied metadata from Dropbox", array(
+                'attachment_id' => $attachment_id,
+                'dropbox_path' => $dropbox_path,
+                'fields' => $changed
+            ));
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the syncable metadata of an attachment.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int      $attachment_id    The attachment ID.
+     * @return   array                      Values keyed by field.
+     */
+    protected function get_values($attachment_id) {
+        $post = get_post($attachment_id);
+
+        return array(
+            'title' => $post ? $post->post_title : '',
+            'caption' => $post ? $post->post_excerpt : '',
+            'description' => $post ? $post->post_content : '',
+            'alt_text' => (string) get_post_meta($attachment_id, '_wp_attachment_image_alt', true),
+        );
+    }
+
+    /**
+     * Get the ID of the properties template, adding the template if needed.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   string|WP_Error    The template ID or an error.
+     */
+    protected function get_template_id() {
+        $template_id = get_option('fds_metadata_template_id', '');
+
+        if ($template_id !== '') {
+            return $template_id;
+        }
+
+        $template_id = $this->dropbox_api->add_property_template(
+            'FileBird Dropbox Sync',
+            __('WordPress attachment metadata', 'filebird-dropbox-sync'),
+            self::get_fields()
+        );
+
+        if (!is_wp_error($template_id)) {
+            update_option('fds_metadata_template_id', $template_id);
+
+            $this->logger->info("Added metadata template in Dropbox", array(
+                'template_id' => $template_id
+            ));
+        }
+
+        return $template_id;
+    }
+
+    /**
+     * Cut a value down to what Dropbox stores.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $value    The value.
+     * @return   string              The value, at most max_length characters.
+     */
+    protected function truncate($value) {
+        return mb_substr((string) $value, 0, $this->max_length);
+    }
+
+    /**
+     * Log a failed metadata request.
+     *
+     * A template that is gone, for example after connecting another Dropbox
+     * account, is forgotten so the next push adds it again.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string      $message          The log message.
+     * @param    WP_Error    $error            The error.
+     * @param    int         $attachment_id    The attachment ID.
+     * @param    string      $dropbox_path     The Dropbox file path.
+     */
+    protected function log_error($message, $error, $attachment_id, $dropbox_path) {
+        if (strpos($error->get_error_message(), 'template_not_found') !== false) {
+            delete_option('fds_metadata_template_id');
+        }
+
+        $this->logger->error($message, array(
+            'error' => $error->get_error_message(),
+            'attachment_id' => $attachment_id,
+            'dropbox_path' => $dropbox_path
+        ));
+    }
+}
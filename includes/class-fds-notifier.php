@@ -0,0 +1,307 @@
+<?php
+/**
+ * Sends alerts when the synchronization needs attention.
+ *
+ * The conditions are checked on a schedule. An alert is raised once when a
+ * condition starts and again only after it has cleared. Raised alerts are
+ * collected and delivered together by email and/or as a JSON POST to a
+ * webhook URL, at most once per digest interval.
+ *
+ * @since      1.0.0
+ */
+class FDS_Notifier {
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_DB        $db        The database instance.
+     * @param    FDS_Logger    $logger    The logger instance.
+     */
+    public function __construct($db, $logger) {
+        $this->db = $db;
+        $this->logger = $logger;
+    }
+
+    /**
+     * Get the conditions an alert can be raised for.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by alert type.
+     */
+    public static function get_alert_types() {
+        return array(
+            'failed_tasks' => __('Failed tasks', 'filebird-dropbox-sync'),
+            'token_refresh' => __('Dropbox token', 'filebird-dropbox-sync'),
+            'webhook_silence' => __('Dropbox webhook', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the digest intervals alerts can be batched into.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by interval.
+     */
+    public static function get_digest_intervals() {
+        return array(
+            'immediate' => __('Send each alert right away', 'filebird-dropbox-sync'),
+            'hourly' => __('At most one message per hour', 'filebird-dropbox-sync'),
+            'daily' => __('At most one message per day', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the notification settings.
+     *
+     * @since    1.0.0
+     * @return   array    The settings with defaults for anything not saved.
+     */
+    public static function get_settings() {
+        $settings = get_option('fds_notifications', array());
+
+        return array_merge(array(
+            'email_enabled' => false,
+            'email_recipients' => '',
+            'webhook_enabled' => false,
+            'webhook_url' => '',
+            'failed_threshold' => 10,
+            'token_alerts' => true,
+            'webhook_silence_hours' => 24,
+            'digest' => 'hourly',
+        ), is_array($settings) ? $settings : array());
+    }
+
+    /**
+     * Check every alert condition and send the alerts that are due.
+     *
+     * @since    1.0.0
+     */
+    public function check_alerts() {
+        $settings = self::get_settings();
+
+        if (!$settings['email_enabled'] && !$settings['webhook_enabled']) {
+            return;
+        }
+
+        $state = $this->get_state();
+        $conditions = $this->get_active_conditions($settings);
+
+        foreach ($conditions as $type => $message) {
+            if (isset($state['active'][$type])) {
+                continue;
+            }
+
+            $state['active'][$type] = current_time('mysql');
+            $state['pending'][] = array(
+                'type' => $type,
+                'message' => $message,
+                'raised_at' => current_time('mysql'),
+            );
+
+            $this->logger->warning("Alert raised", array(
+                'type' => $type,
+                'message' => $message
+            ));
+        }
+
+        // Cleared conditions can be raised again
+        $state['active'] = array_intersect_key($state['active'], $conditions);
+
+        $intervals = array('immediate' => 0, 'hourly' => HOUR_IN_SECONDS, 'daily' => DAY_IN_SECONDS);
+        $interval = $intervals[$settings['digest']] ?? HOUR_IN_SECONDS;
+
+        if (!empty($state['pending']) && time() - $state['last_sent'] >= $interval) {
+            $results = $this->deliver($state['pending'], $settings);
+
+            // Kept for the next check if no channel took them
+            if (in_array(true, $results, true)) {
+                $state['pending'] = array();
+                $state['last_sent'] = time();
+            }
+        }
+
+        update_option('fds_notification_state', $state, false);
+    }
+
+    /**
+     * Send a test alert through every enabled channel.
+     *
+     * @since    1.0.0
+     * @return   array|WP_Error    The channels the alert was sent through, or an error.
+     */
+    public function send_test() {
+        $settings = self::get_settings();
+
+        if (!$settings['email_enabled'] && !$settings['webhook_enabled']) {
+            return new WP_Error('fds_no_channels', __('Enable email or webhook alerts and save the settings first.', 'filebird-dropbox-sync'));
+        }
+
+        $results = $this->deliver(array(array(
+            'type' => 'test',
+            'message' => __('This is a test alert. If you can read it, alerts are delivered.', 'filebird-dropbox-sync'),
+            'raised_at' => current_time('mysql'),
+        )), $settings);
+
+        $errors = array_filter($results, 'is_wp_error');
+
+        if (!empty($errors)) {
+            return new WP_Error('fds_alert_failed', implode(' ', array_map(function($error) {
+                return $error->get_error_message();
+            }, $errors)));
+        }
+
+        return array_keys($results);
+    }
+
+    /**
+     * Get the alert conditions that are currently met.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $settings    The notification settings.
+     * @return   array                 Messages keyed by alert type.
+     */
+    protected function get_active_conditions($settings) {
+        $conditions = array();
+
+        if ($settings['failed_threshold'] > 0) {
+            $failed = $this->db->count_queue_tasks(array('status' => 'failed'));
+
+            if ($failed >= $settings['failed_threshold']) {
+                /* translators: 1: number of failed tasks, 2: threshold */
+                $conditions['failed_tasks'] = sprintf(__('%1$d sync tasks have failed, the alert threshold is %2$d.', 'filebird-dropbox-sync'), $failed, $settings['failed_threshold']);
+            }
+        }
+
+        $refresh_error = get_option('fds_token_refresh_error', false);
+
+        if ($settings['token_alerts'] && is_array($refresh_error)) {
+            /* translators: 1: date and time, 2: error message */
+            $conditions['token_refresh'] = sprintf(__('The Dropbox access token has not refreshed since %1$s (%2$s). Reconnect to Dropbox if this continues.', 'filebird-dropbox-sync'), $refresh_error['failed_at'], rtrim($refresh_error['message'], '.'));
+        }
+
+        $last_notification = get_option('fds_webhook_last_notification', false);
+
+        if ($settings['webhook_silence_hours'] > 0 && get_option('fds_webhook_registered', false) && $last_notification) {
+            $silent_for = current_time('timestamp') - strtotime($last_notification);
+
+            if ($silent_for >= $settings['webhook_silence_hours'] * HOUR_IN_SECONDS) {
+                /* translators: 1: number of hours, 2: date and time */
+                $conditions['webhook_silence'] = sprintf(__('No Dropbox webhook notification has arrived in %1$d hours, the last one was at %2$s. Changes made in Dropbox may not be synced.', 'filebird-dropbox-sync'), floor($silent_for / HOUR_IN_SECONDS), $last_notification);
+            }
+        }
+
+        return $conditions;
+    }
+
+    /**
+     * Deliver alerts through the enabled channels.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $alerts      The alerts.
+     * @param    array    $settings    The notification settings.
+     * @return   array                 True or a WP_Error, keyed by channel.
+     */
+    protected function deliver($alerts, $settings) {
+        $types = self::get_alert_types();
+        $site = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+        $lines = array();
+
+        foreach ($alerts as $alert) {
+            $label = $types[$alert['type']] ?? __('Test', 'filebird-dropbox-sync');
+            $lines[] = '[' . $alert['raised_at'] . '] ' . $label . ': ' . $alert['message'];
+        }
+
+        /* translators: 1: site name, 2: number of alerts */
+        $subject = sprintf(_n('[%1$s] FileBird Dropbox Sync: %2$d alert', '[%1$s] FileBird Dropbox Sync: %2$d alerts', count($alerts), 'filebird-dropbox-sync'), $site, count($alerts));
+        $results = array();
+
+        if ($settings['email_enabled']) {
+            $recipients = $settings['email_recipients'] !== '' ? array_map('trim', explode(',', $settings['email_recipients'])) : array(get_option('admin_email'));
+            $body = implode("\n\n", $lines) . "\n\n" . admin_url('upload.php?page=filebird-dropbox-sync-settings&tab=health');
+
+            $results['email'] = wp_mail($recipients, $subject, $body)
+                ? true
+                : new WP_Error('fds_email_failed', __('The alert email could not be sent, check the mail setup of this site.', 'filebird-dropbox-sync'));
+        }
+
+        if ($settings['webhook_enabled'] && $settings['webhook_url'] !== '') {
+            // The text field is what Slack shows, other services can use the alerts
+            $response = wp_remote_post($settings['webhook_url'], array(
+                'headers' => array(
+                    'Content-Type' => 'application/json'
+                ),
+                'body' => wp_json_encode(array(
+                    'text' => $subject . "\n" . implode("\n", $lines),
+                    'site' => $site,
+                    'site_url' => home_url(),
+                    'alerts' => $alerts,
+                )),
+                'timeout' => 15
+            ));
+
+            if (is_wp_error($response)) {
+                $results['webhook'] = $response;
+            } elseif (wp_remote_retrieve_response_code($response) >= 300) {
+                /* translators: %d: HTTP status code */
+                $results['webhook'] = new WP_Error('fds_webhook_failed', sprintf(__('The alert webhook answered with HTTP %d.', 'filebird-dropbox-sync'), wp_remote_retrieve_response_code($response)));
+            } else {
+                $results['webhook'] = true;
+            }
+        }
+
+        foreach ($results as $channel => $result) {
+            if (is_wp_error($result)) {
+                $this->logger->error("Failed to send alerts", array(
+                    'channel' => $channel,
+                    'alerts' => count($alerts),
+                    'error' => $result->get_error_message()
+                ));
+            } else {
+                $this->logger->info("Sent alerts", array(
+                    'channel' => $channel,
+                    'alerts' => count($alerts)
+                ));
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Get the active and pending alerts.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    Active conditions, alerts waiting for the digest and when alerts were last sent.
+     */
+    protected function get_state() {
+        $state = get_option('fds_notification_state', array());
+
+        return array_merge(array(
+            'active' => array(),
+            'pending' => array(),
+            'last_sent' => 0,
+        ), is_array($state) ? $state : array());
+    }
+}
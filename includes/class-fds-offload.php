@@ -0,0 +1,453 @@
+<?php
+/**
+ * Serves attachments from Dropbox so the originals can leave the server.
+ *
+ * With offloading on, the original file of an attachment is removed from
+ * the uploads folder once an upload to Dropbox is confirmed by content hash.
+ * Generated image sizes stay on the server. Attachment URLs of offloaded
+ * originals point to a file endpoint of the plugin that redirects to a
+ * Dropbox shared or temporary link, so pages never wait for Dropbox and
+ * cached pages keep working after a temporary link expired. The link is
+ * created when the file is offloaded. Re-downloading an offloaded file
+ * puts it back and serves it from the server again.
+ *
+ * @since      1.0.0
+ */
+class FDS_Offload {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * How long a temporary link is cached.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $temporary_link_ttl    Seconds, Dropbox keeps the links valid for four hours.
+     */
+    protected $temporary_link_ttl = 3 * HOUR_IN_SECONDS;
+
+    /**
+     * How long browsers and proxies may cache a redirect to a link.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array    $redirect_ttl    Seconds keyed by link type, less than a cached temporary link has left.
+     */
+    protected $redirect_ttl = array(
+        'shared' => HOUR_IN_SECONDS,
+        'temporary' => 10 * MINUTE_IN_SECONDS,
+    );
+
+    /**
+     * Whether the URL filters are bypassed to get the local URL.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      boolean    $bypass    True while building the URL of a generated size.
+     */
+    protected $bypass = false;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $db, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+    }
+
+    /**
+     * Get the kinds of links offloaded files can be served from.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by link type.
+     */
+    public static function get_link_types() {
+        return array(
+            'shared' => __('Shared links', 'filebird-dropbox-sync'),
+            'temporary' => __('Temporary links', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the offload settings.
+     *
+     * @since    1.0.0
+     * @return   array    The settings with defaults for anything not saved.
+     */
+    public static function get_settings() {
+        $settings = get_option('fds_offload', array());
+
+        return array_merge(array(
+            'enabled' => false,
+            'link_type' => 'shared',
+        ), is_array($settings) ? $settings : array());
+    }
+
+    /**
+     * Check whether the original of an attachment was offloaded.
+     *
+     * @since    1.0.0
+     * @param    int    $attachment_id    The attachment ID.
+     * @return   boolean                  True if the original is only in Dropbox.
+     */
+    public static function is_offloaded($attachment_id) {
+        return (bool) get_post_meta($attachment_id, '_fds_offloaded', true);
+    }
+
+    /**
+     * Remove the original of an attachment once Dropbox holds the same content.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $local_path       The uploaded file.
+     * @param    array     $dropbox_file     The Dropbox metadata of the uploaded file.
+     * @return   boolean                     True if the local file was removed.
+     */
+    public function maybe_offload($attachment_id, $local_path, $dropbox_file) {
+        $settings = self::get_settings();
+
+        if (!$settings['enabled']) {
+            return false;
+        }
+
+        // Only the original is offloaded, generated sizes are kept for srcset
+        if ($local_path !== get_attached_file($attachment_id) || !file_exists($local_path)) {
+            return false;
+        }
+
+        $local_hash = $this->dropbox_api->calculate_dropbox_content_hash($local_path);
+
+        if (empty($dropbox_file['content_hash']) || $dropbox_file['content_hash'] !== $local_hash) {
+            $this->logger->warning("Upload not confirmed by content hash, keeping local file", array(
+                'attachment_id' => $attachment_id,
+                'local_path' => $local_path,
+                'local_hash' => $local_hash,
+                'dropbox_hash' => isset($dropbox_file['content_hash']) ? $dropbox_file['content_hash'] : ''
+            ));
+            return false;
+        }
+
+        $size = filesize($local_path);
+
+        wp_delete_file($local_path);
+
+        if (file_exists($local_path)) {
+            $this->logger->error("Failed to remove offloaded file", array(
+                'attachment_id' => $attachment_id,
+                'local_path' => $local_path
+            ));
+            return false;
+        }
+
+        update_post_meta($attachment_id, '_fds_offloaded', array(
+            'size' => $size,
+            'offloaded_at' => current_time('mysql'),
+        ));
+
+        // Create the link now rather than when the file is first requested
+        $this->forget_link($attachment_id);
+        $this->get_link($attachment_id);
+
+        $this->logger->info("Offloaded file to Dropbox", array(
+            'attachment_id' => $attachment_id,
+            'local_path' => $local_path,
+            'size' => $size
+        ));
+
+        return true;
+    }
+
+    /**
+     * Keep the offload state right after a file was downloaded from Dropbox.
+     *
+     * The download put the original back. It stays if it was asked for,
+     * otherwise it is offloaded again now that its sizes are generated.
+     *
+     * @since    1.0.0
+     * @param    int       $attachment_id    The attachment ID.
+     * @param    string    $local_path       The downloaded file.
+     * @param    array     $dropbox_file     The Dropbox metadata of the downloaded file.
+     * @param    boolean   $keep_local       Whether the download was a re-download to local.
+     */
+    public function after_download($attachment_id, $local_path, $dropbox_file, $keep_local) {
+        if (!self::is_offloaded($attachment_id)) {
+            return;
+        }
+
+        delete_post_meta($attachment_id, '_fds_offloaded');
+        $this->forget_link($attachment_id);
+
+        if ($keep_local) {
+            $this->logger->info("Re-downloaded offloaded file", array(
+                'attachment_id' => $attachment_id,
+                'local_path' => $local_path
+            ));
+            return;
+        }
+
+        $this->maybe_offload($attachment_id, $local_path, $dropbox_file);
+    }
+
+    /**
+     * Register the endpoint offloaded originals are served from.
+     *
+     * @since    1.0.0
+     */
+    public function register_endpoint() {
+        register_rest_route('fds/v1', '/file/(?P<id>\d+)(?:/(?P<name>[^/]+))?', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'serve_file'),
+            'permission_callback' => '__return_true',
+        ));
+    }
+
+    /**
+     * Get the stable URL of an offloaded original.
+     *
+     * The file name is part of the URL so the file type can still be told
+     * from it, WordPress does that for audio and video.
+     *
+     * @since    1.0.0
+     * @param    int    $attachment_id    The attachment ID.
+     * @return   string                   The URL of the file endpoint.
+     */
+    public function get_url($attachment_id) {
+        $file = get_post_meta($attachment_id, '_wp_attached_file', true);
+        $route = 'fds/v1/file/' . intval($attachment_id);
+
+        if ($file) {
+            $route .= '/' . rawurlencode(wp_basename($file));
+        }
+
+        return get_rest_url(null, $route);
+    }
+
+    /**
+     * Redirect a request for an offloaded original to its Dropbox link.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request.
+     * @return   WP_REST_Response|WP_Error      A redirect, or an error if the file can't be served.
+     */
+    public function serve_file($request) {
+        $attachment_id = intval($request->get_param('id'));
+
+        if (get_post_type($attachment_id) !== 'attachment' || !self::is_offloaded($attachment_id)) {
+            return new WP_Error('fds_file_not_found', __('File not found.', 'filebird-dropbox-sync'), array('status' => 404));
+        }
+
+        $link = $this->get_link($attachment_id);
+
+        if ($link === '') {
+            return new WP_Error('fds_link_unavailable', __('The file is not available right now.', 'filebird-dropbox-sync'), array('status' => 503));
+        }
+
+        $settings = self::get_settings();
+        $ttl = isset($this->redirect_ttl[$settings['link_type']]) ? $this->redirect_ttl[$settings['link_type']] : 0;
+
+        $response = new WP_REST_Response(null, 302);
+        $response->header('Location', $link);
+        $response->header('Cache-Control', 'public, max-age=' . $ttl);
+
+        return $response;
+    }
+
+    /**
+     * Get the link an offloaded original is served from.
+     *
+     * Only the file endpoint and offloading ask for it, never page rendering.
+     *
+     * @since    1.0.0
+     * @param    int    $attachment_id    The attachment ID.
+     * @return   string                   The link, or empty if Dropbox did not give one.
+     */
+    public function get_link($attachment_id) {
+        $settings = self::get_settings();
+        $shared = $settings['link_type'] === 'shared';
+
+        // Try again in a few minutes after a failure rather than on every page view
+        if (get_transient('fds_offload_link_failed_' . $attachment_id)) {
+            return '';
+        }
+
+        $cached = $shared ? get_post_meta($attachment_id, '_fds_offload_link', true) : get_transient('fds_offload_link_' . $attachment_id);
+
+        if ($cached) {
+            return $cached;
+        }
+
+        $mapping = $this->db->get_file_mapping_by_attachment_id($attachment_id);
+        $link = false;
+
+        if ($mapping) {
+            $link = $shared ? $this->dropbox_api->get_shared_link($mapping->dropbox_path) : $this->dropbox_api->get_temporary_link($mapping->dropbox_path);
+        }
+
+        if (!$link) {
+            set_transient('fds_offload_link_failed_' . $attachment_id, 1, 5 * MINUTE_IN_SECONDS);
+            return '';
+        }
+
+        if ($shared) {
+            // Shared links open a preview page, raw=1 serves the file itself
+            $link = add_query_arg('raw', 1, remove_query_arg('dl', $link));
+            update_post_meta($attachment_id, '_fds_offload_link', $link);
+        } else {
+            set_transient('fds_offload_link_' . $attachment_id, $link, $this->temporary_link_ttl);
+        }
+
+        return $link;
+    }
+
+    /**
+     * Drop the cached links of an attachment.
+     *
+     * @since    1.0.0
+     * @param    int    $attachment_id    The attachment ID.
+     */
+    public function forget_link($attachment_id) {
+        delete_post_meta($attachment_id, '_fds_offload_link');
+        delete_transient('fds_offload_link_' . $attachment_id);
+        delete_transient('fds_offload_link_failed_' . $attachment_id);
+    }
+
+    /**
+     * Get the IDs of all offloaded attachments.
+     *
+     * @since    1.0.0
+     * @return   array    The attachment IDs.
+     */
+    public static function get_offloaded_ids() {
+        global $wpdb;
+
+        return array_map('intval', $wpdb->get_col(
+            "SELECT post_id FROM {$wpdb->postmeta} WHERE meta_key = '_fds_offloaded'"
+        ));
+    }
+
+    /**
+     * Get how many files are offloaded and the disk space they freed.
+     *
+     * @since    1.0.0
+     * @return   array    The number of files and the freed bytes.
+     */
+    public static function get_stats() {
+        global $wpdb;
+
+        $files = 0;
+        $bytes = 0;
+
+        foreach ($wpdb->get_col("SELECT meta_value FROM {$wpdb->postmeta} WHERE meta_key = '_fds_offloaded'") as $value) {
+            $value = maybe_unserialize($value);
+            $files++;
+            $bytes += is_array($value) && isset($value['size']) ? intval($value['size']) : 0;
+        }
+
+        return array(
+            'files' => $files,
+            'bytes' => $bytes,
+        );
+    }
+
+    /**
+     * Serve offloaded originals from Dropbox.
+     *
+     * @since    1.0.0
+     * @param    string    $url              The attachment URL.
+     * @param    int       $attachment_id    The attachment ID.
+     * @return   string                      The file endpoint URL for offloaded originals.
+     */
+    public function filter_attachment_url($url, $attachment_id) {
+        if ($this->bypass || !self::is_offloaded($attachment_id)) {
+            return $url;
+        }
+
+        return $this->get_url($attachment_id);
+    }
+
+    /**
+     * Keep serving generated sizes of offloaded images from the server.
+     *
+     * WordPress builds size URLs from the attachment URL, which points to
+     * Dropbox for offloaded originals, so they are built from the local URL.
+     *
+     * @since    1.0.0
+     * @param    array|false     $downsize         The image data, false to let WordPress work it out.
+     * @param    int             $attachment_id    The attachment ID.
+     * @param    string|array    $size             The requested size.
+     * @return   array|false                       The image data for generated sizes of offloaded images.
+     */
+    public function filter_image_downsize($downsize, $attachment_id, $size) {
+        if ($downsize !== false || $size === 'full' || $this->bypass || !self::is_offloaded($attachment_id)) {
+            return $downsize;
+        }
+
+        $this->bypass = true;
+        $intermediate = image_get_intermediate_size($attachment_id, $size);
+        $this->bypass = false;
+
+        if (!$intermediate) {
+            return false;
+        }
+
+        return array($intermediate['url'], $intermediate['width'], $intermediate['height'], true);
+    }
+
+    /**
+     * Point the original in srcset to the file endpoint for offloaded images.
+     *
+     * @since    1.0.0
+     * @param    array    $sources          The srcset sources keyed by width.
+     * @param    array    $size_array       The requested width and height.
+     * @param    string   $image_src        The image src.
+     * @param    array    $image_meta       The attachment metadata.
+     * @param    int      $attachment_id    The attachment ID.
+     * @return   array                      The sources.
+     */
+    public function filter_image_srcset($sources, $size_array, $image_src, $image_meta, $attachment_id) {
+        if (!is_array($sources) || empty($image_meta['file']) || !self::is_offloaded($attachment_id)) {
+            return $sources;
+        }
+
+        $original = wp_basename($image_meta['file']);
+
+        foreach ($sources as $width => $source) {
+            if (wp_basename($source['url']) === $original) {
+                $sources[$width]['url'] = $this->get_url($attachment_id);
+            }
+        }
+
+        return $sources;
+    }
+}
@@ -437,15 +437,27 @@ class FDS_Performance {
      */
     public function delta_sync($dropbox_api, $path) {
         try {
+            $checkpoint = new FDS_Sync_Checkpoint();
+            
+            if ($checkpoint->is_paused()) {
+                $this->logger->debug("Delta sync skipped - full sync is paused", [
+                    'path' => $path
+                ]);
+                return false;
+            }
+            
             $delta_cursor = get_option('fds_delta_cursor_' . md5($path), '');
             $has_more = true;
             $batch_count = 0;
             $max_batches = 10; // Limit batches per run to avoid timeouts
             
             while ($has_more && $batch_count < $max_batches) {
-                $result = $dropbox_api->list_folder_continue($delta_cursor);
+                // Without a saved cursor the listing starts from the beginning
+                $result = $delta_cursor === ''
+                    ? $dropbox_api->list_folder_enhanced($path, ['recursive' => true])
+                    : $dropbox_api->list_folder_continue($delta_cursor);
                 
-                if (!$result) {
+                if (!$result || is_wp_error($result)) {
                     $this->logger->error("Failed to get delta for path", [
                         'path' => $path,
                         'cursor' => $delta_cursor
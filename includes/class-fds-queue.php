@@ -35,6 +35,51 @@ class FDS_Queue {
      */
     protected $logger;
 
+    /**
+     * The sync planner instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Planner    $sync_planner    The sync planner instance.
+     */
+    protected $sync_planner;
+
+    /**
+     * The full sync checkpoint.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Checkpoint    $checkpoint    Where the current full sync is.
+     */
+    protected $checkpoint;
+
+    /**
+     * The sync history.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_History    $history    Records every sync run.
+     */
+    protected $history;
+
+    /**
+     * The sync schedule.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Schedule    $schedule    When the queue may be processed.
+     */
+    protected $schedule;
+
+    /**
+     * How long one run of a full sync task may take before it checkpoints.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $full_sync_time_limit    Time limit in seconds.
+     */
+    protected $full_sync_time_limit = 20;
+
     /**
      * The lock time for queue processing.
      *
@@ -56,6 +101,19 @@ class FDS_Queue {
         $this->folder_sync = $folder_sync;
         $this->file_sync = $file_sync;
         $this->logger = $logger;
+        $this->checkpoint = new FDS_Sync_Checkpoint();
+        $this->history = new FDS_Sync_History(new FDS_DB());
+        $this->schedule = new FDS_Sync_Schedule();
+    }
+
+    /**
+     * Set the sync planner used by full sync.
+     *
+     * @since    1.0.0
+     * @param    FDS_Sync_Planner    $sync_planner    The sync planner instance.
+     */
+    public function set_sync_planner($sync_planner) {
+        $this->sync_planner = $sync_planner;
     }
 
     /**
@@ -70,6 +128,19 @@ class FDS_Queue {
             return;
         }
         
+        // Outside the sync windows tasks wait for the next window
+        if (!$this->schedule->is_open()) {
+            $this->logger->debug("Queue processing skipped - outside the sync schedule");
+            return;
+        }
+        
+        // The last run reached a transfer limit, wait until it is back under it
+        if ($this->schedule->get_seconds_until_released() > 0) {
+            $this->logger->debug("Queue processing skipped - waiting for the transfer limits");
+            $this->schedule_next_run();
+            return;
+        }
+        
         // Get lock with timeout value - skip checking for locks during development/debugging
         if (!$this->get_lock_with_timeout()) {
             $this->logger->debug("Could not acquire queue lock, another process might be running");
@@ -112,14 +183,19 @@ class FDS_Queue {
             // Get the DB instance
             $db = new FDS_DB();
             
+            // Pick up a full sync that was interrupted
+            $this->maybe_resume_full_sync($db);
+            
             // Get batch size
             $batch_size = get_option('fds_queue_batch_size', 10);
             
-            // Process pending items
-            $items = $db->get_pending_tasks($batch_size);
+            // Process pending items, a paused full sync only holds back its own tasks
+            $items = $db->get_pending_tasks($batch_size, $this->get_paused_run_id());
             
             if (empty($items)) {
                 $this->logger->debug("No pending tasks to process");
+                $this->maybe_finish_full_sync($db->get_queue_status_counts());
+                $this->history->finish();
                 $this->release_lock();
                 
                 // Make sure next process is scheduled
@@ -133,8 +209,14 @@ class FDS_Queue {
             
             $success_count = 0;
             $failure_count = 0;
+            $actions = array();
             
             foreach ($items as $item) {
+                // The tasks left over stay pending for the next run
+                if ($this->is_throttled()) {
+                    break;
+                }
+                
                 // Log item details for debugging
                 $this->logger->debug("Processing queue item", [
                     'id' => $item->id,
@@ -175,10 +257,16 @@ class FDS_Queue {
                     // Process the item
                     $success = $this->process_item($item);
                     
+                    // Cancelled tasks already have their status
+                    if ($success === null) {
+                        continue;
+                    }
+                    
                     // Update status
                     if ($success) {
                         $db->update_task_status($item->id, 'completed');
                         $success_count++;
+                        $actions = $this->count_action($actions, $item);
                         $this->logger->info("Queue item processed successfully", [
                             'item_id' => $item->id,
                             'action' => $item->action,
@@ -221,6 +309,8 @@ class FDS_Queue {
                 'total' => count($items)
             ]);
             
+            $this->history->record_batch($actions, $failure_count);
+            
             // If there are more items to process, schedule another run
             if ($success_count > 0 || $failure_count > 0) {
                 // Check for more pending items
@@ -249,10 +339,18 @@ class FDS_Queue {
     /**
      * Force process queue items, ignoring locks.
      *
+     * Processing started by an administrator also runs outside the sync
+     * windows, the transfer limits still apply.
+     *
      * @since    1.0.0
      * @return   int    The number of successfully processed items.
      */
     public function force_process_queue() {
+        if ($this->schedule->get_seconds_until_released() > 0) {
+            $this->logger->info("Force processing skipped - waiting for the transfer limits");
+            return 0;
+        }
+        
         // Ignore lock for force processing
         delete_transient('fds_queue_lock');
         
@@ -263,10 +361,11 @@ class FDS_Queue {
         $db = new FDS_DB();
         
         // Process pending items
-        $items = $db->get_pending_tasks($batch_size);
+        $items = $db->get_pending_tasks($batch_size, $this->get_paused_run_id());
         
         if (empty($items)) {
             $this->logger->info("No pending tasks to process during force processing");
+            $this->history->finish();
             return 0;
         }
         
@@ -274,10 +373,17 @@ class FDS_Queue {
             'batch_size' => count($items)
         ]);
         
+        $this->history->start('manual');
+        
         $success_count = 0;
         $failure_count = 0;
+        $actions = array();
         
         foreach ($items as $item) {
+            if ($this->is_throttled()) {
+                break;
+            }
+            
             // Mark as processing
             $db->update_task_status($item->id, 'processing');
             
@@ -285,10 +391,16 @@ class FDS_Queue {
                 // Process the item
                 $success = $this->process_item($item);
                 
+                // Cancelled tasks already have their status
+                if ($success === null) {
+                    continue;
+                }
+                
                 // Update status
                 if ($success) {
                     $db->update_task_status($item->id, 'completed');
                     $success_count++;
+                    $actions = $this->count_action($actions, $item);
                 } else {
                     // If max retries reached, mark as failed
                     $max_retries = get_option('fds_max_retries', 5);
@@ -316,15 +428,20 @@ class FDS_Queue {
             'total' => count($items)
         ]);
         
+        $this->history->record_batch($actions, $failure_count);
+        
         return $success_count;
     }
 
     /**
      * Process an individual queue item.
      *
+     * Tasks the sync mode no longer allows, because they were queued before
+     * it changed, are cancelled instead.
+     *
      * @since    1.0.0
      * @param    object    $item    The queue item to process.
-     * @return   boolean            True on success, false on failure.
+     * @return   boolean|null       True on success, false on failure, null if the task was cancelled.
      */
     protected function process_item($item) {
         $this->logger->debug("Processing queue item", array(
@@ -334,12 +451,38 @@ class FDS_Queue {
             'direction' => $item->direction
         ));
         
+        if (!$this->is_allowed_by_sync_mode($item)) {
+            $sync_mode = new FDS_Sync_Mode();
+            $db = new FDS_DB();
+            
+            $db->update_task_status($item->id, 'cancelled', sprintf(
+                /* translators: %s: sync mode */
+                __('Not synced in the current sync mode (%s).', 'filebird-dropbox-sync'),
+                $sync_mode->get_mode_label()
+            ));
+            
+            $this->logger->info("Queue item cancelled, the sync mode does not allow it", array(
+                'id' => $item->id,
+                'action' => $item->action,
+                'direction' => $item->direction,
+                'sync_mode' => $sync_mode->get_mode()
+            ));
+            
+            return null;
+        }
+        
         try {
             // Handle system tasks first (like full sync)
             if ($item->item_type === 'system') {
                 switch ($item->action) {
                     case 'full_sync':
                         return $this->process_full_sync_task($item);
+                    case 'duplicates_scan':
+                        return $this->process_duplicates_scan_task($item);
+                    case 'sync_preview':
+                        return $this->process_sync_preview_task($item);
+                    case 'reconcile':
+                        return $this->process_reconcile_task($item);
                     default:
                         $this->logger->error("Unknown system action", array(
                             'action' => $item->action,
@@ -378,6 +521,8 @@ class FDS_Queue {
                             return $this->file_sync->process_file_delete_task($item);
                         case 'move':
                             return $this->file_sync->process_file_move_task($item);
+                        case 'metadata':
+                            return $this->file_sync->process_file_metadata_task($item);
                         default:
                             $this->logger->error("Unknown file action", array(
                                 'action' => $item->action,
@@ -387,7 +532,24 @@ class FDS_Queue {
                     }
                 }
             } elseif ($item->direction === 'dropbox_to_wordpress') {
-                // Handled by webhook and file/folder specific methods
+                // Imports and updates are pulled through the queue
+                if ($item->item_type === 'file' && $item->action === 'create') {
+                    return $this->file_sync->process_file_import_task($item);
+                }
+                
+                if ($item->item_type === 'file' && $item->action === 'update') {
+                    return $this->file_sync->process_file_pull_task($item);
+                }
+                
+                if ($item->item_type === 'file' && $item->action === 'regenerate') {
+                    return $this->file_sync->process_file_regenerate_task($item);
+                }
+                
+                if ($item->item_type === 'folder' && $item->action === 'create') {
+                    return $this->folder_sync->process_folder_import_task($item);
+                }
+                
+                // Everything else is handled by webhook and file/folder specific methods
                 $this->logger->error("Dropbox to WordPress sync should be handled by webhook", array(
                     'item' => $item
                 ));
@@ -408,142 +570,227 @@ class FDS_Queue {
         }
     }
 
+    /**
+     * Check whether the sync mode allows a queued task to run.
+     *
+     * System tasks and tasks a user asked for are not sync changes, so they
+     * always run: imports, re-downloads of offloaded files and the image
+     * sizes regenerated after a download.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    object    $item    The queue item.
+     * @return   boolean            True if the task may run.
+     */
+    protected function is_allowed_by_sync_mode($item) {
+        if ($item->item_type === 'system' || $item->action === 'regenerate') {
+            return true;
+        }
+        
+        $data = maybe_unserialize($item->data);
+        
+        if (is_array($data) && (!empty($data['import_id']) || !empty($data['keep_local']))) {
+            return true;
+        }
+        
+        $sync_mode = new FDS_Sync_Mode();
+        
+        return $sync_mode->allows($item->direction, $item->action);
+    }
+
+    /**
+     * Count a processed item under its item type and action.
+     *
+     * Full sync tasks only plan and queue the actual work, so they are not counted.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array     $actions    Items processed so far, keyed by item type and action.
+     * @param    object    $item       The processed queue item.
+     * @return   array                 The updated counts.
+     */
+    protected function count_action($actions, $item) {
+        if ($item->item_type !== 'system') {
+            $key = $item->item_type . '_' . $item->action;
+            $actions[$key] = ($actions[$key] ?? 0) + 1;
+        }
+        
+        return $actions;
+    }
+
+    /**
+     * Process a duplicate scan task.
+     *
+     * Like full sync tasks, each run works for a limited time and queues
+     * another task when the scan is not done yet.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    protected function process_duplicates_scan_task($task) {
+        $data = maybe_unserialize($task->data);
+        $scan_id = isset($data['scan_id']) ? $data['scan_id'] : '';
+        $duplicates = new FDS_Duplicates(new FDS_Dropbox_API(new FDS_Settings()), new FDS_DB(), $this->logger);
+        
+        $result = $duplicates->run_scan($scan_id, microtime(true) + $this->full_sync_time_limit);
+        
+        if (is_wp_error($result)) {
+            return false;
+        }
+        
+        if ($result === false) {
+            // Out of time, carry on in the next run
+            $duplicates->queue_scan_task($scan_id);
+            $this->schedule_next_run();
+        }
+        
+        return true;
+    }
+
+    /**
+     * Process a reconciliation task.
+     *
+     * Like full sync tasks, each run works for a limited time and queues
+     * another task when the reconciliation is not done yet.
+     *
+     * @since    1.0.0
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    protected function process_reconcile_task($task) {
+        $data = maybe_unserialize($task->data);
+        $run_id = isset($data['run_id']) ? $data['run_id'] : '';
+        $reconciler = new FDS_Reconciler(new FDS_Dropbox_API(new FDS_Settings()), new FDS_DB(), $this->logger);
+        
+        $result = $reconciler->run($run_id, microtime(true) + $this->full_sync_time_limit);
+        
+        if (is_wp_error($result)) {
+            return false;
+        }
+        
+        if ($result === false) {
+            // Out of time, carry on in the next run
+            $reconciler->queue_run_task($run_id);
+            $this->schedule_next_run();
+        }
+        
+        return true;
+    }
+
+    /**
+     * Process a full sync preview task.
+     *
+     * Like full sync tasks, each run works for a limited time and queues
+     * another task when the preview is not done yet.
+     *
+     * @since    1.0.0
+     * @param    object    $task    The task object.
+     * @return   boolean            True on success, false on failure.
+     */
+    protected function process_sync_preview_task($task) {
+        $data = maybe_unserialize($task->data);
+        $preview_id = isset($data['preview_id']) ? $data['preview_id'] : '';
+        $planner = $this->get_sync_planner();
+        
+        $result = $planner->run_preview($preview_id, microtime(true) + $this->full_sync_time_limit);
+        
+        if (is_wp_error($result)) {
+            return false;
+        }
+        
+        if ($result === false) {
+            // Out of time, carry on in the next run
+            $planner->queue_preview_task($preview_id);
+            $this->schedule_next_run();
+        }
+        
+        return true;
+    }
+
     /**
      * Process a full sync task.
      *
+     * Each run works for a limited time and saves a checkpoint after every
+     * step. When the time is up another full sync task is queued, which
+     * carries on from the checkpoint.
+     *
      * @since    1.0.0
      * @param    object    $task    The task object.
      * @return   boolean            True on success, false on failure.
      */
     protected function process_full_sync_task($task) {
         try {
-            $this->logger->info("Starting full synchronization process", [
+            $data = maybe_unserialize($task->data);
+            $checkpoint = $this->checkpoint->get();
+            
+            if (!$checkpoint || empty($data['run_id']) || $checkpoint['run_id'] !== $data['run_id']) {
+                $this->logger->info("Full sync task skipped, its sync was cancelled", [
+                    'task_id' => $task->id
+                ]);
+                return true;
+            }
+            
+            if ($checkpoint['status'] === 'paused') {
+                $this->logger->info("Full sync is paused, waiting to be resumed", [
+                    'task_id' => $task->id,
+                    'phase' => $checkpoint['phase']
+                ]);
+                return true;
+            }
+            
+            $this->logger->info(!empty($data['resume']) ? "Resuming full synchronization from checkpoint" : "Starting full synchronization process", [
                 'task_id' => $task->id,
-                'started_at' => isset($task->data['started_at']) ? $task->data['started_at'] : current_time('mysql')
+                'run_id' => $checkpoint['run_id'],
+                'phase' => $checkpoint['phase'],
+                'plan_id' => !empty($checkpoint['plan_id']) ? $checkpoint['plan_id'] : 'none',
+                'started_at' => $checkpoint['started_at']
             ]);
             
-            // Get all FileBird folders
-            if (!class_exists('FileBird\\Model\\Folder')) {
-                throw new Exception("FileBird plugin not detected");
-            }
+            $deadline = microtime(true) + $this->full_sync_time_limit;
+            $planner = $this->get_sync_planner();
             
-            // Get all folders from FileBird
-            $filebird_folders = \FileBird\Model\Folder::getFolders();
+            if ($checkpoint['phase'] === 'listing') {
+                $checkpoint = $this->run_listing_phase($checkpoint, $planner, $deadline);
+            }
             
-            if (empty($filebird_folders)) {
-                $this->logger->info("No FileBird folders found to sync");
-                return true; // No folders to sync is still a successful sync
+            if ($this->is_full_sync_running($checkpoint, 'planning')) {
+                $checkpoint = $this->run_planning_phase($checkpoint, $planner, $deadline);
             }
             
-            $this->logger->info("Found FileBird folders to sync", [
-                'folder_count' => count($filebird_folders)
-            ]);
+            if ($this->is_full_sync_running($checkpoint, 'enqueueing')) {
+                $checkpoint = $this->run_enqueue_phase($checkpoint, $planner, $deadline);
+            }
             
-            // Process each folder
-            $db = new FDS_DB();
-            $root_folder = get_option('fds_root_dropbox_folder', '/Website');
-            
-            // Add root folder task first
-            $db->add_to_sync_queue(
-                'create',
-                'folder',
-                '0', // Root folder ID
-                'wordpress_to_dropbox',
-                array(
-                    'folder_id' => 0,
-                    'folder_name' => basename($root_folder),
-                    'folder_path' => $root_folder,
-                ),
-                2 // High priority
-            );
+            // Paused or cancelled while this task was running
+            if (!$checkpoint || $checkpoint['status'] !== 'running') {
+                $this->logger->info("Full sync stopped at checkpoint", [
+                    'task_id' => $task->id,
+                    'phase' => $checkpoint ? $checkpoint['phase'] : 'cancelled'
+                ]);
+                return true;
+            }
             
-            // Queue folder sync tasks (creates or updates for folders)
-            foreach ($filebird_folders as $folder) {
-                $folder_id = $folder->id;
-                $folder_path = $this->folder_sync->get_dropbox_path_for_filebird_folder($folder_id);
-                
-                if (!$folder_path) {
-                    $this->logger->warning("Failed to determine Dropbox path for folder", [
-                        'folder_id' => $folder_id,
-                        'folder_name' => $folder->name
-                    ]);
-                    continue;
-                }
-                
-                // Add folder task
-                $db->add_to_sync_queue(
-                    'create',
-                    'folder',
-                    (string) $folder_id,
-                    'wordpress_to_dropbox',
-                    array(
-                        'folder_id' => $folder_id,
-                        'folder_name' => $folder->name,
-                        'folder_path' => $folder_path,
-                    ),
-                    3 // Moderate priority
-                );
+            if ($checkpoint['phase'] === 'processing') {
+                $this->logger->info("Full sync task processed successfully, queued all changes for sync", [
+                    'items' => $checkpoint['total']
+                ]);
+            } else {
+                // Out of time, carry on from the checkpoint in the next run
+                $this->queue_full_sync_task($checkpoint['run_id'], true);
                 
-                // Get files in the folder
-                if (class_exists('FileBird\\Model\\Folder')) {
-                    $args = array(
-                        'post_type' => 'attachment',
-                        'posts_per_page' => -1,
-                        'post_status' => 'inherit',
-                        'fields' => 'ids',
-                        'meta_query' => array(
-                            array(
-                                'key' => '_wp_attached_file',
-                                'compare' => 'EXISTS',
-                            ),
-                        )
-                    );
-                    
-                    // Get attachment IDs in this folder
-                    $attachment_ids = \FileBird\Model\Folder::getAttachmentIdsByFolderId($folder_id);
-                    
-                    if (!empty($attachment_ids)) {
-                        $this->logger->info("Found files to sync in folder", [
-                            'folder_id' => $folder_id,
-                            'file_count' => count($attachment_ids)
-                        ]);
-                        
-                        // Queue file sync tasks
-                        foreach ($attachment_ids as $attachment_id) {
-                            // Add file task
-                            $file_path = get_attached_file($attachment_id);
-                            if (!$file_path || !file_exists($file_path)) {
-                                continue;
-                            }
-                            
-                            $dropbox_path = $this->file_sync->get_dropbox_path_for_attachment($attachment_id, $folder_id);
-                            
-                            if (!$dropbox_path) {
-                                continue;
-                            }
-                            
-                            $db->add_to_sync_queue(
-                                'create',
-                                'file',
-                                (string) $attachment_id,
-                                'wordpress_to_dropbox',
-                                array(
-                                    'attachment_id' => $attachment_id,
-                                    'local_path' => $file_path,
-                                    'dropbox_path' => $dropbox_path,
-                                    'folder_id' => $folder_id,
-                                ),
-                                4 // Lower priority than folders
-                            );
-                        }
-                    }
-                }
+                $this->logger->info("Full sync checkpoint saved, continuing in the next run", [
+                    'phase' => $checkpoint['phase'],
+                    'listed' => $checkpoint['listed'],
+                    'queued' => $checkpoint['queued'],
+                    'total' => $checkpoint['total']
+                ]);
             }
             
             // Force immediate processing of next batch
             $this->schedule_next_run();
             
-            $this->logger->info("Full sync task processed successfully, queued all folders and files for sync");
             return true;
         } catch (Exception $e) {
             $this->logger->error("Full sync task failed", [
@@ -554,6 +801,444 @@ class FDS_Queue {
         }
     }
 
+    /**
+     * List Dropbox page by page until done or out of time.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array               $checkpoint    The checkpoint.
+     * @param    FDS_Sync_Planner    $planner       The sync planner.
+     * @param    float               $deadline      Microtime at which to stop.
+     * @return   array                              The updated checkpoint.
+     */
+    protected function run_listing_phase($checkpoint, $planner, $deadline) {
+        if (empty($checkpoint['roots'])) {
+            // Mapped paths outside the root folder are listed separately
+            $root_mappings = new FDS_Root_Mappings();
+            $checkpoint['roots'] = array_merge(
+                array(get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER)),
+                $root_mappings->get_external_paths()
+            );
+        }
+        
+        while ($checkpoint['root_index'] < count($checkpoint['roots'])) {
+            if ($this->is_full_sync_stopped($checkpoint['run_id'])) {
+                return $this->checkpoint->get();
+            }
+            
+            $root = $checkpoint['roots'][$checkpoint['root_index']];
+            $page = $planner->list_dropbox_page($root, $checkpoint['cursor'], $checkpoint['root_index'] > 0);
+            
+            if (is_wp_error($page)) {
+                throw new Exception("Failed to list Dropbox folder " . $root . ": " . $page->get_error_message());
+            }
+            
+            // Each page is stored on its own, the listing is never rewritten
+            if (!$planner->store_listing_page($checkpoint['run_id'], $page['entries'])) {
+                throw new Exception("Failed to store the Dropbox listing of " . $root);
+            }
+            
+            if ($page['has_more']) {
+                $checkpoint['cursor'] = $page['cursor'];
+            } else {
+                $checkpoint['root_index']++;
+                $checkpoint['cursor'] = '';
+            }
+            
+            $checkpoint['listed'] += count($page['entries']);
+            $checkpoint = $this->checkpoint->save($checkpoint);
+            
+            if (microtime(true) >= $deadline) {
+                return $checkpoint;
+            }
+        }
+        
+        $checkpoint['phase'] = 'planning';
+        
+        return $this->checkpoint->save($checkpoint);
+    }
+
+    /**
+     * Plan the changes in batches until done or out of time.
+     *
+     * The planned items are added to the plan as they are found, so a run
+     * only holds one batch of the listing in memory.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array               $checkpoint    The checkpoint.
+     * @param    FDS_Sync_Planner    $planner       The sync planner.
+     * @param    float               $deadline      Microtime at which to stop.
+     * @return   array                              The updated checkpoint.
+     */
+    protected function run_planning_phase($checkpoint, $planner, $deadline) {
+        if (!class_exists('FileBird\\Model\\Folder')) {
+            throw new Exception("FileBird plugin not detected");
+        }
+        
+        if (empty($checkpoint['planning'])) {
+            $checkpoint['planning'] = $planner->start_planning($checkpoint['run_id']);
+            $checkpoint['plan_id'] = $checkpoint['planning']['plan_id'];
+            $checkpoint = $this->checkpoint->save($checkpoint);
+        }
+        
+        $batch_size = 500;
+        
+        while ($checkpoint['planning']['step'] !== 'done') {
+            if ($this->is_full_sync_stopped($checkpoint['run_id'])) {
+                return $this->checkpoint->get();
+            }
+            
+            $state = $checkpoint['planning'];
+            $items = $planner->plan_batch($state, $batch_size);
+            
+            if (!$planner->add_plan_items($checkpoint['plan_id'], $items)) {
+                throw new Exception("Failed to store the full sync plan");
+            }
+            
+            $checkpoint['planning'] = $state;
+            $checkpoint['total'] += count($items);
+            $checkpoint = $this->checkpoint->save($checkpoint);
+            
+            if (microtime(true) >= $deadline && $checkpoint['planning']['step'] !== 'done') {
+                return $checkpoint;
+            }
+        }
+        
+        $plan = $planner->finish_plan($checkpoint['plan_id']);
+        $planner->delete_listing($checkpoint['run_id']);
+        
+        $this->logger->info("Full sync plan built", [
+            'run_id' => $checkpoint['run_id'],
+            'items' => $plan['total']
+        ]);
+        
+        $checkpoint['planning'] = array();
+        $checkpoint['phase'] = 'enqueueing';
+        $checkpoint['total'] = $plan['total'];
+        
+        return $this->checkpoint->save($checkpoint);
+    }
+
+    /**
+     * Queue the planned changes in batches until done or out of time.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array               $checkpoint    The checkpoint.
+     * @param    FDS_Sync_Planner    $planner       The sync planner.
+     * @param    float               $deadline      Microtime at which to stop.
+     * @return   array                              The updated checkpoint.
+     */
+    protected function run_enqueue_phase($checkpoint, $planner, $deadline) {
+        $plan = $planner->get_plan($checkpoint['plan_id']);
+        
+        if (!$plan) {
+            // Nothing can be queued without the plan, so the sync ends here
+            $this->checkpoint->clear();
+            $this->history->finish('cancelled');
+            
+            $this->logger->error("Full sync stopped, its sync plan has expired or was deleted", [
+                'run_id' => $checkpoint['run_id'],
+                'plan_id' => $checkpoint['plan_id'],
+                'queued' => $checkpoint['queued']
+            ]);
+            
+            return null;
+        }
+        
+        if (!$checkpoint['total']) {
+            $checkpoint['total'] = intval($plan['total']);
+            $checkpoint = $this->checkpoint->save($checkpoint);
+        }
+        
+        $batch_size = 100;
+        
+        while ($checkpoint['queued'] < $checkpoint['total']) {
+            if ($this->is_full_sync_stopped($checkpoint['run_id'])) {
+                return $this->checkpoint->get();
+            }
+            
+            $batch = $planner->get_plan_items($checkpoint['plan_id'], $batch_size, $checkpoint['queued']);
+            
+            if (empty($batch)) {
+                break;
+            }
+            
+            $planner->enqueue_plan(array('items' => $batch), $checkpoint['run_id']);
+            
+            $checkpoint['queued'] += count($batch);
+            $checkpoint = $this->checkpoint->save($checkpoint);
+            
+            if (microtime(true) >= $deadline && $checkpoint['queued'] < $checkpoint['total']) {
+                return $checkpoint;
+            }
+        }
+        
+        // The plan is queued, the checkpoint stays until the queue has worked through it
+        $planner->delete_plan($checkpoint['plan_id']);
+        $checkpoint['plan_id'] = '';
+        $checkpoint['phase'] = 'processing';
+        
+        return $this->checkpoint->save($checkpoint);
+    }
+
+    /**
+     * Check whether this run reached a transfer limit.
+     *
+     * The run then ends instead of waiting while it holds the queue lock,
+     * and the queue is held back until the limit allows transfers again.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   boolean    True if no more tasks should be processed in this run.
+     */
+    protected function is_throttled() {
+        $throttle = $this->schedule->get_throttle($this->logger);
+        
+        if (!$throttle->is_exceeded()) {
+            return false;
+        }
+        
+        $this->schedule->hold_until($throttle->get_resume_time());
+        
+        return true;
+    }
+
+    /**
+     * Get the run whose tasks are held back because its full sync is paused.
+     *
+     * Uploads, webhook changes and other tasks keep running meanwhile.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   string    The paused full sync run ID, or empty if no full sync is paused.
+     */
+    protected function get_paused_run_id() {
+        $checkpoint = $this->checkpoint->get();
+        
+        return $checkpoint && $checkpoint['status'] === 'paused' ? $checkpoint['run_id'] : '';
+    }
+
+    /**
+     * Check whether a full sync is running and in a phase.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array|null    $checkpoint    The checkpoint.
+     * @param    string        $phase         The phase.
+     * @return   boolean                      True if the checkpoint is running in the phase.
+     */
+    protected function is_full_sync_running($checkpoint, $phase) {
+        return $checkpoint && $checkpoint['status'] === 'running' && $checkpoint['phase'] === $phase;
+    }
+
+    /**
+     * Check whether a full sync was paused or cancelled in the meantime.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $run_id    The full sync run ID.
+     * @return   boolean              True if the stored checkpoint no longer runs this sync.
+     */
+    protected function is_full_sync_stopped($run_id) {
+        $checkpoint = $this->checkpoint->get();
+        
+        return !$checkpoint || $checkpoint['run_id'] !== $run_id || $checkpoint['status'] !== 'running';
+    }
+
+    /**
+     * Queue a task that runs the next part of a full sync.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string     $run_id    The full sync run ID.
+     * @param    boolean    $resume    Whether the task carries on from a checkpoint.
+     */
+    protected function queue_full_sync_task($run_id, $resume) {
+        $db = new FDS_DB();
+        
+        $db->add_to_sync_queue(
+            'full_sync',
+            'system',
+            'full_sync',
+            'wordpress_to_dropbox',
+            array(
+                'run_id' => $run_id,
+                'resume' => $resume,
+            ),
+            1 // Highest priority
+        );
+    }
+
+    /**
+     * Resume a full sync whose task was interrupted.
+     *
+     * A task that is still processing after the lock time was cut off by a
+     * timeout, and a missing task means the plugin was deactivated or the
+     * queue was cleaned up. A failed task waits for the admin to resume or
+     * cancel the sync.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    FDS_DB    $db    The database instance.
+     */
+    protected function maybe_resume_full_sync($db) {
+        $checkpoint = $this->checkpoint->get();
+        
+        if (!$checkpoint || $checkpoint['status'] !== 'running' || $checkpoint['phase'] === 'processing') {
+            return;
+        }
+        
+        $task = $db->get_latest_task_for_item('system', 'full_sync');
+        
+        if ($task && in_array($task->status, array('pending', 'failed'), true)) {
+            return;
+        }
+        
+        if ($task && $task->status === 'processing') {
+            if (strtotime($task->updated_at) > current_time('timestamp') - $this->lock_time) {
+                return;
+            }
+            
+            $db->update_task_status($task->id, 'cancelled', 'Interrupted, resumed from checkpoint');
+        }
+        
+        $this->queue_full_sync_task($checkpoint['run_id'], true);
+        
+        $this->logger->warning("Full sync was interrupted, resuming from checkpoint", [
+            'run_id' => $checkpoint['run_id'],
+            'phase' => $checkpoint['phase'],
+            'checkpoint_at' => $checkpoint['updated_at']
+        ]);
+    }
+
+    /**
+     * Remove the checkpoint once the queue has worked through a full sync.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $counts    The queue status counts.
+     */
+    protected function maybe_finish_full_sync($counts) {
+        $checkpoint = $this->checkpoint->get();
+        
+        if (!$checkpoint || $checkpoint['phase'] !== 'processing' || $counts['pending'] + $counts['processing'] > 0) {
+            return;
+        }
+        
+        $this->checkpoint->clear();
+        
+        $this->logger->info("Full sync finished", [
+            'run_id' => $checkpoint['run_id'],
+            'items' => $checkpoint['total'],
+            'started_at' => $checkpoint['started_at']
+        ]);
+    }
+
+    /**
+     * Pause the current full sync.
+     *
+     * Listing and planning stop at the next checkpoint and the changes the
+     * sync queued are held back until it is resumed. Other tasks keep running.
+     *
+     * @since    1.0.0
+     * @return   boolean    True if a full sync was paused.
+     */
+    public function pause_full_sync() {
+        $checkpoint = $this->checkpoint->get();
+        
+        if (!$checkpoint || $checkpoint['status'] === 'paused') {
+            return false;
+        }
+        
+        $this->checkpoint->set_status('paused');
+        
+        $this->logger->info("Full sync paused", [
+            'run_id' => $checkpoint['run_id'],
+            'phase' => $checkpoint['phase']
+        ]);
+        
+        return true;
+    }
+
+    /**
+     * Resume a paused or stopped full sync from its checkpoint.
+     *
+     * @since    1.0.0
+     * @return   boolean    True if a full sync was resumed.
+     */
+    public function resume_full_sync() {
+        $checkpoint = $this->checkpoint->set_status('running');
+        
+        if (!$checkpoint) {
+            return false;
+        }
+        
+        if ($checkpoint['phase'] !== 'processing') {
+            $this->queue_full_sync_task($checkpoint['run_id'], true);
+        }
+        
+        $this->logger->info("Full sync resumed", [
+            'run_id' => $checkpoint['run_id'],
+            'phase' => $checkpoint['phase']
+        ]);
+        
+        wp_schedule_single_event(time(), 'fds_process_queue');
+        
+        return true;
+    }
+
+    /**
+     * Cancel the current full sync and the changes it queued that haven't run yet.
+     *
+     * @since    1.0.0
+     * @return   int|false    The number of cancelled tasks, false if no full sync is in progress.
+     */
+    public function cancel_full_sync() {
+        $checkpoint = $this->checkpoint->get();
+        
+        if (!$checkpoint) {
+            return false;
+        }
+        
+        $db = new FDS_DB();
+        $cancelled = intval($db->cancel_sync_run_tasks($checkpoint['run_id']));
+        
+        $planner = $this->get_sync_planner();
+        $planner->delete_listing($checkpoint['run_id']);
+        
+        if (!empty($checkpoint['plan_id'])) {
+            $planner->delete_plan($checkpoint['plan_id']);
+        }
+        
+        $this->checkpoint->clear();
+        $this->history->finish('cancelled');
+        
+        $this->logger->info("Full sync cancelled", [
+            'run_id' => $checkpoint['run_id'],
+            'phase' => $checkpoint['phase'],
+            'cancelled_tasks' => $cancelled
+        ]);
+        
+        return $cancelled;
+    }
+
+    /**
+     * Get the sync planner, creating one if it was not injected.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   FDS_Sync_Planner    The sync planner instance.
+     */
+    protected function get_sync_planner() {
+        if (!$this->sync_planner) {
+            $this->sync_planner = new FDS_Sync_Planner(new FDS_Dropbox_API(new FDS_Settings()), new FDS_DB(), $this->logger);
+        }
+        
+        return $this->sync_planner;
+    }
+
     /**
      * Handle AJAX request for manual sync.
      *
@@ -615,6 +1300,121 @@ class FDS_Queue {
         ));
     }
 
+    /**
+     * Get a snapshot of the sync progress.
+     *
+     * Throughput is measured over the last few minutes of completed tasks and
+     * the ETA is derived from it, so both settle once a sync has been running
+     * for a little while.
+     *
+     * @since    1.0.0
+     * @return   array    Queue counts, current items, throughput and ETA.
+     */
+    public function get_progress() {
+        $db = new FDS_DB();
+        $counts = $db->get_queue_status_counts();
+        $window = 120; // seconds
+        
+        $completed_recently = $db->count_tasks_completed_since(gmdate('Y-m-d H:i:s', current_time('timestamp') - $window));
+        $throughput = round($completed_recently / ($window / 60), 1); // tasks per minute
+        $remaining = $counts['pending'] + $counts['processing'];
+        
+        $this->maybe_finish_full_sync($counts);
+        $full_sync = $this->checkpoint->get_status();
+        
+        $current = array();
+        
+        foreach ($db->get_queue_tasks(array('status' => 'processing'), 5) as $task) {
+            $current[] = $this->format_progress_task($task);
+        }
+        
+        return array(
+            'total' => $counts['total'],
+            'pending' => $counts['pending'],
+            'processing' => $counts['processing'],
+            'completed' => $counts['completed'],
+            'failed' => $counts['failed'],
+            'is_processing' => get_transient('fds_queue_lock') ? true : false,
+            'is_running' => $remaining > 0 || ($full_sync && $full_sync['status'] === 'running'),
+            'full_sync' => $full_sync,
+            'current' => $current,
+            'throughput' => $throughput,
+            'eta_seconds' => $remaining > 0 && $throughput > 0 ? intval(ceil($remaining / $throughput * 60)) : null,
+            'generated_at' => current_time('mysql'),
+        );
+    }
+
+    /**
+     * Get the tasks that finished after a cursor, for progress updates.
+     *
+     * @since    1.0.0
+     * @param    string    $cursor    The cursor of the last task seen, or a MySQL datetime.
+     * @param    int       $limit     The maximum number of tasks to get.
+     * @return   array                Formatted tasks, oldest first.
+     */
+    public function get_finished_tasks($cursor, $limit = 20) {
+        $db = new FDS_DB();
+        $parts = explode('|', $cursor, 2);
+        
+        return array_map(
+            array($this, 'format_progress_task'),
+            $db->get_tasks_finished_since($parts[0], isset($parts[1]) ? intval($parts[1]) : 0, $limit)
+        );
+    }
+
+    /**
+     * Get the cursor that continues after a finished task.
+     *
+     * @since    1.0.0
+     * @param    array     $task    A task formatted for progress updates.
+     * @return   string             The finish time and ID of the task.
+     */
+    public function get_progress_cursor($task) {
+        return $task['updated_at'] . '|' . $task['id'];
+    }
+
+    /**
+     * Format a queue task for progress updates.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    object    $task    The task object.
+     * @return   array              The task ID, a readable name and its state.
+     */
+    protected function format_progress_task($task) {
+        $data = maybe_unserialize($task->data);
+        $label = $task->item_type . ' #' . $task->item_id;
+        
+        if ($task->item_type === 'system') {
+            $labels = array(
+                'duplicates_scan' => __('Scanning for duplicates', 'filebird-dropbox-sync'),
+                'sync_preview' => __('Previewing full sync', 'filebird-dropbox-sync'),
+                'reconcile' => __('Reconciling file mappings', 'filebird-dropbox-sync'),
+            );
+            $label = isset($labels[$task->action]) ? $labels[$task->action] : __('Planning full sync', 'filebird-dropbox-sync');
+        } elseif (!empty($data['folder_name'])) {
+            $label = $data['folder_name'];
+        } else {
+            foreach (array('new_path', 'dropbox_path', 'folder_path', 'local_path') as $key) {
+                if (!empty($data[$key])) {
+                    $label = basename($data[$key]);
+                    break;
+                }
+            }
+        }
+        
+        return array(
+            'id' => intval($task->id),
+            'label' => $label,
+            'action' => $task->action,
+            'item_type' => $task->item_type,
+            'direction' => $task->direction,
+            'status' => $task->status,
+            'error' => $task->status === 'failed' ? $task->error_message : '',
+            'updated_at' => $task->updated_at,
+        );
+    }
+
         /**
      * Process queue items for a specific worker.
      *
@@ -628,6 +1428,10 @@ class FDS_Queue {
             return;
         }
         
+        if (!$this->schedule->is_open() || $this->schedule->get_seconds_until_released() > 0) {
+            return;
+        }
+        
         // Get worker-specific lock
         if (!$this->get_worker_lock($worker_id)) {
             return;
@@ -644,27 +1448,43 @@ class FDS_Queue {
             return;
         }
         
+        $failure_count = 0;
+        $actions = array();
+        
         foreach ($items as $item) {
+            if ($this->is_throttled()) {
+                break;
+            }
+            
             // Mark as processing
             $db->update_task_status($item->id, 'processing');
             
             // Process the item
             $success = $this->process_item($item);
             
+            // Cancelled tasks already have their status
+            if ($success === null) {
+                continue;
+            }
+            
             // Update status
             if ($success) {
                 $db->update_task_status($item->id, 'completed');
+                $actions = $this->count_action($actions, $item);
             } else {
                 // If max retries reached, mark as failed
                 $max_retries = get_option('fds_max_retries', 5);
                 if ($item->attempts >= $max_retries) {
                     $db->update_task_status($item->id, 'failed', 'Max retry attempts reached');
+                    $failure_count++;
                 } else {
                     $db->update_task_status($item->id, 'pending', 'Will retry later');
                 }
             }
         }
         
+        $this->history->record_batch($actions, $failure_count);
+        
         // Release lock
         $this->release_worker_lock($worker_id);
     }
@@ -711,6 +1531,13 @@ class FDS_Queue {
         
         $table_name = $wpdb->prefix . 'fds_sync_queue';
         $max_retries = get_option('fds_max_retries', 5);
+        $paused_run_id = $this->get_paused_run_id();
+        $held = '';
+        
+        if ($paused_run_id !== '') {
+            $db = new FDS_DB();
+            $held = $wpdb->prepare("AND data NOT LIKE %s", $db->get_run_id_like($paused_run_id));
+        }
         
         return $wpdb->get_results(
             $wpdb->prepare(
@@ -718,6 +1545,7 @@ class FDS_Queue {
                 WHERE status = 'pending' 
                 AND attempts < %d 
                 AND (worker_id = 0 OR worker_id = %d)
+                $held
                 ORDER BY priority ASC, created_at ASC 
                 LIMIT %d",
                 $max_retries,
@@ -731,9 +1559,10 @@ class FDS_Queue {
      * Start a full sync between WordPress and Dropbox.
      *
      * @since    1.0.0
-     * @return   boolean    True if sync was started successfully, false otherwise.
+     * @param    string     $plan_id    Optional ID of a previewed plan to run instead of planning afresh.
+     * @return   boolean                True if sync was started successfully, false otherwise.
      */
-    public function start_full_sync() {
+    public function start_full_sync($plan_id = '') {
         // Check if sync is enabled
         if (!get_option('fds_sync_enabled', false)) {
             $this->logger->warning("Cannot start full sync - sync is not enabled");
@@ -747,21 +1576,27 @@ class FDS_Queue {
             return false;
         }
         
-        // Queue the sync task
-        $db = new FDS_DB();
+        if ($this->checkpoint->get()) {
+            $this->logger->warning("Cannot start full sync - another full sync is in progress");
+            return false;
+        }
         
-        $db->add_to_sync_queue(
-            'full_sync',
-            'system',
-            'full_sync',
-            'wordpress_to_dropbox',
-            array(
-                'started_at' => current_time('mysql'),
-            ),
-            1 // Highest priority
-        );
+        // An approved plan is kept until it has been queued
+        if ($plan_id && !$this->get_sync_planner()->keep_plan($plan_id)) {
+            $this->logger->warning("Cannot start full sync - the approved sync plan has expired", array(
+                'plan_id' => $plan_id
+            ));
+            return false;
+        }
         
-        $this->logger->info("Full sync queued");
+        // Queue the sync task
+        $checkpoint = $this->checkpoint->start($plan_id);
+        $this->queue_full_sync_task($checkpoint['run_id'], false);
+        $this->history->start('manual', $checkpoint['run_id']);
+        
+        $this->logger->info("Full sync queued", array(
+            'plan_id' => $plan_id ? $plan_id : 'none'
+        ));
         
         // Trigger an immediate cron event to start processing
         wp_schedule_single_event(time(), 'fds_process_queue');
@@ -837,17 +1672,21 @@ class FDS_Queue {
 
     /**
      * Schedule the next queue processing run.
+     *
+     * Outside the sync windows the run is scheduled for when the next window opens.
      */
     protected function schedule_next_run() {
+        $timestamp = time() + max(30, $this->schedule->get_seconds_until_open(), $this->schedule->get_seconds_until_released());
+        
         // If Action Scheduler is available, use it
         if (class_exists('ActionScheduler') && function_exists('as_schedule_single_action')) {
             if (!as_next_scheduled_action('fds_process_queue')) {
-                as_schedule_single_action(time() + 30, 'fds_process_queue');
+                as_schedule_single_action($timestamp, 'fds_process_queue');
             }
         } else {
             // Otherwise use WP-Cron
             if (!wp_next_scheduled('fds_process_queue')) {
-                wp_schedule_single_event(time() + 30, 'fds_process_queue');
+                wp_schedule_single_event($timestamp, 'fds_process_queue');
             }
         }
     }
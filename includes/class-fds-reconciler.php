@@ -0,0 +1,746 @@
+<?php
+/**
+ * Cross-checks the file mappings against WordPress and Dropbox.
+ *
+ * Mappings go stale when an attachment or a Dropbox file disappears without
+ * the plugin noticing. Reconciling looks every mapping up by attachment,
+ * Dropbox file ID, path and content hash, and keeps a report of the problems
+ * found so they can be repaired, relinked or purged in bulk. Reconciling
+ * runs in the queue in batches, like a full sync.
+ *
+ * @since      1.0.0
+ */
+class FDS_Reconciler {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * The sync planner instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Planner    $planner    Lists the Dropbox folders.
+     */
+    protected $planner;
+
+    /**
+     * The root mappings instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Root_Mappings    $root_mappings    Folders mapped to their own Dropbox paths.
+     */
+    protected $root_mappings;
+
+    /**
+     * How many file mappings a run checks per batch.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $check_batch_size    Mappings per batch.
+     */
+    protected $check_batch_size = 50;
+
+    /**
+     * How many stored issues a run reads per batch for the report.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $report_batch_size    Rows per batch.
+     */
+    protected $report_batch_size = 500;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $db, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+        $this->planner = new FDS_Sync_Planner($dropbox_api, $db, $logger);
+        $this->root_mappings = new FDS_Root_Mappings();
+    }
+
+    /**
+     * Get the problem types and what can be done about them.
+     *
+     * @since    1.0.0
+     * @return   array    Label, description and operations keyed by type.
+     */
+    public static function get_problem_types() {
+        return array(
+            'attachment_missing' => array(
+                'label' => __('Attachment deleted', 'filebird-dropbox-sync'),
+                'description' => __('The attachment no longer exists in WordPress.', 'filebird-dropbox-sync'),
+                'operations' => array('purge'),
+            ),
+            'dropbox_missing' => array(
+                'label' => __('Missing in Dropbox', 'filebird-dropbox-sync'),
+                'description' => __('The Dropbox file no longer exists. Repairing uploads it again.', 'filebird-dropbox-sync'),
+                'operations' => array('repair', 'purge'),
+            ),
+            'moved_in_dropbox' => array(
+                'label' => __('Moved in Dropbox', 'filebird-dropbox-sync'),
+                'description' => __('The Dropbox file is at another path. Relinking updates the path.', 'filebird-dropbox-sync'),
+                'operations' => array('relink', 'purge'),
+            ),
+            'replaced_in_dropbox' => array(
+                'label' => __('Replaced in Dropbox', 'filebird-dropbox-sync'),
+                'description' => __('Another Dropbox file is at the mapped path. Relinking links the attachment to it.', 'filebird-dropbox-sync'),
+                'operations' => array('relink', 'purge'),
+            ),
+            'found_by_hash' => array(
+                'label' => __('Found by content', 'filebird-dropbox-sync'),
+                'description' => __('The Dropbox file is gone, but a file with the same content exists elsewhere. Relinking links the attachment to it.', 'filebird-dropbox-sync'),
+                'operations' => array('relink', 'repair', 'purge'),
+            ),
+            'local_file_missing' => array(
+                'label' => __('Missing in WordPress', 'filebird-dropbox-sync'),
+                'description' => __('The attachment exists but its file is missing from the uploads folder. Repairing downloads it from Dropbox.', 'filebird-dropbox-sync'),
+                'operations' => array('repair', 'purge'),
+            ),
+            'file_lost' => array(
+                'label' => __('Missing on both sides', 'filebird-dropbox-sync'),
+                'description' => __('Neither WordPress nor Dropbox has the file any more.', 'filebird-dropbox-sync'),
+                'operations' => array('purge'),
+            ),
+        );
+    }
+
+    /**
+     * Start reconciling every file mapping, replacing a run that is still going.
+     *
+     * The run works in the queue in batches, see run().
+     *
+     * @since    1.0.0
+     * @return   array|WP_Error    The run progress or an error.
+     */
+    public function start() {
+        $previous = $this->get_run_state();
+
+        if ($previous) {
+            $this->delete_run_data($previous['run_id']);
+        }
+
+        $counts = $this->db->count_mappings();
+        $state = array(
+            'run_id' => strtolower(wp_generate_password(12, false)),
+            'status' => 'running',
+            'phase' => 'listing',
+            'roots' => array_merge(array(get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER)), $this->root_mappings->get_external_paths()),
+            'root_index' => 0,
+            'cursor' => '',
+            'listed' => 0,
+            'after_id' => 0,
+            'checked' => 0,
+            'total' => $counts['files'],
+            'error' => '',
+            'started_at' => current_time('mysql'),
+        );
+
+        update_option('fds_reconcile_run', $state, false);
+
+        if ($this->queue_run_task($state['run_id']) === false) {
+            delete_option('fds_reconcile_run');
+            return new WP_Error('fds_queue_failed', __('The reconciliation could not be added to the queue.', 'filebird-dropbox-sync'));
+        }
+
+        if (!wp_next_scheduled('fds_process_queue')) {
+            wp_schedule_single_event(time(), 'fds_process_queue');
+        }
+
+        $this->logger->info("Reconciliation queued", array(
+            'run_id' => $state['run_id'],
+            'mappings' => $state['total']
+        ));
+
+        return $this->get_progress();
+    }
+
+    /**
+     * Get the progress of the current run.
+     *
+     * @since    1.0.0
+     * @return   array    Whether a run is going or failed, its counts and a message.
+     */
+    public function get_progress() {
+        $state = $this->get_run_state();
+
+        if (!$state) {
+            return array(
+                'running' => false,
+                'failed' => false,
+                'phase' => '',
+                'listed' => 0,
+                'checked' => 0,
+                'total' => 0,
+                'message' => '',
+            );
+        }
+
+        if ($state['status'] === 'failed') {
+            /* translators: %s: error message */
+            $message = sprintf(__('The reconciliation failed: %s', 'filebird-dropbox-sync'), $state['error']);
+        } elseif ($state['phase'] === 'listing') {
+            /* translators: %d: number of Dropbox files */
+            $message = sprintf(__('Listing Dropbox files, %d so far...', 'filebird-dropbox-sync'), $state['listed']);
+        } elseif ($state['phase'] === 'checking') {
+            /* translators: 1: number of mappings checked, 2: number of mappings */
+            $message = sprintf(__('Checking file mappings, %1$d of %2$d checked...', 'filebird-dropbox-sync'), $state['checked'], $state['total']);
+        } else {
+            $message = __('Saving the report...', 'filebird-dropbox-sync');
+        }
+
+        return array(
+            'running' => $state['status'] === 'running',
+            'failed' => $state['status'] === 'failed',
+            'phase' => $state['phase'],
+            'listed' => $state['listed'],
+            'checked' => $state['checked'],
+            'total' => $state['total'],
+            'message' => $message,
+        );
+    }
+
+    /**
+     * Carry on with a run until it is done or out of time.
+     *
+     * The Dropbox files are listed page by page, then the file mappings are
+     * checked in batches and the report is saved. Listed files are kept in
+     * the sync listing table under the run ID, and again under the run ID
+     * with an _ids suffix keyed by Dropbox file ID and with a _hashes suffix
+     * grouped by content hash. Issues are kept under the _issues suffix
+     * until the report is saved.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id      The run the queue task was added for.
+     * @param    float     $deadline    Microtime at which to stop.
+     * @return   boolean|WP_Error       True if the run finished or was replaced, false if it needs another run, or an error.
+     */
+    public function run($run_id, $deadline) {
+        $state = $this->get_run_state();
+
+        if (!$state || $state['run_id'] !== $run_id || $state['status'] !== 'running') {
+            return true;
+        }
+
+        while (microtime(true) < $deadline) {
+            if ($state['phase'] === 'listing') {
+                $state = $this->list_page($state);
+            } elseif ($state['phase'] === 'checking') {
+                $state = $this->check_batch($state);
+            } else {
+                $state = $this->save_report($state);
+            }
+
+            // Another run was started while this batch ran
+            $current = $this->get_run_state();
+
+            if (!$current || $current['run_id'] !== $run_id) {
+                return true;
+            }
+
+            if (is_wp_error($state)) {
+                $current['status'] = 'failed';
+                $current['error'] = $state->get_error_message();
+                update_option('fds_reconcile_run', $current, false);
+                $this->delete_run_data($run_id);
+
+                $this->logger->error("Reconciliation failed", array(
+                    'run_id' => $run_id,
+                    'phase' => $current['phase'],
+                    'error' => $current['error']
+                ));
+
+                return $state;
+            }
+
+            if ($state['phase'] === 'done') {
+                $this->delete_run_data($run_id);
+                delete_option('fds_reconcile_run');
+                return true;
+            }
+
+            update_option('fds_reconcile_run', $state, false);
+        }
+
+        return false;
+    }
+
+    /**
+     * Queue another run of a reconciliation.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The run ID.
+     * @return   int|false            The task ID or false on error.
+     */
+    public function queue_run_task($run_id) {
+        return $this->db->add_to_sync_queue('reconcile', 'system', 'reconcile', 'wordpress_to_dropbox', array(
+            'run_id' => $run_id,
+        ), 1);
+    }
+
+    /**
+     * Get a page of the last report.
+     *
+     * @since    1.0.0
+     * @param    string    $type      Only issues of this problem type, or empty for all.
+     * @param    int       $limit     The maximum number of issues to get.
+     * @param    int       $offset    The offset for pagination.
+     * @return   array                Generated at, checked, a count per type, the issues and their total.
+     */
+    public function get_report($type = '', $limit = 20, $offset = 0) {
+        $report = get_option('fds_reconcile_report', null);
+
+        if (!is_array($report)) {
+            return array(
+                'generated_at' => null,
+                'checked' => 0,
+                'counts' => array_fill_keys(array_keys(self::get_problem_types()), 0),
+                'issues' => array(),
+                'total' => 0,
+            );
+        }
+
+        $counts = array_fill_keys(array_keys(self::get_problem_types()), 0);
+
+        foreach ($report['issues'] as $issue) {
+            $counts[$issue['type']]++;
+        }
+
+        $issues = $type === '' ? $report['issues'] : array_values(array_filter($report['issues'], function($issue) use ($type) {
+            return $issue['type'] === $type;
+        }));
+
+        return array(
+            'generated_at' => $report['generated_at'],
+            'checked' => $report['checked'],
+            'counts' => $counts,
+            'issues' => array_slice($issues, $offset, $limit),
+            'total' => count($issues),
+        );
+    }
+
+    /**
+     * Repair, relink or purge issues of one problem type.
+     *
+     * @since    1.0.0
+     * @param    string            $operation         repair, relink or purge.
+     * @param    string            $type              The problem type.
+     * @param    array|null        $attachment_ids    The issues to handle, or null for every issue of the type.
+     * @return   array|WP_Error                       Counts of handled and failed issues, or an error.
+     */
+    public function apply($operation, $type, $attachment_ids = null) {
+        $types = self::get_problem_types();
+
+        if (!isset($types[$type]) || !in_array($operation, $types[$type]['operations'], true)) {
+            return new WP_Error('fds_invalid_operation', __('This operation is not available for these entries.', 'filebird-dropbox-sync'));
+        }
+
+        $report = get_option('fds_reconcile_report', null);
+
+        if (!is_array($report)) {
+            return new WP_Error('fds_no_report', __('Run the reconciliation first.', 'filebird-dropbox-sync'));
+        }
+
+        $selected = $attachment_ids === null ? null : array_flip(array_map('intval', $attachment_ids));
+        $remaining = array();
+        $result = array('handled' => 0, 'failed' => 0);
+
+        foreach ($report['issues'] as $issue) {
+            if ($issue['type'] !== $type || ($selected !== null && !isset($selected[$issue['attachment_id']]))) {
+                $remaining[] = $issue;
+                continue;
+            }
+
+            if ($this->apply_to_issue($operation, $issue)) {
+                $result['handled']++;
+            } else {
+                $result['failed']++;
+                $remaining[] = $issue;
+            }
+        }
+
+        $report['issues'] = $remaining;
+        update_option('fds_reconcile_report', $report, false);
+
+        $this->logger->info("Reconciliation entries handled", array_merge(array(
+            'operation' => $operation,
+            'type' => $type,
+        ), $result));
+
+        return $result;
+    }
+
+    /**
+     * Look a mapping up on both sides.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    object        $mapping    The file mapping.
+     * @param    array         $state      The run state.
+     * @param    array         $by_id      Listed files of the batch keyed by Dropbox file ID.
+     * @param    array         $by_path    Listed files of the batch keyed by lowercase path.
+     * @return   array|null                The issue, or null if the mapping is fine.
+     */
+    protected function check_mapping($mapping, $state, $by_id, $by_path) {
+        $attachment_id = intval($mapping->attachment_id);
+
+        if (get_post_type($attachment_id) !== 'attachment') {
+            return $this->make_issue('attachment_missing', $mapping);
+        }
+
+        $entry = $by_id[$mapping->dropbox_file_id] ?? null;
+
+        // Files outside the listed folders are looked up one by one
+        if (!$entry && !$this->is_listed($mapping->dropbox_path, $state['roots'])) {
+            $metadata = $this->dropbox_api->get_file_metadata($mapping->dropbox_file_id);
+            $entry = $metadata && isset($metadata['.tag']) && $metadata['.tag'] === 'file' ? $metadata : null;
+        }
+
+        $local_path = get_attached_file($attachment_id);
+        $local_exists = $local_path && file_exists($local_path);
+
+        if ($entry) {
+            if (strtolower($entry['path_display']) !== strtolower($mapping->dropbox_path)) {
+                return $this->make_issue('moved_in_dropbox', $mapping, $entry);
+            }
+
+            // Offloaded originals are meant to be only in Dropbox
+            return $local_exists || FDS_Offload::is_offloaded($attachment_id) ? null : $this->make_issue('local_file_missing', $mapping, $entry);
+        }
+
+        if (isset($by_path[strtolower($mapping->dropbox_path)])) {
+            return $this->make_issue('replaced_in_dropbox', $mapping, $by_path[strtolower($mapping->dropbox_path)]);
+        }
+
+        if (!$local_exists) {
+            return $this->make_issue('file_lost', $mapping);
+        }
+
+        $content_hash = $this->dropbox_api->calculate_dropbox_content_hash($local_path);
+        $by_hash = $this->db->get_sync_listing_entries($state['run_id'] . '_hashes', array($content_hash));
+
+        foreach ($by_hash[$content_hash] ?? array() as $candidate) {
+            if (!$this->db->get_file_mapping_by_dropbox_file_id($candidate['id'])) {
+                return $this->make_issue('found_by_hash', $mapping, $candidate);
+            }
+        }
+
+        return $this->make_issue('dropbox_missing', $mapping);
+    }
+
+    /**
+     * Get the state of the current run.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array|null    The state or null if no run is going or failed.
+     */
+    protected function get_run_state() {
+        // The queue and the admin update the state from different requests
+        wp_cache_delete('fds_reconcile_run', 'options');
+
+        $state = get_option('fds_reconcile_run', null);
+
+        return is_array($state) ? $state : null;
+    }
+
+    /**
+     * Delete the stored listing and issues of a run.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $run_id    The run ID.
+     */
+    protected function delete_run_data($run_id) {
+        foreach (array('', '_ids', '_hashes', '_issues') as $suffix) {
+            $this->db->delete_sync_listing($run_id . $suffix);
+        }
+    }
+
+    /**
+     * List the next page of Dropbox files.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The run state.
+     * @return   array|WP_Error     The updated state or an error.
+     */
+    protected function list_page($state) {
+        if ($state['root_index'] >= count($state['roots'])) {
+            $state['phase'] = 'checking';
+            return $state;
+        }
+
+        $root = $state['roots'][$state['root_index']];
+        $page = $this->planner->list_dropbox_page($root, $state['cursor'], true);
+
+        if (is_wp_error($page)) {
+            return $page;
+        }
+
+        $files = array();
+        $by_id = array();
+        $by_hash = array();
+
+        foreach ($page['entries'] as $path_lower => $entry) {
+            if ($entry['.tag'] !== 'file') {
+                continue;
+            }
+
+            $files[$path_lower] = $entry;
+            $by_id[$entry['id']] = $entry;
+
+            if (!empty($entry['content_hash'])) {
+                $by_hash[$entry['content_hash']][$entry['id']] = $entry;
+            }
+        }
+
+        // Files with the same content may be on different pages
+        foreach ($this->db->get_sync_listing_entries($state['run_id'] . '_hashes', array_keys($by_hash)) as $content_hash => $stored) {
+            $by_hash[$content_hash] = array_replace($stored, $by_hash[$content_hash]);
+        }
+
+        if (!empty($files) && (
+            $this->db->add_sync_listing_entries($state['run_id'], $files) === false
+            || $this->db->add_sync_listing_entries($state['run_id'] . '_ids', $by_id) === false
+            || (!empty($by_hash) && $this->db->add_sync_listing_entries($state['run_id'] . '_hashes', $by_hash) === false)
+        )) {
+            /* translators: %s: Dropbox path */
+            return new WP_Error('fds_listing_failed', sprintf(__('The Dropbox listing of %s could not be stored.', 'filebird-dropbox-sync'), $root));
+        }
+
+        if ($page['has_more']) {
+            $state['cursor'] = $page['cursor'];
+        } else {
+            $state['root_index']++;
+            $state['cursor'] = '';
+        }
+
+        $state['listed'] += count($files);
+
+        return $state;
+    }
+
+    /**
+     * Check the next batch of file mappings.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The run state.
+     * @return   array|WP_Error     The updated state or an error.
+     */
+    protected function check_batch($state) {
+        $mappings = $this->db->get_file_mappings_after($state['after_id'], $this->check_batch_size);
+        $by_id = $this->db->get_sync_listing_entries($state['run_id'] . '_ids', wp_list_pluck($mappings, 'dropbox_file_id'));
+        $by_path = $this->db->get_sync_listing_entries($state['run_id'], array_map('strtolower', wp_list_pluck($mappings, 'dropbox_path')));
+        $issues = array();
+
+        foreach ($mappings as $mapping) {
+            $issue = $this->check_mapping($mapping, $state, $by_id, $by_path);
+
+            if ($issue) {
+                $issues[(string) $issue['attachment_id']] = $issue;
+            }
+        }
+
+        if (!empty($issues) && $this->db->add_sync_listing_entries($state['run_id'] . '_issues', $issues) === false) {
+            return new WP_Error('fds_report_failed', __('The problems found could not be stored.', 'filebird-dropbox-sync'));
+        }
+
+        $state['checked'] += count($mappings);
+
+        if (count($mappings) < $this->check_batch_size) {
+            $state['phase'] = 'report';
+        } else {
+            $state['after_id'] = intval(end($mappings)->id);
+        }
+
+        return $state;
+    }
+
+    /**
+     * Save the stored issues as the report.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The run state.
+     * @return   array              The state, marked done.
+     */
+    protected function save_report($state) {
+        $run_id = $state['run_id'] . '_issues';
+        $issues = array();
+        $after_id = 0;
+
+        do {
+            $rows = $this->db->get_unclaimed_sync_listing_entries($run_id, $after_id, $this->report_batch_size);
+
+            foreach ($rows as $row) {
+                $issues[] = maybe_unserialize($row->entry);
+                $after_id = intval($row->id);
+            }
+        } while (count($rows) === $this->report_batch_size);
+
+        update_option('fds_reconcile_report', array(
+            'generated_at' => current_time('mysql'),
+            'checked' => $state['checked'],
+            'issues' => $issues,
+        ), false);
+
+        $this->logger->info("File mappings reconciled", array(
+            'run_id' => $state['run_id'],
+            'checked' => $state['checked'],
+            'issues' => count($issues),
+            'started_at' => $state['started_at']
+        ));
+
+        $state['phase'] = 'done';
+
+        return $state;
+    }
+
+    /**
+     * Build an issue for the report.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string        $type       The problem type.
+     * @param    object        $mapping    The file mapping.
+     * @param    array|null    $entry      The Dropbox file to relink to, if any.
+     * @return   array                     The issue.
+     */
+    protected function make_issue($type, $mapping, $entry = null) {
+        $attachment_id = intval($mapping->attachment_id);
+        $title = get_post_type($attachment_id) === 'attachment' ? get_the_title($attachment_id) : '';
+
+        return array(
+            'attachment_id' => $attachment_id,
+            'type' => $type,
+            'title' => $title !== '' ? $title : basename($mapping->dropbox_path),
+            'dropbox_path' => $mapping->dropbox_path,
+            'dropbox_file_id' => $mapping->dropbox_file_id,
+            'suggestion' => $entry === null ? null : array(
+                'dropbox_path' => $entry['path_display'],
+                'dropbox_file_id' => $entry['id'],
+                'content_hash' => $entry['content_hash'] ?? '',
+            ),
+        );
+    }
+
+    /**
+     * Repair, relink or purge one issue.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string     $operation    repair, relink or purge.
+     * @param    array      $issue        The issue.
+     * @return   boolean                  True on success.
+     */
+    protected function apply_to_issue($operation, $issue) {
+        $attachment_id = $issue['attachment_id'];
+
+        switch ($operation) {
+            case 'purge':
+                return $this->db->delete_file_mapping_by_attachment_id($attachment_id) !== false;
+
+            case 'relink':
+                if (empty($issue['suggestion'])) {
+                    return false;
+                }
+
+                return (bool) $this->db->add_or_update_file_mapping(
+                    $attachment_id,
+                    $issue['suggestion']['dropbox_path'],
+                    $issue['suggestion']['dropbox_file_id'],
+                    $issue['suggestion']['content_hash'],
+                    $issue['suggestion']['content_hash']
+                );
+
+            case 'repair':
+                if ($issue['type'] === 'local_file_missing') {
+                    return $this->db->add_to_sync_queue(
+                        'update',
+                        'file',
+                        (string) $attachment_id,
+                        'dropbox_to_wordpress',
+                        array(
+                            'attachment_id' => $attachment_id,
+                            'dropbox_path' => $issue['dropbox_path'],
+                        ),
+                        1 // Repairs were requested by the user
+                    ) !== false;
+                }
+
+                $local_path = get_attached_file($attachment_id);
+
+                if (!$local_path || !file_exists($local_path)) {
+                    return false;
+                }
+
+                return $this->db->add_to_sync_queue(
+                    'create',
+                    'file',
+                    (string) $attachment_id,
+                    'wordpress_to_dropbox',
+                    array(
+                        'attachment_id' => $attachment_id,
+                        'local_path' => $local_path,
+                        'dropbox_path' => $issue['dropbox_path'],
+                    ),
+                    1 // Repairs were requested by the user
+                ) !== false;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether a path is inside one of the listed Dropbox folders.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string     $path     The Dropbox path.
+     * @param    array      $roots    The listed folders.
+     * @return   boolean              True if the path was listed.
+     */
+    protected function is_listed($path, $roots) {
+        foreach ($roots as $root) {
+            if (stripos($path, rtrim($root, '/') . '/') === 0) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
@@ -35,6 +35,33 @@ class FDS_REST_Controller {
      */
     protected $queue;
 
+    /**
+     * The file sync instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_File_Sync    $file_sync    The file sync instance.
+     */
+    protected $file_sync;
+
+    /**
+     * The sync planner instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Planner    $sync_planner    The sync planner instance.
+     */
+    protected $sync_planner;
+
+    /**
+     * How long a progress stream stays open before the browser reconnects.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $stream_duration    Duration in seconds.
+     */
+    protected $stream_duration = 25;
+
     /**
      * Initialize the class.
      *
@@ -74,6 +101,26 @@ class FDS_REST_Controller {
         $this->queue = $queue;
     }
 
+    /**
+     * Set the file sync instance.
+     *
+     * @since    1.0.0
+     * @param    FDS_File_Sync    $file_sync    The file sync instance.
+     */
+    public function set_file_sync($file_sync) {
+        $this->file_sync = $file_sync;
+    }
+
+    /**
+     * Set the sync planner instance.
+     *
+     * @since    1.0.0
+     * @param    FDS_Sync_Planner    $sync_planner    The sync planner instance.
+     */
+    public function set_sync_planner($sync_planner) {
+        $this->sync_planner = $sync_planner;
+    }
+
     /**
      * Register REST API routes.
      *
@@ -86,6 +133,18 @@ class FDS_REST_Controller {
             'permission_callback' => array($this, 'check_admin_permission')
         ));
         
+        register_rest_route('fds/v1', '/logs/tail', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_tail_logs'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+        
+        register_rest_route('fds/v1', '/logs/export', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_export_logs'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+        
         register_rest_route('fds/v1', '/logs', array(
             'methods' => 'DELETE',
             'callback' => array($this, 'rest_clear_logs'),
@@ -109,6 +168,252 @@ class FDS_REST_Controller {
             'callback' => array($this, 'rest_retry_failed_tasks'),
             'permission_callback' => array($this, 'check_admin_permission')
         ));
+
+        register_rest_route('fds/v1', '/queue', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_queue_tasks'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/queue/actions', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_queue_task_action'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/conflicts', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_conflicts'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/conflicts/(?P<id>\d+)/preview', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_conflict_preview'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/conflicts/resolve', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_resolve_conflicts'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/progress', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_sync_progress'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/progress/stream', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_stream_sync_progress'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/pause', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_pause_sync'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/resume', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_resume_sync'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/cancel', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_cancel_sync'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/preview', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_create_sync_preview'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/preview', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_sync_preview_progress'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/preview/(?P<plan_id>[a-z0-9]+)', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_sync_preview'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/preview/(?P<plan_id>[a-z0-9]+)', array(
+            'methods' => 'DELETE',
+            'callback' => array($this, 'rest_discard_sync_preview'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/sync/preview/(?P<plan_id>[a-z0-9]+)/run', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_run_sync_preview'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/root-mappings', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_root_mappings'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/root-mappings', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_save_root_mappings'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/trash', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_deleted_items'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/trash/(?P<id>\d+)/restore', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_restore_deleted_item'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/tree', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_folder_tree'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/tree/sync', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_sync_subtree'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/health', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_health'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/health/fix', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_apply_health_fix'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/history', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_sync_history'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/history/stats', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_sync_history_stats'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/notifications/test', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_send_test_notification'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/reconcile', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_reconcile_report'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/reconcile', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_run_reconcile'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/reconcile/run', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_reconcile_run'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/reconcile/apply', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_apply_reconcile'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/duplicates', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_duplicates_report'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/duplicates', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_scan_duplicates'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/duplicates/scan', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_duplicates_scan'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/duplicates/merge', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_merge_duplicates'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/namespaces', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_namespaces'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/namespaces', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_set_namespace'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/import/browse', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_browse_dropbox'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/import/thumbnails', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_get_import_thumbnails'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/import', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_start_import'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/import/(?P<import_id>[a-z0-9]+)', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'rest_get_import_progress'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
+
+        register_rest_route('fds/v1', '/offload/restore', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'rest_restore_offloaded'),
+            'permission_callback' => array($this, 'check_admin_permission')
+        ));
     }
 
     /**
@@ -132,29 +437,16 @@ class FDS_REST_Controller {
         $level = $request->get_param('level') ?? 'error';
         $page = max(1, $request->get_param('page') ?? 1);
         $per_page = max(1, $request->get_param('per_page') ?? 20);
+        $filters = $this->get_log_filters($request->get_params());
         
         // Calculate offset
         $offset = ($page - 1) * $per_page;
         
         // Get logs
-        $logs = $this->db->get_logs($level, $per_page, $offset);
+        $logs = $this->db->get_logs($level, $per_page, $offset, $filters);
         
         // Get total count for pagination
-        global $wpdb;
-        $table_name = $wpdb->prefix . 'fds_logs';
-        
-        $levels = array('emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug');
-        $level_index = array_search($level, $levels);
-        
-        if ($level_index !== false) {
-            $included_levels = array_slice($levels, 0, $level_index + 1);
-            $placeholders = implode(',', array_fill(0, count($included_levels), '%s'));
-            $where = $wpdb->prepare("WHERE level IN ($placeholders)", $included_levels);
-        } else {
-            $where = "";
-        }
-        
-        $total = $wpdb->get_var("SELECT COUNT(*) FROM $table_name $where");
+        $total = $this->db->count_logs($level, $filters);
         
         // Format logs for response
         $formatted_logs = array();
@@ -164,134 +456,1594 @@ class FDS_REST_Controller {
                 $formatted_logs[] = array(
                     'id' => $log->id,
                     'level' => $log->level,
+                    'component' => $log->component,
                     'message' => $log->message,
                     'context' => $log->context,
                     'created_at' => $log->created_at,
                 );
             }
         }
-        
+        
+        return new WP_REST_Response(array(
+            'logs' => $formatted_logs,
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => ceil($total / $per_page),
+            'components' => $this->db->get_log_components(),
+        ), 200);
+    }
+
+    /**
+     * Get the logs written since the last one the client has seen via REST API.
+     *
+     * Without an after_id the most recent logs are returned to start the tail.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_tail_logs($request) {
+        $level = $request->get_param('level') ?? 'error';
+        $after_id = max(0, intval($request->get_param('after_id')));
+        $limit = min(200, max(1, intval($request->get_param('limit') ?? 50)));
+        $filters = $this->get_log_filters($request->get_params());
+        
+        if ($after_id > 0) {
+            $logs = $this->db->get_logs_after($after_id, $level, $filters, $limit);
+        } else {
+            $logs = array_reverse($this->db->get_logs($level, $limit, 0, $filters));
+        }
+        
+        $formatted_logs = array();
+        $last_id = $after_id;
+        
+        foreach ($logs as $log) {
+            $formatted_logs[] = array(
+                'id' => $log->id,
+                'level' => $log->level,
+                'component' => $log->component,
+                'message' => $log->message,
+                'context' => $log->context,
+                'created_at' => $log->created_at,
+            );
+            $last_id = max($last_id, intval($log->id));
+        }
+        
+        return new WP_REST_Response(array(
+            'logs' => $formatted_logs,
+            'last_id' => $last_id,
+            // More rows are waiting if a full batch came back
+            'has_more' => $after_id > 0 && count($logs) === $limit,
+        ), 200);
+    }
+
+    /**
+     * Export the filtered logs as CSV or NDJSON via REST API.
+     *
+     * The file is streamed in batches, so large exports don't have to fit in
+     * memory.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     */
+    public function rest_export_logs($request) {
+        $level = sanitize_key($request->get_param('level') ?? '');
+        $format = $request->get_param('format') === 'ndjson' ? 'ndjson' : 'csv';
+        $filters = $this->get_log_filters($request->get_params());
+        $batch_size = 500;
+        
+        @set_time_limit(0);
+        
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+        
+        $filename = 'fds-logs-' . current_time('Ymd-His') . '.' . ($format === 'ndjson' ? 'ndjson' : 'csv');
+        
+        header('Content-Type: ' . ($format === 'ndjson' ? 'application/x-ndjson' : 'text/csv') . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no'); // Disable proxy buffering on nginx
+        
+        $output = fopen('php://output', 'w');
+        
+        if ($format === 'csv') {
+            fputcsv($output, array('id', 'created_at', 'level', 'component', 'message', 'context'));
+        }
+        
+        $exported = 0;
+        
+        do {
+            $logs = $this->db->get_logs($level, $batch_size, 0, $filters);
+            
+            foreach ($logs as $log) {
+                if ($format === 'ndjson') {
+                    $context = json_decode((string) $log->context, true);
+                    
+                    fwrite($output, wp_json_encode(array(
+                        'id' => intval($log->id),
+                        'created_at' => $log->created_at,
+                        'level' => $log->level,
+                        'component' => $log->component,
+                        'message' => $log->message,
+                        'context' => $context !== null ? $context : $log->context,
+                    )) . "\n");
+                } else {
+                    fputcsv($output, array_map(array($this, 'escape_csv_cell'), array($log->id, $log->created_at, $log->level, $log->component, $log->message, $log->context)));
+                }
+                
+                $filters['before_id'] = $log->id;
+            }
+            
+            $exported += count($logs);
+            flush();
+        } while (count($logs) === $batch_size);
+        
+        fclose($output);
+        
+        $this->logger->info("Logs exported by administrator", [
+            'format' => $format,
+            'exported' => $exported,
+            'filters' => array_diff_key($filters, array('before_id' => true))
+        ]);
+        
+        exit;
+    }
+
+    /**
+     * Keep a CSV cell from being read as a formula by spreadsheet software.
+     *
+     * Log messages and context can hold file names and errors from Dropbox,
+     * so cells starting with a formula character get a leading quote.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    mixed     $value    The cell value.
+     * @return   string              The escaped cell value.
+     */
+    protected function escape_csv_cell($value) {
+        $value = (string) $value;
+
+        if ($value !== '' && strpos("=+-@\t\r", $value[0]) !== false) {
+            return "'" . $value;
+        }
+
+        return $value;
+    }
+
+    /**
+     * Clear logs via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_clear_logs($request) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . 'fds_logs';
+        
+        $result = $wpdb->query("TRUNCATE TABLE $table_name");
+        
+        if ($result !== false) {
+            return new WP_REST_Response(array(
+                'message' => __('Logs cleared successfully.', 'filebird-dropbox-sync')
+            ), 200);
+        } else {
+            return new WP_REST_Response(array(
+                'message' => __('Failed to clear logs.', 'filebird-dropbox-sync')
+            ), 500);
+        }
+    }
+
+    /**
+     * Get sync stats via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_sync_stats($request) {
+        global $wpdb;
+        
+        // Get file mapping count
+        $file_table = $wpdb->prefix . 'fds_file_mapping';
+        $total_files = $wpdb->get_var("SELECT COUNT(*) FROM $file_table");
+        
+        // Get synced files count (files with a recent sync date)
+        $synced_files = $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT COUNT(*) FROM $file_table WHERE last_synced > DATE_SUB(NOW(), INTERVAL %d HOUR)",
+                24 // Consider files synced in last 24 hours
+            )
+        );
+        
+        // Get queue stats
+        $queue_table = $wpdb->prefix . 'fds_sync_queue';
+        $pending_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'pending'");
+        $processing_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'processing'");
+        $failed_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'failed'");
+        $completed_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'completed'");
+        $pending_regenerations = $this->db->count_queue_tasks(array('status' => 'pending', 'action' => 'regenerate'));
+        
+        // Check if there's a queue lock (processing in progress)
+        $is_processing = get_transient('fds_queue_lock') ? true : false;
+        $schedule = new FDS_Sync_Schedule();
+        
+        return new WP_REST_Response(array(
+            'total_files' => intval($total_files),
+            'synced_files' => intval($synced_files),
+            'pending_tasks' => intval($pending_tasks),
+            'processing_tasks' => intval($processing_tasks),
+            'failed_tasks' => intval($failed_tasks),
+            'completed_tasks' => intval($completed_tasks),
+            'pending_regenerations' => $pending_regenerations,
+            'is_processing' => $is_processing,
+            'schedule' => $schedule->get_status(),
+            'last_updated' => current_time('mysql')
+        ), 200);
+    }
+
+    /**
+     * Force process queue via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_force_process_queue($request) {
+        // Get queue instance
+        $queue = $this->get_queue_instance();
+        
+        // Process queue
+        $processed = $queue->force_process_queue();
+        
+        return new WP_REST_Response(array(
+            'message' => sprintf(__('Successfully processed %d tasks.', 'filebird-dropbox-sync'), $processed),
+            'processed' => $processed
+        ), 200);
+    }
+
+    /**
+     * Retry failed tasks via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_retry_failed_tasks($request) {
+        global $wpdb;
+        $queue_table = $wpdb->prefix . 'fds_sync_queue';
+        
+        // Update all failed tasks to pending and reset attempts
+        $updated = $wpdb->query(
+            "UPDATE $queue_table 
+            SET status = 'pending', attempts = 0, error_message = '', updated_at = NOW() 
+            WHERE status = 'failed'"
+        );
+        
+        // Log the action
+        $this->logger->info("Reset {$updated} failed tasks to pending status");
+        
+        return new WP_REST_Response(array(
+            'message' => sprintf(__('Reset %d failed tasks to pending status.', 'filebird-dropbox-sync'), $updated),
+            'updated' => $updated
+        ), 200);
+    }
+
+    /**
+     * Get queue tasks via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_queue_tasks($request) {
+        $page = max(1, intval($request->get_param('page') ?? 1));
+        $per_page = min(100, max(1, intval($request->get_param('per_page') ?? 20)));
+
+        $filters = array(
+            'status' => sanitize_key($request->get_param('status') ?? ''),
+            'action' => sanitize_key($request->get_param('task_action') ?? ''),
+            'item_type' => sanitize_key($request->get_param('item_type') ?? ''),
+            'direction' => sanitize_key($request->get_param('direction') ?? ''),
+            'search' => sanitize_text_field($request->get_param('search') ?? ''),
+        );
+
+        $tasks = $this->db->get_queue_tasks($filters, $per_page, ($page - 1) * $per_page);
+        $total = $this->db->count_queue_tasks($filters);
+
+        // Format tasks for response
+        $formatted_tasks = array();
+
+        foreach ($tasks as $task) {
+            $formatted_tasks[] = array(
+                'id' => intval($task->id),
+                'action' => $task->action,
+                'item_type' => $task->item_type,
+                'item_id' => $task->item_id,
+                'direction' => $task->direction,
+                'priority' => intval($task->priority),
+                'status' => $task->status,
+                'attempts' => intval($task->attempts),
+                'error_message' => $task->error_message,
+                'locked_by' => $task->locked_by,
+                'created_at' => $task->created_at,
+                'updated_at' => $task->updated_at,
+            );
+        }
+
+        return new WP_REST_Response(array(
+            'tasks' => $formatted_tasks,
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => max(1, ceil($total / $per_page)),
+        ), 200);
+    }
+
+    /**
+     * Retry, cancel or reprioritize queue tasks via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_queue_task_action($request) {
+        $task_action = sanitize_key($request->get_param('task_action') ?? '');
+        $ids = array_filter(array_map('intval', (array) $request->get_param('ids')));
+
+        if (empty($ids)) {
+            return new WP_REST_Response(array(
+                'message' => __('No tasks selected.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        switch ($task_action) {
+            case 'retry':
+                $updated = $this->db->retry_tasks($ids);
+                $message = __('Reset %d failed or cancelled tasks to pending status.', 'filebird-dropbox-sync');
+                break;
+            case 'cancel':
+                $updated = $this->db->cancel_tasks($ids);
+                $message = __('Cancelled %d pending or failed tasks. Tasks being processed are left to finish.', 'filebird-dropbox-sync');
+                break;
+            case 'reprioritize':
+                $priority = $request->get_param('priority');
+
+                if (!is_numeric($priority) || $priority < 1 || $priority > 100) {
+                    return new WP_REST_Response(array(
+                        'message' => __('Priority must be a number between 1 and 100.', 'filebird-dropbox-sync')
+                    ), 400);
+                }
+
+                $updated = $this->db->update_tasks_priority($ids, intval($priority));
+                $message = __('Updated the priority of %d tasks.', 'filebird-dropbox-sync');
+                break;
+            default:
+                return new WP_REST_Response(array(
+                    'message' => __('Unknown queue action.', 'filebird-dropbox-sync')
+                ), 400);
+        }
+
+        if ($updated === false) {
+            return new WP_REST_Response(array(
+                'message' => __('Failed to update queue tasks.', 'filebird-dropbox-sync')
+            ), 500);
+        }
+
+        $this->logger->info("Queue tasks updated from inspector", array(
+            'task_action' => $task_action,
+            'task_ids' => $ids,
+            'updated' => $updated
+        ));
+
+        return new WP_REST_Response(array(
+            'message' => sprintf($message, $updated),
+            'updated' => $updated
+        ), 200);
+    }
+
+    /**
+     * Get conflicts via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_conflicts($request) {
+        $page = max(1, intval($request->get_param('page') ?? 1));
+        $per_page = min(100, max(1, intval($request->get_param('per_page') ?? 20)));
+        $status = sanitize_key($request->get_param('status') ?? 'open');
+        $search = sanitize_text_field($request->get_param('search') ?? '');
+
+        $conflicts = $this->db->get_conflicts($status, $search, $per_page, ($page - 1) * $per_page);
+        $total = $this->db->count_conflicts($status, $search);
+
+        // Format conflicts for response
+        $formatted_conflicts = array();
+
+        foreach ($conflicts as $conflict) {
+            $formatted_conflicts[] = array(
+                'id' => intval($conflict->id),
+                'attachment_id' => intval($conflict->attachment_id),
+                'title' => get_the_title($conflict->attachment_id),
+                'thumbnail' => wp_get_attachment_image_url($conflict->attachment_id, 'thumbnail'),
+                'edit_link' => get_edit_post_link($conflict->attachment_id, 'raw'),
+                'dropbox_path' => $conflict->dropbox_path,
+                'wordpress' => array(
+                    'size' => intval($conflict->wp_size),
+                    'modified' => $conflict->wp_modified,
+                    'hash' => $conflict->wp_hash,
+                ),
+                'dropbox' => array(
+                    'size' => intval($conflict->dropbox_size),
+                    'modified' => $conflict->dropbox_modified,
+                    'hash' => $conflict->dropbox_hash,
+                    'rev' => $conflict->dropbox_rev,
+                ),
+                'status' => $conflict->status,
+                'resolution' => $conflict->resolution,
+                'created_at' => $conflict->created_at,
+                'resolved_at' => $conflict->resolved_at,
+            );
+        }
+
+        return new WP_REST_Response(array(
+            'conflicts' => $formatted_conflicts,
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => max(1, ceil($total / $per_page)),
+        ), 200);
+    }
+
+    /**
+     * Get preview links for both versions of a conflict via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_conflict_preview($request) {
+        $conflict = $this->db->get_conflict(intval($request->get_param('id')));
+
+        if (!$conflict) {
+            return new WP_REST_Response(array(
+                'message' => __('Conflict not found.', 'filebird-dropbox-sync')
+            ), 404);
+        }
+
+        return new WP_REST_Response($this->get_file_sync_instance()->get_conflict_preview($conflict), 200);
+    }
+
+    /**
+     * Resolve conflicts via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_resolve_conflicts($request) {
+        $resolution = sanitize_key($request->get_param('resolution') ?? '');
+        $ids = array_filter(array_map('intval', (array) $request->get_param('ids')));
+
+        if (empty($ids)) {
+            return new WP_REST_Response(array(
+                'message' => __('No conflicts selected.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        if (!in_array($resolution, array('keep_wordpress', 'keep_dropbox', 'keep_both'), true)) {
+            return new WP_REST_Response(array(
+                'message' => __('Unknown conflict resolution.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        $file_sync = $this->get_file_sync_instance();
+        $resolved = 0;
+        $failed = 0;
+
+        foreach ($ids as $id) {
+            $conflict = $this->db->get_conflict($id);
+
+            if ($conflict && $file_sync->resolve_conflict($conflict, $resolution)) {
+                $resolved++;
+            } else {
+                $failed++;
+            }
+        }
+
+        if ($resolved === 0) {
+            return new WP_REST_Response(array(
+                'message' => __('Failed to resolve the selected conflicts. Check the logs for details.', 'filebird-dropbox-sync')
+            ), 500);
+        }
+
+        $message = sprintf(__('Resolved %d conflicts. The changes will be applied in the background.', 'filebird-dropbox-sync'), $resolved);
+
+        if ($failed > 0) {
+            $message .= ' ' . sprintf(__('%d conflicts could not be resolved.', 'filebird-dropbox-sync'), $failed);
+        }
+
+        return new WP_REST_Response(array(
+            'message' => $message,
+            'resolved' => $resolved,
+            'failed' => $failed
+        ), 200);
+    }
+
+    /**
+     * Get the sync progress via REST API.
+     *
+     * Used by clients that cannot keep a progress stream open. Pass the cursor
+     * of the previous response as "since" to also get the tasks that finished
+     * in between.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_sync_progress($request) {
+        $queue = $this->get_queue_instance();
+        $progress = $queue->get_progress();
+        $since = sanitize_text_field($request->get_param('since') ?? '');
+
+        $progress['finished'] = array();
+        $progress['cursor'] = $progress['generated_at'];
+
+        if ($since !== '') {
+            $progress['finished'] = $queue->get_finished_tasks($since);
+
+            if (!empty($progress['finished'])) {
+                $progress['cursor'] = $queue->get_progress_cursor(end($progress['finished']));
+            }
+        }
+
+        return new WP_REST_Response($progress, 200);
+    }
+
+    /**
+     * Stream the sync progress as server-sent events.
+     *
+     * Sends a "progress" event whenever the queue changes and a "finished" event
+     * with the tasks that completed or failed since the last one. The stream is
+     * closed after a short while and the browser reconnects on its own, quickly
+     * while a sync is running and slowly when the queue is idle.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     */
+    public function rest_stream_sync_progress($request) {
+        $queue = $this->get_queue_instance();
+
+        // Resume after the last task the browser saw when it reconnects
+        $since = sanitize_text_field($request->get_header('last_event_id') ?? '');
+
+        if ($since === '') {
+            $since = current_time('mysql');
+        }
+
+        @set_time_limit($this->stream_duration + 10);
+        ignore_user_abort(false);
+
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no'); // Disable proxy buffering on nginx
+
+        $end_time = time() + $this->stream_duration;
+        $last_snapshot = '';
+
+        do {
+            $progress = $queue->get_progress();
+            $finished = $queue->get_finished_tasks($since);
+
+            if (!empty($finished)) {
+                $since = $queue->get_progress_cursor(end($finished));
+
+                echo "id: {$since}\n";
+                echo "event: finished\n";
+                echo 'data: ' . wp_json_encode($finished) . "\n\n";
+            }
+
+            // generated_at changes every second, leave it out of the comparison
+            $snapshot = wp_json_encode(array_diff_key($progress, array('generated_at' => true)));
+
+            if ($snapshot !== $last_snapshot) {
+                $last_snapshot = $snapshot;
+
+                echo "event: progress\n";
+                echo 'data: ' . wp_json_encode($progress) . "\n\n";
+            } else {
+                echo ": ping\n\n";
+            }
+
+            flush();
+
+            if (connection_aborted() || !$progress['is_running']) {
+                break;
+            }
+
+            sleep(1);
+        } while (time() < $end_time);
+
+        echo 'retry: ' . ($progress['is_running'] ? 1000 : 30000) . "\n\n";
+        flush();
+        exit;
+    }
+
+    /**
+     * Pause the running full sync via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_pause_sync($request) {
+        if (!$this->get_queue_instance()->pause_full_sync()) {
+            return new WP_REST_Response(array(
+                'message' => __('There is no running full sync to pause.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        return new WP_REST_Response(array(
+            'message' => __('Full sync paused. It will carry on from where it stopped when you resume it.', 'filebird-dropbox-sync')
+        ), 200);
+    }
+
+    /**
+     * Resume a paused full sync via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_resume_sync($request) {
+        $queue = $this->get_queue_instance();
+
+        if (!$queue->resume_full_sync()) {
+            return new WP_REST_Response(array(
+                'message' => __('There is no full sync to resume.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        $processed = $queue->force_process_queue();
+
+        return new WP_REST_Response(array(
+            'message' => __('Full sync resumed.', 'filebird-dropbox-sync'),
+            'processed' => $processed
+        ), 200);
+    }
+
+    /**
+     * Cancel the full sync via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_cancel_sync($request) {
+        $cancelled = $this->get_queue_instance()->cancel_full_sync();
+
+        if ($cancelled === false) {
+            return new WP_REST_Response(array(
+                'message' => __('There is no full sync to cancel.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        return new WP_REST_Response(array(
+            /* translators: %d: number of tasks */
+            'message' => sprintf(__('Full sync cancelled. %d queued changes were dropped.', 'filebird-dropbox-sync'), $cancelled),
+            'cancelled' => $cancelled
+        ), 200);
+    }
+
+    /**
+     * Start building a full sync plan without running it via REST API.
+     *
+     * The plan is built in the queue, poll the preview progress for its ID.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_create_sync_preview($request) {
+        $preview = $this->get_sync_planner_instance()->start_preview();
+
+        if (is_wp_error($preview)) {
+            return new WP_REST_Response(array(
+                'message' => $preview->get_error_message()
+            ), 500);
+        }
+
+        $this->logger->info("Full sync preview started by administrator");
+
+        return new WP_REST_Response(array(
+            'message' => __('Comparing WordPress and Dropbox in the background, nothing will be changed.', 'filebird-dropbox-sync'),
+            'preview' => $preview
+        ), 202);
+    }
+
+    /**
+     * Get the progress of the full sync preview via REST API.
+     *
+     * Once the preview is done the response has the plan ID and summary.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_sync_preview_progress($request) {
+        $planner = $this->get_sync_planner_instance();
+        $preview = $planner->get_preview_progress();
+
+        $plan = $preview['plan_id'] !== '' ? $planner->get_plan($preview['plan_id']) : false;
+
+        if ($plan) {
+            $preview['generated_at'] = $plan['generated_at'];
+            $preview['summary'] = $plan['summary'];
+            $preview['total'] = intval($plan['total']);
+        }
+
+        return new WP_REST_Response($preview, 200);
+    }
+
+    /**
+     * Get the items of a previewed sync plan via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_sync_preview($request) {
+        $planner = $this->get_sync_planner_instance();
+        $plan_id = $request->get_param('plan_id');
+
+        if (!$planner->get_plan($plan_id)) {
+            return new WP_REST_Response(array(
+                'message' => __('This preview has expired. Please generate a new one.', 'filebird-dropbox-sync')
+            ), 404);
+        }
+
+        $page = max(1, intval($request->get_param('page') ?? 1));
+        $per_page = min(200, max(1, intval($request->get_param('per_page') ?? 50)));
+
+        $result = $planner->filter_items($plan_id, array(
+            'direction' => sanitize_key($request->get_param('direction') ?? ''),
+            'item_type' => sanitize_key($request->get_param('item_type') ?? ''),
+            'action' => sanitize_key($request->get_param('sync_action') ?? ''),
+            'search' => sanitize_text_field($request->get_param('search') ?? ''),
+        ), $per_page, ($page - 1) * $per_page);
+
+        // The table shows what changes, not the task data
+        $items = array_map(function($item) {
+            unset($item['data']);
+            return $item;
+        }, $result['items']);
+
+        return new WP_REST_Response(array(
+            'items' => $items,
+            'total' => $result['total'],
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => max(1, ceil($result['total'] / $per_page)),
+        ), 200);
+    }
+
+    /**
+     * Discard a previewed sync plan via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_discard_sync_preview($request) {
+        $this->get_sync_planner_instance()->delete_plan($request->get_param('plan_id'));
+
+        return new WP_REST_Response(array(
+            'message' => __('Preview discarded.', 'filebird-dropbox-sync')
+        ), 200);
+    }
+
+    /**
+     * Run a previewed sync plan via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_run_sync_preview($request) {
+        $plan_id = $request->get_param('plan_id');
+
+        if (!$this->get_sync_planner_instance()->get_plan($plan_id)) {
+            return new WP_REST_Response(array(
+                'message' => __('This preview has expired. Please generate a new one.', 'filebird-dropbox-sync')
+            ), 404);
+        }
+
+        // Clear any existing queue lock to prevent deadlocks
+        delete_transient('fds_queue_lock');
+        delete_option('fds_queue_lock_time');
+
+        $checkpoint = new FDS_Sync_Checkpoint();
+
+        if ($checkpoint->get()) {
+            return new WP_REST_Response(array(
+                'message' => __('A full sync is already in progress. Resume or cancel it first.', 'filebird-dropbox-sync')
+            ), 409);
+        }
+
+        $queue = $this->get_queue_instance();
+
+        if (!$queue->start_full_sync($plan_id)) {
+            return new WP_REST_Response(array(
+                'message' => __('Failed to start synchronization. Please check logs.', 'filebird-dropbox-sync')
+            ), 500);
+        }
+
+        $processed = $queue->force_process_queue();
+
+        $this->logger->info("Approved full sync preview started by administrator", [
+            'plan_id' => $plan_id,
+            'processed_tasks' => $processed
+        ]);
+
+        return new WP_REST_Response(array(
+            'message' => __('Synchronization started. This process will continue in the background.', 'filebird-dropbox-sync'),
+            'processed' => $processed
+        ), 200);
+    }
+
+    /**
+     * Get the root mappings via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_root_mappings($request) {
+        $root_mappings = new FDS_Root_Mappings();
+
+        return new WP_REST_Response(array(
+            'mappings' => $root_mappings->get_mappings(),
+            'directions' => FDS_Root_Mappings::get_directions(),
+            'folders' => $this->get_folder_choices(),
+            'root_folder' => get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER),
+        ), 200);
+    }
+
+    /**
+     * Save the root mappings via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_save_root_mappings($request) {
+        $root_mappings = new FDS_Root_Mappings();
+        $mappings = $root_mappings->save_mappings((array) $request->get_param('mappings'));
+
+        if (is_wp_error($mappings)) {
+            return new WP_REST_Response(array(
+                'message' => $mappings->get_error_message()
+            ), 400);
+        }
+
+        // Point the folder mappings at the new paths so subfolders and files follow
+        foreach ($mappings as $mapping) {
+            $this->db->add_or_update_folder_mapping(
+                $mapping['folder_id'],
+                $mapping['dropbox_path'],
+                md5($mapping['dropbox_path'] . time())
+            );
+        }
+
+        $this->logger->info("Root mappings updated by administrator", [
+            'mappings' => $mappings
+        ]);
+
+        return new WP_REST_Response(array(
+            'message' => __('Folder mappings saved. Run a full sync to move existing files to their new Dropbox paths.', 'filebird-dropbox-sync'),
+            'mappings' => $mappings
+        ), 200);
+    }
+
+    /**
+     * Get the items the plugin deleted from Dropbox via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_deleted_items($request) {
+        $page = max(1, intval($request->get_param('page') ?? 1));
+        $per_page = min(100, max(1, intval($request->get_param('per_page') ?? 20)));
+        $search = sanitize_text_field($request->get_param('search') ?? '');
+
+        $trash = $this->get_trash_instance();
+        $total = $trash->count_deleted_items($search);
+
+        return new WP_REST_Response(array(
+            'items' => $trash->get_deleted_items($search, $per_page, ($page - 1) * $per_page),
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => max(1, ceil($total / $per_page)),
+        ), 200);
+    }
+
+    /**
+     * Restore a deleted item via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_restore_deleted_item($request) {
+        $result = $this->get_trash_instance()->restore(intval($request->get_param('id')));
+
+        if (is_wp_error($result)) {
+            return new WP_REST_Response(array(
+                'message' => $result->get_error_message()
+            ), 400);
+        }
+
+        /* translators: %s: Dropbox path */
+        $message = sprintf(__('Restored %s.', 'filebird-dropbox-sync'), $result['dropbox_path']);
+
+        if ($result['imported'] > 0) {
+            /* translators: %d: number of files */
+            $message .= ' ' . sprintf(_n('%d file will be imported again in the background.', '%d files will be imported again in the background.', $result['imported'], 'filebird-dropbox-sync'), $result['imported']);
+        }
+
+        if ($result['failed'] > 0) {
+            /* translators: %d: number of files */
+            $message .= ' ' . sprintf(_n('%d file could not be restored.', '%d files could not be restored.', $result['failed'], 'filebird-dropbox-sync'), $result['failed']);
+        }
+
+        return new WP_REST_Response(array_merge(array(
+            'message' => $message
+        ), $result), 200);
+    }
+
+    /**
+     * Compare the FileBird and Dropbox folder trees via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_folder_tree($request) {
+        $result = $this->get_tree_compare_instance()->compare((bool) $request->get_param('refresh'));
+
+        if (is_wp_error($result)) {
+            return new WP_REST_Response(array(
+                'message' => $result->get_error_message()
+            ), 500);
+        }
+
+        return new WP_REST_Response(array_merge($result, array(
+            'statuses' => FDS_Tree_Compare::get_statuses()
+        )), 200);
+    }
+
+    /**
+     * Queue a sync of a single folder subtree via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_sync_subtree($request) {
+        $path = sanitize_text_field($request->get_param('path') ?? '');
+        $direction = sanitize_key($request->get_param('direction') ?? 'both');
+
+        if (!in_array($direction, array('both', 'wordpress_to_dropbox', 'dropbox_to_wordpress'), true)) {
+            return new WP_REST_Response(array(
+                'message' => __('Invalid sync direction.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        $queued = $this->get_tree_compare_instance()->sync_subtree($path, $direction);
+
+        if (is_wp_error($queued)) {
+            return new WP_REST_Response(array(
+                'message' => $queued->get_error_message()
+            ), $queued->get_error_code() === 'fds_invalid_path' ? 400 : 500);
+        }
+
+        if ($queued === 0) {
+            /* translators: %s: Dropbox path */
+            $message = sprintf(__('%s is already in sync.', 'filebird-dropbox-sync'), $path);
+        } else {
+            /* translators: 1: number of changes, 2: Dropbox path */
+            $message = sprintf(_n('Queued %1$d change in %2$s. It will be synced in the background.', 'Queued %1$d changes in %2$s. They will be synced in the background.', $queued, 'filebird-dropbox-sync'), $queued, $path);
+        }
+
+        return new WP_REST_Response(array(
+            'message' => $message,
+            'queued' => $queued
+        ), 200);
+    }
+
+    /**
+     * Run the sync health checks via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_health($request) {
+        return new WP_REST_Response($this->get_health_instance()->run_checks(), 200);
+    }
+
+    /**
+     * Apply a health check fix via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_apply_health_fix($request) {
+        $fix = sanitize_key($request->get_param('fix') ?? '');
+
+        if (!array_key_exists($fix, FDS_Health::get_fixes())) {
+            return new WP_REST_Response(array(
+                'message' => __('Unknown fix.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        $result = $this->get_health_instance()->apply_fix($fix);
+
+        if (is_wp_error($result)) {
+            return new WP_REST_Response(array(
+                'message' => $result->get_error_message()
+            ), 500);
+        }
+
+        return new WP_REST_Response(array(
+            'message' => $result
+        ), 200);
+    }
+
+    /**
+     * Get the sync run history via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_sync_history($request) {
+        $page = max(1, intval($request->get_param('page') ?? 1));
+        $per_page = min(100, max(1, intval($request->get_param('per_page') ?? 20)));
+        $trigger = sanitize_key($request->get_param('trigger') ?? '');
+
+        if ($trigger !== '' && !array_key_exists($trigger, FDS_Sync_History::get_triggers())) {
+            $trigger = '';
+        }
+
+        $history = new FDS_Sync_History($this->db);
+        $total = $this->db->count_sync_runs($trigger);
+
+        return new WP_REST_Response(array(
+            'runs' => $history->get_runs($trigger, $per_page, ($page - 1) * $per_page),
+            'triggers' => FDS_Sync_History::get_triggers(),
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => max(1, ceil($total / $per_page)),
+        ), 200);
+    }
+
+    /**
+     * Get the daily sync throughput and error rate via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_sync_history_stats($request) {
+        $days = min(90, max(1, intval($request->get_param('days') ?? 30)));
+        $history = new FDS_Sync_History($this->db);
+
+        return new WP_REST_Response(array(
+            'days' => $history->get_daily_stats($days),
+        ), 200);
+    }
+
+    /**
+     * Send a test alert via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_send_test_notification($request) {
+        $notifier = new FDS_Notifier($this->db, $this->logger);
+        $channels = $notifier->send_test();
+
+        if (is_wp_error($channels)) {
+            return new WP_REST_Response(array(
+                'message' => $channels->get_error_message()
+            ), $channels->get_error_code() === 'fds_no_channels' ? 400 : 500);
+        }
+
+        $labels = array(
+            'email' => __('email', 'filebird-dropbox-sync'),
+            'webhook' => __('webhook', 'filebird-dropbox-sync'),
+        );
+
+        /* translators: %s: list of channels */
+        $message = sprintf(__('Test alert sent by %s.', 'filebird-dropbox-sync'), implode(__(' and ', 'filebird-dropbox-sync'), array_map(function($channel) use ($labels) {
+            return $labels[$channel];
+        }, $channels)));
+
+        return new WP_REST_Response(array(
+            'message' => $message,
+            'channels' => $channels
+        ), 200);
+    }
+
+    /**
+     * Get the last reconciliation report via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_reconcile_report($request) {
+        $page = max(1, intval($request->get_param('page') ?? 1));
+        $per_page = min(100, max(1, intval($request->get_param('per_page') ?? 20)));
+        $type = sanitize_key($request->get_param('type') ?? '');
+
+        $reconciler = $this->get_reconciler_instance();
+        $report = $reconciler->get_report($type, $per_page, ($page - 1) * $per_page);
+
+        return new WP_REST_Response(array_merge($report, array(
+            'types' => FDS_Reconciler::get_problem_types(),
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => max(1, ceil($report['total'] / $per_page)),
+            'run' => $reconciler->get_progress(),
+        )), 200);
+    }
+
+    /**
+     * Start reconciling the file mappings via REST API.
+     *
+     * The reconciliation runs in the queue, its progress is read from the run endpoint.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_run_reconcile($request) {
+        $run = $this->get_reconciler_instance()->start();
+
+        if (is_wp_error($run)) {
+            return new WP_REST_Response(array(
+                'message' => $run->get_error_message()
+            ), 500);
+        }
+
+        return new WP_REST_Response(array(
+            'message' => __('The reconciliation was started and runs in the background.', 'filebird-dropbox-sync'),
+            'run' => $run
+        ), 202);
+    }
+
+    /**
+     * Get the progress of the reconciliation via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_reconcile_run($request) {
+        $reconciler = $this->get_reconciler_instance();
+        $run = $reconciler->get_progress();
+
+        if (!$run['running'] && !$run['failed']) {
+            $report = $reconciler->get_report('', 0);
+
+            if ($report['generated_at']) {
+                /* translators: 1: number of mappings, 2: number of problems */
+                $run['message'] = sprintf(__('Checked %1$d file mappings and found %2$d problems.', 'filebird-dropbox-sync'), $report['checked'], $report['total']);
+            }
+        }
+
+        return new WP_REST_Response($run, 200);
+    }
+
+    /**
+     * Repair, relink or purge reconciliation entries via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_apply_reconcile($request) {
+        $operation = sanitize_key($request->get_param('operation') ?? '');
+        $type = sanitize_key($request->get_param('type') ?? '');
+        $ids = $request->get_param('all') ? null : array_filter(array_map('intval', (array) $request->get_param('ids')));
+
+        if ($ids !== null && empty($ids)) {
+            return new WP_REST_Response(array(
+                'message' => __('No entries selected.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        $result = $this->get_reconciler_instance()->apply($operation, $type, $ids);
+
+        if (is_wp_error($result)) {
+            return new WP_REST_Response(array(
+                'message' => $result->get_error_message()
+            ), 400);
+        }
+
+        /* translators: %d: number of entries */
+        $message = sprintf(_n('%d entry handled.', '%d entries handled.', $result['handled'], 'filebird-dropbox-sync'), $result['handled']);
+
+        if ($result['failed'] > 0) {
+            /* translators: %d: number of entries */
+            $message .= ' ' . sprintf(_n('%d entry could not be handled, check the logs for details.', '%d entries could not be handled, check the logs for details.', $result['failed'], 'filebird-dropbox-sync'), $result['failed']);
+        }
+
+        return new WP_REST_Response(array_merge(array(
+            'message' => $message
+        ), $result), 200);
+    }
+
+    /**
+     * Get the last duplicates report via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_duplicates_report($request) {
+        $page = max(1, intval($request->get_param('page') ?? 1));
+        $per_page = min(100, max(1, intval($request->get_param('per_page') ?? 20)));
+
+        $duplicates = $this->get_duplicates_instance();
+        $report = $duplicates->get_report($per_page, ($page - 1) * $per_page);
+
+        foreach ($report['groups'] as &$group) {
+            foreach ($group['attachments'] as &$attachment) {
+                $attachment['edit_url'] = get_edit_post_link($attachment['attachment_id'], 'raw');
+                $attachment['thumbnail'] = wp_get_attachment_image_url($attachment['attachment_id'], 'thumbnail');
+            }
+            unset($attachment);
+        }
+        unset($group);
+
+        return new WP_REST_Response(array_merge($report, array(
+            'wasted' => size_format($report['wasted_bytes']),
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => max(1, ceil($report['total'] / $per_page)),
+            'scan' => $duplicates->get_scan_progress(),
+        )), 200);
+    }
+
+    /**
+     * Start scanning for duplicate files via REST API.
+     *
+     * The scan runs in the queue, its progress is read from the scan endpoint.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_scan_duplicates($request) {
+        $scan = $this->get_duplicates_instance()->start_scan();
+
+        if (is_wp_error($scan)) {
+            return new WP_REST_Response(array(
+                'message' => $scan->get_error_message()
+            ), 500);
+        }
+
+        return new WP_REST_Response(array(
+            'message' => __('The scan was started and runs in the background.', 'filebird-dropbox-sync'),
+            'scan' => $scan
+        ), 202);
+    }
+
+    /**
+     * Get the progress of the duplicate scan via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_duplicates_scan($request) {
+        $duplicates = $this->get_duplicates_instance();
+        $scan = $duplicates->get_scan_progress();
+
+        if (!$scan['running'] && !$scan['failed']) {
+            $report = $duplicates->get_report(0);
+
+            if ($report['generated_at']) {
+                /* translators: 1: number of attachments, 2: number of groups */
+                $scan['message'] = sprintf(__('Checked %1$d attachments and found %2$d groups of identical files.', 'filebird-dropbox-sync'), $report['checked'], $report['total']);
+            }
+        }
+
+        return new WP_REST_Response($scan, 200);
+    }
+
+    /**
+     * Merge duplicate attachments via REST API.
+     *
+     * Merges every other attachment of the group unless attachment IDs are given.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_merge_duplicates($request) {
+        $content_hash = preg_replace('/[^a-f0-9]/', '', strtolower((string) $request->get_param('content_hash')));
+        $keep_id = intval($request->get_param('keep'));
+        $ids = $request->get_param('ids') === null ? null : array_filter(array_map('intval', (array) $request->get_param('ids')));
+
+        $result = $this->get_duplicates_instance()->merge($content_hash, $keep_id, $ids);
+
+        if (is_wp_error($result)) {
+            return new WP_REST_Response(array(
+                'message' => $result->get_error_message()
+            ), 400);
+        }
+
+        /* translators: 1: number of attachments, 2: number of posts */
+        $message = sprintf(_n('%1$d attachment merged, %2$d posts updated.', '%1$d attachments merged, %2$d posts updated.', $result['merged'], 'filebird-dropbox-sync'), $result['merged'], $result['posts']);
+
+        if ($result['failed'] > 0) {
+            /* translators: %d: number of attachments */
+            $message .= ' ' . sprintf(_n('%d attachment could not be merged, check the logs for details.', '%d attachments could not be merged, check the logs for details.', $result['failed'], 'filebird-dropbox-sync'), $result['failed']);
+        }
+
+        return new WP_REST_Response(array_merge(array(
+            'message' => $message
+        ), $result), 200);
+    }
+
+    /**
+     * Get the namespaces that can be the sync root via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_get_namespaces($request) {
+        $dropbox_api = new FDS_Dropbox_API(new FDS_Settings(), $this->logger);
+        $namespaces = $dropbox_api->list_namespaces();
+
+        if (is_wp_error($namespaces)) {
+            return new WP_REST_Response(array(
+                'message' => $namespaces->get_error_message()
+            ), 500);
+        }
+
+        $account = get_option('fds_dropbox_account', array());
+
+        return new WP_REST_Response(array(
+            'namespaces' => $namespaces,
+            'current' => FDS_Dropbox_API::get_namespace(),
+            'is_team' => !empty($account['is_team']),
+        ), 200);
+    }
+
+    /**
+     * Make a namespace the sync root via REST API.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_set_namespace($request) {
+        $type = sanitize_key($request->get_param('type') ?? '');
+        $namespace_id = sanitize_text_field($request->get_param('namespace_id') ?? '');
+        $clear_mappings = rest_sanitize_boolean($request->get_param('clear_mappings') ?? false);
+
+        $current = FDS_Dropbox_API::get_namespace();
+        $mappings = $this->db->count_mappings();
+        $is_switch = $current['type'] !== $type || $current['namespace_id'] !== $namespace_id;
+
+        // The mappings point to paths in the current namespace
+        if ($is_switch && $mappings['folders'] + $mappings['files'] > 0) {
+            $checkpoint = new FDS_Sync_Checkpoint();
+
+            if ($checkpoint->get()) {
+                return new WP_REST_Response(array(
+                    'message' => __('A full sync is in progress. Cancel it or let it finish before changing the sync root.', 'filebird-dropbox-sync')
+                ), 409);
+            }
+
+            if (!empty(FDS_Offload::get_offloaded_ids())) {
+                return new WP_REST_Response(array(
+                    'message' => __('Offloaded files are only stored in the current sync root. Restore them to the server before changing it.', 'filebird-dropbox-sync')
+                ), 409);
+            }
+
+            if (!$clear_mappings) {
+                return new WP_REST_Response(array(
+                    'message' => sprintf(
+                        /* translators: 1: number of folders, 2: number of files */
+                        __('%1$d folders and %2$d files are linked to paths in the current sync root. Changing it forgets these links, the next full sync matches or uploads them again in the new sync root.', 'filebird-dropbox-sync'),
+                        $mappings['folders'],
+                        $mappings['files']
+                    ),
+                    'mappings' => $mappings,
+                    'requires_confirmation' => true,
+                ), 409);
+            }
+        }
+
+        $dropbox_api = new FDS_Dropbox_API(new FDS_Settings(), $this->logger);
+        $namespace = $dropbox_api->set_namespace($type, $namespace_id);
+
+        if (is_wp_error($namespace)) {
+            return new WP_REST_Response(array(
+                'message' => $namespace->get_error_message()
+            ), $namespace->get_error_code() === 'fds_namespace_not_found' ? 404 : 500);
+        }
+
+        if ($is_switch && $clear_mappings) {
+            $deleted = $this->db->delete_all_mappings();
+
+            $this->logger->info("Cleared the mappings of the previous sync root", [
+                'folders' => $mappings['folders'],
+                'files' => $mappings['files'],
+                'deleted' => $deleted
+            ]);
+        }
+
         return new WP_REST_Response(array(
-            'logs' => $formatted_logs,
-            'total' => $total,
-            'page' => $page,
-            'per_page' => $per_page,
-            'total_pages' => ceil($total / $per_page),
+            /* translators: %s: team space or shared folder name */
+            'message' => sprintf(__('%s is now the sync root. Run a full sync to sync its content.', 'filebird-dropbox-sync'), $namespace['name']),
+            'current' => $namespace,
         ), 200);
     }
 
     /**
-     * Clear logs via REST API.
+     * List a Dropbox folder for the import browser via REST API.
      *
      * @since    1.0.0
      * @param    WP_REST_Request    $request    The request object.
      * @return   WP_REST_Response               The response object.
      */
-    public function rest_clear_logs($request) {
-        global $wpdb;
-        $table_name = $wpdb->prefix . 'fds_logs';
-        
-        $result = $wpdb->query("TRUNCATE TABLE $table_name");
-        
-        if ($result !== false) {
-            return new WP_REST_Response(array(
-                'message' => __('Logs cleared successfully.', 'filebird-dropbox-sync')
-            ), 200);
-        } else {
+    public function rest_browse_dropbox($request) {
+        $listing = $this->get_dropbox_import_instance()->browse($request->get_param('path') ?? '');
+
+        if (is_wp_error($listing)) {
             return new WP_REST_Response(array(
-                'message' => __('Failed to clear logs.', 'filebird-dropbox-sync')
+                'message' => $listing->get_error_message()
             ), 500);
         }
+
+        return new WP_REST_Response(array_merge($listing, array(
+            'folders' => $this->get_folder_choices()
+        )), 200);
     }
 
     /**
-     * Get sync stats via REST API.
+     * Get thumbnails for the import browser via REST API.
      *
      * @since    1.0.0
      * @param    WP_REST_Request    $request    The request object.
      * @return   WP_REST_Response               The response object.
      */
-    public function rest_get_sync_stats($request) {
-        global $wpdb;
-        
-        // Get file mapping count
-        $file_table = $wpdb->prefix . 'fds_file_mapping';
-        $total_files = $wpdb->get_var("SELECT COUNT(*) FROM $file_table");
-        
-        // Get synced files count (files with a recent sync date)
-        $synced_files = $wpdb->get_var(
-            $wpdb->prepare(
-                "SELECT COUNT(*) FROM $file_table WHERE last_synced > DATE_SUB(NOW(), INTERVAL %d HOUR)",
-                24 // Consider files synced in last 24 hours
-            )
-        );
-        
-        // Get queue stats
-        $queue_table = $wpdb->prefix . 'fds_sync_queue';
-        $pending_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'pending'");
-        $processing_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'processing'");
-        $failed_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'failed'");
-        $completed_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'completed'");
-        
-        // Check if there's a queue lock (processing in progress)
-        $is_processing = get_transient('fds_queue_lock') ? true : false;
-        
+    public function rest_get_import_thumbnails($request) {
         return new WP_REST_Response(array(
-            'total_files' => intval($total_files),
-            'synced_files' => intval($synced_files),
-            'pending_tasks' => intval($pending_tasks),
-            'processing_tasks' => intval($processing_tasks),
-            'failed_tasks' => intval($failed_tasks),
-            'completed_tasks' => intval($completed_tasks),
-            'is_processing' => $is_processing,
-            'last_updated' => current_time('mysql')
+            'thumbnails' => $this->get_dropbox_import_instance()->get_thumbnails((array) $request->get_param('paths'))
         ), 200);
     }
 
     /**
-     * Force process queue via REST API.
+     * Queue the import of files picked in the Dropbox browser via REST API.
      *
      * @since    1.0.0
      * @param    WP_REST_Request    $request    The request object.
      * @return   WP_REST_Response               The response object.
      */
-    public function rest_force_process_queue($request) {
-        // Get queue instance
-        $queue = $this->get_queue_instance();
-        
-        // Process queue
-        $processed = $queue->force_process_queue();
-        
-        return new WP_REST_Response(array(
-            'message' => sprintf(__('Successfully processed %d tasks.', 'filebird-dropbox-sync'), $processed),
-            'processed' => $processed
-        ), 200);
+    public function rest_start_import($request) {
+        $paths = array_map('sanitize_text_field', (array) $request->get_param('paths'));
+        $folder_id = absint($request->get_param('folder_id'));
+
+        $result = $this->get_dropbox_import_instance()->start_import($paths, $folder_id);
+
+        if (is_wp_error($result)) {
+            return new WP_REST_Response(array(
+                'message' => $result->get_error_message()
+            ), in_array($result->get_error_code(), array('fds_nothing_selected', 'fds_invalid_folder', 'fds_invalid_path'), true) ? 400 : 500);
+        }
+
+        $skipped = $result['unsupported'] + $result['existing'];
+
+        if ($result['queued'] === 0) {
+            $message = __('Nothing to import, the selected files are already in the Media Library or cannot be added to it.', 'filebird-dropbox-sync');
+        } else {
+            /* translators: %d: number of files */
+            $message = sprintf(_n('Importing %d file.', 'Importing %d files.', $result['queued'], 'filebird-dropbox-sync'), $result['queued']);
+        }
+
+        if ($skipped > 0) {
+            /* translators: 1: number of files already in the Media Library, 2: number of files of a type WordPress does not allow */
+            $message .= ' ' . sprintf(__('Skipped %1$d already imported and %2$d unsupported.', 'filebird-dropbox-sync'), $result['existing'], $result['unsupported']);
+        }
+
+        return new WP_REST_Response(array_merge(array(
+            'message' => $message
+        ), $result), 200);
     }
 
     /**
-     * Retry failed tasks via REST API.
+     * Get the progress of a Dropbox import via REST API.
      *
      * @since    1.0.0
      * @param    WP_REST_Request    $request    The request object.
      * @return   WP_REST_Response               The response object.
      */
-    public function rest_retry_failed_tasks($request) {
-        global $wpdb;
-        $queue_table = $wpdb->prefix . 'fds_sync_queue';
-        
-        // Update all failed tasks to pending and reset attempts
-        $updated = $wpdb->query(
-            "UPDATE $queue_table 
-            SET status = 'pending', attempts = 0, error_message = '', updated_at = NOW() 
-            WHERE status = 'failed'"
-        );
-        
-        // Log the action
-        $this->logger->info("Reset {$updated} failed tasks to pending status");
-        
+    public function rest_get_import_progress($request) {
+        $progress = $this->get_dropbox_import_instance()->get_progress($request->get_param('import_id'));
+
+        if (is_wp_error($progress)) {
+            return new WP_REST_Response(array(
+                'message' => $progress->get_error_message()
+            ), 404);
+        }
+
+        return new WP_REST_Response($progress, 200);
+    }
+
+    /**
+     * Queue offloaded files for re-download to the server via REST API.
+     *
+     * Re-downloads every offloaded file unless attachment IDs are given.
+     *
+     * @since    1.0.0
+     * @param    WP_REST_Request    $request    The request object.
+     * @return   WP_REST_Response               The response object.
+     */
+    public function rest_restore_offloaded($request) {
+        $offloaded = FDS_Offload::get_offloaded_ids();
+        $ids = $request->get_param('ids') === null ? $offloaded : array_intersect(array_map('intval', (array) $request->get_param('ids')), $offloaded);
+
+        if (empty($ids)) {
+            return new WP_REST_Response(array(
+                'message' => __('There are no offloaded files to re-download.', 'filebird-dropbox-sync')
+            ), 400);
+        }
+
+        $file_sync = $this->get_file_sync_instance();
+        $queued = 0;
+
+        foreach ($ids as $attachment_id) {
+            if ($file_sync->queue_restore_local($attachment_id)) {
+                $queued++;
+            }
+        }
+
+        if ($queued > 0 && !wp_next_scheduled('fds_process_queue')) {
+            wp_schedule_single_event(time(), 'fds_process_queue');
+        }
+
+        /* translators: %d: number of files */
+        $message = sprintf(_n('%d file queued for re-download.', '%d files queued for re-download.', $queued, 'filebird-dropbox-sync'), $queued);
+
+        if ($queued < count($ids)) {
+            /* translators: %d: number of files */
+            $message .= ' ' . sprintf(_n('%d file could not be queued, check the logs for details.', '%d files could not be queued, check the logs for details.', count($ids) - $queued, 'filebird-dropbox-sync'), count($ids) - $queued);
+        }
+
         return new WP_REST_Response(array(
-            'message' => sprintf(__('Reset %d failed tasks to pending status.', 'filebird-dropbox-sync'), $updated),
-            'updated' => $updated
+            'message' => $message,
+            'queued' => $queued
         ), 200);
     }
 
@@ -312,12 +2064,13 @@ class FDS_REST_Controller {
         $level = isset($_POST['level']) ? sanitize_text_field($_POST['level']) : 'error';
         $page = isset($_POST['page']) ? max(1, intval($_POST['page'])) : 1;
         $per_page = isset($_POST['per_page']) ? max(1, intval($_POST['per_page'])) : 20;
+        $filters = $this->get_log_filters(wp_unslash($_POST));
         
         // Calculate offset
         $offset = ($page - 1) * $per_page;
         
         // Get logs
-        $logs = $this->db->get_logs($level, $per_page, $offset);
+        $logs = $this->db->get_logs($level, $per_page, $offset, $filters);
         
         // Get total count for pagination
         global $wpdb;
@@ -345,18 +2098,7 @@ class FDS_REST_Controller {
             }
         }
         
-        $levels = array('emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug');
-        $level_index = array_search($level, $levels);
-        
-        if ($level_index !== false) {
-            $included_levels = array_slice($levels, 0, $level_index + 1);
-            $placeholders = implode(',', array_fill(0, count($included_levels), '%s'));
-            $where = $wpdb->prepare("WHERE level IN ($placeholders)", $included_levels);
-        } else {
-            $where = "";
-        }
-        
-        $total = $wpdb->get_var("SELECT COUNT(*) FROM $table_name $where");
+        $total = $this->db->count_logs($level, $filters);
         
         // Format logs for response
         $formatted_logs = array();
@@ -388,6 +2130,7 @@ class FDS_REST_Controller {
                 $formatted_logs[] = array(
                     'id' => $log->id,
                     'level' => $log->level,
+                    'component' => $log->component,
                     'message' => $log->message,
                     'context' => $context,
                     'created_at' => $log->created_at,
@@ -409,9 +2152,45 @@ class FDS_REST_Controller {
             'page' => $page,
             'per_page' => $per_page,
             'total_pages' => ceil($total / $per_page),
+            'components' => $this->db->get_log_components(),
         ));
     }
 
+    /**
+     * Get the log filters from request parameters.
+     *
+     * @param array $params The request parameters
+     * @return array Filters for FDS_DB::get_logs()
+     */
+    private function get_log_filters($params) {
+        $filters = array(
+            'component' => isset($params['component']) ? sanitize_key($params['component']) : '',
+            'search' => isset($params['search']) ? sanitize_text_field($params['search']) : '',
+            'date_from' => '',
+            'date_to' => '',
+            'correlation_key' => '',
+            'correlation_value' => '',
+        );
+        
+        if (!empty($params['correlation_key']) && in_array($params['correlation_key'], array('attachment_id', 'dropbox_path', 'task_id'), true)) {
+            $value = isset($params['correlation_value']) ? trim(sanitize_text_field($params['correlation_value'])) : '';
+            
+            // IDs must be numeric, paths can be anything
+            if ($value !== '' && ($params['correlation_key'] === 'dropbox_path' || ctype_digit($value))) {
+                $filters['correlation_key'] = $params['correlation_key'];
+                $filters['correlation_value'] = $value;
+            }
+        }
+        
+        foreach (array('date_from', 'date_to') as $key) {
+            if (!empty($params[$key]) && preg_match('/^\d{4}-\d{2}-\d{2}$/', $params[$key])) {
+                $filters[$key] = $params[$key];
+            }
+        }
+        
+        return $filters;
+    }
+
     /**
      * Helper method to check if a string is valid JSON
      *
@@ -473,6 +2252,9 @@ class FDS_REST_Controller {
         delete_option('fds_dropbox_access_token');
         delete_option('fds_dropbox_refresh_token');
         delete_option('fds_dropbox_token_expiry');
+        delete_option('fds_dropbox_token_refreshed_at');
+        delete_option('fds_dropbox_account');
+        delete_option('fds_token_refresh_error');
         
         // Disable sync
         update_option('fds_sync_enabled', false);
@@ -539,9 +2321,11 @@ class FDS_REST_Controller {
             $processing_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'processing'") ?: 0;
             $failed_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'failed'") ?: 0;
             $completed_tasks = $wpdb->get_var("SELECT COUNT(*) FROM $queue_table WHERE status = 'completed'") ?: 0;
+            $pending_regenerations = $this->db->count_queue_tasks(array('status' => 'pending', 'action' => 'regenerate'));
             
             // Check if there's a queue lock (processing in progress)
             $is_processing = get_transient('fds_queue_lock') ? true : false;
+            $schedule = new FDS_Sync_Schedule();
             
             wp_send_json_success([
                 'total_files' => intval($total_files),
@@ -550,7 +2334,9 @@ class FDS_REST_Controller {
                 'processing_tasks' => intval($processing_tasks),
                 'failed_tasks' => intval($failed_tasks),
                 'completed_tasks' => intval($completed_tasks),
+                'pending_regenerations' => $pending_regenerations,
                 'is_processing' => $is_processing,
+                'schedule' => $schedule->get_status(),
                 'last_updated' => current_time('mysql')
             ]);
         } catch (Exception $e) {
@@ -666,6 +2452,13 @@ class FDS_REST_Controller {
         // Get queue instance
         $queue = $this->get_queue_instance();
         
+        $checkpoint = new FDS_Sync_Checkpoint();
+        
+        if ($checkpoint->get()) {
+            wp_send_json_error(['message' => __('A full sync is already in progress. Resume or cancel it first.', 'filebird-dropbox-sync')]);
+            return;
+        }
+        
         // Start full sync
         $result = $queue->start_full_sync();
         
@@ -758,4 +2551,162 @@ class FDS_REST_Controller {
         
         return $this->queue;
     }
+
+    /**
+     * Get file sync instance, creating it if necessary.
+     * 
+     * @since    1.0.0
+     * @return   FDS_File_Sync    The file sync instance.
+     */
+    private function get_file_sync_instance() {
+        if ($this->file_sync === null) {
+            $settings = new FDS_Settings();
+            $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+            
+            $this->file_sync = new FDS_File_Sync($dropbox_api, $this->db, $this->logger);
+        }
+        
+        return $this->file_sync;
+    }
+
+    /**
+     * Get sync planner instance, creating it if necessary.
+     * 
+     * @since    1.0.0
+     * @return   FDS_Sync_Planner    The sync planner instance.
+     */
+    private function get_sync_planner_instance() {
+        if ($this->sync_planner === null) {
+            $settings = new FDS_Settings();
+            $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+            
+            $this->sync_planner = new FDS_Sync_Planner($dropbox_api, $this->db, $this->logger);
+        }
+        
+        return $this->sync_planner;
+    }
+
+    /**
+     * Get a trash instance for restoring deleted items.
+     * 
+     * @since    1.0.0
+     * @return   FDS_Trash    The trash instance.
+     */
+    private function get_trash_instance() {
+        $settings = new FDS_Settings();
+        $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+        
+        return new FDS_Trash($dropbox_api, $this->db, $this->logger);
+    }
+
+    /**
+     * Get a tree compare instance for comparing the folder trees.
+     * 
+     * @since    1.0.0
+     * @return   FDS_Tree_Compare    The tree compare instance.
+     */
+    private function get_tree_compare_instance() {
+        $settings = new FDS_Settings();
+        $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+        
+        return new FDS_Tree_Compare($dropbox_api, $this->db, $this->logger);
+    }
+
+    /**
+     * Get a Dropbox import instance for the import browser.
+     * 
+     * @since    1.0.0
+     * @return   FDS_Dropbox_Import    The Dropbox import instance.
+     */
+    private function get_dropbox_import_instance() {
+        $settings = new FDS_Settings();
+        $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+        
+        return new FDS_Dropbox_Import($dropbox_api, $this->db, $this->logger);
+    }
+
+    /**
+     * Get a health instance for running the health checks.
+     * 
+     * @since    1.0.0
+     * @return   FDS_Health    The health instance.
+     */
+    private function get_health_instance() {
+        $settings = new FDS_Settings();
+        $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+        $webhook = new FDS_Webhook($this->get_queue_instance(), $dropbox_api, $settings, $this->logger);
+        
+        return new FDS_Health($dropbox_api, $this->db, $this->logger, $webhook);
+    }
+
+    /**
+     * Get a reconciler instance for reconciling file mappings.
+     * 
+     * @since    1.0.0
+     * @return   FDS_Reconciler    The reconciler instance.
+     */
+    private function get_reconciler_instance() {
+        $settings = new FDS_Settings();
+        $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+        
+        return new FDS_Reconciler($dropbox_api, $this->db, $this->logger);
+    }
+
+    /**
+     * Get a duplicates instance for finding and merging duplicate files.
+     * 
+     * @since    1.0.0
+     * @return   FDS_Duplicates    The duplicates instance.
+     */
+    private function get_duplicates_instance() {
+        $settings = new FDS_Settings();
+        $dropbox_api = new FDS_Dropbox_API($settings, $this->logger);
+        
+        return new FDS_Duplicates($dropbox_api, $this->db, $this->logger);
+    }
+
+    /**
+     * Get the FileBird folders that can be mapped, labelled with their full path.
+     * 
+     * @since    1.0.0
+     * @return   array    Folders with id and name, sorted by name.
+     */
+    private function get_folder_choices() {
+        if (!class_exists('FileBird\\Model\\Folder')) {
+            return array();
+        }
+
+        $folders = array();
+
+        foreach ((array) \FileBird\Model\Folder::getFolders() as $folder) {
+            $details = \FileBird\Model\Folder::findById($folder->id, 'id, name, parent');
+
+            if ($details) {
+                $folders[intval($details->id)] = $details;
+            }
+        }
+
+        $choices = array();
+
+        foreach ($folders as $folder_id => $folder) {
+            $names = array();
+            $current = $folder;
+
+            while ($current && count($names) < 32) {
+                array_unshift($names, $current->name);
+                $current = intval($current->parent) > 0 && isset($folders[intval($current->parent)]) ? $folders[intval($current->parent)] : null;
+            }
+
+            $choices[] = array(
+                'id' => $folder_id,
+                'name' => implode(' / ', $names),
+            );
+        }
+
+        usort($choices, function($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+
+        return $choices;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+<?php
+/**
+ * Maps FileBird folders to their own Dropbox paths.
+ *
+ * By default every FileBird folder lives below the root Dropbox folder. A root
+ * mapping sends a folder (and everything below it) to a different Dropbox
+ * path instead, and limits the direction changes are synced in.
+ *
+ * @since      1.0.0
+ */
+class FDS_Root_Mappings {
+
+    /**
+     * Get the directions a mapping can sync in.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by direction.
+     */
+    public static function get_directions() {
+        return array(
+            'two_way' => __('Two-way', 'filebird-dropbox-sync'),
+            'upload_only' => __('Upload only (WordPress to Dropbox)', 'filebird-dropbox-sync'),
+            'download_only' => __('Download only (Dropbox to WordPress)', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the configured mappings.
+     *
+     * @since    1.0.0
+     * @return   array    Mappings with folder_id, dropbox_path and direction.
+     */
+    public function get_mappings() {
+        $mappings = get_option('fds_root_mappings', array());
+
+        return is_array($mappings) ? array_values($mappings) : array();
+    }
+
+    /**
+     * Validate and save the mappings.
+     *
+     * @since    1.0.0
+     * @param    array    $mappings    Mappings with folder_id, dropbox_path and direction.
+     * @return   array|WP_Error        The saved mappings or an error describing the first invalid one.
+     */
+    public function save_mappings($mappings) {
+        $root_folder = strtolower(get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER));
+        $directions = array_keys(self::get_directions());
+        $sanitized = array();
+        $folder_ids = array();
+        $paths = array();
+
+        foreach ((array) $mappings as $mapping) {
+            $folder_id = isset($mapping['folder_id']) ? absint($mapping['folder_id']) : 0;
+            $dropbox_path = isset($mapping['dropbox_path']) ? $this->normalize_path(sanitize_text_field($mapping['dropbox_path'])) : '';
+            $direction = isset($mapping['direction']) ? sanitize_key($mapping['direction']) : '';
+
+            if ($folder_id === 0 || (class_exists('FileBird\\Model\\Folder') && !\FileBird\Model\Folder::findById($folder_id, 'id, name, parent'))) {
+                return new WP_Error('fds_invalid_mapping', __('Choose an existing FileBird folder for every mapping.', 'filebird-dropbox-sync'));
+            }
+
+            if ($dropbox_path === '') {
+                return new WP_Error('fds_invalid_mapping', __('Enter a Dropbox path for every mapping.', 'filebird-dropbox-sync'));
+            }
+
+            if (strtolower($dropbox_path) === $root_folder) {
+                return new WP_Error('fds_invalid_mapping', __('A folder cannot be mapped to the root Dropbox folder itself.', 'filebird-dropbox-sync'));
+            }
+
+            if (isset($folder_ids[$folder_id])) {
+                return new WP_Error('fds_invalid_mapping', __('Each FileBird folder can only be mapped once.', 'filebird-dropbox-sync'));
+            }
+
+            if (isset($paths[strtolower($dropbox_path)])) {
+                /* translators: %s: Dropbox path */
+                return new WP_Error('fds_invalid_mapping', sprintf(__('%s is used by more than one mapping.', 'filebird-dropbox-sync'), $dropbox_path));
+            }
+
+            $folder_ids[$folder_id] = true;
+            $paths[strtolower($dropbox_path)] = true;
+
+            $sanitized[] = array(
+                'folder_id' => $folder_id,
+                'dropbox_path' => $dropbox_path,
+                'direction' => in_array($direction, $directions, true) ? $direction : 'two_way',
+            );
+        }
+
+        update_option('fds_root_mappings', $sanitized);
+
+        return $sanitized;
+    }
+
+    /**
+     * Get the mapping of a FileBird folder.
+     *
+     * Only matches the mapped folder itself, not its subfolders.
+     *
+     * @since    1.0.0
+     * @param    int           $folder_id    The FileBird folder ID.
+     * @return   array|null                  The mapping or null if the folder isn't mapped.
+     */
+    public function get_mapping_for_folder($folder_id) {
+        foreach ($this->get_mappings() as $mapping) {
+            if (intval($mapping['folder_id']) === intval($folder_id)) {
+                return $mapping;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the mapping a Dropbox path belongs to.
+     *
+     * @since    1.0.0
+     * @param    string        $path    The Dropbox path.
+     * @return   array|null             The mapping with the longest matching path or null.
+     */
+    public function get_mapping_for_path($path) {
+        $match = null;
+
+        foreach ($this->get_mappings() as $mapping) {
+            if ($this->is_within($path, $mapping['dropbox_path'])
+                && ($match === null || strlen($mapping['dropbox_path']) > strlen($match['dropbox_path']))) {
+                $match = $mapping;
+            }
+        }
+
+        return $match;
+    }
+
+    /**
+     * Check whether a Dropbox path is the path of a mapping itself.
+     *
+     * @since    1.0.0
+     * @param    string    $path    The Dropbox path.
+     * @return   boolean            True if a folder is mapped to exactly this path.
+     */
+    public function is_mapped_path($path) {
+        $mapping = $this->get_mapping_for_path($path);
+
+        return $mapping !== null && strtolower($mapping['dropbox_path']) === strtolower($this->normalize_path($path));
+    }
+
+    /**
+     * Check whether changes to a Dropbox path may be synced in a direction.
+     *
+     * Paths outside every mapping follow the default two-way sync.
+     *
+     * @since    1.0.0
+     * @param    string    $path         The Dropbox path.
+     * @param    string    $direction    wordpress_to_dropbox or dropbox_to_wordpress.
+     * @return   boolean                 True if the change may be synced.
+     */
+    public function allows_path($path, $direction) {
+        $mapping = $this->get_mapping_for_path($path);
+
+        if (!$mapping || $mapping['direction'] === 'two_way') {
+            return true;
+        }
+
+        return $mapping['direction'] === ($direction === 'wordpress_to_dropbox' ? 'upload_only' : 'download_only');
+    }
+
+    /**
+     * Get the synced Dropbox folder a path is in.
+     *
+     * @since    1.0.0
+     * @param    string          $path    The Dropbox path.
+     * @return   string|false             The root folder or mapping path, false if the path isn't synced.
+     */
+    public function get_watched_root($path) {
+        $mapping = $this->get_mapping_for_path($path);
+
+        if ($mapping) {
+            return $mapping['dropbox_path'];
+        }
+
+        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+
+        return $this->is_within($path, $root_folder) ? $root_folder : false;
+    }
+
+    /**
+     * Get the mapping paths outside the root Dropbox folder.
+     *
+     * These need their own folder listing and change cursor.
+     *
+     * @since    1.0.0
+     * @return   array    The Dropbox paths.
+     */
+    public function get_external_paths() {
+        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+        $paths = array();
+
+        foreach ($this->get_mappings() as $mapping) {
+            if (!$this->is_within($mapping['dropbox_path'], $root_folder)) {
+                $paths[] = $mapping['dropbox_path'];
+            }
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Check whether a path is a folder or inside it.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $path      The Dropbox path.
+     * @param    string    $folder    The Dropbox folder.
+     * @return   boolean              True if the path is the folder or below it.
+     */
+    protected function is_within($path, $folder) {
+        $path = strtolower($this->normalize_path($path));
+        $folder = strtolower($this->normalize_path($folder));
+
+        return $folder !== '' && ($path === $folder || strpos($path, $folder . '/') === 0);
+    }
+
+    /**
+     * Normalize a Dropbox path to a leading slash and no trailing slash.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $path    The Dropbox path.
+     * @return   string             The normalized path, empty for the Dropbox root.
+     */
+    protected function normalize_path($path) {
+        $path = trim((string) $path, " \t\n\r\0\x0B/");
+
+        return $path === '' ? '' : '/' . $path;
+    }
+}
@@ -139,6 +139,7 @@ class FDS_Settings {
         wp_enqueue_script('jquery-ui-core');
         wp_enqueue_script('jquery-ui-tooltip');
         wp_enqueue_script('jquery-effects-highlight');
+        wp_enqueue_script('jquery-ui-sortable');
         
         // Enqueue our custom script
         wp_enqueue_script('fds-admin', FDS_PLUGIN_URL . 'admin/js/fds-admin.js', array('jquery', 'jquery-ui-core'), FDS_VERSION, false);
@@ -148,18 +149,26 @@ class FDS_Settings {
             'ajax_url' => admin_url('admin-ajax.php'),
             'rest_url' => get_rest_url(null, 'fds/v1'),
             'nonce' => wp_create_nonce('fds-admin-nonce'),
+            'rest_nonce' => wp_create_nonce('wp_rest'),
             'strings' => array(
                 'confirm_sync' => __('Are you sure you want to start a full synchronization? This may take a while for large libraries.', 'filebird-dropbox-sync'),
                 'sync_started' => __('Synchronization started. This process will continue in the background.', 'filebird-dropbox-sync'),
+                'confirm_cancel_sync' => __('Cancel the full sync? Changes it queued that have not run yet will be dropped.', 'filebird-dropbox-sync'),
+                'confirm_run_plan' => __('Run the previewed plan now? Only the changes listed in the preview will be queued.', 'filebird-dropbox-sync'),
                 'connecting' => __('Connecting to Dropbox...', 'filebird-dropbox-sync'),
                 'connected' => __('Successfully connected to Dropbox!', 'filebird-dropbox-sync'),
                 'error' => __('An error occurred:', 'filebird-dropbox-sync'),
                 'confirm_disconnect' => __('Are you sure you want to disconnect from Dropbox? This will stop synchronization until you reconnect.', 'filebird-dropbox-sync'),
                 'copy_success' => __('Copied to clipboard!', 'filebird-dropbox-sync'),
                 'copy_failed' => __('Failed to copy. Please try manually selecting and copying the text.', 'filebird-dropbox-sync'),
+                'no_mappings' => __('No folder mappings. Every folder is synced below the root Dropbox folder.', 'filebird-dropbox-sync'),
+                'choose_folder' => __('Choose a folder', 'filebird-dropbox-sync'),
             ),
             'is_connected' => $this->is_connected_to_dropbox(),
         ));
+
+        // The Dropbox browser for importing files
+        FDS_Dropbox_Import::enqueue_assets();
     }
 
     /**
@@ -271,6 +280,12 @@ class FDS_Settings {
             'default' => false,
         ));
         
+        register_setting('fds_general_settings', 'fds_sync_mode', array(
+            'type' => 'string',
+            'sanitize_callback' => array($this, 'sanitize_sync_mode'),
+            'default' => 'two_way',
+        ));
+        
         register_setting('fds_general_settings', 'fds_conflict_resolution', array(
             'type' => 'string',
             'sanitize_callback' => array($this, 'sanitize_conflict_resolution'),
@@ -283,6 +298,18 @@ class FDS_Settings {
             'default' => FDS_ROOT_DROPBOX_FOLDER,
         ));
         
+        register_setting('fds_general_settings', 'fds_sync_rules', array(
+            'type' => 'array',
+            'sanitize_callback' => array($this, 'sanitize_sync_rules'),
+            'default' => array('default' => 'include', 'rules' => array()),
+        ));
+        
+        register_setting('fds_general_settings', 'fds_metadata_sync', array(
+            'type' => 'array',
+            'sanitize_callback' => array($this, 'sanitize_metadata_sync'),
+            'default' => array(),
+        ));
+        
         // Register settings for Dropbox API tab
         register_setting('fds_dropbox_settings', 'fds_dropbox_app_key', array(
             'type' => 'string',
@@ -290,12 +317,6 @@ class FDS_Settings {
             'default' => FDS_DROPBOX_APP_KEY,
         ));
         
-        register_setting('fds_dropbox_settings', 'fds_dropbox_app_secret', array(
-            'type' => 'string',
-            'sanitize_callback' => 'sanitize_text_field',
-            'default' => FDS_DROPBOX_APP_SECRET,
-        ));
-        
         register_setting('fds_dropbox_settings', 'fds_dropbox_access_token', array(
             'type' => 'string',
             'sanitize_callback' => 'sanitize_text_field',
@@ -333,6 +354,30 @@ class FDS_Settings {
             'default' => 'error',
         ));
         
+        register_setting('fds_advanced_settings', 'fds_skip_identical_uploads', array(
+            'type' => 'boolean',
+            'sanitize_callback' => 'rest_sanitize_boolean',
+            'default' => false,
+        ));
+        
+        register_setting('fds_advanced_settings', 'fds_sync_schedule', array(
+            'type' => 'array',
+            'sanitize_callback' => array($this, 'sanitize_sync_schedule'),
+            'default' => array(),
+        ));
+        
+        register_setting('fds_advanced_settings', 'fds_notifications', array(
+            'type' => 'array',
+            'sanitize_callback' => array($this, 'sanitize_notifications'),
+            'default' => array(),
+        ));
+        
+        register_setting('fds_advanced_settings', 'fds_offload', array(
+            'type' => 'array',
+            'sanitize_callback' => array($this, 'sanitize_offload'),
+            'default' => array(),
+        ));
+        
         // Add settings sections
         add_settings_section(
             'fds_general_section',
@@ -362,6 +407,27 @@ class FDS_Settings {
             'fds_advanced_settings'
         );
         
+        add_settings_section(
+            'fds_schedule_section',
+            __('Sync Schedule', 'filebird-dropbox-sync'),
+            array($this, 'render_schedule_section'),
+            'fds_advanced_settings'
+        );
+        
+        add_settings_section(
+            'fds_notifications_section',
+            __('Alerts', 'filebird-dropbox-sync'),
+            array($this, 'render_notifications_section'),
+            'fds_advanced_settings'
+        );
+        
+        add_settings_section(
+            'fds_offload_section',
+            __('Media Offloading', 'filebird-dropbox-sync'),
+            array($this, 'render_offload_section'),
+            'fds_advanced_settings'
+        );
+        
         // Add settings fields for general section
         add_settings_field(
             'fds_sync_enabled',
@@ -371,6 +437,14 @@ class FDS_Settings {
             'fds_general_section'
         );
         
+        add_settings_field(
+            'fds_sync_mode',
+            __('Sync Mode', 'filebird-dropbox-sync'),
+            array($this, 'render_sync_mode_field'),
+            'fds_general_settings',
+            'fds_general_section'
+        );
+        
         add_settings_field(
             'fds_conflict_resolution',
             __('Conflict Resolution', 'filebird-dropbox-sync'),
@@ -387,6 +461,30 @@ class FDS_Settings {
             'fds_general_section'
         );
         
+        add_settings_field(
+            'fds_root_mappings',
+            __('Folder Mappings', 'filebird-dropbox-sync'),
+            array($this, 'render_root_mappings_field'),
+            'fds_general_settings',
+            'fds_general_section'
+        );
+        
+        add_settings_field(
+            'fds_sync_rules',
+            __('Sync Rules', 'filebird-dropbox-sync'),
+            array($this, 'render_sync_rules_field'),
+            'fds_general_settings',
+            'fds_general_section'
+        );
+        
+        add_settings_field(
+            'fds_metadata_sync',
+            __('Attachment Metadata', 'filebird-dropbox-sync'),
+            array($this, 'render_metadata_sync_field'),
+            'fds_general_settings',
+            'fds_general_section'
+        );
+        
         // Add settings fields for Dropbox API section
         add_settings_field(
             'fds_dropbox_credentials',
@@ -404,6 +502,14 @@ class FDS_Settings {
             'fds_dropbox_section'
         );
         
+        add_settings_field(
+            'fds_dropbox_namespace',
+            __('Sync Root', 'filebird-dropbox-sync'),
+            array($this, 'render_dropbox_namespace_field'),
+            'fds_dropbox_settings',
+            'fds_dropbox_section'
+        );
+        
         // Add webhook status field
         add_settings_field(
             'fds_webhook_status',
@@ -437,6 +543,81 @@ class FDS_Settings {
             'fds_advanced_settings',
             'fds_advanced_section'
         );
+        
+        add_settings_field(
+            'fds_skip_identical_uploads',
+            __('Identical Files', 'filebird-dropbox-sync'),
+            array($this, 'render_skip_identical_uploads_field'),
+            'fds_advanced_settings',
+            'fds_advanced_section'
+        );
+        
+        // Add settings fields for schedule section
+        add_settings_field(
+            'fds_sync_windows',
+            __('Sync Windows', 'filebird-dropbox-sync'),
+            array($this, 'render_sync_windows_field'),
+            'fds_advanced_settings',
+            'fds_schedule_section'
+        );
+        
+        add_settings_field(
+            'fds_transfer_limits',
+            __('Transfer Limits', 'filebird-dropbox-sync'),
+            array($this, 'render_transfer_limits_field'),
+            'fds_advanced_settings',
+            'fds_schedule_section'
+        );
+        
+        // Add settings fields for notifications section
+        add_settings_field(
+            'fds_notification_channels',
+            __('Send Alerts To', 'filebird-dropbox-sync'),
+            array($this, 'render_notification_channels_field'),
+            'fds_advanced_settings',
+            'fds_notifications_section'
+        );
+        
+        add_settings_field(
+            'fds_notification_conditions',
+            __('Alert When', 'filebird-dropbox-sync'),
+            array($this, 'render_notification_conditions_field'),
+            'fds_advanced_settings',
+            'fds_notifications_section'
+        );
+        
+        add_settings_field(
+            'fds_notification_digest',
+            __('Digest', 'filebird-dropbox-sync'),
+            array($this, 'render_notification_digest_field'),
+            'fds_advanced_settings',
+            'fds_notifications_section'
+        );
+        
+        // Add settings fields for offload section
+        add_settings_field(
+            'fds_offload_enabled',
+            __('Offload Originals', 'filebird-dropbox-sync'),
+            array($this, 'render_offload_enabled_field'),
+            'fds_advanced_settings',
+            'fds_offload_section'
+        );
+        
+        add_settings_field(
+            'fds_offload_link_type',
+            __('Serve From', 'filebird-dropbox-sync'),
+            array($this, 'render_offload_link_type_field'),
+            'fds_advanced_settings',
+            'fds_offload_section'
+        );
+        
+        add_settings_field(
+            'fds_offload_status',
+            __('Offloaded Files', 'filebird-dropbox-sync'),
+            array($this, 'render_offload_status_field'),
+            'fds_advanced_settings',
+            'fds_offload_section'
+        );
     }
 
     /**
@@ -480,6 +661,33 @@ class FDS_Settings {
         echo '<p>' . __('Advanced settings for fine-tuning the synchronization process.', 'filebird-dropbox-sync') . '</p>';
     }
 
+    /**
+     * Render the schedule section description.
+     *
+     * @since    1.0.0
+     */
+    public function render_schedule_section() {
+        echo '<p>' . __('Limit when and how fast queued changes are transferred, for example to keep the bandwidth of a shared host free during business hours.', 'filebird-dropbox-sync') . '</p>';
+    }
+
+    /**
+     * Render the notifications section description.
+     *
+     * @since    1.0.0
+     */
+    public function render_notifications_section() {
+        echo '<p>' . __('Get an email or a webhook message when the synchronization needs attention, instead of finding out from the dashboard.', 'filebird-dropbox-sync') . '</p>';
+    }
+
+    /**
+     * Render the offload section description.
+     *
+     * @since    1.0.0
+     */
+    public function render_offload_section() {
+        echo '<p>' . __('Free disk space by keeping original files only in Dropbox. Generated image sizes stay on the server.', 'filebird-dropbox-sync') . '</p>';
+    }
+
     /**
      * Render the webhook status field.
      *
@@ -517,6 +725,38 @@ class FDS_Settings {
         <?php
     }
 
+    /**
+     * Render the sync mode field.
+     *
+     * @since    1.0.0
+     */
+    public function render_sync_mode_field() {
+        $sync_mode = new FDS_Sync_Mode();
+        $descriptions = array(
+            'two_way' => __('Changes on either side are mirrored to the other side', 'filebird-dropbox-sync'),
+            'wordpress_to_dropbox' => __('Dropbox mirrors WordPress, changes made in Dropbox are ignored', 'filebird-dropbox-sync'),
+            'dropbox_to_wordpress' => __('WordPress mirrors Dropbox, changes made in WordPress are not uploaded', 'filebird-dropbox-sync'),
+            'backup' => __('New and changed files are uploaded to Dropbox, but deleting in WordPress never deletes in Dropbox', 'filebird-dropbox-sync'),
+        );
+        ?>
+        <div class="fds-radio-group">
+            <?php foreach (FDS_Sync_Mode::get_modes() as $mode => $label) : ?>
+                <label class="fds-radio">
+                    <input type="radio" name="fds_sync_mode" value="<?php echo esc_attr($mode); ?>" <?php checked($mode, $sync_mode->get_mode()); ?>>
+                    <span class="fds-radio-indicator"></span>
+                    <span class="fds-radio-label">
+                        <strong><?php echo esc_html($label); ?></strong>
+                        <span class="fds-radio-description"><?php echo esc_html($descriptions[$mode]); ?></span>
+                    </span>
+                </label>
+            <?php endforeach; ?>
+        </div>
+        <p class="description">
+            <?php _e('Choose in which direction changes are synchronized. Folder mappings can narrow this down further for their folders.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
     /**
      * Render the conflict resolution field.
      *
@@ -543,6 +783,15 @@ class FDS_Settings {
                     <span class="fds-radio-description"><?php _e('If a file is modified in both places, keep the Dropbox version', 'filebird-dropbox-sync'); ?></span>
                 </span>
             </label>
+            
+            <label class="fds-radio">
+                <input type="radio" name="fds_conflict_resolution" value="ask" <?php checked('ask', $conflict_resolution); ?>>
+                <span class="fds-radio-indicator"></span>
+                <span class="fds-radio-label">
+                    <strong><?php _e('Ask Me', 'filebird-dropbox-sync'); ?></strong>
+                    <span class="fds-radio-description"><?php _e('If a file is modified in both places, leave both versions untouched and let me decide in the Conflicts tab', 'filebird-dropbox-sync'); ?></span>
+                </span>
+            </label>
         </div>
         <p class="description">
             <?php _e('Choose which version to keep when a file is modified in both WordPress and Dropbox at the same time.', 'filebird-dropbox-sync'); ?>
@@ -574,6 +823,180 @@ class FDS_Settings {
         <?php
     }
 
+    /**
+     * Render the root mappings field.
+     *
+     * The table is filled and saved by the admin script through the REST API.
+     *
+     * @since    1.0.0
+     */
+    public function render_root_mappings_field() {
+        ?>
+        <div id="fds-root-mappings">
+            <table class="widefat fds-mappings-table">
+                <thead>
+                    <tr>
+                        <th><?php _e('FileBird Folder', 'filebird-dropbox-sync'); ?></th>
+                        <th><?php _e('Dropbox Path', 'filebird-dropbox-sync'); ?></th>
+                        <th><?php _e('Direction', 'filebird-dropbox-sync'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody id="fds-mappings-tbody">
+                    <tr class="fds-mappings-empty">
+                        <td colspan="4"><?php _e('Loading folder mappings...', 'filebird-dropbox-sync'); ?></td>
+                    </tr>
+                </tbody>
+            </table>
+            
+            <p>
+                <button type="button" id="fds-add-mapping" class="button"><?php _e('Add Mapping', 'filebird-dropbox-sync'); ?></button>
+                <button type="button" id="fds-save-mappings" class="button button-primary"><?php _e('Save Mappings', 'filebird-dropbox-sync'); ?></button>
+            </p>
+            <div id="fds-mappings-message" class="inline" style="display: none;"></div>
+        </div>
+        <p class="description">
+            <?php _e('Send a FileBird folder and its subfolders to their own Dropbox path instead of the root folder. Upload-only mappings ignore changes made in Dropbox, download-only mappings never change Dropbox. Mappings are saved separately from the other settings.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the sync rules field.
+     *
+     * @since    1.0.0
+     */
+    public function render_sync_rules_field() {
+        $sync_rules = new FDS_Sync_Rules();
+        $rules = $sync_rules->get_rules();
+        $folders = array(0 => __('Uncategorized', 'filebird-dropbox-sync'));
+        
+        if (class_exists('FileBird\\Model\\Folder')) {
+            foreach ((array) \FileBird\Model\Folder::getFolders() as $folder) {
+                $folders[$folder->id] = $folder->name;
+            }
+        }
+        ?>
+        <div class="fds-sync-rules">
+            <table class="widefat fds-rules-table">
+                <thead>
+                    <tr>
+                        <th class="fds-rule-order">#</th>
+                        <th><?php _e('Action', 'filebird-dropbox-sync'); ?></th>
+                        <th><?php _e('Condition', 'filebird-dropbox-sync'); ?></th>
+                        <th><?php _e('Value', 'filebird-dropbox-sync'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody id="fds-rules-tbody">
+                    <?php
+                    foreach ($rules['rules'] as $index => $rule) {
+                        $this->render_sync_rule_row($index, $rule, $folders);
+                    }
+                    ?>
+                </tbody>
+            </table>
+            
+            <script type="text/html" id="fds-rule-template">
+                <?php $this->render_sync_rule_row('__index__', array('action' => 'exclude', 'type' => 'extension', 'value' => ''), $folders); ?>
+            </script>
+            
+            <p>
+                <button type="button" id="fds-add-rule" class="button"><?php _e('Add Rule', 'filebird-dropbox-sync'); ?></button>
+            </p>
+            
+            <p>
+                <label for="fds_sync_rules_default" class="fds-inline-label"><?php _e('When no rule matches:', 'filebird-dropbox-sync'); ?></label>
+                <select id="fds_sync_rules_default" name="fds_sync_rules[default]">
+                    <option value="include" <?php selected('include', $rules['default']); ?>><?php _e('Sync the file', 'filebird-dropbox-sync'); ?></option>
+                    <option value="exclude" <?php selected('exclude', $rules['default']); ?>><?php _e('Skip the file', 'filebird-dropbox-sync'); ?></option>
+                </select>
+            </p>
+        </div>
+        <p class="description">
+            <?php _e('Rules are checked from top to bottom and the first rule that matches a file decides whether it is synced. Folder rules also cover subfolders. MIME types and extensions accept comma separated lists, MIME types support wildcards such as image/*. Folders themselves are always mirrored.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the attachment metadata field.
+     *
+     * @since    1.0.0
+     */
+    public function render_metadata_sync_field() {
+        $settings = FDS_Metadata_Sync::get_settings();
+        ?>
+        <table class="widefat fds-metadata-table">
+            <thead>
+                <tr>
+                    <th><?php _e('Field', 'filebird-dropbox-sync'); ?></th>
+                    <th><?php _e('Direction', 'filebird-dropbox-sync'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach (FDS_Metadata_Sync::get_fields() as $field => $label) : ?>
+                    <tr>
+                        <td><label for="fds_metadata_sync_<?php echo esc_attr($field); ?>"><?php echo esc_html($label); ?></label></td>
+                        <td>
+                            <select id="fds_metadata_sync_<?php echo esc_attr($field); ?>" name="fds_metadata_sync[<?php echo esc_attr($field); ?>]">
+                                <?php foreach (FDS_Metadata_Sync::get_directions() as $direction => $direction_label) : ?>
+                                    <option value="<?php echo esc_attr($direction); ?>" <?php selected($direction, $settings[$field]); ?>><?php echo esc_html($direction_label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <p class="description">
+            <?php _e('Metadata is stored as Dropbox file properties, which travel with the file but are not shown in the Dropbox apps. It is sent when a file is uploaded or its metadata is edited, and applied when a file is imported or pulled from Dropbox. Dropbox keeps the first 1024 characters of each field.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render one row of the sync rule builder.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int|string    $index      The row index (or a placeholder for the template).
+     * @param    array         $rule       The rule.
+     * @param    array         $folders    FileBird folder names keyed by ID.
+     */
+    protected function render_sync_rule_row($index, $rule, $folders) {
+        $name = 'fds_sync_rules[rules][' . $index . ']';
+        ?>
+        <tr class="fds-rule-row">
+            <td class="fds-rule-order"><span class="dashicons dashicons-menu"></span></td>
+            <td>
+                <select name="<?php echo esc_attr($name); ?>[action]">
+                    <option value="include" <?php selected('include', $rule['action']); ?>><?php _e('Sync', 'filebird-dropbox-sync'); ?></option>
+                    <option value="exclude" <?php selected('exclude', $rule['action']); ?>><?php _e('Skip', 'filebird-dropbox-sync'); ?></option>
+                </select>
+            </td>
+            <td>
+                <select name="<?php echo esc_attr($name); ?>[type]" class="fds-rule-type">
+                    <?php foreach (FDS_Sync_Rules::get_rule_types() as $type => $label) : ?>
+                        <option value="<?php echo esc_attr($type); ?>" <?php selected($type, $rule['type']); ?>><?php echo esc_html($label); ?></option>
+                    <?php endforeach; ?>
+                </select>
+            </td>
+            <td>
+                <select name="<?php echo esc_attr($name); ?>[folder]" class="fds-rule-folder" <?php echo $rule['type'] === 'folder' ? '' : 'style="display: none;"'; ?>>
+                    <?php foreach ($folders as $folder_id => $folder_name) : ?>
+                        <option value="<?php echo esc_attr($folder_id); ?>" <?php selected($rule['type'] === 'folder' && intval($rule['value']) === intval($folder_id)); ?>><?php echo esc_html($folder_name); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                <input type="text" name="<?php echo esc_attr($name); ?>[value]" class="fds-rule-value" value="<?php echo $rule['type'] === 'folder' ? '' : esc_attr($rule['value']); ?>" <?php echo $rule['type'] === 'folder' ? 'style="display: none;"' : ''; ?>>
+            </td>
+            <td>
+                <button type="button" class="button-link fds-remove-rule" title="<?php esc_attr_e('Remove rule', 'filebird-dropbox-sync'); ?>"><span class="dashicons dashicons-no-alt"></span></button>
+            </td>
+        </tr>
+        <?php
+    }
+
     /**
      * Render the Dropbox API credentials field.
      *
@@ -581,19 +1004,16 @@ class FDS_Settings {
      */
     public function render_dropbox_credentials_field() {
         $app_key = get_option('fds_dropbox_app_key', FDS_DROPBOX_APP_KEY);
-        $app_secret = get_option('fds_dropbox_app_secret', FDS_DROPBOX_APP_SECRET);
         ?>
         <div class="fds-field-group">
             <label for="fds_dropbox_app_key"><?php _e('App Key', 'filebird-dropbox-sync'); ?></label>
             <input type="text" id="fds_dropbox_app_key" name="fds_dropbox_app_key" value="<?php echo esc_attr($app_key); ?>" class="regular-text" placeholder="<?php _e('Enter your Dropbox App Key', 'filebird-dropbox-sync'); ?>">
         </div>
+        <p class="description">
+            <?php _e('The connection uses PKCE, so the App Secret is not needed and not stored.', 'filebird-dropbox-sync'); ?>
+        </p>
         
-        <div class="fds-field-group">
-            <label for="fds_dropbox_app_secret"><?php _e('App Secret', 'filebird-dropbox-sync'); ?></label>
-            <input type="password" id="fds_dropbox_app_secret" name="fds_dropbox_app_secret" value="<?php echo esc_attr($app_secret); ?>" class="regular-text" placeholder="<?php _e('Enter your Dropbox App Secret', 'filebird-dropbox-sync'); ?>">
-        </div>
-        
-        <?php if (empty($app_key) || empty($app_secret)): ?>
+        <?php if (empty($app_key)): ?>
         <div class="notice notice-info inline" style="margin: 10px 0;">
             <p>
                 <span class="dashicons dashicons-info"></span>
@@ -611,10 +1031,9 @@ class FDS_Settings {
      */
     public function render_dropbox_connection_field() {
         $is_connected = $this->is_connected_to_dropbox();
-        $token_expiry = get_option('fds_dropbox_token_expiry', 0);
-        $expires_at = $token_expiry ? date_i18n(get_option('date_format') . ' ' . get_option('time_format'), $token_expiry) : '';
         
         if ($is_connected) {
+            $account = get_option('fds_dropbox_account', false);
             ?>
             <div class="fds-connection-status fds-connection-active">
                 <div class="fds-connection-icon">
@@ -622,10 +1041,23 @@ class FDS_Settings {
                 </div>
                 <div class="fds-connection-info">
                     <h3><?php _e('Connected to Dropbox', 'filebird-dropbox-sync'); ?></h3>
-                    <p><?php printf(
-                        __('Your WordPress site is connected to Dropbox. Token expires at %s.', 'filebird-dropbox-sync'),
-                        '<strong>' . esc_html($expires_at) . '</strong>'
-                    ); ?></p>
+                    <?php if (is_array($account) && $account['email'] !== ''): ?>
+                        <p><?php printf(
+                            /* translators: 1: account name, 2: account email */
+                            __('Your WordPress site is connected to the Dropbox account of %1$s (%2$s).', 'filebird-dropbox-sync'),
+                            '<strong>' . esc_html($account['name']) . '</strong>',
+                            esc_html($account['email'])
+                        ); ?></p>
+                        <?php if (!empty($account['team_name'])): ?>
+                            <p><?php printf(
+                                /* translators: %s: team name */
+                                __('This is a Dropbox Business account of the team %s.', 'filebird-dropbox-sync'),
+                                '<strong>' . esc_html($account['team_name']) . '</strong>'
+                            ); ?></p>
+                        <?php endif; ?>
+                    <?php else: ?>
+                        <p><?php _e('Your WordPress site is connected to Dropbox.', 'filebird-dropbox-sync'); ?></p>
+                    <?php endif; ?>
                 </div>
                 <div class="fds-connection-actions">
                     <button type="button" id="fds-disconnect-dropbox" class="button">
@@ -635,6 +1067,7 @@ class FDS_Settings {
                 </div>
             </div>
             <?php
+            $this->render_token_status();
         } else {
             ?>
             <div class="fds-connection-status fds-connection-inactive">
@@ -658,6 +1091,89 @@ class FDS_Settings {
         echo '<div id="fds-connection-status" class="hidden"></div>';
     }
 
+    /**
+     * Render the Dropbox namespace field.
+     *
+     * The namespaces are loaded by the admin script through the REST API.
+     *
+     * @since    1.0.0
+     */
+    public function render_dropbox_namespace_field() {
+        if (!$this->is_connected_to_dropbox()) {
+            echo '<div class="notice notice-warning inline"><p>' . __('Connect to Dropbox first to choose a team space or shared folder as the sync root.', 'filebird-dropbox-sync') . '</p></div>';
+            return;
+        }
+        
+        $namespace = FDS_Dropbox_API::get_namespace();
+        ?>
+        <div id="fds-namespace-browser">
+            <p>
+                <?php _e('Current sync root:', 'filebird-dropbox-sync'); ?>
+                <strong id="fds-namespace-current"><?php echo esc_html($namespace['name'] !== '' ? $namespace['name'] : __('My Dropbox', 'filebird-dropbox-sync')); ?></strong>
+            </p>
+            <div id="fds-namespace-status" style="display: none;"></div>
+            <div class="fds-logs-table-wrapper">
+                <table class="widefat fds-logs-table fds-namespace-table">
+                    <thead>
+                        <tr>
+                            <th><?php _e('Name', 'filebird-dropbox-sync'); ?></th>
+                            <th><?php _e('Type', 'filebird-dropbox-sync'); ?></th>
+                            <th><?php _e('Mounted at', 'filebird-dropbox-sync'); ?></th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody id="fds-namespace-tbody"></tbody>
+                </table>
+            </div>
+        </div>
+        <p class="description">
+            <?php _e('Dropbox Business accounts can sync with the team space or a team or shared folder instead of the personal folder. The root Dropbox folder and the folder mappings are paths inside the sync root. Changing it restarts change tracking, run a full sync afterwards.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the token status panel.
+     *
+     * @since    1.0.0
+     * @access   protected
+     */
+    protected function render_token_status() {
+        $format = get_option('date_format') . ' ' . get_option('time_format');
+        $token_expiry = intval(get_option('fds_dropbox_token_expiry', 0));
+        $refreshed_at = get_option('fds_dropbox_token_refreshed_at', '');
+        $refresh_error = get_option('fds_token_refresh_error', false);
+        $has_refresh_token = get_option('fds_dropbox_refresh_token', '') !== '';
+        ?>
+        <table class="widefat striped fds-token-status">
+            <tbody>
+                <tr>
+                    <th><?php _e('Access token expires', 'filebird-dropbox-sync'); ?></th>
+                    <td><?php echo $token_expiry ? esc_html(date_i18n($format, $token_expiry + get_option('gmt_offset') * HOUR_IN_SECONDS)) : esc_html__('Does not expire', 'filebird-dropbox-sync'); ?></td>
+                </tr>
+                <tr>
+                    <th><?php _e('Last refreshed', 'filebird-dropbox-sync'); ?></th>
+                    <td><?php echo $refreshed_at ? esc_html(mysql2date($format, $refreshed_at)) : esc_html__('Not recorded yet', 'filebird-dropbox-sync'); ?></td>
+                </tr>
+                <tr>
+                    <th><?php _e('Refresh token', 'filebird-dropbox-sync'); ?></th>
+                    <td><?php echo $has_refresh_token ? esc_html__('Stored, the access token is refreshed automatically', 'filebird-dropbox-sync') : esc_html__('Missing, reconnect when the access token expires', 'filebird-dropbox-sync'); ?></td>
+                </tr>
+                <tr>
+                    <th><?php _e('Authorization', 'filebird-dropbox-sync'); ?></th>
+                    <td><?php echo get_option('fds_dropbox_app_secret', '') !== '' ? esc_html__('App Secret, reconnect to switch to PKCE and remove the stored secret', 'filebird-dropbox-sync') : esc_html__('PKCE', 'filebird-dropbox-sync'); ?></td>
+                </tr>
+                <?php if (is_array($refresh_error)): ?>
+                    <tr class="fds-token-error">
+                        <th><?php _e('Refresh failing since', 'filebird-dropbox-sync'); ?></th>
+                        <td><?php echo esc_html(mysql2date($format, $refresh_error['failed_at']) . ': ' . $refresh_error['message']); ?></td>
+                    </tr>
+                <?php endif; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+
     /**
      * Render the queue batch size field.
      *
@@ -746,6 +1262,261 @@ class FDS_Settings {
         <?php
     }
 
+    /**
+     * Render the skip identical uploads field.
+     *
+     * @since    1.0.0
+     */
+    public function render_skip_identical_uploads_field() {
+        $skip_identical = get_option('fds_skip_identical_uploads', false);
+        ?>
+        <div class="fds-toggle-wrapper">
+            <label class="fds-toggle" for="fds_skip_identical_uploads">
+                <input type="checkbox" id="fds_skip_identical_uploads" name="fds_skip_identical_uploads" value="1" <?php checked($skip_identical); ?>>
+                <span class="fds-toggle-slider"></span>
+            </label>
+            <span class="fds-toggle-label">
+                <?php _e('Skip uploading content Dropbox already has', 'filebird-dropbox-sync'); ?>
+            </span>
+        </div>
+        <p class="description">
+            <?php _e('Files are compared by Dropbox content hash. A file whose Dropbox copy is unchanged is not uploaded again, and a new file with the same content as a synced file is copied inside Dropbox instead of uploaded.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the sync windows field.
+     *
+     * @since    1.0.0
+     */
+    public function render_sync_windows_field() {
+        $settings = FDS_Sync_Schedule::get_settings();
+        ?>
+        <p>
+            <label for="fds_sync_schedule_enabled">
+                <input type="checkbox" id="fds_sync_schedule_enabled" name="fds_sync_schedule[enabled]" value="1" <?php checked($settings['enabled']); ?>>
+                <?php _e('Only process the queue inside these windows', 'filebird-dropbox-sync'); ?>
+            </label>
+        </p>
+        <p class="fds-schedule-days">
+            <?php foreach (FDS_Sync_Schedule::get_days() as $day => $label) : ?>
+                <label for="fds_sync_schedule_day_<?php echo esc_attr($day); ?>">
+                    <input type="checkbox" id="fds_sync_schedule_day_<?php echo esc_attr($day); ?>" name="fds_sync_schedule[days][]" value="<?php echo esc_attr($day); ?>" <?php checked(in_array($day, array_map('intval', $settings['days']), true)); ?>>
+                    <?php echo esc_html($label); ?>
+                </label>
+            <?php endforeach; ?>
+        </p>
+        <p>
+            <label for="fds_sync_schedule_start"><?php _e('From', 'filebird-dropbox-sync'); ?></label>
+            <input type="time" id="fds_sync_schedule_start" name="fds_sync_schedule[start]" value="<?php echo esc_attr($settings['start']); ?>">
+            <label for="fds_sync_schedule_end"><?php _e('to', 'filebird-dropbox-sync'); ?></label>
+            <input type="time" id="fds_sync_schedule_end" name="fds_sync_schedule[end]" value="<?php echo esc_attr($settings['end']); ?>">
+        </p>
+        <p class="description">
+            <?php
+            /* translators: %s: timezone name */
+            printf(__('Times are in the site timezone (%s). A window that ends before it starts runs past midnight, and the same start and end time keeps the whole day open. Changes keep being queued outside the windows, and Process Queue Now ignores them.', 'filebird-dropbox-sync'), esc_html(get_option('timezone_string') ?: 'UTC' . sprintf('%+g', get_option('gmt_offset', 0))));
+            ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the transfer limits field.
+     *
+     * @since    1.0.0
+     */
+    public function render_transfer_limits_field() {
+        $settings = FDS_Sync_Schedule::get_settings();
+        ?>
+        <p>
+            <label for="fds_sync_schedule_bandwidth_limit">
+                <input type="number" id="fds_sync_schedule_bandwidth_limit" name="fds_sync_schedule[bandwidth_limit]" value="<?php echo esc_attr($settings['bandwidth_limit']); ?>" min="0" step="1" class="small-text">
+                <?php _e('KB/s bandwidth', 'filebird-dropbox-sync'); ?>
+            </label>
+        </p>
+        <p>
+            <label for="fds_sync_schedule_request_limit">
+                <input type="number" id="fds_sync_schedule_request_limit" name="fds_sync_schedule[request_limit]" value="<?php echo esc_attr($settings['request_limit']); ?>" min="0" step="1" class="small-text">
+                <?php _e('uploads and downloads per minute', 'filebird-dropbox-sync'); ?>
+            </label>
+        </p>
+        <p class="description">
+            <?php _e('Caps for every queue run, set to 0 for no limit. Once a cap is reached the run ends after its current file and the queue carries on when it is back under the cap on average.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the notification channels field.
+     *
+     * @since    1.0.0
+     */
+    public function render_notification_channels_field() {
+        $settings = FDS_Notifier::get_settings();
+        ?>
+        <div class="fds-notification-channel">
+            <label for="fds_notifications_email_enabled">
+                <input type="checkbox" id="fds_notifications_email_enabled" name="fds_notifications[email_enabled]" value="1" <?php checked($settings['email_enabled']); ?>>
+                <?php _e('Email', 'filebird-dropbox-sync'); ?>
+            </label>
+            <input type="text" id="fds_notifications_email_recipients" name="fds_notifications[email_recipients]" value="<?php echo esc_attr($settings['email_recipients']); ?>" class="regular-text" placeholder="<?php echo esc_attr(get_option('admin_email')); ?>">
+        </div>
+        <div class="fds-notification-channel">
+            <label for="fds_notifications_webhook_enabled">
+                <input type="checkbox" id="fds_notifications_webhook_enabled" name="fds_notifications[webhook_enabled]" value="1" <?php checked($settings['webhook_enabled']); ?>>
+                <?php _e('Webhook', 'filebird-dropbox-sync'); ?>
+            </label>
+            <input type="url" id="fds_notifications_webhook_url" name="fds_notifications[webhook_url]" value="<?php echo esc_attr($settings['webhook_url']); ?>" class="regular-text" placeholder="https://hooks.slack.com/services/...">
+        </div>
+        <p class="description">
+            <?php _e('Separate several email addresses with commas, the site admin email is used when empty. The webhook receives a JSON POST with a text field, so Slack incoming webhooks work as they are.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <p>
+            <button type="button" id="fds-send-test-alert" class="button"><?php _e('Send Test Alert', 'filebird-dropbox-sync'); ?></button>
+            <span id="fds-test-alert-status" class="fds-status-indicator"></span>
+        </p>
+        <p class="description">
+            <?php _e('The test alert uses the saved settings, save your changes first.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the notification conditions field.
+     *
+     * @since    1.0.0
+     */
+    public function render_notification_conditions_field() {
+        $settings = FDS_Notifier::get_settings();
+        ?>
+        <p>
+            <label for="fds_notifications_failed_threshold">
+                <?php _e('At least', 'filebird-dropbox-sync'); ?>
+                <input type="number" id="fds_notifications_failed_threshold" name="fds_notifications[failed_threshold]" value="<?php echo esc_attr($settings['failed_threshold']); ?>" min="0" step="1" class="small-text">
+                <?php _e('tasks have failed', 'filebird-dropbox-sync'); ?>
+            </label>
+        </p>
+        <p>
+            <label for="fds_notifications_token_alerts">
+                <input type="checkbox" id="fds_notifications_token_alerts" name="fds_notifications[token_alerts]" value="1" <?php checked($settings['token_alerts']); ?>>
+                <?php _e('The Dropbox access token stops refreshing', 'filebird-dropbox-sync'); ?>
+            </label>
+        </p>
+        <p>
+            <label for="fds_notifications_webhook_silence_hours">
+                <?php _e('No Dropbox webhook has arrived in', 'filebird-dropbox-sync'); ?>
+                <input type="number" id="fds_notifications_webhook_silence_hours" name="fds_notifications[webhook_silence_hours]" value="<?php echo esc_attr($settings['webhook_silence_hours']); ?>" min="0" step="1" class="small-text">
+                <?php _e('hours', 'filebird-dropbox-sync'); ?>
+            </label>
+        </p>
+        <p class="description">
+            <?php _e('Set a number to 0 to turn that alert off. An alert is sent once when its condition starts and again only after it has cleared.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the notification digest field.
+     *
+     * @since    1.0.0
+     */
+    public function render_notification_digest_field() {
+        $settings = FDS_Notifier::get_settings();
+        ?>
+        <div class="fds-select-wrapper">
+            <select id="fds_notifications_digest" name="fds_notifications[digest]">
+                <?php foreach (FDS_Notifier::get_digest_intervals() as $interval => $label) : ?>
+                    <option value="<?php echo esc_attr($interval); ?>" <?php selected($interval, $settings['digest']); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </div>
+        <p class="description">
+            <?php _e('Alerts raised while a message was sent recently are collected and sent together in the next one.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the offload enabled field.
+     *
+     * @since    1.0.0
+     */
+    public function render_offload_enabled_field() {
+        $settings = FDS_Offload::get_settings();
+        ?>
+        <div class="fds-toggle-wrapper">
+            <label class="fds-toggle" for="fds_offload_enabled">
+                <input type="checkbox" id="fds_offload_enabled" name="fds_offload[enabled]" value="1" <?php checked($settings['enabled']); ?>>
+                <span class="fds-toggle-slider"></span>
+            </label>
+            <span class="fds-toggle-label">
+                <?php _e('Remove original files from the server once they are safely in Dropbox', 'filebird-dropbox-sync'); ?>
+            </span>
+        </div>
+        <p class="description">
+            <?php _e('A file is only removed after its upload is confirmed by comparing content hashes. Files uploaded before offloading was turned on are offloaded the next time they are synced. Turning it off keeps offloaded files in Dropbox, re-download them to bring them back.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the offload link type field.
+     *
+     * @since    1.0.0
+     */
+    public function render_offload_link_type_field() {
+        $settings = FDS_Offload::get_settings();
+        $descriptions = array(
+            'shared' => __('Anyone with the link can open the file. Links are created once and kept, which suits public media.', 'filebird-dropbox-sync'),
+            'temporary' => __('Links expire after a few hours and are renewed when the file is requested. Each request goes through your site first.', 'filebird-dropbox-sync'),
+        );
+        ?>
+        <div class="fds-radio-group">
+            <?php foreach (FDS_Offload::get_link_types() as $type => $label) : ?>
+                <label class="fds-radio">
+                    <input type="radio" name="fds_offload[link_type]" value="<?php echo esc_attr($type); ?>" <?php checked($type, $settings['link_type']); ?>>
+                    <span class="fds-radio-indicator"></span>
+                    <span class="fds-radio-label">
+                        <strong><?php echo esc_html($label); ?></strong>
+                        <span class="fds-radio-description"><?php echo esc_html($descriptions[$type]); ?></span>
+                    </span>
+                </label>
+            <?php endforeach; ?>
+        </div>
+        <p class="description">
+            <?php _e('Shared links need the sharing.write permission on your Dropbox app.', 'filebird-dropbox-sync'); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render the offloaded files status field.
+     *
+     * @since    1.0.0
+     */
+    public function render_offload_status_field() {
+        $stats = FDS_Offload::get_stats();
+        ?>
+        <p>
+            <?php
+            /* translators: 1: number of files, 2: freed disk space */
+            printf(esc_html(_n('%1$s file offloaded, %2$s of disk space freed.', '%1$s files offloaded, %2$s of disk space freed.', $stats['files'], 'filebird-dropbox-sync')), number_format_i18n($stats['files']), esc_html(size_format($stats['bytes'])));
+            ?>
+        </p>
+        <?php if ($stats['files'] > 0) : ?>
+            <p>
+                <button type="button" id="fds-restore-offloaded" class="button"><?php _e('Re-download All', 'filebird-dropbox-sync'); ?></button>
+                <span id="fds-restore-offloaded-status" class="fds-status-indicator"></span>
+            </p>
+            <p class="description">
+                <?php _e('Queues every offloaded file for download back to the server, where it stays. Make sure there is enough disk space. Single files can be re-downloaded from the Media Library.', 'filebird-dropbox-sync'); ?>
+            </p>
+        <?php endif; ?>
+        <?php
+    }
+
     /**
      * Add additional CSS for form elements
      */
@@ -1228,10 +1999,156 @@ class FDS_Settings {
      * @return   string              The sanitized input.
      */
     public function sanitize_conflict_resolution($input) {
-        $valid_options = array('wordpress_wins', 'dropbox_wins');
+        $valid_options = array('wordpress_wins', 'dropbox_wins', 'ask');
         return in_array($input, $valid_options) ? $input : 'wordpress_wins';
     }
 
+    /**
+     * Sanitize sync mode.
+     *
+     * @since    1.0.0
+     * @param    string    $input    The input to sanitize.
+     * @return   string              The sanitized input.
+     */
+    public function sanitize_sync_mode($input) {
+        return array_key_exists($input, FDS_Sync_Mode::get_modes()) ? $input : 'two_way';
+    }
+
+    /**
+     * Sanitize sync rules.
+     *
+     * @since    1.0.0
+     * @param    array    $input    The input to sanitize.
+     * @return   array              The default action and the ordered list of valid rules.
+     */
+    public function sanitize_sync_rules($input) {
+        $sanitized = array(
+            'default' => isset($input['default']) && $input['default'] === 'exclude' ? 'exclude' : 'include',
+            'rules' => array(),
+        );
+        
+        if (empty($input['rules']) || !is_array($input['rules'])) {
+            return $sanitized;
+        }
+        
+        $types = array_keys(FDS_Sync_Rules::get_rule_types());
+        
+        foreach ($input['rules'] as $rule) {
+            $type = isset($rule['type']) ? sanitize_key($rule['type']) : '';
+            
+            if (!in_array($type, $types, true)) {
+                continue;
+            }
+            
+            if ($type === 'folder') {
+                $value = isset($rule['folder']) ? (string) absint($rule['folder']) : '0';
+            } elseif ($type === 'size') {
+                $value = isset($rule['value']) ? (string) max(0, floatval($rule['value'])) : '';
+            } else {
+                $value = isset($rule['value']) ? strtolower(sanitize_text_field($rule['value'])) : '';
+            }
+            
+            // A rule without a value would match nothing (or every file for sizes)
+            if ($value === '' || ($type === 'size' && floatval($value) <= 0)) {
+                continue;
+            }
+            
+            $sanitized['rules'][] = array(
+                'action' => isset($rule['action']) && $rule['action'] === 'include' ? 'include' : 'exclude',
+                'type' => $type,
+                'value' => $value,
+            );
+        }
+        
+        return $sanitized;
+    }
+
+    /**
+     * Sanitize notification settings.
+     *
+     * @since    1.0.0
+     * @param    array    $input    The input to sanitize.
+     * @return   array              The sanitized notification settings.
+     */
+    public function sanitize_notifications($input) {
+        $input = is_array($input) ? $input : array();
+        $recipients = array_filter(array_map('sanitize_email', explode(',', $input['email_recipients'] ?? '')));
+        $webhook_url = esc_url_raw(trim($input['webhook_url'] ?? ''), array('https', 'http'));
+        
+        return array(
+            'email_enabled' => !empty($input['email_enabled']),
+            'email_recipients' => implode(', ', $recipients),
+            // A webhook without a URL has nowhere to send to
+            'webhook_enabled' => !empty($input['webhook_enabled']) && $webhook_url !== '',
+            'webhook_url' => $webhook_url,
+            'failed_threshold' => absint($input['failed_threshold'] ?? 10),
+            'token_alerts' => !empty($input['token_alerts']),
+            'webhook_silence_hours' => absint($input['webhook_silence_hours'] ?? 24),
+            'digest' => array_key_exists($input['digest'] ?? '', FDS_Notifier::get_digest_intervals()) ? $input['digest'] : 'hourly',
+        );
+    }
+
+    /**
+     * Sanitize attachment metadata settings.
+     *
+     * @since    1.0.0
+     * @param    array    $input    The input to sanitize.
+     * @return   array              The sanitized direction of each field.
+     */
+    public function sanitize_metadata_sync($input) {
+        $input = is_array($input) ? $input : array();
+        $directions = array();
+        
+        foreach (array_keys(FDS_Metadata_Sync::get_fields()) as $field) {
+            $directions[$field] = array_key_exists($input[$field] ?? '', FDS_Metadata_Sync::get_directions()) ? $input[$field] : 'two_way';
+        }
+        
+        return $directions;
+    }
+
+    /**
+     * Sanitize offload settings.
+     *
+     * @since    1.0.0
+     * @param    array    $input    The input to sanitize.
+     * @return   array              The sanitized offload settings.
+     */
+    public function sanitize_offload($input) {
+        $input = is_array($input) ? $input : array();
+        
+        return array(
+            'enabled' => !empty($input['enabled']),
+            'link_type' => array_key_exists($input['link_type'] ?? '', FDS_Offload::get_link_types()) ? $input['link_type'] : 'shared',
+        );
+    }
+
+    /**
+     * Sanitize sync schedule settings.
+     *
+     * @since    1.0.0
+     * @param    array    $input    The input to sanitize.
+     * @return   array              The sanitized schedule settings.
+     */
+    public function sanitize_sync_schedule($input) {
+        $input = is_array($input) ? $input : array();
+        $defaults = FDS_Sync_Schedule::get_settings();
+        $days = array_map('intval', (array) ($input['days'] ?? array()));
+        $times = array();
+        
+        foreach (array('start', 'end') as $key) {
+            $times[$key] = preg_match('/^([01]?\d|2[0-3]):[0-5]\d$/', $input[$key] ?? '') ? $input[$key] : $defaults[$key];
+        }
+        
+        return array(
+            'enabled' => !empty($input['enabled']),
+            'days' => array_values(array_intersect(array_keys(FDS_Sync_Schedule::get_days()), $days)),
+            'start' => $times['start'],
+            'end' => $times['end'],
+            'bandwidth_limit' => absint($input['bandwidth_limit'] ?? 0),
+            'request_limit' => absint($input['request_limit'] ?? 0),
+        );
+    }
+
     /**
      * Sanitize Dropbox path.
      *
@@ -0,0 +1,153 @@
+<?php
+/**
+ * Keeps track of where a full sync is.
+ *
+ * A full sync lists Dropbox, plans the changes and queues them in several
+ * short runs. The checkpoint stores the phase, the Dropbox cursor and the
+ * counts after every step, so an interrupted or paused sync carries on where
+ * it stopped instead of starting over.
+ *
+ * @since      1.0.0
+ */
+class FDS_Sync_Checkpoint {
+
+    /**
+     * Get the phases of a full sync.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by phase, in the order they run.
+     */
+    public static function get_phases() {
+        return array(
+            'listing' => __('Listing Dropbox', 'filebird-dropbox-sync'),
+            'planning' => __('Planning changes', 'filebird-dropbox-sync'),
+            'enqueueing' => __('Queueing changes', 'filebird-dropbox-sync'),
+            'processing' => __('Syncing', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the checkpoint of the current full sync.
+     *
+     * @since    1.0.0
+     * @return   array|null    The checkpoint or null if no full sync is in progress.
+     */
+    public function get() {
+        // Another request may have paused or cancelled the sync since it was read
+        wp_cache_delete('fds_full_sync_checkpoint', 'options');
+
+        $checkpoint = get_option('fds_full_sync_checkpoint', null);
+
+        return is_array($checkpoint) ? $checkpoint : null;
+    }
+
+    /**
+     * Start a new checkpoint, replacing any previous one.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    Optional ID of an approved plan, which skips listing and planning.
+     * @return   array                 The checkpoint.
+     */
+    public function start($plan_id = '') {
+        $this->clear();
+
+        $checkpoint = array(
+            'run_id' => strtolower(wp_generate_password(12, false)),
+            'status' => 'running',
+            'phase' => $plan_id ? 'enqueueing' : 'listing',
+            'plan_id' => $plan_id,
+            'roots' => array(),
+            'root_index' => 0,
+            'cursor' => '',
+            'planning' => array(),
+            'listed' => 0,
+            'queued' => 0,
+            'total' => 0,
+            'started_at' => current_time('mysql'),
+        );
+
+        return $this->save($checkpoint);
+    }
+
+    /**
+     * Save the checkpoint.
+     *
+     * @since    1.0.0
+     * @param    array    $checkpoint    The checkpoint.
+     * @return   array                   The saved checkpoint.
+     */
+    public function save($checkpoint) {
+        $checkpoint['updated_at'] = current_time('mysql');
+        update_option('fds_full_sync_checkpoint', $checkpoint, false);
+
+        return $checkpoint;
+    }
+
+    /**
+     * Change the status of the checkpoint.
+     *
+     * @since    1.0.0
+     * @param    string        $status    running or paused.
+     * @return   array|null               The checkpoint or null if no full sync is in progress.
+     */
+    public function set_status($status) {
+        $checkpoint = $this->get();
+
+        if (!$checkpoint) {
+            return null;
+        }
+
+        $checkpoint['status'] = $status;
+
+        return $this->save($checkpoint);
+    }
+
+    /**
+     * Remove the checkpoint.
+     *
+     * @since    1.0.0
+     */
+    public function clear() {
+        delete_option('fds_full_sync_checkpoint');
+    }
+
+    /**
+     * Check whether the current full sync is paused.
+     *
+     * @since    1.0.0
+     * @return   boolean    True if a full sync is in progress and paused.
+     */
+    public function is_paused() {
+        $checkpoint = $this->get();
+
+        return $checkpoint !== null && $checkpoint['status'] === 'paused';
+    }
+
+    /**
+     * Get the checkpoint for display.
+     *
+     * @since    1.0.0
+     * @return   array|null    Status, phase and counts, or null if no full sync is in progress.
+     */
+    public function get_status() {
+        $checkpoint = $this->get();
+
+        if (!$checkpoint) {
+            return null;
+        }
+
+        $phases = self::get_phases();
+
+        return array(
+            'run_id' => $checkpoint['run_id'],
+            'status' => $checkpoint['status'],
+            'phase' => $checkpoint['phase'],
+            'phase_label' => $phases[$checkpoint['phase']] ?? $checkpoint['phase'],
+            'listed' => intval($checkpoint['listed']),
+            'queued' => intval($checkpoint['queued']),
+            'total' => intval($checkpoint['total']),
+            'started_at' => $checkpoint['started_at'],
+            'updated_at' => $checkpoint['updated_at'],
+        );
+    }
+}
@@ -0,0 +1,218 @@
+<?php
+/**
+ * Records every sync run.
+ *
+ * A run starts when work is queued by a manual sync, a Dropbox webhook or
+ * the scheduled queue processing, collects the items processed in every
+ * batch and ends once the queue is empty. Work queued while a run is open
+ * joins that run, only a new full sync starts a run of its own.
+ *
+ * @since      1.0.0
+ */
+class FDS_Sync_History {
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_DB    $db    The database instance.
+     */
+    public function __construct($db) {
+        $this->db = $db;
+    }
+
+    /**
+     * Get what can start a sync run.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by trigger.
+     */
+    public static function get_triggers() {
+        return array(
+            'manual' => __('Manual', 'filebird-dropbox-sync'),
+            'webhook' => __('Dropbox webhook', 'filebird-dropbox-sync'),
+            'scheduled' => __('Scheduled', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Start a sync run, or join the one that is open.
+     *
+     * @since    1.0.0
+     * @param    string    $trigger         What started the run.
+     * @param    string    $full_sync_id    The full sync run ID, which always starts a new run.
+     * @return   int                        The run ID, or 0 if it could not be recorded.
+     */
+    public function start($trigger, $full_sync_id = '') {
+        $current = $this->get_current_id();
+
+        if ($current && $full_sync_id === '') {
+            return $current;
+        }
+
+        if ($current) {
+            $this->finish();
+        }
+
+        $run_id = intval($this->db->add_sync_run($trigger, $full_sync_id));
+
+        if ($run_id) {
+            update_option('fds_sync_history_current', $run_id, false);
+        }
+
+        return $run_id;
+    }
+
+    /**
+     * Add the items of a processed batch to the open run.
+     *
+     * A batch processed while no run is open was picked up by the scheduled
+     * queue processing.
+     *
+     * @since    1.0.0
+     * @param    array    $actions    Items processed, keyed by item type and action.
+     * @param    int      $failed     The number of items that failed.
+     */
+    public function record_batch($actions, $failed) {
+        if (empty($actions) && $failed === 0) {
+            return;
+        }
+
+        $run_id = $this->start('scheduled');
+
+        if ($run_id) {
+            $this->db->add_sync_run_items($run_id, $actions, $failed);
+        }
+    }
+
+    /**
+     * Finish the open run.
+     *
+     * Runs that started without a manual sync and processed nothing, like a
+     * webhook for a change that was filtered out, are not kept.
+     *
+     * @since    1.0.0
+     * @param    string    $status    completed or cancelled.
+     */
+    public function finish($status = 'completed') {
+        $run_id = $this->get_current_id();
+
+        if (!$run_id) {
+            return;
+        }
+
+        delete_option('fds_sync_history_current');
+
+        $run = $this->db->get_sync_run($run_id);
+
+        if ($run && $run->trigger_type !== 'manual' && intval($run->processed) + intval($run->failed) === 0) {
+            $this->db->delete_sync_run($run_id);
+        } else {
+            $this->db->finish_sync_run($run_id, $status);
+        }
+
+        $this->db->cleanup_sync_runs(90);
+    }
+
+    /**
+     * Get sync runs for display.
+     *
+     * @since    1.0.0
+     * @param    string    $trigger    The trigger to filter by, or empty for all.
+     * @param    int       $limit      The maximum number of runs to get.
+     * @param    int       $offset     The offset for pagination.
+     * @return   array                 The runs with their duration and items per action.
+     */
+    public function get_runs($trigger = '', $limit = 20, $offset = 0) {
+        $triggers = self::get_triggers();
+        $runs = array();
+
+        foreach ($this->db->get_sync_runs($trigger, $limit, $offset) as $run) {
+            $actions = maybe_unserialize($run->actions);
+            $finished_at = $run->finished_at ? $run->finished_at : current_time('mysql');
+
+            $runs[] = array(
+                'id' => intval($run->id),
+                'trigger' => $run->trigger_type,
+                'trigger_label' => $triggers[$run->trigger_type] ?? $run->trigger_type,
+                'full_sync' => !empty($run->full_sync_id),
+                'status' => $run->status,
+                'processed' => intval($run->processed),
+                'failed' => intval($run->failed),
+                'actions' => is_array($actions) ? $actions : array(),
+                'started_at' => $run->started_at,
+                'finished_at' => $run->finished_at,
+                'duration' => max(0, strtotime($finished_at) - strtotime($run->started_at)),
+            );
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Get throughput and error rate per day.
+     *
+     * @since    1.0.0
+     * @param    int      $days    The number of days, ending today.
+     * @return   array             One entry per day, days without runs included.
+     */
+    public function get_daily_stats($days = 30) {
+        $today = strtotime(current_time('Y-m-d'));
+        $first_day = $today - ($days - 1) * DAY_IN_SECONDS;
+        $stats = array();
+
+        for ($day = $first_day; $day <= $today; $day += DAY_IN_SECONDS) {
+            $stats[date('Y-m-d', $day)] = array(
+                'day' => date('Y-m-d', $day),
+                'runs' => 0,
+                'processed' => 0,
+                'failed' => 0,
+                'error_rate' => 0,
+                'per_minute' => 0,
+            );
+        }
+
+        foreach ($this->db->get_sync_run_daily_totals(date('Y-m-d 00:00:00', $first_day)) as $row) {
+            if (!isset($stats[$row->day])) {
+                continue;
+            }
+
+            $processed = intval($row->processed);
+            $failed = intval($row->failed);
+            $minutes = max(1, intval($row->seconds)) / 60;
+
+            $stats[$row->day] = array_merge($stats[$row->day], array(
+                'runs' => intval($row->runs),
+                'processed' => $processed,
+                'failed' => $failed,
+                'error_rate' => $processed + $failed > 0 ? round($failed / ($processed + $failed) * 100, 1) : 0,
+                'per_minute' => round(($processed + $failed) / $minutes, 1),
+            ));
+        }
+
+        return array_values($stats);
+    }
+
+    /**
+     * Get the ID of the open run.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   int    The run ID, or 0 if no run is open.
+     */
+    protected function get_current_id() {
+        // Workers and webhooks open and close runs from other requests
+        wp_cache_delete('fds_sync_history_current', 'options');
+
+        return intval(get_option('fds_sync_history_current', 0));
+    }
+}
@@ -0,0 +1,73 @@
+<?php
+/**
+ * Decides in which direction changes are synchronized.
+ *
+ * The sync mode applies to the whole site. Two-way sync mirrors changes in
+ * both directions, the one-way modes only mirror changes made on one side and
+ * the backup mode uploads to Dropbox without ever deleting anything there.
+ *
+ * @since      1.0.0
+ */
+class FDS_Sync_Mode {
+
+    /**
+     * Get the available sync modes.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by mode.
+     */
+    public static function get_modes() {
+        return array(
+            'two_way' => __('Two-way', 'filebird-dropbox-sync'),
+            'wordpress_to_dropbox' => __('WordPress → Dropbox only', 'filebird-dropbox-sync'),
+            'dropbox_to_wordpress' => __('Dropbox → WordPress only', 'filebird-dropbox-sync'),
+            'backup' => __('Backup (append only)', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the active sync mode.
+     *
+     * @since    1.0.0
+     * @return   string    The mode, two_way if the option is missing or unknown.
+     */
+    public function get_mode() {
+        $mode = get_option('fds_sync_mode', 'two_way');
+
+        return array_key_exists($mode, self::get_modes()) ? $mode : 'two_way';
+    }
+
+    /**
+     * Get the label of the active sync mode.
+     *
+     * @since    1.0.0
+     * @return   string    The label.
+     */
+    public function get_mode_label() {
+        $modes = self::get_modes();
+
+        return $modes[$this->get_mode()];
+    }
+
+    /**
+     * Check whether the active mode syncs a change.
+     *
+     * @since    1.0.0
+     * @param    string    $direction    wordpress_to_dropbox or dropbox_to_wordpress.
+     * @param    string    $action       The sync action (create, update, move, rename, delete).
+     * @return   boolean                 True if the change should be synced.
+     */
+    public function allows($direction, $action = '') {
+        switch ($this->get_mode()) {
+            case 'wordpress_to_dropbox':
+            case 'dropbox_to_wordpress':
+                return $direction === $this->get_mode();
+
+            case 'backup':
+                // Uploads only, and nothing in Dropbox is ever deleted
+                return $direction === 'wordpress_to_dropbox' && $action !== 'delete';
+        }
+
+        return true;
+    }
+}
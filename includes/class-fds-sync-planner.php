@@ -0,0 +1,1610 @@
+<?php
+/**
+ * Builds the plan for a full synchronization.
+ *
+ * This class compares FileBird, the file mappings and the Dropbox folder
+ * listing and works out which folders and files would be created, updated,
+ * moved or deleted in each direction, without changing anything.
+ *
+ * @since      1.0.0
+ */
+class FDS_Sync_Planner {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * The sync rules instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Rules    $sync_rules    Decides which files are synced.
+     */
+    protected $sync_rules;
+
+    /**
+     * The root mappings instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Root_Mappings    $root_mappings    Folders mapped to their own Dropbox paths.
+     */
+    protected $root_mappings;
+
+    /**
+     * The sync mode instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Mode    $sync_mode    Decides in which direction changes are synced.
+     */
+    protected $sync_mode;
+
+    /**
+     * How long a previewed plan is kept for approval.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $plan_ttl    Time to live in seconds.
+     */
+    protected $plan_ttl = 3600;
+
+    /**
+     * How many files or entries a preview plans per batch.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $preview_batch_size    Files or entries per batch.
+     */
+    protected $preview_batch_size = 500;
+
+    /**
+     * Folder moves found while planning, old path => new path.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array    $moved_paths    Moves that also relocate everything below them.
+     */
+    protected $moved_paths = array();
+
+    /**
+     * The Dropbox listing while a plan is built in one go.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array|null    $listing    Entries keyed by lowercase path, null when planning a stored listing.
+     */
+    protected $listing = null;
+
+    /**
+     * Dropbox paths of WordPress files while a plan is built in one go.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array    $claimed_paths    Lowercase paths as keys.
+     */
+    protected $claimed_paths = array();
+
+    /**
+     * The FileBird folder of every attachment, while planning.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array|null    $attachment_folders    Folder IDs keyed by attachment ID, in ID order.
+     */
+    protected $attachment_folders = null;
+
+    /**
+     * The Dropbox folder a plan built in one go is limited to.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      string    $scope    The Dropbox path, empty to plan everything.
+     */
+    protected $scope = '';
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $db, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+        $this->sync_rules = new FDS_Sync_Rules();
+        $this->root_mappings = new FDS_Root_Mappings();
+        $this->sync_mode = new FDS_Sync_Mode();
+    }
+
+    /**
+     * Build the full sync plan.
+     *
+     * Pass a Dropbox folder as the scope to only plan the folders and files
+     * below it, with the entries listed for that folder.
+     *
+     * @since    1.0.0
+     * @param    array|null        $dropbox_entries    Entries listed beforehand, keyed by lowercase path. Dropbox is listed when null.
+     * @param    string            $scope              Optional Dropbox folder to limit the plan to.
+     * @return   array|WP_Error                        The plan (generated_at, summary, items) or an error.
+     */
+    public function build_plan($dropbox_entries = null, $scope = '') {
+        if (!class_exists('FileBird\\Model\\Folder')) {
+            return new WP_Error('fds_filebird_missing', __('FileBird plugin not detected.', 'filebird-dropbox-sync'));
+        }
+
+        $start_time = microtime(true);
+        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+
+        if ($dropbox_entries === null) {
+            $dropbox_entries = $this->get_dropbox_entries($root_folder);
+
+            if (is_wp_error($dropbox_entries)) {
+                return $dropbox_entries;
+            }
+
+            // Mapped paths outside the root folder are listed separately
+            foreach ($this->root_mappings->get_external_paths() as $mapped_path) {
+                $mapped_entries = $this->get_dropbox_entries($mapped_path, true);
+
+                if (is_wp_error($mapped_entries)) {
+                    return $mapped_entries;
+                }
+
+                $dropbox_entries = array_merge($dropbox_entries, $mapped_entries);
+            }
+        }
+
+        // The listing is in memory, so every step runs in one go
+        $this->listing = $dropbox_entries;
+        $this->claimed_paths = array();
+        $this->attachment_folders = null;
+        $this->scope = $scope;
+
+        $state = $this->start_planning('');
+        $items = array();
+
+        while ($state['step'] !== 'done') {
+            $items = array_merge($items, $this->plan_batch($state, PHP_INT_MAX));
+        }
+
+        $this->listing = null;
+        $this->attachment_folders = null;
+        $this->scope = '';
+        $items = $this->sort_items($items);
+
+        $this->logger->info("Full sync plan built", array(
+            'scope' => $scope !== '' ? $scope : 'all',
+            'items' => count($items),
+            'elapsed_seconds' => round(microtime(true) - $start_time, 2)
+        ));
+
+        return array(
+            'generated_at' => current_time('mysql'),
+            'summary' => $this->summarize($items),
+            'items' => $items,
+        );
+    }
+
+    /**
+     * Start previewing a full sync, replacing a preview that is still running.
+     *
+     * The preview lists Dropbox and plans the changes in the queue in
+     * batches, the same way a full sync does, see run_preview().
+     *
+     * @since    1.0.0
+     * @return   array|WP_Error    The preview progress or an error.
+     */
+    public function start_preview() {
+        if (!class_exists('FileBird\\Model\\Folder')) {
+            return new WP_Error('fds_filebird_missing', __('FileBird plugin not detected.', 'filebird-dropbox-sync'));
+        }
+
+        $previous = $this->get_preview_state();
+
+        if ($previous) {
+            $this->delete_preview_data($previous);
+        }
+
+        $this->delete_expired_plans();
+
+        $state = array(
+            'preview_id' => strtolower(wp_generate_password(12, false)),
+            'status' => 'running',
+            'phase' => 'listing',
+            'roots' => array_merge(array(get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER)), $this->root_mappings->get_external_paths()),
+            'root_index' => 0,
+            'cursor' => '',
+            'listed' => 0,
+            'planning' => array(),
+            'plan_id' => '',
+            'planned' => 0,
+            'error' => '',
+            'started_at' => current_time('mysql'),
+        );
+
+        update_option('fds_sync_preview', $state, false);
+
+        if ($this->queue_preview_task($state['preview_id']) === false) {
+            delete_option('fds_sync_preview');
+            return new WP_Error('fds_queue_failed', __('The preview could not be added to the queue.', 'filebird-dropbox-sync'));
+        }
+
+        if (!wp_next_scheduled('fds_process_queue')) {
+            wp_schedule_single_event(time(), 'fds_process_queue');
+        }
+
+        $this->logger->info("Full sync preview queued", array(
+            'preview_id' => $state['preview_id']
+        ));
+
+        return $this->get_preview_progress();
+    }
+
+    /**
+     * Get the progress of the current preview.
+     *
+     * @since    1.0.0
+     * @return   array    Whether a preview is running or failed, its counts, the plan ID once it is done and a message.
+     */
+    public function get_preview_progress() {
+        $state = $this->get_preview_state();
+
+        // A finished preview is only shown as long as its plan can be approved
+        if ($state && $state['status'] === 'done' && !$this->get_plan($state['plan_id'])) {
+            delete_option('fds_sync_preview');
+            $state = null;
+        }
+
+        if (!$state) {
+            return array(
+                'running' => false,
+                'failed' => false,
+                'phase' => '',
+                'listed' => 0,
+                'planned' => 0,
+                'plan_id' => '',
+                'message' => '',
+            );
+        }
+
+        if ($state['status'] === 'failed') {
+            /* translators: %s: error message */
+            $message = sprintf(__('The preview failed: %s', 'filebird-dropbox-sync'), $state['error']);
+        } elseif ($state['status'] === 'done') {
+            $message = '';
+        } elseif ($state['phase'] === 'listing') {
+            /* translators: %d: number of Dropbox entries */
+            $message = sprintf(__('Listing Dropbox, %d entries so far. Nothing will be changed...', 'filebird-dropbox-sync'), $state['listed']);
+        } else {
+            /* translators: %d: number of changes */
+            $message = sprintf(__('Comparing WordPress and Dropbox, %d changes found so far. Nothing will be changed...', 'filebird-dropbox-sync'), $state['planned']);
+        }
+
+        return array(
+            'running' => $state['status'] === 'running',
+            'failed' => $state['status'] === 'failed',
+            'phase' => $state['phase'],
+            'listed' => $state['listed'],
+            'planned' => $state['planned'],
+            'plan_id' => $state['status'] === 'done' ? $state['plan_id'] : '',
+            'message' => $message,
+        );
+    }
+
+    /**
+     * Carry on with a preview until it is done or out of time.
+     *
+     * Dropbox is listed page by page into the sync listing table under the
+     * preview ID, then the changes are planned in batches and added to the
+     * plan. The finished plan can be approved until it expires.
+     *
+     * @since    1.0.0
+     * @param    string    $preview_id    The preview the queue task was added for.
+     * @param    float     $deadline      Microtime at which to stop.
+     * @return   boolean|WP_Error         True if the preview finished or was replaced, false if it needs another run, or an error.
+     */
+    public function run_preview($preview_id, $deadline) {
+        $state = $this->get_preview_state();
+
+        if (!$state || $state['preview_id'] !== $preview_id || $state['status'] !== 'running') {
+            return true;
+        }
+
+        while (microtime(true) < $deadline) {
+            $result = $state['phase'] === 'listing' ? $this->preview_listing_page($state) : $this->preview_planning_batch($state);
+
+            // Another preview was started while this batch ran
+            $current = $this->get_preview_state();
+
+            if (!$current || $current['preview_id'] !== $preview_id) {
+                $this->delete_preview_data(is_wp_error($result) ? $state : $result);
+                return true;
+            }
+
+            if (is_wp_error($result)) {
+                $this->delete_preview_data($state);
+                $state['status'] = 'failed';
+                $state['error'] = $result->get_error_message();
+                update_option('fds_sync_preview', $state, false);
+
+                $this->logger->error("Full sync preview failed", array(
+                    'preview_id' => $preview_id,
+                    'phase' => $state['phase'],
+                    'error' => $state['error']
+                ));
+
+                return $result;
+            }
+
+            $state = $result;
+
+            if ($state['status'] === 'done') {
+                $this->delete_listing($preview_id);
+                update_option('fds_sync_preview', $state, false);
+
+                $this->logger->info("Full sync preview generated", array(
+                    'preview_id' => $preview_id,
+                    'plan_id' => $state['plan_id'],
+                    'items' => $state['planned']
+                ));
+
+                return true;
+            }
+
+            update_option('fds_sync_preview', $state, false);
+        }
+
+        return false;
+    }
+
+    /**
+     * Queue another run of a preview.
+     *
+     * @since    1.0.0
+     * @param    string    $preview_id    The preview ID.
+     * @return   int|false                The task ID or false on error.
+     */
+    public function queue_preview_task($preview_id) {
+        return $this->db->add_to_sync_queue('sync_preview', 'system', 'sync_preview', 'wordpress_to_dropbox', array(
+            'preview_id' => $preview_id,
+        ), 1);
+    }
+
+    /**
+     * Get the state of the current preview.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array|null    The state or null if there is no preview.
+     */
+    protected function get_preview_state() {
+        // The queue and the admin update the state from different requests
+        wp_cache_delete('fds_sync_preview', 'options');
+
+        $state = get_option('fds_sync_preview', null);
+
+        return is_array($state) ? $state : null;
+    }
+
+    /**
+     * Delete the stored listing of a preview, and its plan unless it finished.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The preview state.
+     */
+    protected function delete_preview_data($state) {
+        $this->delete_listing($state['preview_id']);
+
+        // A finished plan expires on its own, or is discarded or run from the preview
+        if ($state['plan_id'] !== '' && $state['status'] !== 'done') {
+            $this->delete_plan($state['plan_id']);
+        }
+    }
+
+    /**
+     * List the next page of Dropbox for a preview.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The preview state.
+     * @return   array|WP_Error     The updated state or an error.
+     */
+    protected function preview_listing_page($state) {
+        if ($state['root_index'] >= count($state['roots'])) {
+            $state['phase'] = 'planning';
+            return $state;
+        }
+
+        $root = $state['roots'][$state['root_index']];
+        $page = $this->list_dropbox_page($root, $state['cursor'], $state['root_index'] > 0);
+
+        if (is_wp_error($page)) {
+            return $page;
+        }
+
+        if (!$this->store_listing_page($state['preview_id'], $page['entries'])) {
+            /* translators: %s: Dropbox path */
+            return new WP_Error('fds_listing_failed', sprintf(__('The Dropbox listing of %s could not be stored.', 'filebird-dropbox-sync'), $root));
+        }
+
+        if ($page['has_more']) {
+            $state['cursor'] = $page['cursor'];
+        } else {
+            $state['root_index']++;
+            $state['cursor'] = '';
+        }
+
+        $state['listed'] += count($page['entries']);
+
+        return $state;
+    }
+
+    /**
+     * Plan the next batch of changes for a preview.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The preview state.
+     * @return   array|WP_Error     The updated state or an error.
+     */
+    protected function preview_planning_batch($state) {
+        if (empty($state['planning'])) {
+            $state['planning'] = $this->start_planning($state['preview_id']);
+            $state['plan_id'] = $state['planning']['plan_id'];
+        }
+
+        $planning = $state['planning'];
+        $items = $this->plan_batch($planning, $this->preview_batch_size);
+
+        if (!$this->add_plan_items($state['plan_id'], $items)) {
+            return new WP_Error('fds_plan_failed', __('Failed to store the sync preview. Please check logs.', 'filebird-dropbox-sync'));
+        }
+
+        $state['planning'] = $planning;
+        $state['planned'] += count($items);
+
+        if ($planning['step'] === 'done') {
+            $plan = $this->finish_plan($state['plan_id'], true);
+            $state['planning'] = array();
+            $state['planned'] = $plan['total'];
+            $state['status'] = 'done';
+        }
+
+        return $state;
+    }
+
+    /**
+     * Start planning in batches.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The full sync run whose stored listing is planned, empty for the listing in memory.
+     * @return   array                The planning state to pass to plan_batch().
+     */
+    public function start_planning($run_id) {
+        return array(
+            'run_id' => $run_id,
+            'plan_id' => strtolower(wp_generate_password(12, false)),
+            'step' => 'folders',
+            'after_id' => 0,
+            'moved_paths' => array(),
+        );
+    }
+
+    /**
+     * Plan the next batch of changes.
+     *
+     * Folders are planned first, then WordPress files, then the file
+     * mappings and finally the Dropbox entries no file claimed. Each call
+     * looks at up to $limit files or entries and moves the state on.
+     *
+     * @since    1.0.0
+     * @param    array    $state    The planning state, updated in place. Its step is "done" when planning finished.
+     * @param    int      $limit    The maximum number of files or entries to look at.
+     * @return   array              The plan items of the batch, in planning order.
+     */
+    public function plan_batch(&$state, $limit) {
+        $this->moved_paths = $state['moved_paths'];
+
+        switch ($state['step']) {
+            case 'folders':
+                $items = $this->plan_folders($state);
+                $state['moved_paths'] = $this->moved_paths;
+                break;
+
+            case 'files':
+                $items = $this->plan_files($state, $limit);
+                break;
+
+            case 'mappings':
+                $items = $this->plan_file_mappings($state, $limit);
+                break;
+
+            case 'dropbox':
+                $items = $this->plan_dropbox_entries($state, $limit);
+                break;
+
+            default:
+                $state['step'] = 'done';
+                return array();
+        }
+
+        // Leave out changes the sync mode or a mapping doesn't sync
+        return array_values(array_filter($items, function($item) {
+            return $this->sync_mode->allows($item['direction'], $item['action'])
+                && $this->root_mappings->allows_path($item['path'], $item['direction'])
+                && ($item['from'] === '' || $this->root_mappings->allows_path($item['from'], $item['direction']));
+        }));
+    }
+
+    /**
+     * Plan the folders, WordPress to Dropbox.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The planning state, updated in place.
+     * @return   array              The plan items.
+     */
+    protected function plan_folders(&$state) {
+        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+        $folders = $this->get_filebird_folders();
+        $folder_paths = $this->get_expected_folder_paths($folders, $root_folder);
+        $folder_mappings = $this->get_folder_mappings();
+        $items = array();
+
+        // Parents before children so moves of a parent cover its subfolders
+        uasort($folder_paths, function($a, $b) {
+            return substr_count($a, '/') - substr_count($b, '/');
+        });
+
+        $listed = $this->get_listing_entries(array_map('strtolower', array_values($folder_paths)), $state['run_id']);
+
+        foreach ($folder_paths as $folder_id => $expected_path) {
+            // Folders moved into or out of the scope are planned as well
+            if (!$this->is_in_scope($expected_path) && !(isset($folder_mappings[$folder_id]) && $this->is_in_scope($folder_mappings[$folder_id]->dropbox_path))) {
+                continue;
+            }
+
+            $folder_name = $folders[$folder_id]->name;
+
+            if (!isset($folder_mappings[$folder_id])) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'create', 'folder', (string) $folder_id, $folder_name, $expected_path, '', __('Folder is not in Dropbox yet', 'filebird-dropbox-sync'), array(
+                    'folder_id' => $folder_id,
+                    'folder_name' => $folder_name,
+                    'folder_path' => $expected_path,
+                ), 3);
+                continue;
+            }
+
+            $current_path = $this->apply_moved_paths($folder_mappings[$folder_id]->dropbox_path);
+
+            if (strtolower($current_path) !== strtolower($expected_path)) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'move', 'folder', (string) $folder_id, $folder_name, $expected_path, $current_path, __('Folder was renamed or moved in FileBird', 'filebird-dropbox-sync'), array(
+                    'folder_id' => $folder_id,
+                    'old_path' => $current_path,
+                    'new_path' => $expected_path,
+                ), 3);
+
+                $this->moved_paths[$current_path] = $expected_path;
+            } elseif (!isset($listed[strtolower($expected_path)])) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'create', 'folder', (string) $folder_id, $folder_name, $expected_path, '', __('Folder is missing in Dropbox', 'filebird-dropbox-sync'), array(
+                    'folder_id' => $folder_id,
+                    'folder_name' => $folder_name,
+                    'folder_path' => $expected_path,
+                ), 3);
+            }
+        }
+
+        foreach ($folder_mappings as $folder_id => $mapping) {
+            // The Dropbox folder of a root mapping is never deleted
+            if ($folder_id > 0 && !isset($folders[$folder_id]) && $this->is_in_scope($mapping->dropbox_path) && !$this->root_mappings->is_mapped_path($mapping->dropbox_path)) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'delete', 'folder', (string) $folder_id, basename($mapping->dropbox_path), $mapping->dropbox_path, '', __('Folder was deleted in FileBird', 'filebird-dropbox-sync'), array(
+                    'folder_id' => $folder_id,
+                    'folder_path' => $mapping->dropbox_path,
+                ), 6); // After files have been moved out of it
+            }
+        }
+
+        $state['step'] = 'files';
+        $state['after_id'] = 0;
+
+        return $items;
+    }
+
+    /**
+     * Plan a batch of attachments, WordPress to Dropbox.
+     *
+     * The Dropbox paths the attachments belong at are claimed, so they are
+     * not planned as new Dropbox files afterwards.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The planning state, updated in place.
+     * @param    int      $limit    The maximum number of attachments to look at.
+     * @return   array              The plan items.
+     */
+    protected function plan_files(&$state, $limit) {
+        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+        $folders = $this->get_filebird_folders();
+        $folder_paths = $this->get_expected_folder_paths($folders, $root_folder);
+        $items = array();
+
+        // Looked up once per request, the batches of a run share it
+        if ($this->attachment_folders === null) {
+            $this->attachment_folders = $this->get_attachment_folders(array_keys($folders));
+            ksort($this->attachment_folders);
+
+            if ($this->scope !== '') {
+                $this->attachment_folders = $this->get_scoped_attachment_folders($this->attachment_folders, $folder_paths, $root_folder);
+            }
+        }
+
+        // Attachments in ID order, so the batches carry on after the last ID
+        $batch = array();
+
+        foreach ($this->attachment_folders as $attachment_id => $folder_id) {
+            if ($attachment_id > $state['after_id']) {
+                $batch[$attachment_id] = $folder_id;
+
+                if (count($batch) >= $limit) {
+                    break;
+                }
+            }
+        }
+
+        $file_mappings = $this->db->get_file_mappings_by_attachment_ids(array_keys($batch));
+        $local_paths = array();
+        $expected_paths = array();
+        $offloaded = array();
+
+        foreach ($batch as $attachment_id => $folder_id) {
+            $local_path = get_attached_file($attachment_id);
+
+            // Offloaded originals only exist in Dropbox but still follow folder moves
+            if ($local_path && isset($file_mappings[$attachment_id]) && FDS_Offload::is_offloaded($attachment_id)) {
+                $offloaded[$attachment_id] = true;
+            } elseif (!$local_path || !file_exists($local_path)) {
+                continue;
+            }
+
+            $parent_path = $folder_id > 0 && isset($folder_paths[$folder_id]) ? $folder_paths[$folder_id] : $root_folder;
+            $local_paths[$attachment_id] = $local_path;
+            $expected_paths[$attachment_id] = $parent_path . '/' . basename($local_path);
+        }
+
+        $lower_paths = array_map('strtolower', array_values($expected_paths));
+        $listed = $this->get_listing_entries($lower_paths, $state['run_id']);
+        $this->claim_listing_paths($lower_paths, $state['run_id']);
+
+        foreach ($expected_paths as $attachment_id => $expected_path) {
+            $local_path = $local_paths[$attachment_id];
+            $folder_id = $batch[$attachment_id];
+            $label = basename($local_path);
+
+            if (!isset($file_mappings[$attachment_id])) {
+                if (!$this->sync_rules->evaluate_attachment($attachment_id, $folder_id)['sync']) {
+                    continue;
+                }
+                
+                $items[] = $this->make_item('wordpress_to_dropbox', 'create', 'file', (string) $attachment_id, $label, $expected_path, '', __('File is not in Dropbox yet', 'filebird-dropbox-sync'), array(
+                    'attachment_id' => $attachment_id,
+                    'local_path' => $local_path,
+                    'dropbox_path' => $expected_path,
+                    'folder_id' => $folder_id,
+                ), 4);
+                continue;
+            }
+
+            $mapping = $file_mappings[$attachment_id];
+            $current_path = $this->apply_moved_paths($mapping->dropbox_path);
+            $dropbox_entry = isset($listed[strtolower($expected_path)]) ? $listed[strtolower($expected_path)] : null;
+
+            if (strtolower($current_path) !== strtolower($expected_path)) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'move', 'file', (string) $attachment_id, $label, $expected_path, $current_path, __('File was moved to another folder', 'filebird-dropbox-sync'), array(
+                    'attachment_id' => $attachment_id,
+                    'old_path' => $current_path,
+                    'new_path' => $expected_path,
+                    'folder_id' => $folder_id,
+                ), 4);
+            } elseif (isset($offloaded[$attachment_id])) {
+                // There is no local file to upload or compare
+                continue;
+            } elseif (!$dropbox_entry) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'create', 'file', (string) $attachment_id, $label, $expected_path, '', __('File is missing in Dropbox', 'filebird-dropbox-sync'), array(
+                    'attachment_id' => $attachment_id,
+                    'local_path' => $local_path,
+                    'dropbox_path' => $expected_path,
+                    'folder_id' => $folder_id,
+                ), 4);
+            } elseif (isset($dropbox_entry['size']) && intval($dropbox_entry['size']) !== filesize($local_path)) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'update', 'file', (string) $attachment_id, $label, $expected_path, '', __('File size differs from Dropbox', 'filebird-dropbox-sync'), array(
+                    'attachment_id' => $attachment_id,
+                    'local_path' => $local_path,
+                    'dropbox_path' => $expected_path,
+                    'dropbox_file_id' => $mapping->dropbox_file_id,
+                ), 4);
+            }
+        }
+
+        if (count($batch) < $limit) {
+            $state['step'] = 'mappings';
+            $state['after_id'] = 0;
+        } else {
+            $state['after_id'] = max(array_keys($batch));
+        }
+
+        return $items;
+    }
+
+    /**
+     * Plan a batch of file mappings.
+     *
+     * Mappings of deleted attachments are planned as deletions, and the
+     * Dropbox paths of all mapped files are claimed.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The planning state, updated in place.
+     * @param    int      $limit    The maximum number of mappings to look at.
+     * @return   array              The plan items.
+     */
+    protected function plan_file_mappings(&$state, $limit) {
+        $mappings = $this->db->get_file_mappings_after($state['after_id'], $limit, $this->scope);
+        $attachment_ids = $this->get_existing_attachment_ids(wp_list_pluck($mappings, 'attachment_id'));
+        $claimed = array();
+        $items = array();
+
+        foreach ($mappings as $mapping) {
+            $claimed[] = strtolower($this->apply_moved_paths($mapping->dropbox_path));
+
+            if (!isset($attachment_ids[intval($mapping->attachment_id)])) {
+                $items[] = $this->make_item('wordpress_to_dropbox', 'delete', 'file', (string) $mapping->attachment_id, basename($mapping->dropbox_path), $mapping->dropbox_path, '', __('Attachment was deleted in WordPress', 'filebird-dropbox-sync'), array(
+                    'attachment_id' => intval($mapping->attachment_id),
+                    'dropbox_path' => $mapping->dropbox_path,
+                    'dropbox_file_id' => $mapping->dropbox_file_id,
+                ), 4);
+            }
+        }
+
+        $this->claim_listing_paths($claimed, $state['run_id']);
+
+        if (count($mappings) < $limit) {
+            $state['step'] = 'dropbox';
+            $state['after_id'] = 0;
+        } else {
+            $state['after_id'] = intval(end($mappings)->id);
+        }
+
+        return $items;
+    }
+
+    /**
+     * Plan a batch of Dropbox entries no file claimed, Dropbox to WordPress.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $state    The planning state, updated in place.
+     * @param    int      $limit    The maximum number of entries to look at.
+     * @return   array              The plan items.
+     */
+    protected function plan_dropbox_entries(&$state, $limit) {
+        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+        $folders = $this->get_filebird_folders();
+        $known_folder_paths = array();
+
+        foreach ($this->get_expected_folder_paths($folders, $root_folder) as $path) {
+            $known_folder_paths[strtolower($path)] = true;
+        }
+
+        $mapped_folder_ids = array();
+
+        foreach ($this->get_folder_mappings() as $folder_id => $mapping) {
+            $mapped_path = strtolower($this->apply_moved_paths($mapping->dropbox_path));
+            $known_folder_paths[$mapped_path] = true;
+            $mapped_folder_ids[$mapped_path] = $folder_id;
+        }
+
+        $batch = $this->get_unclaimed_listing_entries($state['after_id'], $limit, $state['run_id']);
+        $items = array();
+
+        foreach ($batch['entries'] as $path_lower => $entry) {
+            if ($this->is_hidden_path($path_lower, $this->root_mappings->get_watched_root($path_lower))) {
+                continue;
+            }
+
+            if ($entry['.tag'] === 'folder' && !isset($known_folder_paths[$path_lower])) {
+                $items[] = $this->make_item('dropbox_to_wordpress', 'create', 'folder', md5($path_lower), basename($entry['path_display']), $entry['path_display'], '', __('Folder only exists in Dropbox', 'filebird-dropbox-sync'), array(
+                    'dropbox_path' => $entry['path_display'],
+                ), 3);
+            } elseif ($entry['.tag'] === 'file') {
+                $file_type = wp_check_filetype(basename($path_lower));
+
+                if (!$file_type['type']) {
+                    continue;
+                }
+                
+                $folder_id = $this->sync_rules->get_rule_folder_id(dirname($path_lower), strtolower($root_folder), $mapped_folder_ids);
+                
+                if (!$this->sync_rules->evaluate_dropbox_entry($entry, $folder_id)['sync']) {
+                    continue;
+                }
+
+                $items[] = $this->make_item('dropbox_to_wordpress', 'create', 'file', md5($path_lower), basename($entry['path_display']), $entry['path_display'], '', __('File only exists in Dropbox', 'filebird-dropbox-sync'), array(
+                    'dropbox_path' => $entry['path_display'],
+                    'dropbox_metadata' => $entry,
+                    'folder_path' => dirname($entry['path_display']),
+                ), 4);
+            }
+        }
+
+        $state['after_id'] = $batch['after_id'];
+
+        if (count($batch['entries']) < $limit) {
+            $state['step'] = 'done';
+        }
+
+        return $items;
+    }
+
+    /**
+     * Get the folder mappings keyed by FileBird folder ID.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    The folder mappings.
+     */
+    protected function get_folder_mappings() {
+        $folder_mappings = array();
+
+        foreach ($this->db->get_all_folder_mappings() as $mapping) {
+            $folder_mappings[intval($mapping->filebird_folder_id)] = $mapping;
+        }
+
+        return $folder_mappings;
+    }
+
+    /**
+     * Store a page of a full sync's Dropbox listing.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id     The full sync run ID.
+     * @param    array     $entries    The entries keyed by lowercase path.
+     * @return   boolean               True on success, false on error.
+     */
+    public function store_listing_page($run_id, $entries) {
+        return $this->db->add_sync_listing_entries($run_id, $entries) !== false;
+    }
+
+    /**
+     * Delete the stored Dropbox listing of a full sync.
+     *
+     * @since    1.0.0
+     * @param    string    $run_id    The full sync run ID.
+     */
+    public function delete_listing($run_id) {
+        $this->db->delete_sync_listing($run_id);
+    }
+
+    /**
+     * Look up listed Dropbox entries by path.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array     $paths     Lowercase Dropbox paths.
+     * @param    string    $run_id    The full sync run whose stored listing to use, empty for the listing in memory.
+     * @return   array                The entries that were listed, keyed by lowercase path.
+     */
+    protected function get_listing_entries($paths, $run_id) {
+        if ($run_id !== '') {
+            return $this->db->get_sync_listing_entries($run_id, $paths);
+        }
+
+        return array_intersect_key($this->listing, array_flip($paths));
+    }
+
+    /**
+     * Claim listed Dropbox paths for WordPress files.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array     $paths     Lowercase Dropbox paths.
+     * @param    string    $run_id    The full sync run whose stored listing to use, empty for the listing in memory.
+     */
+    protected function claim_listing_paths($paths, $run_id) {
+        if ($run_id !== '') {
+            $this->db->claim_sync_listing_paths($run_id, $paths);
+            return;
+        }
+
+        $this->claimed_paths += array_fill_keys($paths, true);
+    }
+
+    /**
+     * Get the next listed Dropbox entries that no file claimed.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int       $after_id    Where the previous batch ended, 0 to start.
+     * @param    int       $limit       The maximum number of entries to get.
+     * @param    string    $run_id      The full sync run whose stored listing to use, empty for the listing in memory.
+     * @return   array                  The entries keyed by lowercase path, and where the batch ended.
+     */
+    protected function get_unclaimed_listing_entries($after_id, $limit, $run_id) {
+        if ($run_id !== '') {
+            $rows = $this->db->get_unclaimed_sync_listing_entries($run_id, $after_id, $limit);
+            $entries = array();
+
+            foreach ($rows as $row) {
+                $entries[$row->path_lower] = maybe_unserialize($row->entry);
+            }
+
+            return array(
+                'entries' => $entries,
+                'after_id' => empty($rows) ? $after_id : intval(end($rows)->id),
+            );
+        }
+
+        $entries = array();
+        $position = 0;
+
+        foreach ($this->listing as $path_lower => $entry) {
+            $position++;
+
+            if ($position > $after_id && !isset($this->claimed_paths[$path_lower])) {
+                $entries[$path_lower] = $entry;
+
+                if (count($entries) >= $limit) {
+                    break;
+                }
+            }
+        }
+
+        return array(
+            'entries' => $entries,
+            'after_id' => $position,
+        );
+    }
+
+    /**
+     * Add items to a plan that is being built in batches.
+     *
+     * Dropbox metadata is left out of the stored task data, the import task
+     * fetches it again when it runs.
+     *
+     * @since    1.0.0
+     * @param    string     $plan_id    The plan ID.
+     * @param    array      $items      The plan items, in planning order.
+     * @return   boolean                True on success, false on error.
+     */
+    public function add_plan_items($plan_id, $items) {
+        $items = array_map(function($item) {
+            unset($item['data']['dropbox_metadata']);
+            $item['sort_group'] = $this->get_sort_group($item);
+            return $item;
+        }, $items);
+
+        return $this->db->add_sync_plan_items($plan_id, $items) !== false;
+    }
+
+    /**
+     * Finish a plan that was built in batches.
+     *
+     * The plan of a running full sync is kept until it is deleted, a
+     * previewed plan expires when nobody approves it in time.
+     *
+     * @since    1.0.0
+     * @param    string     $plan_id     The plan ID.
+     * @param    boolean    $preview     Whether the plan was built for a preview.
+     * @return   array                   The plan (generated_at, summary, total).
+     */
+    public function finish_plan($plan_id, $preview = false) {
+        $summary = array_map(function($group) {
+            return array(
+                'direction' => $group->direction,
+                'item_type' => $group->item_type,
+                'action' => $group->action,
+                'count' => intval($group->count),
+            );
+        }, $this->db->count_sync_plan_groups($plan_id));
+
+        $plan = array(
+            'generated_at' => current_time('mysql'),
+            'summary' => $summary,
+            'total' => array_sum(wp_list_pluck($summary, 'count')),
+            'expires' => $preview ? time() + $this->plan_ttl : 0,
+        );
+
+        $this->save_plan_summary($plan_id, $plan);
+
+        return $plan;
+    }
+
+    /**
+     * Store the summary of a plan.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $plan_id    The plan ID.
+     * @param    array     $plan       The plan's generated_at, summary, total and expires (0 to keep it).
+     */
+    protected function save_plan_summary($plan_id, $plan) {
+        $plans = get_option('fds_sync_plans', array());
+        $plans[$plan_id] = $plan;
+        update_option('fds_sync_plans', $plans, false);
+    }
+
+    /**
+     * Get a saved plan.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @return   array|false           The plan (generated_at, summary, total) or false if it expired.
+     */
+    public function get_plan($plan_id) {
+        $plan_id = sanitize_key($plan_id);
+        $plans = get_option('fds_sync_plans', array());
+
+        if (!isset($plans[$plan_id])) {
+            return false;
+        }
+
+        if ($plans[$plan_id]['expires'] && $plans[$plan_id]['expires'] < time()) {
+            $this->delete_plan($plan_id);
+            return false;
+        }
+
+        return $plans[$plan_id];
+    }
+
+    /**
+     * Keep a saved plan until it is deleted, so an approved plan doesn't
+     * expire while it is being queued.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @return   boolean               True if the plan was kept, false if it already expired.
+     */
+    public function keep_plan($plan_id) {
+        if (!$this->get_plan($plan_id)) {
+            return false;
+        }
+
+        $plans = get_option('fds_sync_plans', array());
+        $plans[sanitize_key($plan_id)]['expires'] = 0;
+        update_option('fds_sync_plans', $plans, false);
+
+        return true;
+    }
+
+    /**
+     * Delete a saved plan.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     */
+    public function delete_plan($plan_id) {
+        $plan_id = sanitize_key($plan_id);
+        $plans = get_option('fds_sync_plans', array());
+
+        unset($plans[$plan_id]);
+        update_option('fds_sync_plans', $plans, false);
+
+        $this->db->delete_sync_plan_items(array($plan_id));
+    }
+
+    /**
+     * Delete saved plans nobody approved in time.
+     *
+     * @since    1.0.0
+     * @access   protected
+     */
+    protected function delete_expired_plans() {
+        $plans = get_option('fds_sync_plans', array());
+        $expired = array();
+
+        foreach ($plans as $plan_id => $plan) {
+            if ($plan['expires'] && $plan['expires'] < time()) {
+                $expired[] = $plan_id;
+                unset($plans[$plan_id]);
+            }
+        }
+
+        if (!empty($expired)) {
+            update_option('fds_sync_plans', $plans, false);
+            $this->db->delete_sync_plan_items($expired);
+        }
+    }
+
+    /**
+     * Filter and paginate the items of a saved plan.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @param    array     $filters    Filters (direction, item_type, action, search).
+     * @param    int       $limit      The maximum number of items to return.
+     * @param    int       $offset     The offset for pagination.
+     * @return   array                 The matching items and their total count.
+     */
+    public function filter_items($plan_id, $filters, $limit = 50, $offset = 0) {
+        $plan_id = sanitize_key($plan_id);
+
+        return array(
+            'items' => array_map(array($this, 'row_to_item'), $this->db->get_sync_plan_items($plan_id, $filters, $limit, $offset)),
+            'total' => $this->db->count_sync_plan_items($plan_id, $filters),
+        );
+    }
+
+    /**
+     * Get a batch of the items of a saved plan, in plan order.
+     *
+     * @since    1.0.0
+     * @param    string    $plan_id    The plan ID.
+     * @param    int       $limit      The maximum number of items to return.
+     * @param    int       $offset     The offset of the first item.
+     * @return   array                 The plan items.
+     */
+    public function get_plan_items($plan_id, $limit, $offset = 0) {
+        return array_map(array($this, 'row_to_item'), $this->db->get_sync_plan_items(sanitize_key($plan_id), array(), $limit, $offset));
+    }
+
+    /**
+     * Turn a stored plan item row back into a plan item.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    object    $row    The database row.
+     * @return   array             The plan item.
+     */
+    protected function row_to_item($row) {
+        $data = maybe_unserialize($row->data);
+
+        return $this->make_item(
+            $row->direction,
+            $row->action,
+            $row->item_type,
+            $row->item_id,
+            $row->label,
+            (string) $row->path,
+            (string) $row->from_path,
+            $row->reason,
+            is_array($data) ? $data : array(),
+            intval($row->priority)
+        );
+    }
+
+    /**
+     * Queue every item of a plan.
+     *
+     * @since    1.0.0
+     * @param    array     $plan      The plan.
+     * @param    string    $run_id    Optional full sync run the tasks belong to, so they can be cancelled together.
+     * @return   int                  The number of queued items.
+     */
+    public function enqueue_plan($plan, $run_id = '') {
+        $queued = 0;
+
+        foreach ($plan['items'] as $item) {
+            $data = $item['data'];
+
+            if ($run_id !== '') {
+                $data['run_id'] = $run_id;
+            }
+
+            $result = $this->db->add_to_sync_queue(
+                $item['action'],
+                $item['item_type'],
+                $item['item_id'],
+                $item['direction'],
+                $data,
+                $item['priority']
+            );
+
+            if ($result !== false) {
+                $queued++;
+            }
+        }
+
+        $this->logger->info("Queued full sync plan", array(
+            'items' => count($plan['items']),
+            'queued' => $queued
+        ));
+
+        return $queued;
+    }
+
+    /**
+     * Build a plan item.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $direction    The sync direction.
+     * @param    string    $action       The action (create, update, move, delete).
+     * @param    string    $item_type    The item type (folder or file).
+     * @param    string    $item_id      The queue item ID.
+     * @param    string    $label        Human readable name.
+     * @param    string    $path         The target path.
+     * @param    string    $from         The source path for moves.
+     * @param    string    $reason       Why the item is in the plan.
+     * @param    array     $data         The queue task data.
+     * @param    int       $priority     The queue task priority.
+     * @return   array                   The plan item.
+     */
+    protected function make_item($direction, $action, $item_type, $item_id, $label, $path, $from, $reason, $data, $priority) {
+        return array(
+            'direction' => $direction,
+            'action' => $action,
+            'item_type' => $item_type,
+            'item_id' => $item_id,
+            'label' => $label,
+            'path' => $path,
+            'from' => $from,
+            'reason' => $reason,
+            'data' => $data,
+            'priority' => $priority,
+        );
+    }
+
+    /**
+     * Sort plan items into groups (direction, item type, action).
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $items    The plan items.
+     * @return   array              The sorted items.
+     */
+    protected function sort_items($items) {
+        // Keep the planning order within a group, parents before children
+        foreach ($items as $index => &$item) {
+            $item['_sort'] = array($this->get_sort_group($item), $index);
+        }
+        unset($item);
+
+        usort($items, function($a, $b) {
+            return $a['_sort'] <=> $b['_sort'];
+        });
+
+        return array_map(function($item) {
+            unset($item['_sort']);
+            return $item;
+        }, $items);
+    }
+
+    /**
+     * Get the group a plan item is sorted into.
+     *
+     * Stored plans are read back in group order, so items planned in
+     * batches end up in the same order as a plan sorted in memory.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $item    The plan item.
+     * @return   int               Lower groups run first.
+     */
+    protected function get_sort_group($item) {
+        $order = array(
+            'wordpress_to_dropbox' => 0, 'dropbox_to_wordpress' => 1,
+            'folder' => 0, 'file' => 1,
+            'create' => 0, 'move' => 1, 'update' => 2, 'delete' => 3,
+        );
+
+        return $order[$item['direction']] * 100 + $order[$item['item_type']] * 10 + $order[$item['action']];
+    }
+
+    /**
+     * Count plan items per group.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $items    The sorted plan items.
+     * @return   array              The groups with their counts.
+     */
+    protected function summarize($items) {
+        $groups = array();
+
+        foreach ($items as $item) {
+            $key = $item['direction'] . ':' . $item['item_type'] . ':' . $item['action'];
+
+            if (!isset($groups[$key])) {
+                $groups[$key] = array(
+                    'direction' => $item['direction'],
+                    'item_type' => $item['item_type'],
+                    'action' => $item['action'],
+                    'count' => 0,
+                );
+            }
+
+            $groups[$key]['count']++;
+        }
+
+        return array_values($groups);
+    }
+
+    /**
+     * Get one page of the entries below a Dropbox folder.
+     *
+     * Pass the cursor of the previous page to continue a listing, so it can be
+     * spread over several requests.
+     *
+     * @since    1.0.0
+     * @param    string     $root_folder    The Dropbox folder.
+     * @param    string     $cursor         The cursor of the previous page, empty for the first page.
+     * @param    boolean    $keep_root      Whether to include the folder itself, as for mapped paths.
+     * @return   array|WP_Error             The entries keyed by lowercase path, the cursor and has_more, or an error.
+     */
+    public function list_dropbox_page($root_folder, $cursor = '', $keep_root = false) {
+        if ($cursor === '') {
+            $result = $this->dropbox_api->list_folder_enhanced($root_folder, array(
+                'recursive' => true,
+                'include_media_info' => false,
+            ));
+        } else {
+            $result = $this->dropbox_api->list_folder_continue($cursor);
+        }
+
+        if (is_wp_error($result)) {
+            // A root folder that doesn't exist yet simply has no entries
+            if ($cursor === '' && strpos($result->get_error_message(), 'not_found') !== false) {
+                return array('entries' => array(), 'cursor' => '', 'has_more' => false);
+            }
+
+            return $result;
+        }
+
+        $entries = array();
+
+        foreach ($result['entries'] as $entry) {
+            if ($keep_root || strtolower($entry['path_lower']) !== strtolower($root_folder)) {
+                $entries[$entry['path_lower']] = $entry;
+            }
+        }
+
+        return array(
+            'entries' => $entries,
+            'cursor' => $result['cursor'],
+            'has_more' => !empty($result['has_more']),
+        );
+    }
+
+    /**
+     * Get every entry below the root Dropbox folder, keyed by lowercase path.
+     *
+     * @since    1.0.0
+     * @param    string     $root_folder    The root Dropbox folder.
+     * @param    boolean    $keep_root      Whether to include the folder itself, as for mapped paths.
+     * @return   array|WP_Error             The entries or an error.
+     */
+    public function get_dropbox_entries($root_folder, $keep_root = false) {
+        $entries = array();
+        $cursor = '';
+
+        do {
+            $page = $this->list_dropbox_page($root_folder, $cursor, $keep_root);
+
+            if (is_wp_error($page)) {
+                return $page;
+            }
+
+            $entries = array_merge($entries, $page['entries']);
+            $cursor = $page['cursor'];
+        } while ($page['has_more']);
+
+        return $entries;
+    }
+
+    /**
+     * Get all FileBird folders keyed by ID.
+     *
+     * @since    1.0.0
+     * @return   array    Folder objects with id, name and parent.
+     */
+    public function get_filebird_folders() {
+        $folders = array();
+
+        foreach ((array) \FileBird\Model\Folder::getFolders() as $folder) {
+            $details = \FileBird\Model\Folder::findById($folder->id, 'id, name, parent');
+
+            if ($details) {
+                $folders[intval($details->id)] = $details;
+            }
+        }
+
+        return $folders;
+    }
+
+    /**
+     * Work out where each FileBird folder belongs in Dropbox.
+     *
+     * Unlike FDS_Folder_Sync::get_dropbox_path_for_filebird_folder() this ignores
+     * existing mappings, so renamed and moved folders show up as a difference.
+     * Root mappings are still honored.
+     *
+     * @since    1.0.0
+     * @param    array     $folders        FileBird folders keyed by ID.
+     * @param    string    $root_folder    The root Dropbox folder.
+     * @return   array                     Dropbox paths keyed by folder ID.
+     */
+    public function get_expected_folder_paths($folders, $root_folder) {
+        $paths = array();
+
+        foreach ($folders as $folder_id => $folder) {
+            $segments = array();
+            $current = $folder;
+            $seen = array();
+            $base_path = $root_folder;
+
+            while ($current && !isset($seen[$current->id])) {
+                $seen[$current->id] = true;
+                $root_mapping = $this->root_mappings->get_mapping_for_folder($current->id);
+
+                // A mapped folder replaces its own name and everything above it
+                if ($root_mapping) {
+                    $base_path = $root_mapping['dropbox_path'];
+                    break;
+                }
+
+                array_unshift($segments, sanitize_file_name($current->name));
+                $parent_id = intval($current->parent);
+                $current = $parent_id > 0 && isset($folders[$parent_id]) ? $folders[$parent_id] : null;
+            }
+
+            $paths[$folder_id] = empty($segments) ? $base_path : $base_path . '/' . implode('/', $segments);
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Get the FileBird folder of every attachment.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $folder_ids    The FileBird folder IDs.
+     * @return   array                   Folder IDs keyed by attachment ID (0 for uncategorized).
+     */
+    protected function get_attachment_folders($folder_ids) {
+        global $wpdb;
+
+        $attachment_folders = array_fill_keys(
+            array_map('intval', $wpdb->get_col("SELECT ID FROM $wpdb->posts WHERE post_type = 'attachment'")),
+            0
+        );
+
+        foreach ($folder_ids as $folder_id) {
+            foreach ((array) \FileBird\Model\Folder::getAttachmentIdsByFolderId($folder_id) as $attachment_id) {
+                if (isset($attachment_folders[intval($attachment_id)])) {
+                    $attachment_folders[intval($attachment_id)] = $folder_id;
+                }
+            }
+        }
+
+        return $attachment_folders;
+    }
+
+    /**
+     * Find which of the given IDs are still attachments.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $attachment_ids    The attachment IDs.
+     * @return   array                       The existing attachment IDs as keys.
+     */
+    protected function get_existing_attachment_ids($attachment_ids) {
+        global $wpdb;
+
+        if (empty($attachment_ids)) {
+            return array();
+        }
+
+        $attachment_ids = array_map('intval', $attachment_ids);
+        $placeholders = implode(',', array_fill(0, count($attachment_ids), '%d'));
+
+        $existing = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT ID FROM $wpdb->posts WHERE post_type = 'attachment' AND ID IN ($placeholders)",
+                $attachment_ids
+            )
+        );
+
+        return array_fill_keys(array_map('intval', $existing), true);
+    }
+
+    /**
+     * Rewrite a path for folder moves already in the plan.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $path    The Dropbox path.
+     * @return   string             The path after the planned moves.
+     */
+    protected function apply_moved_paths($path) {
+        foreach ($this->moved_paths as $old_path => $new_path) {
+            if (stripos($path, $old_path . '/') === 0) {
+                return $new_path . substr($path, strlen($old_path));
+            }
+        }
+
+        return $path;
+    }
+
+    /**
+     * Check whether a path is inside the scope of the plan.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string     $path    The Dropbox path.
+     * @return   boolean             True if the path is the scope folder or below it, or there is no scope.
+     */
+    protected function is_in_scope($path) {
+        if ($this->scope === '') {
+            return true;
+        }
+
+        $path = strtolower($path);
+        $scope = strtolower($this->scope);
+
+        return $path === $scope || strpos($path, $scope . '/') === 0;
+    }
+
+    /**
+     * Keep the attachments whose folder is in the scope, or whose file is.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array     $attachment_folders    Folder IDs keyed by attachment ID.
+     * @param    array     $folder_paths          The expected Dropbox path of every folder.
+     * @param    string    $root_folder           The root Dropbox folder.
+     * @return   array                            The attachments in the scope, in ID order.
+     */
+    protected function get_scoped_attachment_folders($attachment_folders, $folder_paths, $root_folder) {
+        // Files moved out of the scope are planned as well
+        $mapped = array_flip($this->db->get_file_mapping_attachment_ids_below($this->scope));
+
+        return array_filter($attachment_folders, function($folder_id, $attachment_id) use ($folder_paths, $root_folder, $mapped) {
+            $parent_path = $folder_id > 0 && isset($folder_paths[$folder_id]) ? $folder_paths[$folder_id] : $root_folder;
+
+            return $this->is_in_scope($parent_path) || isset($mapped[$attachment_id]);
+        }, ARRAY_FILTER_USE_BOTH);
+    }
+
+    /**
+     * Check whether a path contains a hidden file or folder below the root.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $path           The lowercase Dropbox path.
+     * @param    string    $root_folder    The root Dropbox folder.
+     * @return   boolean                   True if any segment starts with a dot.
+     */
+    protected function is_hidden_path($path, $root_folder) {
+        $relative = substr($path, strlen($root_folder));
+        return strpos($relative, '/.') !== false;
+    }
+}
@@ -0,0 +1,294 @@
+<?php
+/**
+ * Decides which files are synchronized.
+ *
+ * Rules are checked in order and the first one that matches a file decides
+ * whether it is synced. A rule can match the FileBird folder (including its
+ * subfolders), the MIME type, the extension or files above a size limit.
+ * Files that match no rule get the default action.
+ *
+ * @since      1.0.0
+ */
+class FDS_Sync_Rules {
+
+    /**
+     * Parent IDs of FileBird folders looked up so far.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array    $folder_parents    Parent folder IDs keyed by folder ID.
+     */
+    protected $folder_parents = array();
+
+    /**
+     * Get the rule types that can be used in a rule.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by rule type.
+     */
+    public static function get_rule_types() {
+        return array(
+            'folder' => __('FileBird folder', 'filebird-dropbox-sync'),
+            'mime' => __('MIME type', 'filebird-dropbox-sync'),
+            'extension' => __('Extension', 'filebird-dropbox-sync'),
+            'size' => __('Larger than (MB)', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the configured rules.
+     *
+     * @since    1.0.0
+     * @return   array    The default action and the ordered list of rules.
+     */
+    public function get_rules() {
+        $rules = get_option('fds_sync_rules', array());
+
+        return array(
+            'default' => isset($rules['default']) && $rules['default'] === 'exclude' ? 'exclude' : 'include',
+            'rules' => isset($rules['rules']) && is_array($rules['rules']) ? array_values($rules['rules']) : array(),
+        );
+    }
+
+    /**
+     * Check whether a WordPress attachment should be synced.
+     *
+     * @since    1.0.0
+     * @param    int      $attachment_id    The attachment ID.
+     * @param    int      $folder_id        The FileBird folder ID (0 for uncategorized).
+     * @return   array                      The decision, see evaluate().
+     */
+    public function evaluate_attachment($attachment_id, $folder_id) {
+        $file_path = get_attached_file($attachment_id);
+
+        return $this->evaluate(array(
+            'name' => $file_path ? basename($file_path) : '',
+            'mime' => get_post_mime_type($attachment_id),
+            'size' => $file_path && file_exists($file_path) ? filesize($file_path) : 0,
+            'folder_id' => $folder_id,
+        ));
+    }
+
+    /**
+     * Check whether a Dropbox file should be synced.
+     *
+     * @since    1.0.0
+     * @param    array       $entry        The Dropbox file metadata.
+     * @param    int|null    $folder_id    The FileBird folder the file belongs in, null if it has none yet.
+     * @return   array                     The decision, see evaluate().
+     */
+    public function evaluate_dropbox_entry($entry, $folder_id) {
+        $name = basename($entry['path_display'] ?? $entry['path_lower']);
+        $file_type = wp_check_filetype($name);
+
+        return $this->evaluate(array(
+            'name' => $name,
+            'mime' => $file_type['type'] ? $file_type['type'] : '',
+            'size' => isset($entry['size']) ? intval($entry['size']) : 0,
+            'folder_id' => $folder_id,
+        ));
+    }
+
+    /**
+     * Get the FileBird folder whose rules apply to a file in a Dropbox folder.
+     *
+     * A Dropbox folder that is not in FileBird yet will be created inside the
+     * nearest mapped folder above it, so that folder's rules apply.
+     *
+     * @since    1.0.0
+     * @param    string    $parent_path    The lowercase Dropbox folder the file is in.
+     * @param    string    $root_folder    The lowercase root Dropbox folder.
+     * @param    array     $folder_ids     FileBird folder IDs keyed by lowercase Dropbox path of their mapping.
+     * @return   int|null                  The folder ID, 0 for the root folder, null if no mapped folder is above it.
+     */
+    public function get_rule_folder_id($parent_path, $root_folder, $folder_ids) {
+        for ($path = $parent_path; $path !== '/' && $path !== '.' && $path !== ''; $path = dirname($path)) {
+            if ($path === $root_folder) {
+                return $path === $parent_path ? 0 : null;
+            }
+
+            if (isset($folder_ids[$path])) {
+                return intval($folder_ids[$path]);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a file should be synced.
+     *
+     * @since    1.0.0
+     * @param    array    $file    The file's name, mime, size (bytes) and folder_id.
+     * @return   array             'sync' (bool), 'rule' (1-based index or 0 for the default) and 'explanation'.
+     */
+    public function evaluate($file) {
+        $rules = $this->get_rules();
+
+        foreach ($rules['rules'] as $index => $rule) {
+            if ($this->matches($rule, $file)) {
+                return array(
+                    'sync' => $rule['action'] === 'include',
+                    'rule' => $index + 1,
+                    'explanation' => sprintf(
+                        /* translators: 1: rule number, 2: rule description */
+                        __('Rule %1$d matched: %2$s', 'filebird-dropbox-sync'),
+                        $index + 1,
+                        $this->describe_rule($rule)
+                    ),
+                );
+            }
+        }
+
+        return array(
+            'sync' => $rules['default'] === 'include',
+            'rule' => 0,
+            'explanation' => $rules['default'] === 'include'
+                ? __('No rule matched, files are synced by default', 'filebird-dropbox-sync')
+                : __('No rule matched, files are skipped by default', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Describe a rule in plain words.
+     *
+     * @since    1.0.0
+     * @param    array     $rule    The rule.
+     * @return   string             The description.
+     */
+    public function describe_rule($rule) {
+        $verb = $rule['action'] === 'include' ? __('sync', 'filebird-dropbox-sync') : __('skip', 'filebird-dropbox-sync');
+
+        switch ($rule['type']) {
+            case 'folder':
+                /* translators: 1: sync or skip, 2: folder name */
+                return sprintf(__('%1$s files in folder "%2$s"', 'filebird-dropbox-sync'), $verb, $this->get_folder_name($rule['value']));
+            case 'mime':
+                /* translators: 1: sync or skip, 2: MIME types */
+                return sprintf(__('%1$s files of type %2$s', 'filebird-dropbox-sync'), $verb, $rule['value']);
+            case 'extension':
+                /* translators: 1: sync or skip, 2: file extensions */
+                return sprintf(__('%1$s files with extension %2$s', 'filebird-dropbox-sync'), $verb, $rule['value']);
+            case 'size':
+                /* translators: 1: sync or skip, 2: size in MB */
+                return sprintf(__('%1$s files larger than %2$s MB', 'filebird-dropbox-sync'), $verb, $rule['value']);
+        }
+
+        return $verb;
+    }
+
+    /**
+     * Check whether a rule matches a file.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $rule    The rule.
+     * @param    array    $file    The file's name, mime, size and folder_id.
+     * @return   boolean           True if the rule matches.
+     */
+    protected function matches($rule, $file) {
+        switch ($rule['type']) {
+            case 'folder':
+                return $file['folder_id'] !== null && $this->is_in_folder(intval($file['folder_id']), intval($rule['value']));
+
+            case 'mime':
+                foreach ($this->split_list($rule['value']) as $pattern) {
+                    // Support wildcards like image/*
+                    if (fnmatch($pattern, strtolower($file['mime']))) {
+                        return true;
+                    }
+                }
+                return false;
+
+            case 'extension':
+                $extension = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
+                $extensions = array_map(function($value) {
+                    return ltrim($value, '.');
+                }, $this->split_list($rule['value']));
+
+                return $extension !== '' && in_array($extension, $extensions, true);
+
+            case 'size':
+                return $file['size'] > floatval($rule['value']) * MB_IN_BYTES;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether a folder is the given folder or one of its subfolders.
+     *
+     * Folder 0 stands for uncategorized files and only matches itself.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int      $folder_id         The folder to check.
+     * @param    int      $rule_folder_id    The folder from the rule.
+     * @return   boolean                     True if the folder is inside the rule's folder.
+     */
+    protected function is_in_folder($folder_id, $rule_folder_id) {
+        $seen = array();
+
+        while (!isset($seen[$folder_id])) {
+            if ($folder_id === $rule_folder_id) {
+                return true;
+            }
+
+            if ($folder_id === 0) {
+                return false;
+            }
+
+            $seen[$folder_id] = true;
+            $folder_id = $this->get_parent_folder_id($folder_id);
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the parent of a FileBird folder.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int    $folder_id    The folder ID.
+     * @return   int                  The parent folder ID, 0 at the top level.
+     */
+    protected function get_parent_folder_id($folder_id) {
+        if (!isset($this->folder_parents[$folder_id])) {
+            $folder = class_exists('FileBird\\Model\\Folder') ? \FileBird\Model\Folder::findById($folder_id, 'id, name, parent') : null;
+            $this->folder_parents[$folder_id] = $folder ? intval($folder->parent) : 0;
+        }
+
+        return $this->folder_parents[$folder_id];
+    }
+
+    /**
+     * Get the name of a FileBird folder for rule descriptions.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    int       $folder_id    The folder ID.
+     * @return   string                  The folder name.
+     */
+    protected function get_folder_name($folder_id) {
+        if (intval($folder_id) === 0) {
+            return __('Uncategorized', 'filebird-dropbox-sync');
+        }
+
+        $folder = class_exists('FileBird\\Model\\Folder') ? \FileBird\Model\Folder::findById($folder_id, 'id, name, parent') : null;
+
+        return $folder ? $folder->name : '#' . $folder_id;
+    }
+
+    /**
+     * Split a comma separated rule value.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $value    The rule value.
+     * @return   array               Lowercase, trimmed, non-empty items.
+     */
+    protected function split_list($value) {
+        return array_values(array_filter(array_map('trim', explode(',', strtolower($value)))));
+    }
+}
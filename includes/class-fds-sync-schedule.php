@@ -0,0 +1,242 @@
+<?php
+/**
+ * Decides when the queue may be processed and how fast it may transfer.
+ *
+ * Sync windows are set as days of the week and a time range in the site
+ * timezone. A range that ends before it starts runs past midnight into the
+ * next day. Outside the windows scheduled processing is paused, tasks keep
+ * being queued and are processed once the next window opens.
+ *
+ * @since      1.0.0
+ */
+class FDS_Sync_Schedule {
+
+    /**
+     * The throttle of this run.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Throttle|null    $throttle    Shared by every Dropbox API instance of the process.
+     */
+    protected static $throttle = null;
+
+    /**
+     * Get the days of the week a window can be open on.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by ISO-8601 day number, Monday is 1.
+     */
+    public static function get_days() {
+        return array(
+            1 => __('Monday', 'filebird-dropbox-sync'),
+            2 => __('Tuesday', 'filebird-dropbox-sync'),
+            3 => __('Wednesday', 'filebird-dropbox-sync'),
+            4 => __('Thursday', 'filebird-dropbox-sync'),
+            5 => __('Friday', 'filebird-dropbox-sync'),
+            6 => __('Saturday', 'filebird-dropbox-sync'),
+            7 => __('Sunday', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Get the schedule settings.
+     *
+     * @since    1.0.0
+     * @return   array    The settings with defaults for anything not saved.
+     */
+    public static function get_settings() {
+        $settings = get_option('fds_sync_schedule', array());
+
+        return array_merge(array(
+            'enabled' => false,
+            'days' => array_keys(self::get_days()),
+            'start' => '19:00',
+            'end' => '07:00',
+            'bandwidth_limit' => 0,
+            'request_limit' => 0,
+        ), is_array($settings) ? $settings : array());
+    }
+
+    /**
+     * Check whether the queue may be processed.
+     *
+     * @since    1.0.0
+     * @param    int    $time    Site local timestamp, now if not set.
+     * @return   boolean         True if no schedule is set or a window is open.
+     */
+    public function is_open($time = null) {
+        $settings = self::get_settings();
+
+        if (!$settings['enabled']) {
+            return true;
+        }
+
+        $time = $time === null ? current_time('timestamp') : $time;
+        $day = intval(gmdate('N', $time));
+        $previous_day = $day === 1 ? 7 : $day - 1;
+        $minute = intval(gmdate('G', $time)) * 60 + intval(gmdate('i', $time));
+        $start = $this->to_minutes($settings['start']);
+        $end = $this->to_minutes($settings['end']);
+        $days = array_map('intval', $settings['days']);
+
+        if ($start === $end) {
+            return in_array($day, $days, true);
+        }
+
+        if ($start < $end) {
+            return in_array($day, $days, true) && $minute >= $start && $minute < $end;
+        }
+
+        // Runs past midnight, the early hours belong to the window of the day before
+        return (in_array($day, $days, true) && $minute >= $start) || (in_array($previous_day, $days, true) && $minute < $end);
+    }
+
+    /**
+     * Get when the queue next switches between open and paused.
+     *
+     * @since    1.0.0
+     * @return   int|null    Site local timestamp, or null if it never switches.
+     */
+    public function get_next_change() {
+        $settings = self::get_settings();
+
+        if (!$settings['enabled']) {
+            return null;
+        }
+
+        $now = current_time('timestamp');
+        $open = $this->is_open($now);
+        $today = $now - $now % DAY_IN_SECONDS;
+        $candidates = array();
+
+        // Windows only open and close at their start and end times
+        for ($day = 0; $day <= 7; $day++) {
+            foreach (array($settings['start'], $settings['end']) as $boundary) {
+                $time = $today + $day * DAY_IN_SECONDS + $this->to_minutes($boundary) * MINUTE_IN_SECONDS;
+
+                if ($time > $now) {
+                    $candidates[] = $time;
+                }
+            }
+        }
+
+        sort($candidates);
+
+        foreach ($candidates as $time) {
+            if ($this->is_open($time) !== $open) {
+                return $time;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the number of seconds until a window opens.
+     *
+     * @since    1.0.0
+     * @return   int    0 if a window is open or no window is ever open.
+     */
+    public function get_seconds_until_open() {
+        if ($this->is_open()) {
+            return 0;
+        }
+
+        $next_change = $this->get_next_change();
+
+        return $next_change ? $next_change - current_time('timestamp') : 0;
+    }
+
+    /**
+     * Get the schedule state for the dashboard.
+     *
+     * @since    1.0.0
+     * @return   array    Whether a schedule is set, whether it pauses the queue and a message saying until when.
+     */
+    public function get_status() {
+        $settings = self::get_settings();
+
+        if (!$settings['enabled']) {
+            return array(
+                'enabled' => false,
+                'paused' => false,
+                'next_change' => null,
+                'message' => __('No sync schedule, the queue is processed whenever cron runs.', 'filebird-dropbox-sync'),
+            );
+        }
+
+        $paused = !$this->is_open();
+        $next_change = $this->get_next_change();
+        $when = $next_change ? date_i18n('D ' . get_option('time_format'), $next_change) : '';
+
+        if ($paused) {
+            $message = $when
+                /* translators: %s: day and time */
+                ? sprintf(__('Paused by the sync schedule until %s', 'filebird-dropbox-sync'), $when)
+                : __('Paused by the sync schedule, no window is set to open', 'filebird-dropbox-sync');
+        } else {
+            $message = $when
+                /* translators: %s: day and time */
+                ? sprintf(__('Sync window open until %s', 'filebird-dropbox-sync'), $when)
+                : __('Sync window open', 'filebird-dropbox-sync');
+        }
+
+        return array(
+            'enabled' => true,
+            'paused' => $paused,
+            'next_change' => $next_change ? gmdate('Y-m-d H:i:s', $next_change) : null,
+            'message' => $message,
+        );
+    }
+
+    /**
+     * Get a throttle with the configured transfer limits.
+     *
+     * @since    1.0.0
+     * @param    FDS_Logger    $logger    The logger instance.
+     * @return   FDS_Throttle             The throttle.
+     */
+    public function get_throttle($logger) {
+        // One throttle per run, so every Dropbox API instance counts against the same caps
+        if (self::$throttle === null) {
+            $settings = self::get_settings();
+            self::$throttle = new FDS_Throttle(absint($settings['bandwidth_limit']), absint($settings['request_limit']), $logger);
+        }
+
+        return self::$throttle;
+    }
+
+    /**
+     * Hold back the queue until a run that reached a transfer limit is back under it.
+     *
+     * @since    1.0.0
+     * @param    float    $resume_at    Microtime at which the queue may run again.
+     */
+    public function hold_until($resume_at) {
+        update_option('fds_throttled_until', intval(ceil($resume_at)), false);
+    }
+
+    /**
+     * Get the seconds until the queue may run again after reaching a transfer limit.
+     *
+     * @since    1.0.0
+     * @return   int    The seconds, 0 if the queue is not held back.
+     */
+    public function get_seconds_until_released() {
+        return max(0, intval(get_option('fds_throttled_until', 0)) - time());
+    }
+
+    /**
+     * Convert a time of day to minutes since midnight.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string    $time    The time as HH:MM.
+     * @return   int                The minutes since midnight.
+     */
+    protected function to_minutes($time) {
+        $parts = array_map('intval', explode(':', $time . ':0'));
+
+        return min(1439, $parts[0] * 60 + $parts[1]);
+    }
+}
@@ -0,0 +1,171 @@
+<?php
+/**
+ * Keeps Dropbox transfers under a bandwidth and request rate cap.
+ *
+ * The caps apply to one run, so to the requests made by one PHP process.
+ * Transfers cannot be slowed down while they are in flight. Once a cap is
+ * reached the run ends after its current task and the queue waits until the
+ * average is back under the cap, instead of sleeping while it holds the
+ * queue lock.
+ *
+ * @since      1.0.0
+ */
+class FDS_Throttle {
+
+    /**
+     * The bandwidth cap.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $bandwidth_limit    Kilobytes per second, 0 for no cap.
+     */
+    protected $bandwidth_limit;
+
+    /**
+     * The request rate cap.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $request_limit    Requests per minute, 0 for no cap.
+     */
+    protected $request_limit;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * When the first transfer of the run started.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      float    $started_at    Microtime, 0 until the first transfer.
+     */
+    protected $started_at = 0;
+
+    /**
+     * The bytes transferred so far in the run.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $bytes    The number of bytes.
+     */
+    protected $bytes = 0;
+
+    /**
+     * When the requests of the last minute were made.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      array    $requests    Microtimes, oldest first.
+     */
+    protected $requests = array();
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    int           $bandwidth_limit    Kilobytes per second, 0 for no cap.
+     * @param    int           $request_limit      Requests per minute, 0 for no cap.
+     * @param    FDS_Logger    $logger             The logger instance.
+     */
+    public function __construct($bandwidth_limit, $request_limit, $logger) {
+        $this->bandwidth_limit = $bandwidth_limit;
+        $this->request_limit = $request_limit;
+        $this->logger = $logger;
+    }
+
+    /**
+     * Count a request.
+     *
+     * @since    1.0.0
+     */
+    public function before_request() {
+        $now = microtime(true);
+
+        if (!$this->started_at) {
+            $this->started_at = $now;
+        }
+
+        if ($this->request_limit > 0) {
+            $this->requests = array_values(array_filter($this->requests, function($time) use ($now) {
+                return $time > $now - 60;
+            }));
+
+            $this->requests[] = $now;
+        }
+    }
+
+    /**
+     * Count transferred bytes.
+     *
+     * @since    1.0.0
+     * @param    int    $bytes    The number of bytes sent or received.
+     */
+    public function after_transfer($bytes) {
+        if ($this->bandwidth_limit <= 0) {
+            return;
+        }
+
+        if (!$this->started_at) {
+            $this->started_at = microtime(true);
+        }
+
+        $this->bytes += $bytes;
+    }
+
+    /**
+     * Get when the run is back under both caps.
+     *
+     * @since    1.0.0
+     * @return   float    Microtime, 0 if the run is under the caps now.
+     */
+    public function get_resume_time() {
+        $now = microtime(true);
+        $resume_at = 0;
+
+        if ($this->request_limit > 0) {
+            $recent = array_values(array_filter($this->requests, function($time) use ($now) {
+                return $time > $now - 60;
+            }));
+
+            // Another request fits once enough of the last minute's requests are older than a minute
+            if (count($recent) >= $this->request_limit) {
+                $resume_at = $recent[count($recent) - $this->request_limit] + 60;
+            }
+        }
+
+        if ($this->bandwidth_limit > 0 && $this->started_at) {
+            $resume_at = max($resume_at, $this->started_at + $this->bytes / ($this->bandwidth_limit * KB_IN_BYTES));
+        }
+
+        return $resume_at > $now ? $resume_at : 0;
+    }
+
+    /**
+     * Check whether the run reached a cap, and log it when it did.
+     *
+     * @since    1.0.0
+     * @return   boolean    True if the run should end and leave the remaining tasks for later.
+     */
+    public function is_exceeded() {
+        $resume_at = $this->get_resume_time();
+
+        if (!$resume_at) {
+            return false;
+        }
+
+        $this->logger->info("Transfer limit reached, the remaining tasks wait for the next run", [
+            'resume_in_seconds' => round($resume_at - microtime(true), 2),
+            'bytes' => $this->bytes,
+            'requests_last_minute' => count($this->requests)
+        ]);
+
+        return true;
+    }
+}
@@ -0,0 +1,315 @@
+<?php
+/**
+ * Lists and restores items the plugin deleted from Dropbox.
+ *
+ * Deletions are recorded in their own table when a delete task succeeds, so
+ * they stay restorable after the task has been removed from the queue.
+ * Restoring uses the Dropbox revision history to bring a file back to its
+ * previous path, then links it to its attachment again or imports it if the
+ * attachment is gone as well.
+ *
+ * @since      1.0.0
+ */
+class FDS_Trash {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * The folder sync instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Folder_Sync    $folder_sync    Recreates FileBird folders for restored paths.
+     */
+    protected $folder_sync;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $db, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+        $this->folder_sync = new FDS_Folder_Sync($dropbox_api, $db, $logger);
+    }
+
+    /**
+     * Get the items the plugin deleted from Dropbox.
+     *
+     * @since    1.0.0
+     * @param    string    $search    Search term for the Dropbox path.
+     * @param    int       $limit     The maximum number of items to get.
+     * @param    int       $offset    The offset for pagination.
+     * @return   array                The items, most recently deleted first.
+     */
+    public function get_deleted_items($search = '', $limit = 20, $offset = 0) {
+        return array_map(array($this, 'format_item'), $this->db->get_deletions($search, $limit, $offset));
+    }
+
+    /**
+     * Count the items the plugin deleted from Dropbox.
+     *
+     * @since    1.0.0
+     * @param    string    $search    Search term for the Dropbox path.
+     * @return   int                  The number of items.
+     */
+    public function count_deleted_items($search = '') {
+        return $this->db->count_deletions($search);
+    }
+
+    /**
+     * Restore a deleted item to its previous Dropbox path.
+     *
+     * @since    1.0.0
+     * @param    int               $deletion_id    The ID of the recorded deletion.
+     * @return   array|WP_Error                    Counts of restored, relinked and imported files, or an error.
+     */
+    public function restore($deletion_id) {
+        $deletion = $this->db->get_deletion($deletion_id);
+
+        if (!$deletion) {
+            return new WP_Error('fds_not_found', __('This deleted item could not be found. Deletions are kept for 180 days.', 'filebird-dropbox-sync'));
+        }
+
+        if (!empty($deletion->restored_at)) {
+            return new WP_Error('fds_already_restored', __('This item has already been restored.', 'filebird-dropbox-sync'));
+        }
+
+        $data = maybe_unserialize($deletion->data);
+        $result = $deletion->item_type === 'folder' ? $this->restore_folder($data) : $this->restore_file($data);
+
+        if (is_wp_error($result)) {
+            $this->logger->error("Failed to restore deleted item", array(
+                'deletion_id' => $deletion->id,
+                'item_type' => $deletion->item_type,
+                'error' => $result->get_error_message(),
+            ));
+            return $result;
+        }
+
+        $this->db->mark_deletion_restored($deletion->id);
+
+        $this->logger->info("Restored deleted item from Dropbox", array_merge(array(
+            'deletion_id' => $deletion->id,
+            'item_type' => $deletion->item_type,
+        ), $result));
+
+        return $result;
+    }
+
+    /**
+     * Format a recorded deletion for display.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    object    $deletion    The recorded deletion.
+     * @return   array                  The item.
+     */
+    protected function format_item($deletion) {
+        $data = maybe_unserialize($deletion->data);
+        $is_folder = $deletion->item_type === 'folder';
+
+        return array(
+            'id' => intval($deletion->id),
+            'item_type' => $deletion->item_type,
+            'name' => basename($deletion->dropbox_path),
+            'dropbox_path' => $deletion->dropbox_path,
+            'files' => $is_folder && isset($data['files']) ? count($data['files']) : null,
+            'deleted_at' => $deletion->deleted_at,
+            'restored_at' => $deletion->restored_at,
+        );
+    }
+
+    /**
+     * Restore a deleted file.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array             $data    The recorded deletion data.
+     * @return   array|WP_Error             The restore counts or an error.
+     */
+    protected function restore_file($data) {
+        if (empty($data['dropbox_path'])) {
+            return new WP_Error('fds_restore_failed', __('The deleted file has no Dropbox path.', 'filebird-dropbox-sync'));
+        }
+
+        $metadata = $this->restore_path($data['dropbox_path']);
+
+        if (is_wp_error($metadata)) {
+            return $metadata;
+        }
+
+        $relinked = $this->relink_file($metadata, intval($data['attachment_id'] ?? 0));
+
+        return array(
+            'dropbox_path' => $metadata['path_display'],
+            'restored' => 1,
+            'relinked' => $relinked ? 1 : 0,
+            'imported' => $relinked ? 0 : 1,
+            'failed' => 0,
+        );
+    }
+
+    /**
+     * Restore a deleted folder and the files that were in it.
+     *
+     * Only files the plugin had mapped when the folder was deleted are
+     * restored. Folders deleted before this was recorded come back empty.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array             $data    The recorded deletion data.
+     * @return   array|WP_Error             The restore counts or an error.
+     */
+    protected function restore_folder($data) {
+        if (empty($data['folder_path'])) {
+            return new WP_Error('fds_restore_failed', __('The deleted folder has no Dropbox path.', 'filebird-dropbox-sync'));
+        }
+
+        $folder_path = $data['folder_path'];
+        $files = isset($data['files']) && is_array($data['files']) ? $data['files'] : array();
+        $result = array(
+            'dropbox_path' => $folder_path,
+            'restored' => 0,
+            'relinked' => 0,
+            'imported' => 0,
+            'failed' => 0,
+        );
+
+        foreach ($files as $attachment_id => $dropbox_path) {
+            $metadata = $this->restore_path($dropbox_path);
+
+            if (is_wp_error($metadata)) {
+                $this->logger->warning("Could not restore file from deleted folder", array(
+                    'dropbox_path' => $dropbox_path,
+                    'error' => $metadata->get_error_message(),
+                ));
+                $result['failed']++;
+                continue;
+            }
+
+            $result['restored']++;
+            $result[$this->relink_file($metadata, intval($attachment_id)) ? 'relinked' : 'imported']++;
+        }
+
+        if (!empty($files) && $result['restored'] === 0) {
+            return new WP_Error('fds_restore_failed', __('None of the files in this folder could be restored from Dropbox. Check the logs for details.', 'filebird-dropbox-sync'));
+        }
+
+        // Restoring files brings their folders back, an empty folder has to be created
+        if ($result['restored'] === 0 && !$this->dropbox_api->create_folder($folder_path) && !$this->dropbox_api->get_file_metadata($folder_path)) {
+            return new WP_Error('fds_restore_failed', __('The folder could not be created in Dropbox again.', 'filebird-dropbox-sync'));
+        }
+
+        $this->folder_sync->get_filebird_folder_id_for_dropbox_path($folder_path);
+
+        return $result;
+    }
+
+    /**
+     * Restore the most recent revision of a deleted Dropbox file.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string            $dropbox_path    The Dropbox path.
+     * @return   array|WP_Error                     The metadata of the restored file or an error.
+     */
+    protected function restore_path($dropbox_path) {
+        $revisions = $this->dropbox_api->list_revisions($dropbox_path, 1);
+
+        if (!$revisions || empty($revisions['entries'])) {
+            /* translators: %s: Dropbox path */
+            return new WP_Error('fds_no_revision', sprintf(__('No earlier version of %s was found in Dropbox.', 'filebird-dropbox-sync'), $dropbox_path));
+        }
+
+        // The file is already back, e.g. restored on dropbox.com
+        if (empty($revisions['is_deleted'])) {
+            return $revisions['entries'][0];
+        }
+
+        $metadata = $this->dropbox_api->restore_file($dropbox_path, $revisions['entries'][0]['rev']);
+
+        if (!$metadata || !isset($metadata['id'])) {
+            /* translators: %s: Dropbox path */
+            return new WP_Error('fds_restore_failed', sprintf(__('Dropbox could not restore %s.', 'filebird-dropbox-sync'), $dropbox_path));
+        }
+
+        return $metadata;
+    }
+
+    /**
+     * Link a restored file to its attachment, or import it if the attachment is gone.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array      $metadata         The metadata of the restored file.
+     * @param    int        $attachment_id    The attachment the file belonged to.
+     * @return   boolean                      True if relinked, false if queued for import.
+     */
+    protected function relink_file($metadata, $attachment_id) {
+        $dropbox_path = $metadata['path_display'];
+        $parent_path = dirname($dropbox_path);
+
+        if ($attachment_id > 0 && get_post_type($attachment_id) === 'attachment') {
+            $this->db->add_or_update_file_mapping($attachment_id, $dropbox_path, $metadata['id'], $metadata['content_hash'] ?? '', $metadata['content_hash'] ?? '');
+
+            $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+
+            // Put the attachment back into its (recreated) FileBird folder
+            if (strtolower($parent_path) !== strtolower($root_folder) && class_exists('FileBird\\Model\\Folder')) {
+                $folder_id = intval($this->folder_sync->get_filebird_folder_id_for_dropbox_path($parent_path));
+
+                if ($folder_id > 0) {
+                    \FileBird\Model\Folder::setFoldersForPosts($attachment_id, $folder_id);
+                }
+            }
+
+            return true;
+        }
+
+        $this->db->add_to_sync_queue(
+            'create',
+            'file',
+            md5(strtolower($dropbox_path)),
+            'dropbox_to_wordpress',
+            array(
+                'dropbox_path' => $dropbox_path,
+                'dropbox_metadata' => $metadata,
+                'folder_path' => $parent_path,
+            ),
+            1 // Restores were requested by the user
+        );
+
+        return false;
+    }
+}
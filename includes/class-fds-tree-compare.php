@@ -0,0 +1,387 @@
+<?php
+/**
+ * Compares the FileBird folder tree with the Dropbox folder tree.
+ *
+ * Every FileBird folder is lined up with the Dropbox folder it is mapped to,
+ * or the one it should be mapped to, and marked as matched, only in
+ * WordPress, only in Dropbox or drifted. A single subtree can then be synced
+ * without running a full sync. The Dropbox folders are listed once and
+ * reused for a few minutes, until the comparison is refreshed.
+ *
+ * @since      1.0.0
+ */
+class FDS_Tree_Compare {
+
+    /**
+     * The Dropbox API instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     */
+    protected $dropbox_api;
+
+    /**
+     * The database instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_DB    $db    The database instance.
+     */
+    protected $db;
+
+    /**
+     * The logger instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Logger    $logger    The logger instance.
+     */
+    protected $logger;
+
+    /**
+     * The sync planner instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Planner    $planner    Lists both sides and plans subtree syncs.
+     */
+    protected $planner;
+
+    /**
+     * The root mappings instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Root_Mappings    $root_mappings    Folders mapped to their own Dropbox paths.
+     */
+    protected $root_mappings;
+
+    /**
+     * How long the listed Dropbox folders are reused.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      int    $listing_ttl    Time to live in seconds.
+     */
+    protected $listing_ttl = 600;
+
+    /**
+     * Initialize the class.
+     *
+     * @since    1.0.0
+     * @param    FDS_Dropbox_API    $dropbox_api    The Dropbox API instance.
+     * @param    FDS_DB             $db             The database instance.
+     * @param    FDS_Logger         $logger         The logger instance.
+     */
+    public function __construct($dropbox_api, $db, $logger) {
+        $this->dropbox_api = $dropbox_api;
+        $this->db = $db;
+        $this->logger = $logger;
+        $this->planner = new FDS_Sync_Planner($dropbox_api, $db, $logger);
+        $this->root_mappings = new FDS_Root_Mappings();
+    }
+
+    /**
+     * Get the statuses a node can have.
+     *
+     * @since    1.0.0
+     * @return   array    Labels keyed by status.
+     */
+    public static function get_statuses() {
+        return array(
+            'matched' => __('Matched', 'filebird-dropbox-sync'),
+            'only_wordpress' => __('Only in WordPress', 'filebird-dropbox-sync'),
+            'only_dropbox' => __('Only in Dropbox', 'filebird-dropbox-sync'),
+            'drifted' => __('Drifted', 'filebird-dropbox-sync'),
+        );
+    }
+
+    /**
+     * Compare both folder trees.
+     *
+     * @since    1.0.0
+     * @param    boolean           $refresh    Whether to list Dropbox again instead of reusing the last listing.
+     * @return   array|WP_Error                The nodes in tree order, a count per status and when Dropbox was listed, or an error.
+     */
+    public function compare($refresh = false) {
+        if (!class_exists('FileBird\\Model\\Folder')) {
+            return new WP_Error('fds_filebird_missing', __('FileBird plugin not detected.', 'filebird-dropbox-sync'));
+        }
+
+        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
+        $listing = $this->get_dropbox_folders(array_merge(array($root_folder), $this->root_mappings->get_external_paths()), $refresh);
+
+        if (is_wp_error($listing)) {
+            return $listing;
+        }
+
+        $dropbox_folders = $listing['folders'];
+
+        $folders = $this->planner->get_filebird_folders();
+        $expected_paths = $this->planner->get_expected_folder_paths($folders, $root_folder);
+        $folder_mappings = array();
+
+        foreach ($this->db->get_all_folder_mappings() as $mapping) {
+            $folder_mappings[intval($mapping->filebird_folder_id)] = $mapping->dropbox_path;
+        }
+
+        // Uncategorized files live in the root folder
+        $nodes = array(
+            strtolower($root_folder) => $this->make_node($root_folder, isset($dropbox_folders[strtolower($root_folder)]) ? 'matched' : 'only_wordpress', '', array(
+                'id' => 0,
+                'name' => __('FileBird (root)', 'filebird-dropbox-sync'),
+                'expected_path' => $root_folder,
+                'mapped_path' => $root_folder,
+            ), $dropbox_folders[strtolower($root_folder)] ?? null),
+        );
+
+        foreach ($expected_paths as $folder_id => $expected_path) {
+            $mapped_path = $folder_mappings[$folder_id] ?? '';
+
+            // A folder is shown where it is in Dropbox, or where it should be
+            $path = $mapped_path !== '' && isset($dropbox_folders[strtolower($mapped_path)]) ? $mapped_path : $expected_path;
+            $dropbox_path = $dropbox_folders[strtolower($path)] ?? null;
+            $reason = '';
+
+            if ($dropbox_path === null) {
+                $status = 'only_wordpress';
+
+                if ($mapped_path !== '') {
+                    $reason = __('The mapped Dropbox folder is missing.', 'filebird-dropbox-sync');
+                }
+            } elseif ($mapped_path === '') {
+                $status = 'drifted';
+                $reason = __('A Dropbox folder with this name exists but is not linked.', 'filebird-dropbox-sync');
+            } elseif (strtolower($mapped_path) !== strtolower($expected_path)) {
+                $status = 'drifted';
+                /* translators: %s: Dropbox path */
+                $reason = sprintf(__('Renamed or moved, FileBird expects %s.', 'filebird-dropbox-sync'), $expected_path);
+            } else {
+                $status = 'matched';
+            }
+
+            $key = strtolower($path);
+
+            // Two FileBird folders claim the same Dropbox folder
+            if (isset($nodes[$key])) {
+                $key .= '#' . $folder_id;
+                $dropbox_path = null;
+                $status = 'drifted';
+                $reason = __('Another FileBird folder uses the same Dropbox path.', 'filebird-dropbox-sync');
+            }
+
+            $nodes[$key] = $this->make_node($path, $status, $reason, array(
+                'id' => $folder_id,
+                'name' => $folders[$folder_id]->name,
+                'expected_path' => $expected_path,
+                'mapped_path' => $mapped_path,
+            ), $dropbox_path);
+        }
+
+        foreach ($dropbox_folders as $path_lower => $path_display) {
+            if (!isset($nodes[$path_lower])) {
+                $nodes[$path_lower] = $this->make_node($path_display, 'only_dropbox', '', null, $path_display);
+            }
+        }
+
+        $summary = array_fill_keys(array_keys(self::get_statuses()), 0);
+
+        foreach ($nodes as $node) {
+            $summary[$node['status']]++;
+        }
+
+        return array(
+            'root_folder' => $root_folder,
+            'listed_at' => $listing['listed_at'],
+            'summary' => $summary,
+            'nodes' => $this->flatten($nodes),
+        );
+    }
+
+    /**
+     * Queue a sync of a folder and everything below it.
+     *
+     * @since    1.0.0
+     * @param    string         $path         The Dropbox path of the folder.
+     * @param    string         $direction    wordpress_to_dropbox, dropbox_to_wordpress or both.
+     * @return   int|WP_Error                 The number of queued tasks or an error.
+     */
+    public function sync_subtree($path, $direction = 'both') {
+        $path = '/' . trim($path, '/');
+
+        if ($path === '/') {
+            return new WP_Error('fds_invalid_path', __('Choose a folder to sync.', 'filebird-dropbox-sync'));
+        }
+
+        // Only the subtree is listed and planned
+        $entries = $this->planner->get_dropbox_entries($path, true);
+
+        if (is_wp_error($entries)) {
+            return $entries;
+        }
+
+        $plan = $this->planner->build_plan($entries, $path);
+
+        if (is_wp_error($plan)) {
+            return $plan;
+        }
+
+        $items = array_filter($plan['items'], function($item) use ($path, $direction) {
+            if ($direction !== 'both' && $item['direction'] !== $direction) {
+                return false;
+            }
+
+            return $this->is_within($item['path'], $path) || ($item['from'] !== '' && $this->is_within($item['from'], $path));
+        });
+
+        $queued = empty($items) ? 0 : $this->planner->enqueue_plan(array('items' => array_values($items)));
+
+        $this->logger->info("Queued subtree sync", array(
+            'dropbox_path' => $path,
+            'direction' => $direction,
+            'items' => count($items),
+            'queued' => $queued
+        ));
+
+        return $queued;
+    }
+
+    /**
+     * Get the Dropbox folders below the listed paths.
+     *
+     * The folders are kept in a transient, so expanding and filtering the
+     * tree doesn't list all of Dropbox on every request.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array      $roots      The Dropbox paths to list.
+     * @param    boolean    $refresh    Whether to list Dropbox again.
+     * @return   array|WP_Error         The folder paths keyed by lowercase path and when they were listed, or an error.
+     */
+    protected function get_dropbox_folders($roots, $refresh) {
+        $listing = $refresh ? false : get_transient('fds_tree_compare_listing');
+
+        if (is_array($listing) && $listing['roots'] === $roots) {
+            return $listing;
+        }
+
+        $folders = array();
+
+        foreach ($roots as $path) {
+            $entries = $this->planner->get_dropbox_entries($path, true);
+
+            if (is_wp_error($entries)) {
+                return $entries;
+            }
+
+            foreach ($entries as $path_lower => $entry) {
+                // Hidden folders are never synced
+                if ($entry['.tag'] === 'folder' && strpos(substr($path_lower, strlen($path)), '/.') === false) {
+                    $folders[$path_lower] = $entry['path_display'];
+                }
+            }
+        }
+
+        $listing = array(
+            'roots' => $roots,
+            'folders' => $folders,
+            'listed_at' => current_time('mysql'),
+        );
+
+        set_transient('fds_tree_compare_listing', $listing, $this->listing_ttl);
+
+        return $listing;
+    }
+
+    /**
+     * Build a node of the compared tree.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string         $path            The Dropbox path the node is at.
+     * @param    string         $status          The node status.
+     * @param    string         $reason          Why the node drifted, if it did.
+     * @param    array|null     $wordpress       The FileBird folder, or null if there is none.
+     * @param    string|null    $dropbox_path    The Dropbox folder, or null if there is none.
+     * @return   array                           The node.
+     */
+    protected function make_node($path, $status, $reason, $wordpress, $dropbox_path) {
+        return array(
+            'path' => $path,
+            'status' => $status,
+            'reason' => $reason,
+            'wordpress' => $wordpress,
+            'dropbox' => $dropbox_path === null ? null : array(
+                'name' => basename($dropbox_path),
+                'path' => $dropbox_path,
+            ),
+        );
+    }
+
+    /**
+     * Put the nodes in tree order, each one after its parent.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    array    $nodes    The nodes keyed by lowercase path.
+     * @return   array              The nodes with their key, depth and parent key.
+     */
+    protected function flatten($nodes) {
+        $children = array('' => array());
+
+        foreach ($nodes as $key => $node) {
+            $parent_key = strtolower(dirname($node['path']));
+            $parent_key = isset($nodes[$parent_key]) && $parent_key !== $key ? $parent_key : '';
+            $nodes[$key]['key'] = $key;
+            $nodes[$key]['parent'] = $parent_key;
+            $children[$parent_key][] = $key;
+        }
+
+        $flat = array();
+        $stack = array(array('', -1));
+
+        while (!empty($stack)) {
+            list($key, $depth) = array_pop($stack);
+
+            if ($key !== '') {
+                $nodes[$key]['depth'] = $depth;
+                $nodes[$key]['has_children'] = !empty($children[$key]);
+                $flat[] = $nodes[$key];
+            }
+
+            if (empty($children[$key])) {
+                continue;
+            }
+
+            $child_keys = $children[$key];
+
+            // Reversed, so the stack hands them out in name order
+            usort($child_keys, function($a, $b) use ($nodes) {
+                return strnatcasecmp(basename($nodes[$b]['path']), basename($nodes[$a]['path']));
+            });
+
+            foreach ($child_keys as $child_key) {
+                $stack[] = array($child_key, $depth + 1);
+            }
+        }
+
+        return $flat;
+    }
+
+    /**
+     * Check whether a path is a folder or inside it.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @param    string     $path      The path to check.
+     * @param    string     $folder    The folder.
+     * @return   boolean               True if the path is the folder or below it.
+     */
+    protected function is_within($path, $folder) {
+        $path = strtolower($path);
+        $folder = strtolower($folder);
+
+        return $path === $folder || strpos($path, $folder . '/') === 0;
+    }
+}
@@ -71,6 +71,42 @@ class FDS_Webhook {
      */
     protected $db;
 
+    /**
+     * The sync rules instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Rules    $sync_rules    Decides which files are synced.
+     */
+    protected $sync_rules;
+
+    /**
+     * The root mappings instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Root_Mappings    $root_mappings    Folders mapped to their own Dropbox paths.
+     */
+    protected $root_mappings;
+
+    /**
+     * The sync mode instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_Mode    $sync_mode    Decides in which direction changes are synced.
+     */
+    protected $sync_mode;
+
+    /**
+     * The sync history instance.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @var      FDS_Sync_History    $history    Records every sync run.
+     */
+    protected $history;
+
     /**
      * Initialize the class.
      *
@@ -86,6 +122,10 @@ class FDS_Webhook {
         $this->settings = $settings;
         $this->logger = $logger;
         $this->db = new FDS_DB();
+        $this->sync_rules = new FDS_Sync_Rules();
+        $this->root_mappings = new FDS_Root_Mappings();
+        $this->sync_mode = new FDS_Sync_Mode();
+        $this->history = new FDS_Sync_History($this->db);
     }
 
     /**
@@ -582,8 +622,11 @@ public function display_webhook_status() {
             update_option('fds_dropbox_cursor', $changes['cursor']);
         }
         
+        // Mappings outside the root folder have their own cursors
+        $mappings_have_more = $this->process_root_mapping_changes();
+        
         // If more changes are available, schedule another run
-        if (isset($changes['has_more']) && $changes['has_more']) {
+        if ((isset($changes['has_more']) && $changes['has_more']) || $mappings_have_more) {
             if (class_exists('ActionScheduler')) {
                 as_schedule_single_action(time() + 30, 'fds_process_dropbox_changes');
                 $this->logger->info("Scheduled processing of additional changes");
@@ -593,6 +636,55 @@ public function display_webhook_status() {
         }
     }
 
+    /**
+     * Process changes below the mapped Dropbox paths outside the root folder.
+     *
+     * A mapping gets its cursor the first time it is seen, so content that was
+     * already there is left to the full sync.
+     *
+     * @since    1.0.0
+     * @return   boolean    True if any of the mapped paths has more changes.
+     */
+    protected function process_root_mapping_changes() {
+        $cursors = get_option('fds_root_mapping_cursors', array());
+        $active_cursors = array();
+        $has_more = false;
+        
+        foreach ($this->root_mappings->get_external_paths() as $path) {
+            $key = strtolower($path);
+            $cursor = isset($cursors[$key]) ? $cursors[$key] : $this->dropbox_api->get_folder_cursor($path);
+            
+            if (empty($cursor)) {
+                $this->logger->error("Failed to get folder cursor for mapped path", [
+                    'dropbox_path' => $path
+                ]);
+                continue;
+            }
+            
+            $changes = $this->dropbox_api->get_changes($cursor);
+            
+            if (!$changes) {
+                $this->logger->error("Failed to get changes for mapped path", [
+                    'dropbox_path' => $path
+                ]);
+                $active_cursors[$key] = $cursor;
+                continue;
+            }
+            
+            if (!empty($changes['entries'])) {
+                $this->process_entries($changes['entries']);
+            }
+            
+            $active_cursors[$key] = isset($changes['cursor']) ? $changes['cursor'] : $cursor;
+            $has_more = $has_more || !empty($changes['has_more']);
+        }
+        
+        // Cursors of removed mappings are dropped
+        update_option('fds_root_mapping_cursors', $active_cursors);
+        
+        return $has_more;
+    }
+
     /**
      * Process entries from Dropbox changes.
      *
@@ -604,6 +696,18 @@ public function display_webhook_status() {
             return;
         }
         
+        // The upload-only modes ignore changes made in Dropbox
+        if (!$this->sync_mode->allows('dropbox_to_wordpress')) {
+            $this->logger->debug("Dropbox changes not synced in the current sync mode", [
+                'sync_mode' => $this->sync_mode->get_mode(),
+                'entries' => count($entries)
+            ]);
+            return;
+        }
+        
+        // The queued changes are processed as a webhook run
+        $this->history->start('webhook');
+        
         // Lazy-load sync instances when needed
         if (!$this->folder_sync) {
             $this->folder_sync = new FDS_Folder_Sync($this->dropbox_api, $this->db, $this->logger);
@@ -613,17 +717,23 @@ public function display_webhook_status() {
             $this->file_sync = new FDS_File_Sync($this->dropbox_api, $this->db, $this->logger);
         }
         
-        // Get the root folder to filter entries
-        $root_folder = get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER);
-        
         // Group entries by type for more efficient processing
         $folders = [];
         $files = [];
         $deletions = [];
+        $folder_ids = $this->get_mapped_folder_ids();
         
         foreach ($entries as $entry) {
-            // Check if the entry is within our root folder
-            if (!isset($entry['path_lower']) || strpos($entry['path_lower'], strtolower($root_folder)) !== 0) {
+            // Check if the entry is within our root folder or a mapped path
+            if (!isset($entry['path_lower']) || $this->root_mappings->get_watched_root($entry['path_lower']) === false) {
+                continue;
+            }
+            
+            // Upload-only mappings ignore changes made in Dropbox
+            if (!$this->root_mappings->allows_path($entry['path_lower'], 'dropbox_to_wordpress')) {
+                $this->logger->debug("Dropbox change not synced, the folder mapping is upload only", [
+                    'dropbox_path' => $entry['path_lower']
+                ]);
                 continue;
             }
             
@@ -634,7 +744,9 @@ public function display_webhook_status() {
                         $deletions[] = $entry;
                         break;
                     case 'file':
-                        $files[] = $entry;
+                        if ($this->is_allowed_by_sync_rules($entry, $folder_ids)) {
+                            $files[] = $entry;
+                        }
                         break;
                     case 'folder':
                         $folders[] = $entry;
@@ -673,6 +785,48 @@ public function display_webhook_status() {
         ]);
     }
 
+    /**
+     * Get the FileBird folders keyed by the Dropbox path they are mapped to.
+     *
+     * @since    1.0.0
+     * @access   protected
+     * @return   array    Folder IDs keyed by lowercase Dropbox path.
+     */
+    protected function get_mapped_folder_ids() {
+        $folder_ids = [];
+        
+        foreach ($this->db->get_all_folder_mappings() as $mapping) {
+            $folder_ids[strtolower($mapping->dropbox_path)] = intval($mapping->filebird_folder_id);
+        }
+        
+        return $folder_ids;
+    }
+
+    /**
+     * Check a Dropbox file against the selective sync rules.
+     *
+     * @since    1.0.0
+     * @param    array    $entry         The file entry.
+     * @param    array    $folder_ids    Mapped folder IDs keyed by lowercase Dropbox path.
+     * @return   boolean                 True if the file should be synced.
+     */
+    protected function is_allowed_by_sync_rules($entry, $folder_ids) {
+        $root_folder = strtolower(get_option('fds_root_dropbox_folder', FDS_ROOT_DROPBOX_FOLDER));
+        $folder_id = $this->sync_rules->get_rule_folder_id(dirname($entry['path_lower']), $root_folder, $folder_ids);
+        
+        $decision = $this->sync_rules->evaluate_dropbox_entry($entry, $folder_id);
+        
+        if (!$decision['sync']) {
+            $this->logger->info("Dropbox file skipped by sync rules", array(
+                'dropbox_path' => $entry['path_lower'],
+                'folder_id' => $folder_id,
+                'sync_rule' => $decision['explanation']
+            ));
+        }
+        
+        return $decision['sync'];
+    }
+
     /**
      * Process a deleted entry from Dropbox.
      *
@@ -791,8 +945,34 @@ public function display_webhook_status() {
                                 'dropbox_path' => $path,
                                 'resolution' => 'dropbox_wins'
                             ));
+                        } elseif ($conflict_resolution === 'ask') {
+                            // Leave both versions alone until someone decides
+                            $this->db->record_conflict(
+                                $attachment_id,
+                                $path,
+                                array(
+                                    'size' => filesize($attachment_file),
+                                    'modified' => gmdate('Y-m-d H:i:s', filemtime($attachment_file)),
+                                    'hash' => $wp_hash,
+                                ),
+                                array(
+                                    'size' => isset($entry['size']) ? $entry['size'] : 0,
+                                    'modified' => isset($entry['server_modified']) ? gmdate('Y-m-d H:i:s', strtotime($entry['server_modified'])) : null,
+                                    'hash' => $entry['content_hash'],
+                                    'rev' => isset($entry['rev']) ? $entry['rev'] : '',
+                                )
+                            );
+                            $this->db->update_file_sync_status($attachment_id, 'conflict');
+                            
+                            $this->logger->notice("File conflict recorded for manual resolution", array(
+                                'attachment_id' => $attachment_id,
+                                'dropbox_path' => $path,
+                                'resolution' => 'ask'
+                            ));
                         } else {
                             // WordPress wins, update Dropbox version later
+                            $this->db->update_file_sync_status($attachment_id, 'conflict');
+                            
                             $this->logger->info("File conflict detected, WordPress version will be kept", array(
                                 'attachment_id' => $attachment_id,
                                 'dropbox_path' => $path,
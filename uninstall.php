@@ -17,6 +17,11 @@ $tables = array(
     $wpdb->prefix . 'fds_file_mapping',
     $wpdb->prefix . 'fds_sync_queue',
     $wpdb->prefix . 'fds_logs',
+    $wpdb->prefix . 'fds_conflicts',
+    $wpdb->prefix . 'fds_sync_history',
+    $wpdb->prefix . 'fds_sync_plan_items',
+    $wpdb->prefix . 'fds_sync_listing',
+    $wpdb->prefix . 'fds_deletions',
 );
 
 // Drop the tables
@@ -28,16 +33,40 @@ foreach ($tables as $table) {
 $options = array(
     'fds_sync_enabled',
     'fds_conflict_resolution',
+    'fds_sync_mode',
     'fds_root_dropbox_folder',
     'fds_dropbox_app_key',
     'fds_dropbox_app_secret',
     'fds_dropbox_access_token',
     'fds_dropbox_refresh_token',
     'fds_dropbox_token_expiry',
+    'fds_dropbox_token_refreshed_at',
+    'fds_dropbox_account',
+    'fds_dropbox_namespace',
     'fds_queue_batch_size',
     'fds_max_retries',
     'fds_log_level',
+    'fds_sync_rules',
+    'fds_root_mappings',
+    'fds_root_mapping_cursors',
     'fds_dropbox_cursor',
+    'fds_full_sync_checkpoint',
+    'fds_sync_plans',
+    'fds_sync_preview',
+    'fds_reconcile_report',
+    'fds_reconcile_run',
+    'fds_sync_history_current',
+    'fds_notifications',
+    'fds_sync_schedule',
+    'fds_throttled_until',
+    'fds_offload',
+    'fds_metadata_sync',
+    'fds_metadata_template_id',
+    'fds_skip_identical_uploads',
+    'fds_duplicates_report',
+    'fds_duplicates_scan',
+    'fds_notification_state',
+    'fds_token_refresh_error',
     'fds_webhook_challenge',
     'fds_oauth_csrf_token',
 );
@@ -46,6 +75,9 @@ foreach ($options as $option) {
     delete_option($option);
 }
 
+// Delete offload state, the originals of offloaded files stay in Dropbox
+$wpdb->query("DELETE FROM {$wpdb->postmeta} WHERE meta_key IN ('_fds_offloaded', '_fds_offload_link')");
+
 // Remove temporary directory
 $upload_dir = wp_upload_dir();
 $fds_dir = $upload_dir['basedir'] . '/fds-temp';
@@ -70,4 +102,5 @@ if ($admin_role) {
 }
 
 // Clear scheduled events
-wp_clear_scheduled_hook('fds_process_queue');
\ No newline at end of file
+wp_clear_scheduled_hook('fds_process_queue');
+wp_clear_scheduled_hook('fds_check_alerts');
\ No newline at end of file